@@ -1,15 +1,82 @@
-from flask import Flask, request, jsonify
+from flask import Flask, request, jsonify, g
 from flask_cors import CORS
 from transformers import pipeline
+from datetime import datetime, timezone
+import json
 import logging
+import os
+import re
+import uuid
 
 app = Flask(__name__)
-CORS(app)  # Enable CORS for all routes
+CORS(app, expose_headers=["X-Request-ID"])  # Enable CORS for all routes
 
-# Configure logging
-logging.basicConfig(level=logging.INFO)
+REQUEST_ID_HEADER = "X-Request-ID"
+VALID_REQUEST_ID = re.compile(r"^[\w.-]{8,128}$")
+
+# Same masking as the Node server (server/utils/redact.js) - user text never goes to the logs
+REDACTION_PATTERNS = [
+    (re.compile(r"(\w+://)[^\s:@/]+:[^\s@/]+@"), r"\1[credentials]@"),
+    (re.compile(r"\beyJ[\w-]+\.[\w-]+\.[\w-]+"), "[token]"),
+    (re.compile(r"\bBearer\s+[\w.~+/-]+=*", re.IGNORECASE), "Bearer [token]"),
+    (re.compile(r"[\w.+-]+@[\w-]+(?:\.[\w-]+)+"), "[email]"),
+    (re.compile(r"\b[a-f0-9]{40,}\b", re.IGNORECASE), "[token]"),
+    (re.compile(r"(?<![\w:-])[+(]?\d(?:[\s().-]{0,2}\d){9,14}(?![\w:-])"), "[phone]"),
+]
+
+
+def redact(message):
+    for pattern, replacement in REDACTION_PATTERNS:
+        message = pattern.sub(replacement, message)
+    return message
+
+
+def current_request_id():
+    try:
+        return g.get("request_id")
+    except RuntimeError:
+        # Outside a request (startup)
+        return None
+
+
+class JsonFormatter(logging.Formatter):
+    """One JSON object per line, tagged with the request id sent by the Node server"""
+
+    def format(self, record):
+        entry = {
+            "time": datetime.now(timezone.utc).isoformat(timespec="milliseconds").replace("+00:00", "Z"),
+            "level": record.levelname.lower(),
+            "msg": redact(record.getMessage()),
+            "service": "ai-api",
+        }
+        request_id = current_request_id()
+        if request_id:
+            entry["requestId"] = request_id
+        entry.update(getattr(record, "fields", {}))
+        if record.exc_info:
+            entry["error"] = redact(self.formatException(record.exc_info))
+        return json.dumps(entry, ensure_ascii=False)
+
+
+# Configure logging - LOG_LEVEL defaults to INFO (DEBUG in development)
+default_level = "DEBUG" if os.environ.get("FLASK_ENV") == "development" else "INFO"
+handler = logging.StreamHandler()
+handler.setFormatter(JsonFormatter())
+logging.basicConfig(level=os.environ.get("LOG_LEVEL", default_level).upper(), handlers=[handler], force=True)
 logger = logging.getLogger(__name__)
 
+
+@app.before_request
+def assign_request_id():
+    incoming = request.headers.get(REQUEST_ID_HEADER, "")
+    g.request_id = incoming if VALID_REQUEST_ID.match(incoming) else str(uuid.uuid4())
+
+
+@app.after_request
+def echo_request_id(response):
+    response.headers[REQUEST_ID_HEADER] = g.get("request_id", "")
+    return response
+
 # Load a pre-trained model for sentiment analysis
 # Ye model text ko analyze karke sentiment batayega (e.g., 'POSITIVE', 'NEGATIVE')
 try:
@@ -40,7 +107,6 @@ def predict():
     try:
         # Get JSON data from request
         data = request.get_json(force=True)
-        logger.info(f"Received request data: {data}")
         
         if not data:
             return jsonify({
@@ -68,13 +134,13 @@ def predict():
                 "status": "error"
             }), 500
         
-        # Analyze the sentiment of the input text
-        logger.info(f"Analyzing text: {text[:50]}...")
+        # Analyze the sentiment of the input text (only its length is logged)
+        logger.info("Prediction request received", extra={"fields": {"textLength": len(text)}})
         result = sentiment_analyzer(text)
         sentiment = result[0]['label']
         score = result[0]['score']
         
-        logger.info(f"Analysis result: {sentiment} with confidence {score}")
+        logger.info("Analysis result", extra={"fields": {"sentiment": sentiment, "confidence": score}})
         
         # Enhanced recommendations based on sentiment and confidence
         recommendations = get_personalized_recommendation(sentiment, score, text)
@@ -87,11 +153,10 @@ def predict():
             "status": "success"
         }
         
-        logger.info(f"Sending response: {response_data}")
         return jsonify(response_data)
         
     except Exception as e:
-        logger.error(f"Error in predict endpoint: {str(e)}")
+        logger.exception("Error in predict endpoint")
         return jsonify({
             "error": f"Internal server error: {str(e)}",
             "status": "error"
@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-globals */
+// Check-in reminders via Web Push (sent by server/services/reminders/channels/webPush.js).
+// Lives in public/ so it is served as-is from the site root and can control the whole app.
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'Time for a check-in 🌱', {
+    body: data.body || 'How are you feeling right now?',
+    icon: '/logo192.png',
+    badge: '/logo192.png',
+    // Ek hi reminder dikhe - naya wala purane ko replace karta hai
+    tag: data.tag || 'check-in-reminder',
+    renotify: true,
+    data: { url: data.url || '/' }
+  }));
+});
+
+// Tapping the reminder focuses an open tab of the app, or opens one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
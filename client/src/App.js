@@ -1,78 +1,132 @@
-import React, { useState } from 'react';
-import axios from 'axios';
+import React, { useRef, useState } from 'react';
+import api, { streamAnalyzeMood, getRetryAfter } from './api';
+import { SENTIMENTS, getSentimentColor, getSentimentEmoji } from './sentiment';
+import { useAuth } from './context/AuthContext';
+import { useTranslation } from './context/LanguageContext';
+import { LANGUAGES } from './i18n';
+import useCooldown from './useCooldown';
+import { getErrorMessage } from './errors';
+import AddHabitButton from './components/AddHabitButton';
+import AuthScreen from './components/AuthScreen';
+import CrisisPanel from './components/CrisisPanel';
+import ChatView from './components/ChatView';
+import CooldownNotice from './components/CooldownNotice';
+import EmotionBreakdown from './components/EmotionBreakdown';
+import ExerciseLibrary from './components/ExerciseLibrary';
+import ExercisePlayer from './components/ExercisePlayer';
+import HabitTracker from './components/HabitTracker';
+import Dashboard from './components/Dashboard';
+import HistoryList from './components/HistoryList';
+import Journal from './components/Journal';
+import RecommendationFeedback from './components/RecommendationFeedback';
+import VoiceRecorder from './components/VoiceRecorder';
+import ReminderBanner from './components/ReminderBanner';
+import Reminders from './components/Reminders';
+import YourData from './components/YourData';
+
+// Analysis stages that have a loading label (i18n key stage.<name>); transcribing is for voice check-ins
+const STAGES = ['transcribing', 'received', 'sentiment', 'recommendation', 'tips', 'saved'];
+
+// Tab labels are i18n keys tabs.<view>
+const TABS = ['analyzer', 'chat', 'journal', 'dashboard', 'habits', 'exercises', 'reminders'];
 
 function App() {
+  const { user, logout } = useAuth();
+  const { t, language, setLanguage } = useTranslation();
+  const [view, setView] = useState('analyzer');
+  const showAuth = view === 'auth' && !user;
   const [inputText, setInputText] = useState('');
   const [response, setResponse] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [history, setHistory] = useState([]);
+  const [stage, setStage] = useState(null);
+  // Bumped after each saved check-in so the history list reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // Crisis panel ek baar dikhne ke baad dismiss nahi hota
+  const [crisis, setCrisis] = useState(null);
+  // Tip se shuru kiya gaya exercise (exerciseId), result card ke andar khulta hai
+  const [openExercise, setOpenExercise] = useState(null);
+  const cooldown = useCooldown();
+  const textareaRef = useRef(null);
+  const blocked = loading || cooldown.secondsLeft > 0;
 
-  const handleSubmit = async () => {
-    if (!inputText.trim()) {
-      alert('Please enter some text before analyzing!');
-      return;
-    }
+  // Typed aur voice dono check-ins yahi chalate hain: loading, result card, crisis panel, cooldown, history.
+  // request(handleStage) resolves with the analysis result.
+  const runCheckIn = async (request, firstStage = null) => {
+    if (cooldown.secondsLeft > 0) return;
     
     setLoading(true);
     setResponse(null);
+    setOpenExercise(null);
+    setStage(firstStage);
+    
+    // Har stage aate hi result card update hota hai
+    const handleStage = (event, data) => {
+      setStage(event);
+      setResponse(prev => ({ ...prev, ...data }));
+      if (data.crisis) {
+        setCrisis(data.crisis);
+      }
+    };
     
     try {
-      // User ka text Node.js backend ko bheja
-      const res = await axios.post('http://localhost:5000/analyze-mood', { 
-        text: inputText 
-      });
+      const result = await request(handleStage);
       
-      setResponse(res.data);
+      setResponse(result);
+      if (result.crisis) {
+        setCrisis(result.crisis);
+      }
       
-      // History mein add karo
-      const newEntry = {
-        text: inputText,
-        result: res.data,
-        timestamp: new Date().toLocaleString()
-      };
-      setHistory(prev => [newEntry, ...prev.slice(0, 4)]); // Keep only last 5 entries
+      // Server par save hua to history list reload karo
+      setHistoryVersion(prev => prev + 1);
       
     } catch (error) {
       console.error("Error during API call:", error);
-      let errorMessage = "Something went wrong. Please try again.";
-      
-      if (error.response) {
-        errorMessage = `Server Error: ${error.response.status} - ${error.response.data.error || 'Unknown error'}`;
-      } else if (error.request) {
-        errorMessage = "Unable to connect to server. Please check if all servers are running.";
+      // Rate limited - error card ki jagah cooldown countdown
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter) {
+        cooldown.start(retryAfter);
+        setResponse(null);
+        return;
       }
-      
-      setResponse({ error: errorMessage });
+
+      setResponse({ error: getErrorMessage(error) });
     } finally {
       setLoading(false);
+      setStage(null);
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && e.ctrlKey) {
-      handleSubmit();
+  const handleSubmit = () => {
+    if (!inputText.trim()) {
+      alert(t('checkIn.empty'));
+      return;
     }
-  };
 
-  const clearHistory = () => {
-    setHistory([]);
+    // User ka text Node.js backend ko bheja - SSE available ho to streaming, warna normal JSON
+    runCheckIn(async (handleStage) => {
+      const result = await streamAnalyzeMood(inputText, handleStage);
+      if (result) return result;
+      const res = await api.post('/analyze-mood', { 
+        text: inputText 
+      });
+      return res.data;
+    });
   };
 
-  const getSentimentColor = (sentiment) => {
-    switch(sentiment?.toLowerCase()) {
-      case 'positive': return '#28a745';
-      case 'negative': return '#dc3545';
-      case 'neutral': return '#6c757d';
-      default: return '#007bff';
-    }
+  // Recording server par transcribe hoti hai, phir wahi analysis
+  const handleVoiceSubmit = ({ blob, duration }) => {
+    runCheckIn(async () => {
+      const res = await api.post('/analyze-mood/audio', blob, {
+        params: { duration: Math.round(duration * 10) / 10 },
+        headers: { 'Content-Type': blob.type }
+      });
+      return res.data;
+    }, 'transcribing');
   };
 
-  const getSentimentEmoji = (sentiment) => {
-    switch(sentiment?.toLowerCase()) {
-      case 'positive': return '😊';
-      case 'negative': return '😔';
-      case 'neutral': return '😐';
-      default: return '🤔';
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && e.ctrlKey) {
+      handleSubmit();
     }
   };
 
@@ -98,241 +152,415 @@ function App() {
           textAlign: 'center'
         }}>
           <h1 style={{ margin: 0, fontSize: '2.5rem' }}>
-            AI Mental Health Companion 🧠💭
+            {t('app.title')}
           </h1>
           <p style={{ margin: '10px 0 0 0', opacity: 0.9 }}>
-            Share your thoughts and get personalized mood insights
+            {t('app.subtitle')}
           </p>
+          <div style={{ marginTop: '15px', fontSize: '14px' }}>
+            {user ? (
+              <>
+                👤 {user.displayName || user.email}
+                <button onClick={logout} style={headerButtonStyle}>{t('app.logOut')}</button>
+              </>
+            ) : !showAuth && (
+              <button onClick={() => setView('auth')} style={headerButtonStyle}>
+                {t('app.logIn')}
+              </button>
+            )}
+            {!showAuth && (
+              <button onClick={() => setView('data')} style={headerButtonStyle}>
+                {t('app.yourData')}
+              </button>
+            )}
+            <select
+              aria-label={t('app.language')}
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              style={{ ...headerButtonStyle, padding: '4px 8px' }}
+            >
+              {LANGUAGES.map(([code, label]) => (
+                <option key={code} value={code} style={{ color: '#333' }}>{label}</option>
+              ))}
+            </select>
+          </div>
         </div>
 
+        {/* Auth Screen */}
+        {showAuth && (
+          <div style={{ padding: '30px' }}>
+            <AuthScreen onDone={() => setView('analyzer')} onCancel={() => setView('analyzer')} />
+          </div>
+        )}
+
+        {/* View Tabs */}
+        {!showAuth && (
+          <div style={{ display: 'flex', borderBottom: '1px solid #e0e0e0' }}>
+            {TABS.map((key) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                style={{
+                  flex: 1,
+                  padding: '15px',
+                  fontSize: '16px',
+                  fontWeight: 'bold',
+                  cursor: 'pointer',
+                  border: 'none',
+                  borderBottom: view === key ? '3px solid #667eea' : '3px solid transparent',
+                  backgroundColor: view === key ? '#f8f9ff' : 'white',
+                  color: view === key ? '#667eea' : '#666'
+                }}
+              >
+                {t(`tabs.${key}`)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Companion Chat */}
+        {!showAuth && view === 'chat' && (
+          <div style={{ padding: '30px' }}>
+            <ChatView onCrisis={setCrisis} />
+            <CrisisPanel crisis={crisis} />
+          </div>
+        )}
+
+        {/* Journal */}
+        {!showAuth && view === 'journal' && (
+          <div style={{ padding: '30px' }}>
+            <Journal onCrisis={setCrisis} />
+            <CrisisPanel crisis={crisis} />
+          </div>
+        )}
+
+        {/* Your Data (export / delete) */}
+        {!showAuth && view === 'data' && (
+          <div style={{ padding: '30px' }}>
+            <YourData onErased={() => { setResponse(null); setCrisis(null); setHistoryVersion(prev => prev + 1); }} />
+          </div>
+        )}
+
+        {/* Mood Dashboard */}
+        {!showAuth && view === 'dashboard' && (
+          <div style={{ padding: '30px' }}>
+            <Dashboard />
+          </div>
+        )}
+
+        {/* Habit Tracker */}
+        {!showAuth && view === 'habits' && (
+          <div style={{ padding: '30px' }}>
+            <HabitTracker />
+          </div>
+        )}
+
+        {/* Guided exercises */}
+        {!showAuth && view === 'exercises' && (
+          <div style={{ padding: '30px' }}>
+            <ExerciseLibrary />
+          </div>
+        )}
+
+        {/* Check-in Reminders */}
+        {!showAuth && view === 'reminders' && (
+          <div style={{ padding: '30px' }}>
+            <Reminders />
+          </div>
+        )}
+
         {/* Main Content */}
-        <div style={{ padding: '30px' }}>
-          {/* Input Section */}
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ 
-              display: 'block', 
-              marginBottom: '10px', 
-              fontWeight: 'bold',
-              color: '#333'
-            }}>
-              How are you feeling today?
-            </label>
-            <textarea
+        {!showAuth && (view === 'analyzer' || view === 'auth') && (
+          <div style={{ padding: '30px' }}>
+            {/* Reminder aaya ho to check-in box ke upar */}
+            <ReminderBanner onCheckIn={() => textareaRef.current?.focus()} />
+
+            {/* Input Section */}
+            <div style={{ marginBottom: '25px' }}>
+              <label style={{ 
+                display: 'block', 
+                marginBottom: '10px', 
+                fontWeight: 'bold',
+                color: '#333'
+              }}>
+                {t('checkIn.label')}
+              </label>
+              <textarea
+                ref={textareaRef}
+                style={{ 
+                  width: '100%', 
+                  minHeight: '120px', 
+                  padding: '15px', 
+                  fontSize: '16px',
+                  border: '2px solid #e0e0e0',
+                  borderRadius: '10px',
+                  fontFamily: 'Arial, sans-serif',
+                  resize: 'vertical',
+                  transition: 'border-color 0.3s ease',
+                  boxSizing: 'border-box'
+                }}
+                placeholder={t('checkIn.placeholder')}
+                value={inputText}
+                onChange={(e) => setInputText(e.target.value)}
+                onKeyPress={handleKeyPress}
+                onFocus={(e) => e.target.style.borderColor = '#667eea'}
+                onBlur={(e) => e.target.style.borderColor = '#e0e0e0'}
+              />
+              <div style={{ 
+                textAlign: 'right', 
+                marginTop: '5px', 
+                color: '#666', 
+                fontSize: '14px' 
+              }}>
+                {t('checkIn.characters', { count: inputText.length })}
+              </div>
+            </div>
+
+            {/* Voice check-in - sirf jahan browser record kar sakta hai */}
+            <VoiceRecorder onSubmit={handleVoiceSubmit} disabled={blocked} />
+
+            {/* Analyze Button */}
+            <button 
+              onClick={handleSubmit} 
+              disabled={blocked}
               style={{ 
-                width: '100%', 
-                minHeight: '120px', 
-                padding: '15px', 
-                fontSize: '16px',
-                border: '2px solid #e0e0e0',
+                width: '100%',
+                padding: '15px 20px', 
+                fontSize: '18px',
+                fontWeight: 'bold',
+                cursor: blocked ? 'not-allowed' : 'pointer',
+                background: blocked 
+                  ? 'linear-gradient(45deg, #ccc, #999)' 
+                  : 'linear-gradient(45deg, #667eea, #764ba2)',
+                color: 'white',
+                border: 'none',
                 borderRadius: '10px',
-                fontFamily: 'Arial, sans-serif',
-                resize: 'vertical',
-                transition: 'border-color 0.3s ease',
-                boxSizing: 'border-box'
+                transition: 'all 0.3s ease',
+                transform: blocked ? 'none' : 'translateY(0)',
+                boxShadow: blocked ? 'none' : '0 4px 15px rgba(102, 126, 234, 0.4)'
               }}
-              placeholder="Share your thoughts, feelings, or describe your day... (Press Ctrl+Enter to analyze)"
-              value={inputText}
-              onChange={(e) => setInputText(e.target.value)}
-              onKeyPress={handleKeyPress}
-              onFocus={(e) => e.target.style.borderColor = '#667eea'}
-              onBlur={(e) => e.target.style.borderColor = '#e0e0e0'}
-            />
-            <div style={{ 
-              textAlign: 'right', 
-              marginTop: '5px', 
-              color: '#666', 
-              fontSize: '14px' 
-            }}>
-              {inputText.length} characters
-            </div>
-          </div>
+              onMouseOver={(e) => {
+                if (!blocked) {
+                  e.target.style.transform = 'translateY(-2px)';
+                  e.target.style.boxShadow = '0 6px 20px rgba(102, 126, 234, 0.6)';
+                }
+              }}
+              onMouseOut={(e) => {
+                if (!blocked) {
+                  e.target.style.transform = 'translateY(0)';
+                  e.target.style.boxShadow = '0 4px 15px rgba(102, 126, 234, 0.4)';
+                }
+              }}
+            >
+              {loading
+                ? (STAGES.includes(stage) ? t(`stage.${stage}`) : t('checkIn.analyzing'))
+                : cooldown.secondsLeft > 0 ? t('checkIn.tryAgainIn', { seconds: cooldown.secondsLeft }) : t('checkIn.analyze')}
+            </button>
 
-          {/* Analyze Button */}
-          <button 
-            onClick={handleSubmit} 
-            disabled={loading}
-            style={{ 
-              width: '100%',
-              padding: '15px 20px', 
-              fontSize: '18px',
-              fontWeight: 'bold',
-              cursor: loading ? 'not-allowed' : 'pointer',
-              background: loading 
-                ? 'linear-gradient(45deg, #ccc, #999)' 
-                : 'linear-gradient(45deg, #667eea, #764ba2)',
-              color: 'white',
-              border: 'none',
-              borderRadius: '10px',
-              transition: 'all 0.3s ease',
-              transform: loading ? 'none' : 'translateY(0)',
-              boxShadow: loading ? 'none' : '0 4px 15px rgba(102, 126, 234, 0.4)'
-            }}
-            onMouseOver={(e) => {
-              if (!loading) {
-                e.target.style.transform = 'translateY(-2px)';
-                e.target.style.boxShadow = '0 6px 20px rgba(102, 126, 234, 0.6)';
-              }
-            }}
-            onMouseOut={(e) => {
-              if (!loading) {
-                e.target.style.transform = 'translateY(0)';
-                e.target.style.boxShadow = '0 4px 15px rgba(102, 126, 234, 0.4)';
-              }
-            }}
-          >
-            {loading ? '🔄 Analyzing your mood...' : '🎯 Analyze My Mood'}
-          </button>
-
-          {/* Results Section */}
-          {response && (
-            <div style={{ 
-              marginTop: '30px', 
-              padding: '25px', 
-              border: response.error ? '2px solid #dc3545' : '2px solid #28a745',
-              borderRadius: '15px',
-              backgroundColor: response.error ? '#fff5f5' : '#f8fff9',
-              animation: 'fadeIn 0.5s ease-in'
-            }}>
-              {response.error ? (
-                <div>
-                  <h3 style={{ color: '#dc3545', margin: '0 0 15px 0' }}>
-                    ❌ Error Occurred
-                  </h3>
-                  <p style={{ color: '#721c24', margin: 0 }}>{response.error}</p>
-                </div>
-              ) : (
-                <div>
-                  <h3 style={{ 
-                    color: '#155724', 
-                    margin: '0 0 20px 0',
-                    fontSize: '1.5rem'
-                  }}>
-                    📊 Mood Analysis Results
-                  </h3>
-                  
-                  <div style={{ display: 'grid', gap: '15px' }}>
-                    <div style={{
-                      padding: '15px',
-                      backgroundColor: 'white',
-                      borderRadius: '10px',
-                      border: '1px solid #e0e0e0'
-                    }}>
-                      <strong>Sentiment:</strong> 
-                      <span style={{ 
-                        color: getSentimentColor(response.sentiment),
-                        fontSize: '1.2rem',
-                        marginLeft: '10px'
-                      }}>
-                        {getSentimentEmoji(response.sentiment)} {response.sentiment?.toUpperCase()}
-                      </span>
-                    </div>
-                    
-                    <div style={{
-                      padding: '15px',
-                      backgroundColor: 'white',
-                      borderRadius: '10px',
-                      border: '1px solid #e0e0e0'
+            <CooldownNotice secondsLeft={cooldown.secondsLeft} />
+
+            {/* Crisis Support Section */}
+            <CrisisPanel crisis={crisis} />
+
+            {/* Results Section */}
+            {response && (
+              <div style={{ 
+                marginTop: '30px', 
+                padding: '25px', 
+                border: response.error ? '2px solid #dc3545' : '2px solid #28a745',
+                borderRadius: '15px',
+                backgroundColor: response.error ? '#fff5f5' : '#f8fff9',
+                animation: 'fadeIn 0.5s ease-in'
+              }}>
+                {response.error ? (
+                  <div>
+                    <h3 style={{ color: '#dc3545', margin: '0 0 15px 0' }}>
+                      {t('result.error')}
+                    </h3>
+                    <p style={{ color: '#721c24', margin: 0 }}>{response.error}</p>
+                  </div>
+                ) : (
+                  <div>
+                    <h3 style={{ 
+                      color: '#155724', 
+                      margin: '0 0 20px 0',
+                      fontSize: '1.5rem'
                     }}>
-                      <strong>Confidence Score:</strong> 
-                      <span style={{ 
-                        color: '#667eea',
-                        fontSize: '1.2rem',
-                        marginLeft: '10px'
-                      }}>
-                        📈 {Math.round(response.confidence_score * 100)}%
-                      </span>
-                      <div style={{
-                        width: '100%',
-                        height: '8px',
-                        backgroundColor: '#e0e0e0',
-                        borderRadius: '4px',
-                        marginTop: '8px',
-                        overflow: 'hidden'
-                      }}>
+                      {t('result.title')}
+                    </h3>
+                  
+                    <div style={{ display: 'grid', gap: '15px' }}>
+                      {/* AI service down tha - check-in save ho gaya, analysis baad mein hoga */}
+                      {response.analysisStatus === 'pending' && (
                         <div style={{
-                          width: `${response.confidence_score * 100}%`,
-                          height: '100%',
-                          backgroundColor: '#667eea',
-                          transition: 'width 0.5s ease'
-                        }} />
-                      </div>
-                    </div>
+                          padding: '15px',
+                          backgroundColor: '#fff8e1',
+                          borderRadius: '10px',
+                          border: '1px solid #ffe082',
+                          color: '#6d4c00'
+                        }}>
+                          🕒 {t('result.pending')}
+                          <div style={{ marginTop: '8px', fontSize: '12px' }}>
+                            {t('result.pendingHint')}
+                          </div>
+                        </div>
+                      )}
+
+                      {response.transcript && (
+                        <div style={{
+                          padding: '15px',
+                          backgroundColor: 'white',
+                          borderRadius: '10px',
+                          border: '1px solid #e0e0e0'
+                        }}>
+                          <strong>{t('result.transcript')}</strong>
+                          <p style={{ margin: '10px 0 0 0', color: '#333', fontStyle: 'italic', lineHeight: '1.6' }}>
+                            “{response.transcript}”
+                          </p>
+                          {typeof response.transcriptConfidence === 'number' && (
+                            <div style={{ marginTop: '8px', fontSize: '12px', color: '#666' }}>
+                              {t('result.transcriptConfidence', { percent: Math.round(response.transcriptConfidence * 100) })}
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {response.sentiment && (
+                        <>
+                          <div style={{
+                            padding: '15px',
+                            backgroundColor: 'white',
+                            borderRadius: '10px',
+                            border: '1px solid #e0e0e0'
+                          }}>
+                            <strong>{t('result.sentiment')}</strong> 
+                            <span style={{ 
+                              color: getSentimentColor(response.sentiment),
+                              fontSize: '1.2rem',
+                              marginLeft: '10px'
+                            }}>
+                              {getSentimentEmoji(response.sentiment)} {SENTIMENTS.includes(response.sentiment.toUpperCase())
+                                ? t(`sentiment.${response.sentiment.toUpperCase()}`)
+                                : response.sentiment.toUpperCase()}
+                            </span>
+                            {response.failover && (
+                              <div style={{ marginTop: '8px', fontSize: '12px', color: '#666' }}>
+                                {t('result.failover')}
+                              </div>
+                            )}
+                          </div>
+
+                          <div style={{
+                            padding: '15px',
+                            backgroundColor: 'white',
+                            borderRadius: '10px',
+                            border: '1px solid #e0e0e0'
+                          }}>
+                            <strong>{t('result.confidence')}</strong> 
+                            <span style={{ 
+                              color: '#667eea',
+                              fontSize: '1.2rem',
+                              marginLeft: '10px'
+                            }}>
+                              📈 {Math.round(response.confidence_score * 100)}%
+                            </span>
+                            <div style={{
+                              width: '100%',
+                              height: '8px',
+                              backgroundColor: '#e0e0e0',
+                              borderRadius: '4px',
+                              marginTop: '8px',
+                              overflow: 'hidden'
+                            }}>
+                              <div style={{
+                                width: `${response.confidence_score * 100}%`,
+                                height: '100%',
+                                backgroundColor: '#667eea',
+                                transition: 'width 0.5s ease'
+                              }} />
+                            </div>
+                          </div>
+
+                          {response.detectedEmotions && (
+                            <EmotionBreakdown emotions={response.detectedEmotions} />
+                          )}
+                        </>
+                      )}
                     
-                    <div style={{
-                      padding: '15px',
-                      backgroundColor: 'white',
-                      borderRadius: '10px',
-                      border: '1px solid #e0e0e0'
-                    }}>
-                      <strong>💡 Recommendation:</strong>
-                      <p style={{ 
-                        margin: '10px 0 0 0',
-                        color: '#333',
-                        lineHeight: '1.6'
-                      }}>
-                        {response.recommendation}
-                      </p>
+                      {response.recommendation && (
+                        <div style={{
+                          padding: '15px',
+                          backgroundColor: 'white',
+                          borderRadius: '10px',
+                          border: '1px solid #e0e0e0',
+                          animation: 'fadeIn 0.5s ease-in'
+                        }}>
+                          <strong>{t('result.recommendation')}</strong>
+                          <p style={{ 
+                            margin: '10px 0 0 0',
+                            color: '#333',
+                            lineHeight: '1.6'
+                          }}>
+                            {response.recommendation}
+                          </p>
+                        </div>
+                      )}
+
+                      {response.additional_tips?.length > 0 && (
+                        <div style={{
+                          padding: '15px',
+                          backgroundColor: 'white',
+                          borderRadius: '10px',
+                          border: '1px solid #e0e0e0',
+                          animation: 'fadeIn 0.5s ease-in'
+                        }}>
+                          <strong>{t('result.tips')}</strong>
+                          <ul style={{ margin: '10px 0 0 0', paddingLeft: '20px', color: '#333', lineHeight: '1.8' }}>
+                            {response.additional_tips.map((tip, i) => {
+                              const exerciseId = response.tipDetails?.[i]?.exerciseId;
+                              return (
+                                <li key={tip}>
+                                  <span>{tip}</span>
+                                  {exerciseId && (
+                                    <button
+                                      onClick={() => setOpenExercise(exerciseId)}
+                                      title={t('result.startExerciseHint')}
+                                      style={tipButtonStyle}
+                                    >
+                                      {t('result.startExercise')}
+                                    </button>
+                                  )}
+                                  <AddHabitButton tip={tip} />
+                                </li>
+                              );
+                            })}
+                          </ul>
+                          {openExercise && (
+                            <div style={{ marginTop: '12px' }}>
+                              <ExercisePlayer
+                                key={openExercise}
+                                exerciseId={openExercise}
+                                conversationId={response.conversationId}
+                                onClose={() => setOpenExercise(null)}
+                              />
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {response.conversationId && !response.crisis && response.analysisStatus !== 'pending' && (
+                        <RecommendationFeedback key={response.conversationId} conversationId={response.conversationId} />
+                      )}
                     </div>
                   </div>
-                </div>
-              )}
-            </div>
-          )}
-
-          {/* History Section */}
-          {history.length > 0 && (
-            <div style={{ marginTop: '40px' }}>
-              <div style={{
-                display: 'flex',
-                justifyContent: 'space-between',
-                alignItems: 'center',
-                marginBottom: '20px'
-              }}>
-                <h3 style={{ margin: 0, color: '#333' }}>📚 Recent Analysis History</h3>
-                <button
-                  onClick={clearHistory}
-                  style={{
-                    padding: '5px 15px',
-                    backgroundColor: '#dc3545',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '5px',
-                    cursor: 'pointer',
-                    fontSize: '12px'
-                  }}
-                >
-                  Clear History
-                </button>
+                )}
               </div>
-              
-              {history.map((entry, index) => (
-                <div key={index} style={{
-                  padding: '15px',
-                  marginBottom: '10px',
-                  backgroundColor: '#f8f9fa',
-                  borderRadius: '10px',
-                  border: '1px solid #e0e0e0'
-                }}>
-                  <div style={{ fontSize: '12px', color: '#666', marginBottom: '5px' }}>
-                    {entry.timestamp}
-                  </div>
-                  <div style={{ fontSize: '14px', marginBottom: '10px' }}>
-                    <strong>Input:</strong> {entry.text.substring(0, 100)}
-                    {entry.text.length > 100 && '...'}
-                  </div>
-                  <div style={{ fontSize: '14px' }}>
-                    <span style={{ color: getSentimentColor(entry.result.sentiment) }}>
-                      {getSentimentEmoji(entry.result.sentiment)} {entry.result.sentiment}
-                    </span>
-                    <span style={{ marginLeft: '15px', color: '#667eea' }}>
-                      {Math.round(entry.result.confidence_score * 100)}% confidence
-                    </span>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+            )}
+
+            {/* History Section */}
+            <HistoryList refreshKey={historyVersion} />
+          </div>
+        )}
 
         {/* Footer */}
         <div style={{
@@ -343,12 +571,12 @@ function App() {
           fontSize: '14px'
         }}>
           <p style={{ margin: 0 }}>
-            💡 Tip: Press <kbd style={{
+            {t('footer.tip')} {t('footer.before')} <kbd style={{
               padding: '2px 6px',
               backgroundColor: '#e9ecef',
               borderRadius: '3px',
               fontSize: '12px'
-            }}>Ctrl+Enter</kbd> to quickly analyze your mood
+            }}>Ctrl+Enter</kbd> {t('footer.after')}
           </p>
         </div>
       </div>
@@ -356,4 +584,26 @@ function App() {
   );
 }
 
+const tipButtonStyle = {
+  marginLeft: '8px',
+  padding: '1px 8px',
+  fontSize: '12px',
+  border: 'none',
+  borderRadius: '10px',
+  backgroundColor: '#667eea',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+const headerButtonStyle = {
+  marginLeft: '10px',
+  padding: '5px 15px',
+  backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.6)',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
 export default App;
\ No newline at end of file
@@ -1,8 +1,337 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { AuthProvider } from './context/AuthContext';
+import { LanguageProvider } from './context/LanguageContext';
+import api, { streamAnalyzeMood } from './api';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Real api.js axios (ESM) load karta hai - tests mein network ki zarurat nahi, isliye pura module mock
+jest.mock('./api', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), delete: jest.fn() },
+  streamAnalyzeMood: jest.fn(),
+  getRetryAfter: (error) => (error?.response?.status === 429 ? error.response.data.retryAfter : null),
+  authStore: { get: () => null, set() {}, clear() {}, subscribe: () => () => {} }
+}));
+
+const RESULT = {
+  status: 'success',
+  sentiment: 'POSITIVE',
+  confidence_score: 0.9,
+  recommendation: 'Keep doing what makes you smile.',
+  additional_tips: ['Call a friend'],
+  detectedEmotions: [],
+  conversationId: 'c1'
+};
+
+const EMPTY_HISTORY = { data: { status: 'success', data: [], pagination: { total: 0, page: 1, limit: 10, pages: 0 } } };
+
+const renderApp = () => render(
+  <LanguageProvider>
+    <AuthProvider>
+      <App />
+    </AuthProvider>
+  </LanguageProvider>
+);
+
+const typeCheckIn = (text) => userEvent.type(screen.getByPlaceholderText(/share your thoughts/i), text);
+
+const historyRequests = () => api.get.mock.calls.filter(([url]) => url === '/history');
+
+beforeEach(() => {
+  // Chosen UI language is stored - har test English se shuru ho
+  localStorage.clear();
+  api.get.mockResolvedValue(EMPTY_HISTORY);
+  // No SSE in jsdom - the JSON endpoint answers
+  streamAnalyzeMood.mockResolvedValue(null);
+  api.post.mockResolvedValue({ data: RESULT });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+// jsdom can't record - a MediaRecorder that hands back a tiny webm blob when stopped
+class FakeMediaRecorder {
+  static isTypeSupported(type) {
+    return type.startsWith('audio/webm');
+  }
+
+  constructor(stream, options) {
+    this.mimeType = options?.mimeType || 'audio/webm';
+    this.state = 'inactive';
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['voice'], { type: this.mimeType }) });
+    this.onstop();
+  }
+}
+
+const mockMicrophone = () => {
+  window.MediaRecorder = FakeMediaRecorder;
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { getUserMedia: jest.fn().mockResolvedValue({ getTracks: () => [{ stop: jest.fn() }] }) }
+  });
+  URL.createObjectURL = jest.fn(() => 'blob:recording');
+  URL.revokeObjectURL = jest.fn();
+};
+
+afterEach(() => {
+  delete window.MediaRecorder;
+  delete navigator.mediaDevices;
+});
+
+test('renders the check-in form and the history', async () => {
+  renderApp();
+
+  expect(screen.getByText('How are you feeling today?')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /analyze my mood/i })).toBeEnabled();
+  expect(await screen.findByText('Your saved check-ins will show up here.')).toBeInTheDocument();
+});
+
+test('submits the text and shows the analysis', async () => {
+  renderApp();
+  typeCheckIn('I had a great day');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(await screen.findByText('Keep doing what makes you smile.')).toBeInTheDocument();
+  expect(screen.getByText(/POSITIVE/)).toBeInTheDocument();
+  expect(screen.getByText(/90%/)).toBeInTheDocument();
+  expect(screen.getByText('Call a friend')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Helpful' })).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/analyze-mood', { text: 'I had a great day' });
+
+  // The saved check-in reloads the history
+  await waitFor(() => expect(historyRequests()).toHaveLength(2));
+});
+
+test('adds a tip as a habit in one click', async () => {
+  renderApp();
+  typeCheckIn('I had a great day');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  userEvent.click(await screen.findByRole('button', { name: '+ Habit' }));
+
+  expect(await screen.findByText('✓ Added to your habits')).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/habits', expect.objectContaining({ name: 'Call a friend', sourceTip: 'Call a friend' }));
+});
+
+test('starts the guided exercise of a tip and saves the mood before and after', async () => {
+  api.post.mockResolvedValue({
+    data: {
+      ...RESULT,
+      additional_tips: ['Take 10 deep breaths', 'Call a friend'],
+      tipDetails: [
+        { text: 'Take 10 deep breaths', tipId: 'ten-breaths', exerciseId: 'box-breathing' },
+        { text: 'Call a friend', tipId: null, exerciseId: null }
+      ]
+    }
+  });
+
+  renderApp();
+  typeCheckIn('I am so angry');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  // Only the breathing tip has an exercise
+  userEvent.click(await screen.findByRole('button', { name: '▶ Start' }));
+  expect(screen.getAllByRole('button', { name: '▶ Start' })).toHaveLength(1);
+  expect(screen.getByText('🟦 Box breathing')).toBeInTheDocument();
+
+  userEvent.click(within(screen.getByRole('radiogroup', { name: /feeling right now/i })).getByRole('radio', { name: '2 out of 5' }));
+  userEvent.click(screen.getByRole('button', { name: '▶ Begin' }));
+  expect(screen.getByText('Breathe in')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Stop' }));
+  userEvent.click(within(screen.getByRole('radiogroup', { name: /feel now/i })).getByRole('radio', { name: '4 out of 5' }));
+  userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(await screen.findByText(/Saved/)).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/exercises/sessions', expect.objectContaining({
+    exerciseId: 'box-breathing',
+    completed: false,
+    moodBefore: 2,
+    moodAfter: 4,
+    conversationId: 'c1'
+  }));
+});
+
+test('uses the streamed result when streaming is available', async () => {
+  streamAnalyzeMood.mockImplementation(async (text, onEvent) => {
+    onEvent('sentiment', { sentiment: 'POSITIVE', confidence_score: 0.9 });
+    return RESULT;
+  });
+
+  renderApp();
+  typeCheckIn('I had a great day');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(await screen.findByText('Keep doing what makes you smile.')).toBeInTheDocument();
+  expect(streamAnalyzeMood).toHaveBeenCalledWith('I had a great day', expect.any(Function));
+  expect(api.post).not.toHaveBeenCalled();
+});
+
+test('shows a friendly message for server error codes', async () => {
+  api.post.mockRejectedValue({
+    response: { status: 503, data: { status: 'error', code: 'AI_SERVICE_UNAVAILABLE', error: 'Cannot connect to AI service.' } }
+  });
+
+  renderApp();
+  typeCheckIn('I feel okay');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(await screen.findByText('❌ Error Occurred')).toBeInTheDocument();
+  expect(screen.getByText(/mood analysis service is offline right now/)).toBeInTheDocument();
+});
+
+test('shows the server message for validation errors', async () => {
+  api.post.mockRejectedValue({
+    response: { status: 400, data: { status: 'error', code: 'VALIDATION_ERROR', error: 'Text too long. Please keep it under 1000 characters.' } }
+  });
+
+  renderApp();
+  typeCheckIn('I feel okay');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(await screen.findByText('Text too long. Please keep it under 1000 characters.')).toBeInTheDocument();
+});
+
+test('tells the user when the server is unreachable', async () => {
+  api.post.mockRejectedValue({ request: {} });
+
+  renderApp();
+  typeCheckIn('I feel okay');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(await screen.findByText(/Unable to connect to server/)).toBeInTheDocument();
+});
+
+test('asks for text instead of sending an empty check-in', () => {
+  const alert = jest.spyOn(window, 'alert').mockImplementation(() => {});
+
+  renderApp();
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(alert).toHaveBeenCalledWith('Please enter some text before analyzing!');
+  expect(api.post).not.toHaveBeenCalled();
+});
+
+test('Ctrl+Enter submits, Enter alone does not', async () => {
+  renderApp();
+  typeCheckIn('I had a great day');
+  const textarea = screen.getByPlaceholderText(/share your thoughts/i);
+
+  fireEvent.keyPress(textarea, { key: 'Enter', code: 'Enter', charCode: 13 });
+  expect(api.post).not.toHaveBeenCalled();
+
+  fireEvent.keyPress(textarea, { key: 'Enter', code: 'Enter', charCode: 13, ctrlKey: true });
+  expect(await screen.findByText('Keep doing what makes you smile.')).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledTimes(1);
+});
+
+test('a check-in saved for later shows the pending notice without feedback buttons', async () => {
+  api.post.mockResolvedValue({
+    data: {
+      status: 'success',
+      analysisStatus: 'pending',
+      message: 'Your check-in was saved and will be analyzed as soon as the AI service is back.',
+      conversationId: 'c2'
+    }
+  });
+
+  renderApp();
+  typeCheckIn('I feel okay');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  // The notice comes from the catalog, in the chosen UI language - not the server's message
+  expect(await screen.findByText(/Your check-in was saved and will be analyzed shortly\./)).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Helpful' })).not.toBeInTheDocument();
+});
+
+test('a rate-limited check-in starts the cooldown', async () => {
+  api.post.mockRejectedValue({
+    response: { status: 429, data: { status: 'error', code: 'RATE_LIMITED', retryAfter: 30 } }
+  });
+
+  renderApp();
+  typeCheckIn('I feel okay');
+  userEvent.click(screen.getByRole('button', { name: /analyze my mood/i }));
+
+  expect(await screen.findByRole('button', { name: /try again in 30s/i })).toBeDisabled();
+  expect(screen.queryByText('❌ Error Occurred')).not.toBeInTheDocument();
+});
+
+test('records a voice check-in and shows what was heard', async () => {
+  mockMicrophone();
+  api.post.mockResolvedValue({
+    data: { ...RESULT, source: 'voice', transcript: 'I had a great day', transcriptConfidence: 0.92 }
+  });
+
+  renderApp();
+  userEvent.click(screen.getByRole('button', { name: '🎙️ Record instead' }));
+  userEvent.click(await screen.findByRole('button', { name: '⏹ Stop' }));
+  userEvent.click(await screen.findByRole('button', { name: '🎯 Analyze recording' }));
+
+  expect(await screen.findByText('“I had a great day”')).toBeInTheDocument();
+  expect(screen.getByText('92% sure of the transcript')).toBeInTheDocument();
+  expect(screen.getByText('Keep doing what makes you smile.')).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/analyze-mood/audio', expect.any(Blob), {
+    params: { duration: expect.any(Number) },
+    headers: { 'Content-Type': 'audio/webm;codecs=opus' }
+  });
+});
+
+test('hides voice check-ins where the browser cannot record', () => {
+  renderApp();
+  expect(screen.queryByRole('button', { name: '🎙️ Record instead' })).not.toBeInTheDocument();
+});
+
+test('switches the interface to Hindi and remembers the choice', async () => {
+  renderApp();
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Language' }), 'hi');
+
+  expect(screen.getByText('आज आप कैसा महसूस कर रहे हैं?')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '🎯 मेरा मूड जाँचें' })).toBeEnabled();
+  expect(document.documentElement.lang).toBe('hi');
+  expect(localStorage.getItem('companion.language')).toBe('hi');
+
+  // Server errors are shown in the chosen language too
+  api.post.mockRejectedValue({
+    response: { status: 503, data: { status: 'error', code: 'AI_SERVICE_UNAVAILABLE', error: 'Cannot connect to AI service.' } }
+  });
+  userEvent.type(screen.getByPlaceholderText(/अपने विचार/), 'aaj bahut tension hai');
+  userEvent.click(screen.getByRole('button', { name: '🎯 मेरा मूड जाँचें' }));
+  expect(await screen.findByText(/मूड जाँचने वाली सेवा अभी बंद है/)).toBeInTheDocument();
+});
+
+test('shows the crisis panel in the chosen language', async () => {
+  localStorage.setItem('companion.language', 'hi');
+  api.post.mockResolvedValue({
+    data: {
+      ...RESULT,
+      riskLevel: 'high',
+      crisis: { message: 'आप अकेले नहीं हैं।', resources: [{ name: 'Tele-MANAS', phone: '14416' }] }
+    }
+  });
+
+  renderApp();
+  userEvent.type(screen.getByPlaceholderText(/अपने विचार/), 'mujhe jeena nahi hai');
+  userEvent.click(screen.getByRole('button', { name: '🎯 मेरा मूड जाँचें' }));
+
+  const panel = await screen.findByRole('alertdialog', { name: '🤝 आपको इससे अकेले नहीं गुज़रना है' });
+  expect(within(panel).getByText(/भारत में 112/)).toBeInTheDocument();
+});
+
+test('shows the history and the exercises in the chosen language', async () => {
+  localStorage.setItem('companion.language', 'hi');
+  renderApp();
+
+  expect(await screen.findByText('आपके सेव किए गए चेक-इन यहाँ दिखेंगे।')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: '🧘 अभ्यास' }));
+  expect(await screen.findByText('🟦 बॉक्स ब्रीदिंग')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'बॉक्स ब्रीदिंग शुरू करें' })).toBeInTheDocument();
 });
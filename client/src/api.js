@@ -0,0 +1,215 @@
+import axios from 'axios';
+import { getErrorCode } from './errors';
+import { languageStore } from './i18n';
+
+// Shared axios instance - har request ke saath session ID, access token aur UI language bhejta hai
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const SESSION_KEY = 'companion.sessionId';
+const AUTH_KEY = 'companion.auth';
+
+const listeners = new Set();
+
+export const getSessionId = () => localStorage.getItem(SESSION_KEY);
+
+const setSessionId = (sessionId) => {
+  if (sessionId && sessionId !== getSessionId()) {
+    localStorage.setItem(SESSION_KEY, sessionId);
+  }
+};
+
+// Next request gets a brand-new anonymous session from the server (used after erasing all data)
+export const resetSession = () => localStorage.removeItem(SESSION_KEY);
+
+// Stored shape: { user, accessToken, refreshToken }
+export const authStore = {
+  get() {
+    try {
+      return JSON.parse(localStorage.getItem(AUTH_KEY));
+    } catch (e) {
+      return null;
+    }
+  },
+  set({ user, accessToken, refreshToken }) {
+    const auth = { user, accessToken, refreshToken };
+    localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+    listeners.forEach((listener) => listener(auth));
+  },
+  clear() {
+    localStorage.removeItem(AUTH_KEY);
+    listeners.forEach((listener) => listener(null));
+  },
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+const api = axios.create({ baseURL: API_URL });
+
+api.interceptors.request.use((config) => {
+  const sessionId = getSessionId();
+  const auth = authStore.get();
+
+  if (sessionId) config.headers['X-Session-ID'] = sessionId;
+  if (auth?.accessToken) config.headers.Authorization = `Bearer ${auth.accessToken}`;
+  // Recommendations aur tips isi language mein aate hain
+  config.headers['Accept-Language'] = languageStore.get();
+
+  return config;
+});
+
+// Only one refresh at a time, even if several requests hit 401 together
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  const auth = authStore.get();
+  if (!auth?.refreshToken) return Promise.resolve(false);
+
+  if (!refreshPromise) {
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken: auth.refreshToken })
+      .then((res) => {
+        authStore.set(res.data);
+        return true;
+      })
+      .catch(() => {
+        authStore.clear();
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+api.interceptors.response.use(
+  (res) => {
+    setSessionId(res.headers['x-session-id']);
+    return res;
+  },
+  async (error) => {
+    const { response, config } = error;
+    if (response) setSessionId(response.headers['x-session-id']);
+
+    if (response?.status === 401 && config && !config._retry) {
+      const code = getErrorCode(error);
+
+      if (code === 'TOKEN_EXPIRED') {
+        config._retry = true;
+        if (await refreshTokens()) {
+          return api(config);
+        }
+      } else if (code === 'INVALID_TOKEN') {
+        // Token ab valid nahi hai - logout karke anonymous request dobara bhejo
+        config._retry = true;
+        authStore.clear();
+        delete config.headers.Authorization;
+        return api(config);
+      }
+    }
+
+    return Promise.reject(error);
+  }
+);
+
+// Seconds to wait after a 429 (rate limited) response, null for any other error
+export const getRetryAfter = (error) => {
+  if (error?.response?.status !== 429) return null;
+  const seconds = error.response.data?.retryAfter ?? parseInt(error.response.headers?.['retry-after'], 10);
+  return seconds > 0 ? seconds : 60;
+};
+
+// Parses "event: x\ndata: {...}" blocks from an SSE response body
+const parseEventBlock = (block) => {
+  let event = 'message';
+  let data = '';
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  });
+  return { event, data: data ? JSON.parse(data) : null };
+};
+
+const supportsStreaming = () => (
+  typeof fetch === 'function' &&
+  typeof TextDecoder !== 'undefined' &&
+  typeof ReadableStream !== 'undefined'
+);
+
+// POST /analyze-mood with Accept: text/event-stream.
+// onEvent(event, data) har stage (received, sentiment, recommendation, tips, saved) par call hota hai.
+// Resolves with the final result, or null when streaming isn't available so the caller can use the JSON endpoint.
+// Errors are thrown in the same shape as axios errors ({ response: { status, data } }).
+export const streamAnalyzeMood = async (text, onEvent) => {
+  if (!supportsStreaming()) return null;
+
+  const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream', 'Accept-Language': languageStore.get() };
+  const sessionId = getSessionId();
+  const auth = authStore.get();
+  if (sessionId) headers['X-Session-ID'] = sessionId;
+  if (auth?.accessToken) headers.Authorization = `Bearer ${auth.accessToken}`;
+
+  let res;
+  try {
+    res = await fetch(`${API_URL}/analyze-mood`, { method: 'POST', headers, body: JSON.stringify({ text }) });
+  } catch (e) {
+    return null;
+  }
+  setSessionId(res.headers.get('X-Session-ID'));
+
+  // 401 ko axios interceptor handle karta hai (token refresh), isliye JSON fallback
+  if (res.status === 401) return null;
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error || 'Request failed'), {
+      response: { status: res.status, data, headers: { 'retry-after': res.headers.get('Retry-After') } }
+    });
+  }
+  // Server (or a proxy) answered with plain JSON - use it as is
+  if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    return res.json();
+  }
+
+  let result = null;
+  const handleBlock = (block) => {
+    if (!block.trim()) return;
+    const { event, data } = parseEventBlock(block);
+    if (event === 'error') {
+      throw Object.assign(new Error(data.error), { response: { status: data.statusCode || 500, data } });
+    }
+    if (event === 'done') {
+      result = data;
+    } else {
+      onEvent(event, data);
+    }
+  };
+
+  if (!res.body) {
+    // No readable body stream - events arrive all at once
+    (await res.text()).split('\n\n').forEach(handleBlock);
+  } else {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(handleBlock);
+    }
+    handleBlock(buffer);
+  }
+
+  if (!result) {
+    throw Object.assign(new Error('Stream ended early'), { request: true });
+  }
+  return result;
+};
+
+export default api;
@@ -0,0 +1,45 @@
+// Exercise ke har step par halki si tone (Web Audio) - koi audio file nahi chahiye.
+// Browsers (aur tests) jahan AudioContext nahi hai wahan sab chupchap no-op hai.
+const TONES = {
+  inhale: 523.25,
+  hold: 440,
+  exhale: 392,
+  step: 587.33,
+  done: 659.25
+};
+
+let context = null;
+
+const getContext = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  if (!context) context = new AudioContext();
+  return context;
+};
+
+// Call from a click handler - browsers only allow audio after a user gesture
+export const unlockAudio = () => {
+  const ctx = getContext();
+  if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {});
+};
+
+export const playCue = (kind) => {
+  const ctx = getContext();
+  if (!ctx) return;
+
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+  oscillator.type = 'sine';
+  oscillator.frequency.value = TONES[kind] || TONES.step;
+
+  // Soft fade in/out so it doesn't click
+  const start = ctx.currentTime;
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(0.15, start + 0.05);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + 0.6);
+
+  oscillator.connect(gain);
+  gain.connect(ctx.destination);
+  oscillator.start(start);
+  oscillator.stop(start + 0.65);
+};
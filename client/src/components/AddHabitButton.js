@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { useTranslation } from '../context/LanguageContext';
+
+// Server par habit names 100 characters tak
+const MAX_NAME_LENGTH = 100;
+
+const toHabitName = (tip) => (tip.length > MAX_NAME_LENGTH ? `${tip.slice(0, MAX_NAME_LENGTH - 3).trimEnd()}...` : tip);
+
+// One click "track this tip as a habit" - the server returns the existing habit if it's already tracked
+function AddHabitButton({ tip }) {
+  const { t } = useTranslation();
+  // idle | saving | added | failed
+  const [state, setState] = useState('idle');
+
+  const addHabit = async () => {
+    setState('saving');
+    try {
+      await api.post('/habits', {
+        name: toHabitName(tip),
+        sourceTip: tip,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      setState('added');
+    } catch (err) {
+      console.error('Error adding habit:', err);
+      setState('failed');
+    }
+  };
+
+  if (state === 'added') {
+    return <span style={{ marginLeft: '8px', fontSize: '12px', color: '#28a745' }}>{t('addHabit.added')}</span>;
+  }
+
+  return (
+    <button
+      onClick={addHabit}
+      disabled={state === 'saving'}
+      title={t('addHabit.hint')}
+      style={{
+        marginLeft: '8px',
+        padding: '1px 8px',
+        fontSize: '12px',
+        border: '1px solid #c5cae9',
+        borderRadius: '10px',
+        backgroundColor: 'white',
+        color: state === 'failed' ? '#dc3545' : '#667eea',
+        cursor: 'pointer'
+      }}
+    >
+      {state === 'failed' ? t('addHabit.retry') : t('addHabit.add')}
+    </button>
+  );
+}
+
+export default AddHabitButton;
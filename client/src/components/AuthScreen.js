@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/LanguageContext';
+import { getErrorMessage } from '../errors';
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px 15px',
+  fontSize: '16px',
+  border: '2px solid #e0e0e0',
+  borderRadius: '10px',
+  boxSizing: 'border-box',
+  marginBottom: '15px'
+};
+
+// Login / signup screen - anonymous history account mein move ho jati hai
+function AuthScreen({ onDone, onCancel }) {
+  const { login, register } = useAuth();
+  const { t } = useTranslation();
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isSignup = mode === 'signup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      const result = isSignup
+        ? await register(email, password, displayName)
+        : await login(email, password);
+      onDone?.(result);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: '400px', margin: '0 auto' }}>
+      <h2 style={{ margin: '0 0 10px 0', color: '#333', textAlign: 'center' }}>
+        {isSignup ? t('auth.signupTitle') : t('auth.loginTitle')}
+      </h2>
+      <p style={{ margin: '0 0 25px 0', color: '#666', textAlign: 'center', fontSize: '14px' }}>
+        {isSignup ? t('auth.signupText') : t('auth.loginText')}
+      </p>
+
+      {isSignup && (
+        <input
+          type="text"
+          placeholder={t('auth.namePlaceholder')}
+          aria-label={t('auth.name')}
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          style={inputStyle}
+        />
+      )}
+      <input
+        type="email"
+        placeholder={t('auth.email')}
+        aria-label={t('auth.email')}
+        autoComplete="email"
+        required
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        style={inputStyle}
+      />
+      <input
+        type="password"
+        placeholder={isSignup ? t('auth.passwordPlaceholder') : t('auth.password')}
+        aria-label={t('auth.password')}
+        autoComplete={isSignup ? 'new-password' : 'current-password'}
+        required
+        minLength={isSignup ? 8 : undefined}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        style={inputStyle}
+      />
+
+      {error && (
+        <p role="alert" style={{ color: '#dc3545', margin: '0 0 15px 0' }}>❌ {error}</p>
+      )}
+
+      <button
+        type="submit"
+        disabled={submitting}
+        style={{
+          width: '100%',
+          padding: '12px 20px',
+          fontSize: '16px',
+          fontWeight: 'bold',
+          cursor: submitting ? 'not-allowed' : 'pointer',
+          background: submitting ? 'linear-gradient(45deg, #ccc, #999)' : 'linear-gradient(45deg, #667eea, #764ba2)',
+          color: 'white',
+          border: 'none',
+          borderRadius: '10px'
+        }}
+      >
+        {submitting ? t('auth.wait') : isSignup ? t('auth.signUp') : t('auth.logIn')}
+      </button>
+
+      <div style={{ marginTop: '20px', textAlign: 'center', fontSize: '14px' }}>
+        <button
+          type="button"
+          onClick={() => { setMode(isSignup ? 'login' : 'signup'); setError(null); }}
+          style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '14px' }}
+        >
+          {isSignup ? t('auth.toLogin') : t('auth.toSignup')}
+        </button>
+        {onCancel && (
+          <>
+            {' · '}
+            <button
+              type="button"
+              onClick={onCancel}
+              style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer', fontSize: '14px' }}
+            >
+              {t('auth.skip')}
+            </button>
+          </>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default AuthScreen;
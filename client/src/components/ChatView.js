@@ -0,0 +1,259 @@
+import React, { useEffect, useRef, useState } from 'react';
+import api, { getRetryAfter } from '../api';
+import { getErrorMessage } from '../errors';
+import useCooldown from '../useCooldown';
+import CooldownNotice from './CooldownNotice';
+import { useTranslation } from '../context/LanguageContext';
+
+const bubbleStyle = (role) => ({
+  maxWidth: '80%',
+  padding: '12px 15px',
+  borderRadius: role === 'user' ? '15px 15px 4px 15px' : '15px 15px 15px 4px',
+  backgroundColor: role === 'user' ? '#667eea' : '#f1f3f5',
+  color: role === 'user' ? 'white' : '#333',
+  whiteSpace: 'pre-wrap',
+  lineHeight: '1.5',
+  animation: 'fadeIn 0.3s ease-in'
+});
+
+function TypingIndicator() {
+  const { t } = useTranslation();
+  return (
+    <div style={{ display: 'flex', marginBottom: '12px' }} aria-label={t('chat.typing')}>
+      <div style={{ ...bubbleStyle('assistant'), animation: 'none' }}>
+        {[0, 1, 2].map((i) => (
+          <span key={i} style={{
+            display: 'inline-block',
+            width: '8px',
+            height: '8px',
+            margin: '0 2px',
+            borderRadius: '50%',
+            backgroundColor: '#667eea',
+            animation: `typingBlink 1.4s infinite ${i * 0.2}s`
+          }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Multi-turn companion chat with thread switcher
+function ChatView({ onCrisis }) {
+  const { t } = useTranslation();
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const listEndRef = useRef(null);
+  const cooldown = useCooldown();
+  const cannotSend = sending || !input.trim() || cooldown.secondsLeft > 0;
+
+  const selectThread = async (threadId) => {
+    setActiveThreadId(threadId);
+    setError(null);
+    try {
+      const res = await api.get(`/threads/${threadId}`);
+      setMessages(res.data.data.messages);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  useEffect(() => {
+    api.get('/threads')
+      .then((res) => {
+        setThreads(res.data.data);
+        if (res.data.data.length > 0) {
+          selectThread(res.data.data[0].id);
+        }
+      })
+      .catch((err) => setError(getErrorMessage(err)));
+  }, []);
+
+  useEffect(() => {
+    listEndRef.current?.scrollIntoView?.({ behavior: 'smooth' });
+  }, [messages, sending]);
+
+  const upsertThread = (summary) => {
+    setThreads((prev) => [summary, ...prev.filter((thread) => thread.id !== summary.id)]);
+  };
+
+  const createThread = async () => {
+    const res = await api.post('/threads');
+    upsertThread(res.data.data);
+    setActiveThreadId(res.data.data.id);
+    return res.data.data.id;
+  };
+
+  const handleNewThread = async () => {
+    setError(null);
+    try {
+      await createThread();
+      setMessages([]);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const handleSend = async () => {
+    const content = input.trim();
+    if (!content || sending || cooldown.secondsLeft > 0) return;
+
+    setError(null);
+    setSending(true);
+    setInput('');
+    // Optimistic user bubble jab tak server reply nahi deta
+    const pending = { _id: `pending-${Date.now()}`, role: 'user', content };
+    setMessages((prev) => [...prev, pending]);
+
+    try {
+      const threadId = activeThreadId || await createThread();
+      const res = await api.post(`/threads/${threadId}/messages`, { content });
+      const { thread, userMessage, assistantMessage } = res.data.data;
+
+      setMessages((prev) => [...prev.filter((m) => m._id !== pending._id), userMessage, assistantMessage]);
+      upsertThread(thread);
+      if (assistantMessage.crisis) {
+        onCrisis?.(assistantMessage.crisis);
+      }
+    } catch (err) {
+      setMessages((prev) => prev.filter((m) => m._id !== pending._id));
+      setInput(content);
+      const retryAfter = getRetryAfter(err);
+      if (retryAfter) {
+        cooldown.start(retryAfter);
+      } else {
+        setError(getErrorMessage(err));
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '20px', minHeight: '420px' }}>
+      {/* Thread Switcher */}
+      <div style={{ width: '200px', flexShrink: 0, borderRight: '1px solid #e0e0e0', paddingRight: '15px' }}>
+        <button
+          onClick={handleNewThread}
+          style={{
+            width: '100%',
+            padding: '10px',
+            marginBottom: '15px',
+            background: 'linear-gradient(45deg, #667eea, #764ba2)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: 'bold'
+          }}
+        >
+          {t('chat.newChat')}
+        </button>
+        {threads.map((thread) => (
+          <button
+            key={thread.id}
+            onClick={() => selectThread(thread.id)}
+            style={{
+              display: 'block',
+              width: '100%',
+              textAlign: 'left',
+              font: 'inherit',
+              padding: '10px',
+              marginBottom: '8px',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              backgroundColor: thread.id === activeThreadId ? '#eef0ff' : 'transparent',
+              border: thread.id === activeThreadId ? '1px solid #667eea' : '1px solid transparent'
+            }}
+          >
+            <div style={{ fontWeight: 'bold', fontSize: '14px', color: '#333' }}>{thread.title}</div>
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '3px' }}>
+              {t(thread.messageCount === 1 ? 'chat.messageOne' : 'chat.messageMany', { count: thread.messageCount })}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Message List */}
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
+        <div style={{ flex: 1, overflowY: 'auto', maxHeight: '400px', paddingRight: '5px' }}>
+          {messages.length === 0 && !sending && (
+            <p style={{ color: '#666', textAlign: 'center', marginTop: '60px' }}>
+              {t('chat.empty')}
+            </p>
+          )}
+          {messages.map((message) => (
+            <div key={message._id} style={{
+              display: 'flex',
+              justifyContent: message.role === 'user' ? 'flex-end' : 'flex-start',
+              marginBottom: '12px'
+            }}>
+              <div style={bubbleStyle(message.role)}>
+                {message.content}
+                {message.role === 'assistant' && message.tips?.length > 0 && (
+                  <ul style={{ margin: '10px 0 0 0', paddingLeft: '20px', fontSize: '14px' }}>
+                    {message.tips.map((tip) => <li key={tip}>{tip}</li>)}
+                  </ul>
+                )}
+              </div>
+            </div>
+          ))}
+          {sending && <TypingIndicator />}
+          <div ref={listEndRef} />
+        </div>
+
+        {error && (
+          <p role="alert" style={{ color: '#dc3545', margin: '10px 0 0 0' }}>❌ {error}</p>
+        )}
+        <CooldownNotice secondsLeft={cooldown.secondsLeft} />
+
+        <div style={{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+          <textarea
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={t('chat.placeholder')}
+            aria-label={t('chat.label')}
+            style={{
+              flex: 1,
+              minHeight: '50px',
+              padding: '10px',
+              fontSize: '15px',
+              border: '2px solid #e0e0e0',
+              borderRadius: '10px',
+              resize: 'vertical',
+              fontFamily: 'Arial, sans-serif'
+            }}
+          />
+          <button
+            onClick={handleSend}
+            disabled={cannotSend}
+            style={{
+              padding: '0 20px',
+              background: cannotSend ? '#ccc' : 'linear-gradient(45deg, #667eea, #764ba2)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: cannotSend ? 'not-allowed' : 'pointer',
+              fontWeight: 'bold'
+            }}
+          >
+            {cooldown.secondsLeft > 0 ? `⏳ ${cooldown.secondsLeft}s` : t('chat.send')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ChatView;
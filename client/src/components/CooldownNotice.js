@@ -0,0 +1,32 @@
+import React from 'react';
+import { useTranslation } from '../context/LanguageContext';
+
+const formatSeconds = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Shown after the server says "too many requests" - gentle message with a live countdown
+function CooldownNotice({ secondsLeft }) {
+  const { t } = useTranslation();
+  if (!secondsLeft) return null;
+
+  return (
+    <div role="status" style={{
+      marginTop: '20px',
+      padding: '15px 20px',
+      border: '2px solid #ffc107',
+      borderRadius: '10px',
+      backgroundColor: '#fffbea',
+      color: '#856404',
+      lineHeight: '1.5'
+    }}>
+      <strong>{t('cooldown.title')}</strong>
+      <p style={{ margin: '5px 0 0 0' }}>
+        {t('cooldown.before')} <strong>{formatSeconds(secondsLeft)}</strong>{t('cooldown.after')}
+      </p>
+    </div>
+  );
+}
+
+export default CooldownNotice;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { useTranslation } from '../context/LanguageContext';
+
+// Crisis support panel - jab server riskLevel 'high' bhejta hai tab dikhaya jata hai.
+// Intentionally has no close button: it stays on screen for the rest of the visit.
+function CrisisPanel({ crisis }) {
+  const { t } = useTranslation();
+  if (!crisis) return null;
+
+  return (
+    <div
+      role="alertdialog"
+      aria-live="assertive"
+      aria-labelledby="crisis-panel-title"
+      style={{
+        marginTop: '30px',
+        padding: '25px',
+        border: '3px solid #b45309',
+        borderRadius: '15px',
+        backgroundColor: '#fffbeb',
+        boxShadow: '0 4px 15px rgba(180, 83, 9, 0.25)'
+      }}
+    >
+      <h3 id="crisis-panel-title" style={{ color: '#92400e', margin: '0 0 15px 0', fontSize: '1.4rem' }}>
+        {t('crisis.title')}
+      </h3>
+      <p style={{ color: '#78350f', margin: '0 0 20px 0', lineHeight: '1.6' }}>
+        {crisis.message}
+      </p>
+
+      <div style={{ display: 'grid', gap: '10px' }}>
+        {crisis.resources?.map((resource) => (
+          <div key={resource.name} style={{
+            padding: '12px 15px',
+            backgroundColor: 'white',
+            borderRadius: '10px',
+            border: '1px solid #fcd34d'
+          }}>
+            <strong style={{ color: '#78350f' }}>{resource.name}</strong>
+            {resource.phone && (
+              <div style={{ marginTop: '5px' }}>
+                📞 <a href={`tel:${resource.phone.replace(/[^+\d]/g, '')}`} style={{ color: '#b45309', fontWeight: 'bold' }}>
+                  {resource.phone}
+                </a>
+              </div>
+            )}
+            {resource.url && (
+              <div style={{ marginTop: '5px' }}>
+                🌐 <a href={resource.url} target="_blank" rel="noopener noreferrer" style={{ color: '#b45309' }}>
+                  {resource.url}
+                </a>
+              </div>
+            )}
+            {resource.description && (
+              <div style={{ marginTop: '5px', fontSize: '13px', color: '#92400e' }}>
+                {resource.description}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <p style={{ margin: '20px 0 0 0', fontSize: '13px', color: '#92400e' }}>
+        {t('crisis.emergency')}
+      </p>
+    </div>
+  );
+}
+
+export default CrisisPanel;
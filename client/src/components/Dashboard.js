@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import api from '../api';
+import { getSentimentEmoji } from '../sentiment';
+import { useTranslation } from '../context/LanguageContext';
+import MoodTimelineChart from './MoodTimelineChart';
+import SentimentDonut from './SentimentDonut';
+
+// [days, i18n key]
+const RANGES = [
+  [7, 'dashboard.range7'],
+  [30, 'dashboard.range30'],
+  [90, 'dashboard.range90'],
+  [180, 'dashboard.range180'],
+  [365, 'dashboard.range365']
+];
+
+// '' = server chooses based on the range
+const BUCKETS = [
+  ['', 'dashboard.bucketAuto'],
+  ['day', 'dashboard.bucketDay'],
+  ['week', 'dashboard.bucketWeek'],
+  ['month', 'dashboard.bucketMonth']
+];
+
+const cardStyle = {
+  padding: '15px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #e0e0e0'
+};
+
+const selectStyle = {
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '2px solid #e0e0e0',
+  borderRadius: '8px',
+  backgroundColor: 'white'
+};
+
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div style={{ ...cardStyle, textAlign: 'center' }}>
+      <div style={{ fontSize: '1.6rem', fontWeight: 'bold', color: '#667eea' }}>{value}</div>
+      <div style={{ fontSize: '13px', color: '#333', marginTop: '4px' }}>{label}</div>
+      {hint && <div style={{ fontSize: '12px', color: '#888', marginTop: '4px' }}>{hint}</div>}
+    </div>
+  );
+}
+
+// Exercises ke pehle aur baad ka mood (1-5), sirf un sessions ka jinhe dono baar rate kiya
+function ExerciseMoodCard({ exercises }) {
+  const { t } = useTranslation();
+  return (
+    <div style={cardStyle}>
+      <strong>{t('dashboard.exercises')}</strong>
+      <div style={{ marginTop: '10px', fontSize: '14px', color: '#333' }}>
+        <span>
+          {t(exercises.sessions === 1 ? 'dashboard.sessionOne' : 'dashboard.sessionMany', {
+            count: exercises.sessions,
+            minutes: Math.round(exercises.totalMinutes)
+          })}
+        </span>
+        {exercises.rated > 0 ? (
+          <div style={{ marginTop: '6px' }}>
+            {t('dashboard.moodBefore')} <strong>{exercises.moodBefore.toFixed(1)}</strong> → {t('dashboard.moodAfter')} <strong>{exercises.moodAfter.toFixed(1)}</strong>
+            <span style={{ color: exercises.moodChange > 0 ? '#28a745' : '#888' }}>
+              {' '}{t('dashboard.moodChange', { change: `${exercises.moodChange > 0 ? '+' : ''}${exercises.moodChange.toFixed(1)}` })}
+            </span>
+          </div>
+        ) : (
+          <div style={{ marginTop: '6px', color: '#888' }}>{t('dashboard.rateExercises')}</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Mood dashboard - GET /analytics se timeline, distribution aur streaks
+function Dashboard() {
+  const { t } = useTranslation();
+  const [days, setDays] = useState(30);
+  const [bucket, setBucket] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    api.get('/analytics', { params: { days, tz: timezone, ...(bucket ? { bucket } : {}) } })
+      .then((res) => {
+        if (!cancelled) setAnalytics(res.data.data);
+      })
+      .catch((err) => {
+        console.error('Error loading analytics:', err);
+        if (!cancelled) setError(t('dashboard.error'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    // Range jaldi-jaldi badlo to purana response naye ko overwrite na kare
+    return () => { cancelled = true; };
+  }, [days, bucket, t]);
+
+  const streaks = analytics?.streaks;
+  const run = streaks?.sentimentRun;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+        <h3 style={{ margin: 0, color: '#333' }}>{t('dashboard.title')}</h3>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <select aria-label={t('dashboard.range')} value={days} onChange={(e) => setDays(Number(e.target.value))} style={selectStyle}>
+            {RANGES.map(([value, labelKey]) => (
+              <option key={value} value={value}>{t(labelKey)}</option>
+            ))}
+          </select>
+          <select aria-label={t('dashboard.groupBy')} value={bucket} onChange={(e) => setBucket(e.target.value)} style={selectStyle}>
+            {BUCKETS.map(([value, labelKey]) => (
+              <option key={value} value={value}>{t(labelKey)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{ padding: '10px 15px', marginBottom: '15px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px' }}>
+          {error}
+        </div>
+      )}
+
+      {loading && !analytics && (
+        <p style={{ color: '#666', textAlign: 'center' }}>{t('dashboard.loading')}</p>
+      )}
+
+      {analytics && (
+        <div style={{ display: 'grid', gap: '15px', opacity: loading ? 0.6 : 1, transition: 'opacity 0.3s ease' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '15px' }}>
+            <StatCard label={t('dashboard.checkIns')} value={analytics.totalCheckIns} hint={analytics.period} />
+            <StatCard
+              label={t('dashboard.averageConfidence')}
+              value={analytics.averageConfidence === null ? '—' : `${Math.round(analytics.averageConfidence * 100)}%`}
+            />
+            <StatCard
+              label={t('dashboard.dayStreak')}
+              value={`🔥 ${streaks.currentDays}`}
+              hint={streaks.checkedInToday ? t('dashboard.checkedInToday') : streaks.currentDays > 0 ? t('dashboard.keepGoing') : null}
+            />
+            <StatCard label={t('dashboard.longestStreak')} value={`🏆 ${streaks.longestDays}`} hint={t('dashboard.daysInARow')} />
+            {run?.sentiment && (
+              <StatCard
+                label={t(run.count === 1 ? 'dashboard.runOne' : 'dashboard.runMany', {
+                  sentiment: t(`sentimentName.${run.sentiment}`).toLowerCase()
+                })}
+                value={`${getSentimentEmoji(run.sentiment)} ${run.count}`}
+              />
+            )}
+          </div>
+
+          <div style={cardStyle}>
+            <strong>{t('dashboard.timeline')}</strong>
+            <div style={{ marginTop: '10px' }}>
+              <MoodTimelineChart series={analytics.timeline.series} bucket={analytics.timeline.bucket} days={days} />
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <strong>{t('dashboard.distribution')}</strong>
+            <div style={{ marginTop: '15px' }}>
+              <SentimentDonut breakdown={analytics.sentimentBreakdown} />
+            </div>
+          </div>
+
+          {analytics.exercises?.sessions > 0 && <ExerciseMoodCard exercises={analytics.exercises} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Dashboard;
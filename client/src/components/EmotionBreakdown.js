@@ -0,0 +1,70 @@
+import React from 'react';
+import { useTranslation } from '../context/LanguageContext';
+
+// Emotion ka emoji aur bar colour - naam i18n mein 'emotion.<name>' hai
+const EMOTION_STYLES = {
+  joy: { emoji: '😄', color: '#f59e0b' },
+  gratitude: { emoji: '🙏', color: '#10b981' },
+  sadness: { emoji: '😢', color: '#3b82f6' },
+  loneliness: { emoji: '🫥', color: '#6366f1' },
+  anxiety: { emoji: '😰', color: '#8b5cf6' },
+  fear: { emoji: '😨', color: '#64748b' },
+  anger: { emoji: '😠', color: '#ef4444' }
+};
+
+// Scores below this are hidden so the card only shows what actually came through
+const MIN_VISIBLE_SCORE = 0.05;
+
+// Horizontal bar breakdown of detectedEmotions ([{ emotion, confidence }], highest first)
+function EmotionBreakdown({ emotions }) {
+  const { t } = useTranslation();
+  const visible = (emotions || []).filter((e) => e.confidence >= MIN_VISIBLE_SCORE);
+
+  return (
+    <div style={{
+      padding: '15px',
+      backgroundColor: 'white',
+      borderRadius: '10px',
+      border: '1px solid #e0e0e0',
+      animation: 'fadeIn 0.5s ease-in'
+    }}>
+      <strong>{t('emotions.title')}</strong>
+      {visible.length === 0 ? (
+        <p style={{ margin: '10px 0 0 0', color: '#666', fontSize: '14px' }}>
+          {t('emotions.none')}
+        </p>
+      ) : (
+        <div style={{ display: 'grid', gap: '8px', marginTop: '10px' }}>
+          {visible.map(({ emotion, confidence }) => {
+            const style = EMOTION_STYLES[emotion] || { emoji: '•', color: '#667eea' };
+            const label = EMOTION_STYLES[emotion] ? t(`emotion.${emotion}`) : emotion;
+            const percent = Math.round(confidence * 100);
+            return (
+              <div key={emotion} style={{ display: 'grid', gridTemplateColumns: '130px 1fr 45px', alignItems: 'center', gap: '10px' }}>
+                <span style={{ fontSize: '14px', color: '#333' }}>{style.emoji} {label}</span>
+                <div
+                  role="meter"
+                  aria-label={label}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={percent}
+                  style={{ height: '8px', backgroundColor: '#e0e0e0', borderRadius: '4px', overflow: 'hidden' }}
+                >
+                  <div style={{
+                    width: `${percent}%`,
+                    height: '100%',
+                    backgroundColor: style.color,
+                    transition: 'width 0.5s ease'
+                  }} />
+                </div>
+                <span style={{ fontSize: '13px', color: '#666', textAlign: 'right' }}>{percent}%</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EmotionBreakdown;
@@ -0,0 +1,88 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+import { EXERCISES, buildSteps, totalSeconds, formatDuration } from '../exercises';
+import ExercisePlayer from './ExercisePlayer';
+import { useTranslation } from '../context/LanguageContext';
+
+const cardStyle = {
+  padding: '15px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #e0e0e0',
+  marginBottom: '12px'
+};
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(1)}`;
+
+// Saare guided exercises - ek chuno, player wahi khulta hai
+function ExerciseLibrary() {
+  const { t } = useTranslation();
+  const [selected, setSelected] = useState(null);
+  const [stats, setStats] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const res = await api.get('/exercises/stats', { params: { days: 30 } });
+      setStats(res.data.data);
+    } catch (err) {
+      // Stats are a nice-to-have - the exercises work without them
+      console.error('Error loading exercise stats:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const statsFor = (id) => stats?.byExercise?.find((item) => item.exerciseId === id);
+
+  if (selected) {
+    return (
+      <div>
+        <button
+          onClick={() => { setSelected(null); loadStats(); }}
+          style={{ border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', marginBottom: '12px', padding: 0 }}
+        >
+          {t('exercises.back')}
+        </button>
+        <ExercisePlayer exerciseId={selected} />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>{t('exercises.title')}</h3>
+
+      {EXERCISES.map((exercise) => {
+        const item = statsFor(exercise.id);
+        return (
+          <div key={exercise.id} style={{ ...cardStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+            <div>
+              <strong style={{ color: '#333' }}>{exercise.emoji} {t(exercise.name)}</strong>
+              <p style={{ margin: '4px 0', fontSize: '14px', color: '#555' }}>{t(exercise.description)}</p>
+              <div style={{ fontSize: '12px', color: '#888' }}>
+                {t('exercises.about', { duration: formatDuration(totalSeconds(buildSteps(exercise)), t) })}
+                {item ? t('exercises.sessions', { count: item.sessions }) : ''}
+                {item?.moodChange !== null && item?.moodChange !== undefined ? t('exercises.moodChange', { change: formatChange(item.moodChange) }) : ''}
+              </div>
+            </div>
+            <button
+              onClick={() => setSelected(exercise.id)}
+              aria-label={t('exercises.startLabel', { name: t(exercise.name) })}
+              style={{ padding: '8px 16px', fontSize: '14px', border: 'none', borderRadius: '6px', backgroundColor: '#667eea', color: 'white', cursor: 'pointer' }}
+            >
+              {t('exercises.start')}
+            </button>
+          </div>
+        );
+      })}
+
+      <p style={{ fontSize: '12px', color: '#888' }}>
+        {t('exercises.footnote')}
+      </p>
+    </div>
+  );
+}
+
+export default ExerciseLibrary;
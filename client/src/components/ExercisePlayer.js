@@ -0,0 +1,253 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import api from '../api';
+import { getErrorMessage } from '../errors';
+import { getExercise, defaultSettings, buildSteps, totalSeconds, formatDuration } from '../exercises';
+import { playCue, unlockAudio } from '../audioCues';
+import { useTranslation } from '../context/LanguageContext';
+
+const MOODS = [[1, '😞'], [2, '😕'], [3, '😐'], [4, '🙂'], [5, '😄']];
+
+// Breathing circle ka size har phase mein - hold pichhle phase ka size rakhta hai
+const SCALE = { inhale: 1, exhale: 0.45 };
+
+const cardStyle = {
+  padding: '20px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #c5cae9'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  fontSize: '14px',
+  border: '1px solid #ddd',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  cursor: 'pointer'
+};
+
+const primaryButtonStyle = { ...buttonStyle, backgroundColor: '#667eea', color: 'white', border: 'none' };
+
+const circleScaleAt = (steps, index) => {
+  for (let i = index; i >= 0; i -= 1) {
+    if (SCALE[steps[i].phase]) return SCALE[steps[i].phase];
+  }
+  return SCALE.exhale;
+};
+
+function MoodPicker({ label, value, onChange }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ margin: '15px 0' }}>
+      <div style={{ fontSize: '14px', color: '#333', marginBottom: '8px' }}>{label}</div>
+      <div role="radiogroup" aria-label={label} style={{ display: 'flex', gap: '8px' }}>
+        {MOODS.map(([rating, emoji]) => (
+          <button
+            key={rating}
+            role="radio"
+            aria-checked={value === rating}
+            aria-label={t('player.rating', { rating })}
+            onClick={() => onChange(value === rating ? null : rating)}
+            style={{
+              ...buttonStyle,
+              fontSize: '22px',
+              padding: '4px 10px',
+              backgroundColor: value === rating ? '#e8eaff' : 'white',
+              border: value === rating ? '2px solid #667eea' : '1px solid #ddd'
+            }}
+          >
+            {emoji}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Breathing circle - transform transition step jitni lambi, to circle saans ke saath badhta/ghatta hai
+function BreathingCircle({ scale, seconds }) {
+  return (
+    <div style={{ height: '180px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div
+        data-testid="breathing-circle"
+        style={{
+          width: '160px',
+          height: '160px',
+          borderRadius: '50%',
+          background: 'radial-gradient(circle, #a3b1ff 0%, #667eea 100%)',
+          transform: `scale(${scale})`,
+          transition: `transform ${seconds}s ease-in-out`
+        }}
+      />
+    </div>
+  );
+}
+
+// Ek exercise chalane ka poora flow: settings + mood before -> timed steps -> mood after -> save
+function ExercisePlayer({ exerciseId, conversationId, onClose }) {
+  const { t } = useTranslation();
+  const exercise = getExercise(exerciseId);
+  // setup | running | rating | saved
+  const [stage, setStage] = useState('setup');
+  const [settings, setSettings] = useState(() => (exercise ? defaultSettings(exercise) : {}));
+  const [sound, setSound] = useState(true);
+  const [moodBefore, setMoodBefore] = useState(null);
+  const [moodAfter, setMoodAfter] = useState(null);
+  // Current step, seconds left in it, and seconds spent so far
+  const [run, setRun] = useState({ index: 0, secondsLeft: 0, elapsed: 0 });
+  const [paused, setPaused] = useState(false);
+  const [completed, setCompleted] = useState(false);
+  const [circleScale, setCircleScale] = useState(SCALE.exhale);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const steps = useMemo(() => (exercise ? buildSteps(exercise, settings) : []), [exercise, settings]);
+  const step = steps[run.index];
+
+  // Moves to step `index` (past the last one = done)
+  const stepTo = (prev, index) => ({ ...prev, index, secondsLeft: steps[index] ? steps[index].seconds : 0 });
+
+  // One tick per second while running
+  useEffect(() => {
+    if (stage !== 'running' || paused) return undefined;
+    const timer = setInterval(() => {
+      setRun((prev) => {
+        const next = { ...prev, elapsed: prev.elapsed + 1, secondsLeft: prev.secondsLeft - 1 };
+        return next.secondsLeft > 0 ? next : { ...next, index: prev.index + 1, secondsLeft: steps[prev.index + 1]?.seconds || 0 };
+      });
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [stage, paused, steps]);
+
+  const finish = (finished) => {
+    setCompleted(finished);
+    setStage('rating');
+    if (sound) playCue('done');
+  };
+
+  // New step: move the circle and play its cue; after the last step, ask how it went
+  useEffect(() => {
+    if (stage !== 'running') return;
+    if (run.index >= steps.length) {
+      setCompleted(true);
+      setStage('rating');
+      if (sound) playCue('done');
+      return;
+    }
+    setCircleScale(circleScaleAt(steps, run.index));
+    if (sound) playCue(steps[run.index].phase || 'step');
+  }, [stage, run.index, steps, sound]);
+
+  if (!exercise) return null;
+
+  const start = () => {
+    if (sound) unlockAudio();
+    setPaused(false);
+    setRun(stepTo({ elapsed: 0 }, 0));
+    setStage('running');
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await api.post('/exercises/sessions', {
+        exerciseId: exercise.id,
+        durationSeconds: run.elapsed,
+        completed,
+        moodBefore,
+        moodAfter,
+        ...(conversationId ? { conversationId } : {})
+      });
+      setStage('saved');
+    } catch (err) {
+      console.error('Error saving exercise session:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong style={{ color: '#333' }}>{exercise.emoji} {t(exercise.name)}</strong>
+        {onClose && stage !== 'running' && (
+          <button onClick={onClose} aria-label={t('player.close')} style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}>
+            ✕
+          </button>
+        )}
+      </div>
+
+      {stage === 'setup' && (
+        <div>
+          <p style={{ color: '#555', fontSize: '14px' }}>{t(exercise.description)}</p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', fontSize: '14px' }}>
+            {exercise.options.map((option) => (
+              <label key={option.key}>
+                {t(option.label)}{' '}
+                <select
+                  value={settings[option.key]}
+                  onChange={(e) => setSettings((prev) => ({ ...prev, [option.key]: Number(e.target.value) }))}
+                  style={{ padding: '4px 8px', borderRadius: '6px', border: '1px solid #ddd' }}
+                >
+                  {option.values.map((value) => <option key={value} value={value}>{value}</option>)}
+                </select>
+              </label>
+            ))}
+            <label>
+              <input type="checkbox" checked={sound} onChange={(e) => setSound(e.target.checked)} /> {t('player.sound')}
+            </label>
+            <span style={{ color: '#888' }}>{t('player.about', { duration: formatDuration(totalSeconds(steps), t) })}</span>
+          </div>
+          <MoodPicker label={t('player.moodBefore')} value={moodBefore} onChange={setMoodBefore} />
+          <button onClick={start} style={primaryButtonStyle}>{t('player.begin')}</button>
+        </div>
+      )}
+
+      {stage === 'running' && step && (
+        <div style={{ textAlign: 'center' }}>
+          {step.phase ? <BreathingCircle scale={circleScale} seconds={step.seconds} /> : null}
+          <div aria-live="polite">
+            <h3 style={{ margin: '10px 0 5px 0', color: '#333' }}>{t(step.title)}</h3>
+            <p style={{ margin: 0, color: '#666' }}>{t(step.instruction)}</p>
+          </div>
+          <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#667eea', margin: '10px 0' }}>{run.secondsLeft}</div>
+          <div style={{ fontSize: '12px', color: '#888', marginBottom: '12px' }}>{t('player.step', { step: run.index + 1, total: steps.length })}</div>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+            <button onClick={() => setPaused((prev) => !prev)} style={buttonStyle}>{paused ? t('player.resume') : t('player.pause')}</button>
+            <button onClick={() => setRun((prev) => stepTo(prev, prev.index + 1))} style={buttonStyle}>{t('player.next')}</button>
+            <button onClick={() => finish(false)} style={buttonStyle}>{t('player.stop')}</button>
+          </div>
+        </div>
+      )}
+
+      {stage === 'rating' && (
+        <div>
+          <p style={{ color: '#333' }}>
+            {t(completed ? 'player.completed' : 'player.stoppedEarly', { duration: formatDuration(run.elapsed, t) })}
+          </p>
+          <MoodPicker label={t('player.moodAfter')} value={moodAfter} onChange={setMoodAfter} />
+          {error && <p style={{ color: '#721c24', fontSize: '14px' }}>{error}</p>}
+          <button onClick={save} disabled={saving} style={primaryButtonStyle}>{saving ? t('player.saving') : t('player.save')}</button>
+        </div>
+      )}
+
+      {stage === 'saved' && (
+        <div>
+          <p style={{ color: '#28a745' }}>
+            {t('player.saved')}
+            {moodBefore && moodAfter ? (
+              <span>{t('player.moodChange', { before: MOODS[moodBefore - 1][1], after: MOODS[moodAfter - 1][1] })}</span>
+            ) : null}
+          </p>
+          <button onClick={() => { setMoodBefore(null); setMoodAfter(null); setStage('setup'); }} style={buttonStyle}>
+            {t('player.again')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExercisePlayer;
@@ -0,0 +1,259 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+import { getErrorMessage } from '../errors';
+import { useTranslation } from '../context/LanguageContext';
+
+const REPORT_DAYS = 30;
+
+const cardStyle = {
+  padding: '15px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #e0e0e0',
+  marginBottom: '12px'
+};
+
+const inputStyle = {
+  padding: '8px 10px',
+  border: '2px solid #e0e0e0',
+  borderRadius: '6px',
+  fontSize: '14px'
+};
+
+const smallButtonStyle = {
+  padding: '6px 14px',
+  fontSize: '13px',
+  border: '1px solid #ddd',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  cursor: 'pointer'
+};
+
+const formatMood = (score) => `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+
+const describeGoal = (habit, t) => (habit.frequency === 'weekly'
+  ? t('habits.thisWeek', { done: habit.thisWeek, goal: habit.timesPerWeek })
+  : t('habits.daily'));
+
+const describeStreak = ({ current, unit }, t) => {
+  const key = unit === 'weeks' ? 'habits.streakWeek' : 'habits.streakDay';
+  return t(current === 1 ? key : `${key}s`, { count: current });
+};
+
+// Pichhle 7 din - bhare hue dots = done
+function RecentDays({ days }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ display: 'flex', gap: '4px' }}>
+      {days.map(({ day, done }) => (
+        <span
+          key={day}
+          title={`${day}: ${done ? t('habits.done') : t('habits.notDone')}`}
+          style={{
+            width: '12px',
+            height: '12px',
+            borderRadius: '50%',
+            backgroundColor: done ? '#28a745' : '#e9ecef',
+            display: 'inline-block'
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+function MoodComparison({ item, minDays }) {
+  const { t } = useTranslation();
+  if (!item.enoughData) {
+    return (
+      <span style={{ color: '#888' }}>
+        {t('habits.needMoreData', { minDays, doneDays: item.doneDays, skippedDays: item.skippedDays })}
+      </span>
+    );
+  }
+
+  const key = item.difference > 0.1 ? 'habits.moodBetter' : item.difference < -0.1 ? 'habits.moodWorse' : 'habits.moodSame';
+  return (
+    <span style={{ color: '#333' }}>
+      {t(key, { done: formatMood(item.moodWhenDone), skipped: formatMood(item.moodWhenSkipped) })}
+    </span>
+  );
+}
+
+// Habit tracker - habits, aaj ka tick, streaks aur mood ke saath comparison
+function HabitTracker() {
+  const { t } = useTranslation();
+  const [habits, setHabits] = useState([]);
+  const [report, setReport] = useState(null);
+  const [name, setName] = useState('');
+  const [frequency, setFrequency] = useState('daily');
+  const [timesPerWeek, setTimesPerWeek] = useState(3);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHabits = useCallback(async () => {
+    try {
+      const [habitsRes, reportRes] = await Promise.all([
+        api.get('/habits'),
+        api.get('/habits/report', { params: { days: REPORT_DAYS } })
+      ]);
+      setHabits(habitsRes.data.data);
+      setReport(reportRes.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading habits:', err);
+      setError(t('habits.loadError'));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadHabits();
+  }, [loadHabits]);
+
+  // Ek habit badli - list mein replace karo
+  const replaceHabit = (updated) => setHabits((prev) => prev.map((habit) => (habit.id === updated.id ? updated : habit)));
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Habit update failed:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addHabit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    run(async () => {
+      await api.post('/habits', {
+        name,
+        frequency,
+        ...(frequency === 'weekly' ? { timesPerWeek } : {}),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      setName('');
+      await loadHabits();
+    });
+  };
+
+  const toggleToday = (habit) => run(async () => {
+    const res = habit.doneToday
+      ? await api.delete(`/habits/${habit.id}/completions/${habit.today}`)
+      : await api.post(`/habits/${habit.id}/completions`, {});
+    replaceHabit(res.data.data);
+  });
+
+  const archive = (habit) => run(async () => {
+    await api.put(`/habits/${habit.id}`, { archived: true });
+    await loadHabits();
+  });
+
+  const reportFor = (habit) => report?.habits.find((item) => item.habitId === habit.id);
+
+  return (
+    <div>
+      <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>{t('habits.title')}</h3>
+
+      <form onSubmit={addHabit} style={{ ...cardStyle, display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('habits.namePlaceholder')}
+          aria-label={t('habits.name')}
+          maxLength={100}
+          style={{ ...inputStyle, flex: '1 1 200px' }}
+        />
+        <select value={frequency} onChange={(e) => setFrequency(e.target.value)} aria-label={t('habits.frequency')} style={inputStyle}>
+          <option value="daily">{t('habits.daily')}</option>
+          <option value="weekly">{t('habits.weekly')}</option>
+        </select>
+        {frequency === 'weekly' && (
+          <select
+            value={timesPerWeek}
+            onChange={(e) => setTimesPerWeek(Number(e.target.value))}
+            aria-label={t('habits.timesPerWeek')}
+            style={inputStyle}
+          >
+            {[1, 2, 3, 4, 5, 6].map((n) => <option key={n} value={n}>{n}x</option>)}
+          </select>
+        )}
+        <button
+          type="submit"
+          disabled={busy || !name.trim()}
+          style={{ ...smallButtonStyle, backgroundColor: '#667eea', color: 'white', border: 'none', padding: '9px 16px' }}
+        >
+          {t('habits.add')}
+        </button>
+      </form>
+
+      {error && (
+        <div style={{ padding: '12px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px', marginBottom: '12px', fontSize: '14px' }}>
+          {error}
+        </div>
+      )}
+
+      {habits.length === 0 && !error && (
+        <p style={{ color: '#666', textAlign: 'center' }}>
+          {t('habits.empty')}
+        </p>
+      )}
+
+      {habits.map((habit) => {
+        const comparison = reportFor(habit);
+        return (
+          <div key={habit.id} style={cardStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+              <div>
+                <strong style={{ color: '#333' }}>{habit.name}</strong>
+                <div style={{ fontSize: '13px', color: '#666', marginTop: '4px' }}>
+                  {describeGoal(habit, t)} · 🔥 {describeStreak(habit.streak, t)} · 🏆 {habit.streak.longest}
+                </div>
+              </div>
+              <button
+                onClick={() => toggleToday(habit)}
+                disabled={busy}
+                aria-pressed={habit.doneToday}
+                style={{
+                  ...smallButtonStyle,
+                  backgroundColor: habit.doneToday ? '#28a745' : 'white',
+                  color: habit.doneToday ? 'white' : '#333',
+                  border: habit.doneToday ? 'none' : '1px solid #ddd'
+                }}
+              >
+                {habit.doneToday ? t('habits.doneToday') : t('habits.markDone')}
+              </button>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' }}>
+              <RecentDays days={habit.recentDays} />
+              <button
+                onClick={() => archive(habit)}
+                disabled={busy}
+                style={{ border: 'none', background: 'none', color: '#888', cursor: 'pointer', fontSize: '12px' }}
+              >
+                {t('habits.archive')}
+              </button>
+            </div>
+            {comparison && (
+              <div style={{ marginTop: '10px', fontSize: '13px' }}>
+                <MoodComparison item={comparison} minDays={report.minDays} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {habits.length > 0 && (
+        <p style={{ fontSize: '12px', color: '#888' }}>
+          {t('habits.footnote', { days: REPORT_DAYS })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default HabitTracker;
@@ -0,0 +1,255 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import api from '../api';
+import { useTranslation } from '../context/LanguageContext';
+import { getErrorMessage } from '../errors';
+import { SENTIMENTS, getSentimentColor, getSentimentEmoji } from '../sentiment';
+
+const PAGE_SIZE = 10;
+const SEARCH_DEBOUNCE_MS = 400;
+// Pending entries (saved while the AI service was down) are re-checked this often
+const PENDING_POLL_MS = 15000;
+
+const inputStyle = {
+  padding: '8px 10px',
+  fontSize: '14px',
+  border: '2px solid #e0e0e0',
+  borderRadius: '8px',
+  backgroundColor: 'white',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  padding: '5px 15px',
+  backgroundColor: '#dc3545',
+  color: 'white',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Saved check-ins from GET /history - search, filters and infinite scroll.
+// refreshKey badalne par (naya analysis save hua) list page 1 se reload hoti hai.
+function HistoryList({ refreshKey }) {
+  const { t, language } = useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [sentiment, setSentiment] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const sentinelRef = useRef(null);
+  // Filters change hone par purane page ke responses ignore karne ke liye
+  const requestIdRef = useRef(0);
+
+  // Typing ke beech har keystroke par request na jaye
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadPage = useCallback(async (page) => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await api.get('/history', {
+        params: {
+          page,
+          limit: PAGE_SIZE,
+          ...(query ? { q: query } : {}),
+          ...(sentiment ? { sentiment } : {}),
+          ...(from ? { from } : {}),
+          ...(to ? { to } : {})
+        }
+      });
+      if (requestId !== requestIdRef.current) return;
+      setEntries((prev) => (page === 1 ? res.data.data : [...prev, ...res.data.data]));
+      setPagination(res.data.pagination);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error loading history:', err);
+      setError(getErrorMessage(err, t('history.loadError')));
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, [query, sentiment, from, to, t]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage, refreshKey]);
+
+  // Pending entries ko GET /conversations/:id se poll karo jab tak analysis queue unhe process na kar de
+  const pendingIds = entries.filter((entry) => entry.analysisStatus === 'pending').map((entry) => entry._id).join(',');
+
+  useEffect(() => {
+    if (!pendingIds) return undefined;
+    const timer = setInterval(async () => {
+      const updates = await Promise.all(pendingIds.split(',').map((id) => (
+        api.get(`/conversations/${id}`).then((res) => res.data.data).catch(() => null)
+      )));
+      const finished = updates.filter((conversation) => conversation && conversation.analysisStatus !== 'pending');
+      if (finished.length === 0) return;
+      setEntries((prev) => prev.map((entry) => finished.find((conversation) => conversation._id === entry._id) || entry));
+    }, PENDING_POLL_MS);
+    return () => clearInterval(timer);
+  }, [pendingIds]);
+
+  const hasMore = pagination && pagination.page < pagination.pages;
+
+  const loadMore = useCallback(() => {
+    if (!loading && hasMore) loadPage(pagination.page + 1);
+  }, [loading, hasMore, loadPage, pagination]);
+
+  // Infinite scroll - the "Load more" button stays as a fallback
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((items) => {
+      if (items[0].isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore]);
+
+  const deleteEntry = async (id) => {
+    try {
+      await api.delete(`/history/${id}`);
+      setEntries((prev) => prev.filter((entry) => entry._id !== id));
+      setPagination((prev) => prev && { ...prev, total: prev.total - 1 });
+    } catch (err) {
+      console.error('Error deleting entry:', err);
+      setError(t('history.deleteError'));
+    }
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm(t('history.confirmClear'))) return;
+    try {
+      await api.delete('/history');
+      setEntries([]);
+      setPagination((prev) => prev && { ...prev, total: 0, pages: 0, page: 1 });
+    } catch (err) {
+      console.error('Error clearing history:', err);
+      setError(t('history.clearError'));
+    }
+  };
+
+  const hasFilters = Boolean(query || sentiment || from || to);
+
+  return (
+    <div style={{ marginTop: '40px' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '15px'
+      }}>
+        <h3 style={{ margin: 0, color: '#333' }}>
+          {t('history.title')}{pagination ? ` (${pagination.total})` : ''}
+        </h3>
+        {entries.length > 0 && !hasFilters && (
+          <button onClick={clearHistory} style={smallButtonStyle}>
+            {t('history.clear')}
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr', gap: '8px', marginBottom: '15px' }}>
+        <input
+          type="search"
+          aria-label={t('history.search')}
+          placeholder={t('history.searchPlaceholder')}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={inputStyle}
+        />
+        <select aria-label={t('history.filterSentiment')} value={sentiment} onChange={(e) => setSentiment(e.target.value)} style={inputStyle}>
+          <option value="">{t('history.allMoods')}</option>
+          {SENTIMENTS.map((s) => (
+            <option key={s} value={s}>{getSentimentEmoji(s)} {t(`sentimentName.${s}`)}</option>
+          ))}
+        </select>
+        <input type="date" aria-label={t('history.from')} value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+        <input type="date" aria-label={t('history.to')} value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+      </div>
+
+      {error && (
+        <div style={{ padding: '10px 15px', marginBottom: '10px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px', fontSize: '14px' }}>
+          {error}
+        </div>
+      )}
+
+      {!loading && entries.length === 0 && !error && (
+        <p style={{ color: '#666', textAlign: 'center', fontSize: '14px' }}>
+          {hasFilters ? t('history.noMatches') : t('history.empty')}
+        </p>
+      )}
+
+      {entries.map((entry) => (
+        <div key={entry._id} style={{
+          padding: '15px',
+          marginBottom: '10px',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '10px',
+          border: '1px solid #e0e0e0'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#666', marginBottom: '5px' }}>
+            <span>{entry.source === 'voice' && '🎙️ '}{new Date(entry.timestamp).toLocaleString(language)}</span>
+            <button
+              onClick={() => deleteEntry(entry._id)}
+              aria-label={t('history.deleteEntry')}
+              style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '12px' }}
+            >
+              {t('history.delete')}
+            </button>
+          </div>
+          <div style={{ fontSize: '14px', marginBottom: '10px' }}>
+            <strong>{t('history.input')}</strong> {entry.userText.substring(0, 200)}
+            {entry.userText.length > 200 && '...'}
+          </div>
+          <div style={{ fontSize: '14px' }}>
+            {entry.analysisStatus === 'pending' ? (
+              <span style={{ color: '#b45309' }}>{t('history.pending')}</span>
+            ) : entry.analysisStatus === 'failed' ? (
+              <span style={{ color: '#666' }}>{t('history.failed')}</span>
+            ) : (
+              <>
+                <span style={{ color: getSentimentColor(entry.sentiment) }}>
+                  {getSentimentEmoji(entry.sentiment)} {t(`sentiment.${entry.sentiment}`)}
+                </span>
+                <span style={{ marginLeft: '15px', color: '#667eea' }}>
+                  {t('history.confidence', { percent: Math.round(entry.confidenceScore * 100) })}
+                </span>
+              </>
+            )}
+            {entry.safety?.flagged && (
+              <span style={{ marginLeft: '15px', color: '#b45309' }}>{t('history.supportShared')}</span>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <div ref={sentinelRef} />
+
+      {loading && (
+        <p style={{ color: '#666', textAlign: 'center', fontSize: '14px' }}>{t('history.loading')}</p>
+      )}
+
+      {!loading && hasMore && (
+        <button
+          onClick={loadMore}
+          style={{ ...smallButtonStyle, display: 'block', margin: '10px auto', backgroundColor: '#667eea', padding: '8px 20px' }}
+        >
+          {t('history.loadMore')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HistoryList;
@@ -0,0 +1,106 @@
+import { act, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import HistoryList from './HistoryList';
+import { LanguageProvider } from '../context/LanguageContext';
+import api from '../api';
+
+jest.mock('../api', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), delete: jest.fn() }
+}));
+
+const entry = (id, fields = {}) => ({
+  _id: id,
+  userText: `Entry ${id}`,
+  sentiment: 'POSITIVE',
+  confidenceScore: 0.82,
+  analysisStatus: 'analyzed',
+  timestamp: '2026-10-01T10:00:00.000Z',
+  ...fields
+});
+
+const historyPage = (entries, pagination = {}) => ({
+  data: {
+    status: 'success',
+    data: entries,
+    pagination: { total: entries.length, page: 1, limit: 10, pages: 1, ...pagination }
+  }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('lists saved check-ins with their analysis', async () => {
+  api.get.mockResolvedValue(historyPage([
+    entry('a1'),
+    entry('a2', { sentiment: undefined, confidenceScore: undefined, analysisStatus: 'pending' }),
+    entry('a3', { sentiment: undefined, confidenceScore: undefined, analysisStatus: 'failed' })
+  ]));
+
+  render(<LanguageProvider><HistoryList refreshKey={0} /></LanguageProvider>);
+
+  expect(await screen.findByText('Entry a1')).toBeInTheDocument();
+  expect(screen.getByText(/Your Check-in History \(3\)/)).toBeInTheDocument();
+  expect(screen.getByText(/82% confidence/)).toBeInTheDocument();
+  expect(screen.getByText(/Will be analyzed shortly/)).toBeInTheDocument();
+  expect(screen.getByText(/We couldn't analyze this one/)).toBeInTheDocument();
+  expect(api.get).toHaveBeenCalledWith('/history', { params: { page: 1, limit: 10 } });
+});
+
+test('polls pending check-ins until they are analyzed', async () => {
+  jest.useFakeTimers();
+  api.get.mockImplementation(async (url) => (url === '/history'
+    ? historyPage([entry('p1', { sentiment: undefined, confidenceScore: undefined, analysisStatus: 'pending' })])
+    : { data: { status: 'success', data: entry('p1', { sentiment: 'NEGATIVE', confidenceScore: 0.7 }) } }));
+
+  render(<LanguageProvider><HistoryList refreshKey={0} /></LanguageProvider>);
+  expect(await screen.findByText(/Will be analyzed shortly/)).toBeInTheDocument();
+
+  await act(async () => {
+    jest.advanceTimersByTime(15000);
+  });
+
+  expect(await screen.findByText(/70% confidence/)).toBeInTheDocument();
+  expect(screen.queryByText(/Will be analyzed shortly/)).not.toBeInTheDocument();
+  expect(api.get).toHaveBeenCalledWith('/conversations/p1');
+});
+
+test('deletes an entry', async () => {
+  api.get.mockResolvedValue(historyPage([entry('d1'), entry('d2')]));
+  api.delete.mockResolvedValue({ data: { status: 'success' } });
+
+  render(<LanguageProvider><HistoryList refreshKey={0} /></LanguageProvider>);
+  await screen.findByText('Entry d1');
+
+  userEvent.click(screen.getAllByRole('button', { name: 'Delete entry' })[0]);
+
+  await waitFor(() => expect(screen.queryByText('Entry d1')).not.toBeInTheDocument());
+  expect(api.delete).toHaveBeenCalledWith('/history/d1');
+  expect(screen.getByText(/Your Check-in History \(1\)/)).toBeInTheDocument();
+});
+
+test('shows an error when the history cannot be loaded', async () => {
+  api.get.mockRejectedValue({ request: {} });
+
+  render(<LanguageProvider><HistoryList refreshKey={0} /></LanguageProvider>);
+
+  expect(await screen.findByText(/Unable to connect to server/)).toBeInTheDocument();
+});
+
+test('reloads from the first page when refreshKey changes', async () => {
+  api.get.mockResolvedValue(historyPage([entry('r1')]));
+
+  const { rerender } = render(<LanguageProvider><HistoryList refreshKey={0} /></LanguageProvider>);
+  await screen.findByText('Entry r1');
+
+  api.get.mockResolvedValue(historyPage([entry('r2'), entry('r1')]));
+  rerender(<LanguageProvider><HistoryList refreshKey={1} /></LanguageProvider>);
+
+  expect(await screen.findByText('Entry r2')).toBeInTheDocument();
+  expect(api.get).toHaveBeenLastCalledWith('/history', { params: { page: 1, limit: 10 } });
+});
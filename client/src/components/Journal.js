@@ -0,0 +1,314 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+import { getSentimentColor, getSentimentEmoji } from '../sentiment';
+import { renderMarkdown } from '../markdown';
+import JournalEditor from './JournalEditor';
+import JournalCalendar from './JournalCalendar';
+import EmotionBreakdown from './EmotionBreakdown';
+import { useTranslation } from '../context/LanguageContext';
+
+const PAGE_SIZE = 10;
+
+const cardStyle = {
+  padding: '15px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #e0e0e0'
+};
+
+const pillStyle = (active) => ({
+  padding: '4px 12px',
+  fontSize: '13px',
+  borderRadius: '15px',
+  border: active ? '2px solid #667eea' : '1px solid #ddd',
+  backgroundColor: active ? '#f8f9ff' : 'white',
+  color: active ? '#667eea' : '#555',
+  cursor: 'pointer'
+});
+
+const actionButtonStyle = {
+  padding: '6px 14px',
+  fontSize: '13px',
+  border: '1px solid #ddd',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  cursor: 'pointer'
+};
+
+function TagList({ tags }) {
+  return tags.map((tag) => (
+    <span key={tag} style={{ marginRight: '6px', fontSize: '12px', color: '#667eea' }}>#{tag}</span>
+  ));
+}
+
+// Journal - list/calendar browsing, reading, writing and editing entries
+function Journal({ onCrisis }) {
+  const { t, language } = useTranslation();
+  // browse | read | write
+  const [mode, setMode] = useState('browse');
+  const [layout, setLayout] = useState('list');
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [activeTag, setActiveTag] = useState('');
+  const [entry, setEntry] = useState(null);
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadEntries = useCallback(async (page = 1) => {
+    try {
+      const res = await api.get('/journal', {
+        params: { page, limit: PAGE_SIZE, ...(activeTag ? { tag: activeTag } : {}) }
+      });
+      setEntries((prev) => (page === 1 ? res.data.data : [...prev, ...res.data.data]));
+      setPagination(res.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading journal:', err);
+      setError(t('journal.loadError'));
+    }
+  }, [activeTag, t]);
+
+  const loadTags = useCallback(async () => {
+    try {
+      const res = await api.get('/journal/tags');
+      setTags(res.data.data);
+    } catch (err) {
+      console.error('Error loading journal tags:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries(1);
+  }, [loadEntries]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags]);
+
+  const openEntry = async (id) => {
+    try {
+      const res = await api.get(`/journal/${id}`);
+      setEntry(res.data.data);
+      setRevisions(null);
+      setMode('read');
+    } catch (err) {
+      console.error('Error opening entry:', err);
+      setError(t('journal.openError'));
+    }
+  };
+
+  const handleSaved = (saved, crisis) => {
+    setEntry(saved);
+    setRevisions(null);
+    setMode('read');
+    if (crisis) onCrisis(crisis);
+    loadEntries(1);
+    loadTags();
+  };
+
+  const deleteEntry = async () => {
+    if (!window.confirm(t('journal.confirmDelete'))) return;
+    try {
+      await api.delete(`/journal/${entry._id}`);
+      setEntry(null);
+      setMode('browse');
+      loadEntries(1);
+      loadTags();
+    } catch (err) {
+      console.error('Error deleting entry:', err);
+      setError(t('journal.deleteError'));
+    }
+  };
+
+  const toggleRevisions = async () => {
+    if (revisions) {
+      setRevisions(null);
+      return;
+    }
+    try {
+      const res = await api.get(`/journal/${entry._id}/revisions`);
+      setRevisions(res.data.data);
+    } catch (err) {
+      console.error('Error loading revisions:', err);
+      setError(t('journal.revisionsError'));
+    }
+  };
+
+  if (mode === 'write') {
+    return (
+      <JournalEditor
+        entry={entry}
+        onSaved={handleSaved}
+        onCancel={() => setMode(entry ? 'read' : 'browse')}
+      />
+    );
+  }
+
+  if (mode === 'read' && entry) {
+    const { mood } = entry;
+    return (
+      <div style={{ display: 'grid', gap: '15px' }}>
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          <button onClick={() => { setMode('browse'); setEntry(null); }} style={actionButtonStyle}>{t('journal.back')}</button>
+          <button onClick={() => setMode('write')} style={{ ...actionButtonStyle, marginLeft: 'auto' }}>{t('journal.edit')}</button>
+          <button onClick={deleteEntry} style={{ ...actionButtonStyle, color: '#dc3545' }}>{t('journal.delete')}</button>
+        </div>
+
+        <div>
+          <h2 style={{ margin: '0 0 5px 0', color: '#333' }}>{entry.title}</h2>
+          <div style={{ fontSize: '13px', color: '#666' }}>
+            {new Date(entry.entryDate).toLocaleDateString(language, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+            {' · '}{t(entry.wordCount === 1 ? 'journal.wordOne' : 'journal.wordMany', { count: entry.wordCount })}{' '}
+            <TagList tags={entry.tags} />
+          </div>
+        </div>
+
+        <div style={{ ...cardStyle, color: '#333' }}>{renderMarkdown(entry.body)}</div>
+
+        {entry.attachments?.length > 0 && (
+          <div style={{ fontSize: '14px', color: '#555' }}>
+            📎 {entry.attachments.map((a) => a.name).join(', ')}
+          </div>
+        )}
+
+        {mood?.sentiment && (
+          <div style={cardStyle}>
+            <strong>{t('journal.mood')}</strong>
+            <span style={{ color: getSentimentColor(mood.sentiment), marginLeft: '10px', fontSize: '1.1rem' }}>
+              {getSentimentEmoji(mood.sentiment)} {t(`sentiment.${mood.sentiment}`)}
+            </span>
+            <span style={{ marginLeft: '10px', color: '#667eea' }}>{Math.round(mood.confidenceScore * 100)}%</span>
+            {mood.chunks > 1 && (
+              <div style={{ fontSize: '12px', color: '#888', marginTop: '5px' }}>
+                {t('journal.chunks', { chunks: mood.chunks })}
+              </div>
+            )}
+          </div>
+        )}
+        {mood?.detectedEmotions?.length > 0 && <EmotionBreakdown emotions={mood.detectedEmotions} />}
+        {mood?.recommendation && (
+          <div style={cardStyle}>
+            <strong>{t('journal.recommendation')}</strong>
+            <p style={{ margin: '10px 0 0 0', lineHeight: '1.6' }}>{mood.recommendation}</p>
+            {mood.additionalTips?.length > 0 && (
+              <ul style={{ margin: '10px 0 0 0', paddingLeft: '20px', lineHeight: '1.8' }}>
+                {mood.additionalTips.map((tip) => <li key={tip}>{tip}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {entry.revisionCount > 0 && (
+          <div>
+            <button onClick={toggleRevisions} style={actionButtonStyle}>
+              {t(revisions ? 'journal.hideHistory' : 'journal.showHistory', { count: entry.revisionCount })}
+            </button>
+            {revisions?.map((revision) => (
+              <div key={revision.editedAt} style={{ ...cardStyle, marginTop: '8px', backgroundColor: '#f8f9fa' }}>
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                  {t('journal.beforeEdit', { date: new Date(revision.editedAt).toLocaleString(language) })}
+                </div>
+                <strong>{revision.title}</strong>
+                <div style={{ fontSize: '14px', color: '#555' }}>{renderMarkdown(revision.body)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && <p style={{ color: '#721c24', fontSize: '14px' }}>{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px', gap: '10px' }}>
+        <h3 style={{ margin: 0, color: '#333' }}>{t('journal.title')}</h3>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={() => setLayout('list')} style={pillStyle(layout === 'list')}>{t('journal.list')}</button>
+          <button onClick={() => setLayout('calendar')} style={pillStyle(layout === 'calendar')}>{t('journal.calendar')}</button>
+        </div>
+      </div>
+
+      <button
+        onClick={() => { setEntry(null); setMode('write'); }}
+        style={{
+          width: '100%',
+          padding: '12px',
+          marginBottom: '15px',
+          fontSize: '16px',
+          fontWeight: 'bold',
+          color: 'white',
+          border: 'none',
+          borderRadius: '10px',
+          cursor: 'pointer',
+          background: 'linear-gradient(45deg, #667eea, #764ba2)'
+        }}
+      >
+        {t('journal.newEntry')}
+      </button>
+
+      {tags.length > 0 && (
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '15px' }}>
+          <button onClick={() => setActiveTag('')} style={pillStyle(!activeTag)}>{t('journal.allTags')}</button>
+          {tags.map(({ tag, count }) => (
+            <button key={tag} onClick={() => setActiveTag(tag)} style={pillStyle(activeTag === tag)}>
+              #{tag} ({count})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: '#721c24', fontSize: '14px' }}>{error}</p>}
+
+      {layout === 'calendar' ? (
+        <JournalCalendar tag={activeTag} onSelectEntry={openEntry} />
+      ) : (
+        <>
+          {entries.length === 0 && !error && (
+            <p style={{ color: '#666', textAlign: 'center' }}>
+              {activeTag ? t('journal.noTagged', { tag: activeTag }) : t('journal.empty')}
+            </p>
+          )}
+          {entries.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => openEntry(item.id)}
+              style={{
+                display: 'block',
+                width: '100%',
+                textAlign: 'left',
+                padding: '15px',
+                marginBottom: '10px',
+                backgroundColor: '#f8f9fa',
+                borderRadius: '10px',
+                border: '1px solid #e0e0e0',
+                borderLeft: `5px solid ${getSentimentColor(item.mood?.sentiment)}`,
+                cursor: 'pointer'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#666' }}>
+                <span>{new Date(item.entryDate).toLocaleDateString(language)}</span>
+                <span>{getSentimentEmoji(item.mood?.sentiment)} {t(item.wordCount === 1 ? 'journal.wordOne' : 'journal.wordMany', { count: item.wordCount })}</span>
+              </div>
+              <div style={{ fontSize: '16px', fontWeight: 'bold', color: '#333', margin: '5px 0' }}>{item.title}</div>
+              <div style={{ fontSize: '14px', color: '#555' }}>{item.excerpt}</div>
+              <div style={{ marginTop: '5px' }}><TagList tags={item.tags} /></div>
+            </button>
+          ))}
+          {pagination && pagination.page < pagination.pages && (
+            <button
+              onClick={() => loadEntries(pagination.page + 1)}
+              style={{ ...actionButtonStyle, display: 'block', margin: '10px auto' }}
+            >
+              {t('journal.loadMore')}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Journal;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import api from '../api';
+import { getSentimentColor, getSentimentEmoji } from '../sentiment';
+import { useTranslation } from '../context/LanguageContext';
+
+// Short weekday names, Monday first (1 Jan 2024 was a Monday)
+const weekdayNames = (language) => Array.from({ length: 7 }, (_, i) => (
+  new Date(2024, 0, 1 + i).toLocaleDateString(language, { weekday: 'short' })
+));
+
+const DAY_FORMAT = { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' };
+
+// Local-date key so entries land on the day the user sees
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+};
+
+const navButtonStyle = {
+  padding: '5px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '5px',
+  backgroundColor: 'white',
+  cursor: 'pointer'
+};
+
+// Month grid - har din par us din ki entries, mood ke rang ke saath
+function JournalCalendar({ tag, onSelectEntry }) {
+  const { t, language } = useTranslation();
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [entries, setEntries] = useState([]);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const from = new Date(month.getFullYear(), month.getMonth(), 1);
+    const to = new Date(month.getFullYear(), month.getMonth() + 1, 0, 23, 59, 59, 999);
+
+    api.get('/journal', {
+      params: { from: from.toISOString(), to: to.toISOString(), limit: 100, ...(tag ? { tag } : {}) }
+    })
+      .then((res) => {
+        if (!cancelled) {
+          setEntries(res.data.data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading journal calendar:', err);
+        if (!cancelled) setError(t('calendar.error'));
+      });
+
+    return () => { cancelled = true; };
+  }, [month, tag, t]);
+
+  const byDay = entries.reduce((days, entry) => {
+    const key = dayKey(entry.entryDate);
+    days[key] = [...(days[key] || []), entry];
+    return days;
+  }, {});
+
+  // Monday-first grid with blanks before the 1st
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const leadingBlanks = (month.getDay() + 6) % 7;
+  const cells = [
+    ...Array(leadingBlanks).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => new Date(month.getFullYear(), month.getMonth(), i + 1))
+  ];
+  const todayKey = dayKey(new Date());
+  const selectedEntries = selectedDay ? byDay[dayKey(selectedDay)] || [] : [];
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+    setSelectedDay(null);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <button onClick={() => changeMonth(-1)} style={navButtonStyle} aria-label={t('calendar.previous')}>←</button>
+        <strong>{month.toLocaleDateString(language, { month: 'long', year: 'numeric' })}</strong>
+        <button onClick={() => changeMonth(1)} style={navButtonStyle} aria-label={t('calendar.next')}>→</button>
+      </div>
+
+      {error && <p style={{ color: '#721c24', fontSize: '14px' }}>{error}</p>}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: '4px' }}>
+        {weekdayNames(language).map((day) => (
+          <div key={day} style={{ textAlign: 'center', fontSize: '12px', color: '#666', padding: '4px 0' }}>{day}</div>
+        ))}
+        {cells.map((date, i) => {
+          if (!date) return <div key={`blank-${i}`} />;
+          const dayEntries = byDay[dayKey(date)] || [];
+          const isSelected = selectedDay && dayKey(selectedDay) === dayKey(date);
+          return (
+            <button
+              key={date.getDate()}
+              onClick={() => setSelectedDay(date)}
+              aria-label={t(dayEntries.length === 1 ? 'calendar.entryOne' : 'calendar.entryMany', {
+                date: date.toLocaleDateString(language, DAY_FORMAT),
+                count: dayEntries.length
+              })}
+              style={{
+                minHeight: '52px',
+                padding: '4px',
+                border: isSelected ? '2px solid #667eea' : '1px solid #eee',
+                borderRadius: '8px',
+                backgroundColor: dayKey(date) === todayKey ? '#f8f9ff' : 'white',
+                cursor: 'pointer',
+                textAlign: 'left',
+                verticalAlign: 'top'
+              }}
+            >
+              <div style={{ fontSize: '12px', color: '#333' }}>{date.getDate()}</div>
+              <div style={{ display: 'flex', gap: '2px', flexWrap: 'wrap', marginTop: '4px' }}>
+                {dayEntries.map((entry) => (
+                  <span
+                    key={entry.id}
+                    title={entry.title}
+                    style={{
+                      width: '10px',
+                      height: '10px',
+                      borderRadius: '50%',
+                      backgroundColor: getSentimentColor(entry.mood?.sentiment)
+                    }}
+                  />
+                ))}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      {selectedDay && (
+        <div style={{ marginTop: '15px' }}>
+          <strong style={{ fontSize: '14px' }}>{selectedDay.toLocaleDateString(language, DAY_FORMAT)}</strong>
+          {selectedEntries.length === 0 ? (
+            <p style={{ color: '#666', fontSize: '14px' }}>{t('calendar.empty')}</p>
+          ) : selectedEntries.map((entry) => (
+            <button
+              key={entry.id}
+              onClick={() => onSelectEntry(entry.id)}
+              style={{
+                display: 'block',
+                width: '100%',
+                marginTop: '8px',
+                padding: '10px',
+                textAlign: 'left',
+                border: '1px solid #e0e0e0',
+                borderRadius: '8px',
+                backgroundColor: '#f8f9fa',
+                cursor: 'pointer'
+              }}
+            >
+              {getSentimentEmoji(entry.mood?.sentiment)} <strong>{entry.title}</strong>
+              <div style={{ fontSize: '13px', color: '#666', marginTop: '4px' }}>{entry.excerpt}</div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JournalCalendar;
@@ -0,0 +1,231 @@
+import React, { useRef, useState } from 'react';
+import api from '../api';
+import { getErrorMessage } from '../errors';
+import { renderMarkdown } from '../markdown';
+import { useTranslation } from '../context/LanguageContext';
+
+const MAX_BODY_LENGTH = 20000;
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  fontSize: '15px',
+  border: '2px solid #e0e0e0',
+  borderRadius: '8px',
+  fontFamily: 'Arial, sans-serif',
+  boxSizing: 'border-box'
+};
+
+const toolbarButtonStyle = {
+  padding: '5px 10px',
+  fontSize: '13px',
+  border: '1px solid #ddd',
+  borderRadius: '5px',
+  backgroundColor: 'white',
+  cursor: 'pointer'
+};
+
+// [label, title key (journalEditor.*), prefix, suffix, linePrefix?]
+const TOOLBAR = [
+  ['B', 'bold', '**', '**'],
+  ['I', 'italic', '*', '*'],
+  ['H', 'heading', '## ', '', true],
+  ['•', 'bulleted', '- ', '', true],
+  ['1.', 'numbered', '1. ', '', true],
+  ['❝', 'quote', '> ', '', true]
+];
+
+const toDateInput = (date) => new Date(date || Date.now()).toISOString().slice(0, 10);
+
+// Journal entry editor - Markdown textarea with a small formatting toolbar and preview.
+// entry = existing entry to edit (null for a new one). onSaved(entry, crisis) after the server saved it.
+function JournalEditor({ entry, onSaved, onCancel }) {
+  const { t } = useTranslation();
+  const [title, setTitle] = useState(entry?.title || '');
+  const [body, setBody] = useState(entry?.body || '');
+  const [tagsText, setTagsText] = useState((entry?.tags || []).join(', '));
+  const [entryDate, setEntryDate] = useState(toDateInput(entry?.entryDate));
+  const [attachments, setAttachments] = useState(entry?.attachments || []);
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const bodyRef = useRef(null);
+
+  // Selected text ko Markdown syntax se wrap karta hai (ya line ke shuru mein prefix lagata hai)
+  const applyFormat = (prefix, suffix, linePrefix) => {
+    const textarea = bodyRef.current;
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    let next;
+    let cursor;
+    if (linePrefix) {
+      const lineStart = body.lastIndexOf('\n', start - 1) + 1;
+      next = body.slice(0, lineStart) + prefix + body.slice(lineStart);
+      cursor = end + prefix.length;
+    } else {
+      const selected = body.slice(start, end) || 'text';
+      next = body.slice(0, start) + prefix + selected + suffix + body.slice(end);
+      cursor = start + prefix.length + selected.length + suffix.length;
+    }
+    setBody(next);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(cursor, cursor);
+    });
+  };
+
+  // Sirf file ka metadata save hota hai - file khud upload nahi hoti
+  const addAttachments = (files) => {
+    const added = Array.from(files).map((file) => ({ name: file.name, mimeType: file.type, size: file.size }));
+    setAttachments((prev) => [...prev, ...added].slice(0, 10));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    const payload = {
+      title,
+      body,
+      tags: tagsText.split(',').map((tag) => tag.trim()).filter(Boolean),
+      attachments,
+      entryDate
+    };
+    try {
+      const res = entry
+        ? await api.put(`/journal/${entry._id}`, payload)
+        : await api.post('/journal', payload);
+      onSaved(res.data.data, res.data.crisis || null);
+    } catch (err) {
+      console.error('Error saving journal entry:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: '12px' }}>
+      <input
+        aria-label={t('journalEditor.title')}
+        placeholder={t('journalEditor.titlePlaceholder')}
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={200}
+        style={{ ...inputStyle, fontSize: '18px', fontWeight: 'bold' }}
+      />
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center' }}>
+        {TOOLBAR.map(([label, name, prefix, suffix, linePrefix]) => (
+          <button
+            key={name}
+            type="button"
+            title={t(`journalEditor.${name}`)}
+            aria-label={t(`journalEditor.${name}`)}
+            onClick={() => applyFormat(prefix, suffix, linePrefix)}
+            disabled={preview}
+            style={toolbarButtonStyle}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setPreview((prev) => !prev)}
+          style={{ ...toolbarButtonStyle, marginLeft: 'auto', color: '#667eea' }}
+        >
+          {preview ? t('journalEditor.write') : t('journalEditor.preview')}
+        </button>
+      </div>
+
+      {preview ? (
+        <div style={{ ...inputStyle, minHeight: '300px', backgroundColor: '#fafafa' }}>
+          {body.trim() ? renderMarkdown(body) : <span style={{ color: '#999' }}>{t('journalEditor.nothingToPreview')}</span>}
+        </div>
+      ) : (
+        <textarea
+          ref={bodyRef}
+          aria-label={t('journalEditor.body')}
+          placeholder={t('journalEditor.bodyPlaceholder')}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={MAX_BODY_LENGTH}
+          style={{ ...inputStyle, minHeight: '300px', resize: 'vertical', lineHeight: '1.6' }}
+        />
+      )}
+      <div style={{ textAlign: 'right', color: '#666', fontSize: '13px', marginTop: '-6px' }}>
+        {t('journalEditor.characters', { count: body.length, max: MAX_BODY_LENGTH })}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '10px' }}>
+        <input
+          aria-label={t('journalEditor.tags')}
+          placeholder={t('journalEditor.tagsPlaceholder')}
+          value={tagsText}
+          onChange={(e) => setTagsText(e.target.value)}
+          style={inputStyle}
+        />
+        <input
+          type="date"
+          aria-label={t('journalEditor.date')}
+          value={entryDate}
+          onChange={(e) => setEntryDate(e.target.value)}
+          style={inputStyle}
+        />
+      </div>
+
+      <div style={{ fontSize: '14px', color: '#555' }}>
+        <label style={{ cursor: 'pointer', color: '#667eea' }}>
+          {t('journalEditor.attach')}
+          <input type="file" multiple onChange={(e) => addAttachments(e.target.files)} style={{ display: 'none' }} />
+        </label>
+        {attachments.map((attachment, i) => (
+          <span key={`${attachment.name}-${i}`} style={{ marginLeft: '10px', backgroundColor: '#f1f3f5', padding: '3px 8px', borderRadius: '10px' }}>
+            {attachment.name}
+            <button
+              type="button"
+              aria-label={t('journalEditor.remove', { name: attachment.name })}
+              onClick={() => setAttachments((prev) => prev.filter((_, j) => j !== i))}
+              style={{ marginLeft: '5px', border: 'none', background: 'none', cursor: 'pointer', color: '#dc3545' }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {error && (
+        <div style={{ padding: '10px 15px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px', fontSize: '14px' }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button
+          onClick={save}
+          disabled={saving || !title.trim() || !body.trim()}
+          style={{
+            flex: 1,
+            padding: '12px',
+            fontSize: '16px',
+            fontWeight: 'bold',
+            color: 'white',
+            border: 'none',
+            borderRadius: '10px',
+            cursor: saving ? 'not-allowed' : 'pointer',
+            background: saving ? 'linear-gradient(45deg, #ccc, #999)' : 'linear-gradient(45deg, #667eea, #764ba2)'
+          }}
+        >
+          {saving ? t('journalEditor.saving') : entry ? t('journalEditor.saveChanges') : t('journalEditor.saveEntry')}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          style={{ padding: '12px 20px', fontSize: '16px', border: '2px solid #e0e0e0', borderRadius: '10px', backgroundColor: 'white', cursor: 'pointer' }}
+        >
+          {t('journalEditor.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default JournalEditor;
@@ -0,0 +1,136 @@
+import React from 'react';
+import { getSentimentColor } from '../sentiment';
+import { useTranslation } from '../context/LanguageContext';
+
+const WIDTH = 700;
+const HEIGHT = 240;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 40 };
+// Bottom strip for the per-bucket check-in counts
+const BAR_AREA = 50;
+
+const formatBucket = (date, bucket, language) => {
+  const options = bucket === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' };
+  return new Date(date).toLocaleDateString(language, options);
+};
+
+// Mood score line (-1 = very negative .. +1 = very positive) with stacked check-in count bars underneath.
+// Points are placed on a real time axis, so days without check-ins show up as gaps.
+function MoodTimelineChart({ series, bucket, days }) {
+  const { t, language } = useTranslation();
+
+  if (!series || series.length === 0) {
+    return (
+      <p style={{ color: '#666', textAlign: 'center', padding: '40px 0', margin: 0 }}>
+        {t('timeline.empty')}
+      </p>
+    );
+  }
+
+  const end = Date.now();
+  const start = end - days * 24 * 60 * 60 * 1000;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const lineHeight = HEIGHT - PADDING.top - PADDING.bottom - BAR_AREA;
+  const maxCount = Math.max(...series.map((point) => point.count));
+  const barWidth = Math.max(4, Math.min(30, plotWidth / (series.length * 2)));
+
+  const x = (date) => PADDING.left + ((new Date(date).getTime() - start) / (end - start)) * plotWidth;
+  const y = (score) => PADDING.top + ((1 - score) / 2) * lineHeight;
+  const barBase = HEIGHT - PADDING.bottom;
+
+  const linePath = series
+    .map((point, i) => `${i === 0 ? 'M' : 'L'} ${x(point.bucketStart).toFixed(1)} ${y(point.moodScore).toFixed(1)}`)
+    .join(' ');
+
+  // Roughly 6 date labels across the axis
+  const labelEvery = Math.max(1, Math.ceil(series.length / 6));
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      style={{ width: '100%', height: 'auto' }}
+      role="img"
+      aria-label={t('timeline.label', { count: series.length, bucket: t(`timeline.${bucket}`) })}
+    >
+      {/* Axis guides */}
+      {[1, 0, -1].map((score) => (
+        <g key={score}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(score)}
+            y2={y(score)}
+            stroke={score === 0 ? '#ccc' : '#eee'}
+            strokeDasharray={score === 0 ? '4 4' : undefined}
+          />
+          <text x={PADDING.left - 8} y={y(score) + 4} fontSize="12" textAnchor="end">
+            {score === 1 ? '😊' : score === 0 ? '😐' : '😔'}
+          </text>
+        </g>
+      ))}
+
+      {/* Check-in counts, stacked by sentiment */}
+      {series.map((point) => {
+        let offset = 0;
+        return (
+          <g key={`bars-${point.bucketStart}`}>
+            {[['POSITIVE', point.positive], ['NEUTRAL', point.neutral], ['MIXED', point.mixed], ['NEGATIVE', point.negative]]
+              .filter(([, count]) => count > 0)
+              .map(([sentiment, count]) => {
+                const height = (count / maxCount) * BAR_AREA * 0.9;
+                offset += height;
+                return (
+                  <rect
+                    key={sentiment}
+                    x={x(point.bucketStart) - barWidth / 2}
+                    y={barBase - offset}
+                    width={barWidth}
+                    height={height}
+                    fill={getSentimentColor(sentiment)}
+                    opacity="0.6"
+                  />
+                );
+              })}
+          </g>
+        );
+      })}
+
+      {/* Mood line */}
+      <path d={linePath} fill="none" stroke="#667eea" strokeWidth="2.5" strokeLinejoin="round" />
+      {series.map((point) => (
+        <circle
+          key={`point-${point.bucketStart}`}
+          cx={x(point.bucketStart)}
+          cy={y(point.moodScore)}
+          r="4"
+          fill="white"
+          stroke="#667eea"
+          strokeWidth="2"
+        >
+          <title>
+            {t(point.count === 1 ? 'timeline.point' : 'timeline.points', {
+              date: formatBucket(point.bucketStart, bucket, language),
+              count: point.count,
+              score: `${point.moodScore > 0 ? '+' : ''}${point.moodScore}`
+            })}
+          </title>
+        </circle>
+      ))}
+
+      {/* Date labels */}
+      {series.map((point, i) => (i % labelEvery === 0 ? (
+        <text
+          key={`label-${point.bucketStart}`}
+          x={x(point.bucketStart)}
+          y={HEIGHT - 10}
+          fontSize="11"
+          fill="#666"
+          textAnchor="middle"
+        >
+          {formatBucket(point.bucketStart, bucket, language)}
+        </text>
+      ) : null))}
+    </svg>
+  );
+}
+
+export default MoodTimelineChart;
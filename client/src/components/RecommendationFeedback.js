@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { useTranslation } from '../context/LanguageContext';
+
+const thumbStyle = (active) => ({
+  padding: '6px 12px',
+  fontSize: '18px',
+  borderRadius: '8px',
+  border: active ? '2px solid #667eea' : '1px solid #ddd',
+  backgroundColor: active ? '#f8f9ff' : 'white',
+  cursor: 'pointer'
+});
+
+// Thumbs + 1-5 stars + optional comment for one saved check-in.
+// Har click turant server par save hota hai; dobara click karke badla ja sakta hai.
+function RecommendationFeedback({ conversationId }) {
+  const { t } = useTranslation();
+  const [feedback, setFeedback] = useState({ helpful: null, rating: null });
+  const [hoverRating, setHoverRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [commentSent, setCommentSent] = useState(false);
+  const [error, setError] = useState(null);
+
+  const send = async (update) => {
+    const previous = feedback;
+    setFeedback((prev) => ({ ...prev, ...update }));
+    setError(null);
+    try {
+      await api.post(`/conversations/${conversationId}/feedback`, update);
+      return true;
+    } catch (err) {
+      console.error('Error sending feedback:', err);
+      setFeedback(previous);
+      setError(t('feedback.error'));
+      return false;
+    }
+  };
+
+  const sendComment = async () => {
+    if (await send({ comment: comment.trim() })) setCommentSent(true);
+  };
+
+  const shownRating = hoverRating || feedback.rating || 0;
+
+  return (
+    <div style={{
+      padding: '15px',
+      backgroundColor: 'white',
+      borderRadius: '10px',
+      border: '1px solid #e0e0e0'
+    }}>
+      <strong>{t('feedback.title')}</strong>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '10px', flexWrap: 'wrap' }}>
+        <button aria-label={t('feedback.helpful')} aria-pressed={feedback.helpful === true} onClick={() => send({ helpful: true })} style={thumbStyle(feedback.helpful === true)}>👍</button>
+        <button aria-label={t('feedback.notHelpful')} aria-pressed={feedback.helpful === false} onClick={() => send({ helpful: false })} style={thumbStyle(feedback.helpful === false)}>👎</button>
+
+        <div style={{ marginLeft: '15px' }} role="radiogroup" aria-label={t('feedback.rating')} onMouseLeave={() => setHoverRating(0)}>
+          {[1, 2, 3, 4, 5].map((star) => (
+            <button
+              key={star}
+              role="radio"
+              aria-checked={feedback.rating === star}
+              aria-label={t(star === 1 ? 'feedback.star' : 'feedback.stars', { count: star })}
+              onClick={() => send({ rating: star })}
+              onMouseEnter={() => setHoverRating(star)}
+              style={{
+                background: 'none',
+                border: 'none',
+                fontSize: '22px',
+                cursor: 'pointer',
+                padding: '0 2px',
+                color: star <= shownRating ? '#f59e0b' : '#ccc'
+              }}
+            >
+              ★
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {(feedback.helpful !== null || feedback.rating !== null) && !commentSent && (
+        <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+          <input
+            aria-label={t('feedback.comment')}
+            placeholder={t('feedback.commentPlaceholder')}
+            value={comment}
+            maxLength={500}
+            onChange={(e) => setComment(e.target.value)}
+            style={{ flex: 1, padding: '8px 10px', fontSize: '14px', border: '2px solid #e0e0e0', borderRadius: '8px' }}
+          />
+          <button
+            onClick={sendComment}
+            disabled={!comment.trim()}
+            style={{ padding: '8px 15px', border: 'none', borderRadius: '8px', backgroundColor: '#667eea', color: 'white', cursor: 'pointer' }}
+          >
+            {t('feedback.send')}
+          </button>
+        </div>
+      )}
+
+      {commentSent && <p style={{ margin: '10px 0 0 0', fontSize: '13px', color: '#28a745' }}>{t('feedback.thanks')}</p>}
+      {error && <p style={{ margin: '10px 0 0 0', fontSize: '13px', color: '#721c24' }}>{error}</p>}
+    </div>
+  );
+}
+
+export default RecommendationFeedback;
@@ -0,0 +1,88 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+import { useTranslation } from '../context/LanguageContext';
+
+// Naye reminders ke liye server ko itni der mein poochte hain
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const buttonStyle = {
+  padding: '6px 14px',
+  fontSize: '13px',
+  border: '1px solid #c5cae9',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#3f51b5',
+  cursor: 'pointer'
+};
+
+// Latest unread in-app reminder, shown above the check-in box
+function ReminderBanner({ onCheckIn }) {
+  const { t } = useTranslation();
+  const [notification, setNotification] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await api.get('/reminders/notifications', { params: { unread: true, limit: 1 } });
+      setNotification(res.data.data[0] || null);
+    } catch (err) {
+      // Banner optional hai - error par chup-chaap skip
+      console.error('Error loading reminders:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  if (!notification) return null;
+
+  const markRead = async () => {
+    setNotification(null);
+    try {
+      await api.post(`/reminders/notifications/${notification._id}/read`);
+    } catch (err) {
+      console.error('Error updating reminder:', err);
+    }
+  };
+
+  const snooze = async () => {
+    await markRead();
+    try {
+      await api.post('/reminders/snooze', { minutes: 60 });
+    } catch (err) {
+      console.error('Error snoozing reminders:', err);
+    }
+  };
+
+  return (
+    <div role="status" style={{
+      marginBottom: '20px',
+      padding: '15px',
+      backgroundColor: '#f8f9ff',
+      border: '1px solid #c5cae9',
+      borderRadius: '10px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <strong style={{ color: '#333' }}>{notification.title}</strong>
+        <button
+          onClick={markRead}
+          aria-label={t('reminderBanner.dismiss')}
+          style={{ border: 'none', background: 'none', color: '#888', cursor: 'pointer', fontSize: '16px' }}
+        >
+          ✕
+        </button>
+      </div>
+      <p style={{ margin: '6px 0 12px 0', color: '#555', fontSize: '14px' }}>{notification.body}</p>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={() => { markRead(); onCheckIn(); }} style={{ ...buttonStyle, backgroundColor: '#667eea', color: 'white', border: 'none' }}>
+          {t('reminderBanner.checkIn')}
+        </button>
+        <button onClick={snooze} style={buttonStyle}>{t('reminderBanner.snooze')}</button>
+      </div>
+    </div>
+  );
+}
+
+export default ReminderBanner;
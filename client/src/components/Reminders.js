@@ -0,0 +1,337 @@
+import React, { useEffect, useState } from 'react';
+import api from '../api';
+import { getErrorMessage } from '../errors';
+import { isPushSupported, subscribeToPush, unsubscribeFromPush } from '../push';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/LanguageContext';
+
+// Short weekday names, Sunday first like daysOfWeek (7 Jan 2024 was a Sunday)
+const weekdayNames = (language) => Array.from({ length: 7 }, (_, i) => (
+  new Date(2024, 0, 7 + i).toLocaleDateString(language, { weekday: 'short' })
+));
+const DEVICE_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const CHANNEL_LABELS = {
+  'in-app': 'reminders.inApp',
+  'web-push': 'reminders.webPush',
+  email: 'reminders.email'
+};
+
+const sectionStyle = {
+  padding: '20px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #e0e0e0',
+  marginBottom: '15px'
+};
+
+const buttonStyle = {
+  padding: '10px 18px',
+  fontSize: '14px',
+  fontWeight: 'bold',
+  border: 'none',
+  borderRadius: '8px',
+  color: 'white',
+  backgroundColor: '#667eea',
+  cursor: 'pointer'
+};
+
+const inputStyle = {
+  padding: '6px 10px',
+  border: '2px solid #e0e0e0',
+  borderRadius: '6px',
+  fontSize: '14px'
+};
+
+const dayStyle = (active) => ({
+  padding: '4px 8px',
+  fontSize: '12px',
+  borderRadius: '12px',
+  border: active ? '2px solid #667eea' : '1px solid #ddd',
+  backgroundColor: active ? '#f8f9ff' : 'white',
+  color: active ? '#667eea' : '#555',
+  cursor: 'pointer'
+});
+
+const newSchedule = () => ({ frequency: 'daily', time: '20:00', daysOfWeek: [], enabled: true });
+
+// Server ke response se editable form - _id jaise extra fields PUT mein allowed nahi hain.
+// Email reminders account ke email par hi jaate hain, isliye address form mein nahi hai.
+const toDraft = (settings) => ({
+  enabled: settings.enabled,
+  timezone: settings.timezone,
+  schedules: settings.schedules.map(({ frequency, time, daysOfWeek, enabled }) => ({ frequency, time, daysOfWeek, enabled })),
+  channels: settings.channels,
+  quietHours: settings.quietHours
+});
+
+const formatDateTime = (value, language) => new Date(value).toLocaleString(language, {
+  weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// Check-in reminders - kab, kahan (in-app / browser / email), quiet hours aur snooze
+function Reminders() {
+  const { user } = useAuth();
+  const { t, language } = useTranslation();
+  const [settings, setSettings] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [availableChannels, setAvailableChannels] = useState({});
+  const [vapidPublicKey, setVapidPublicKey] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  const applySettings = (data) => {
+    setSettings(data);
+    setDraft(toDraft(data));
+  };
+
+  useEffect(() => {
+    api.get('/reminders')
+      .then((res) => {
+        applySettings(res.data.data);
+        setAvailableChannels(res.data.availableChannels || {});
+        setVapidPublicKey(res.data.vapidPublicKey);
+      })
+      .catch((err) => {
+        console.error('Error loading reminder settings:', err);
+        setLoadFailed(true);
+      });
+  }, []);
+
+  if (!draft) {
+    return loadFailed
+      ? <div style={{ padding: '15px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px' }}>{t('reminders.loadError')}</div>
+      : <p style={{ color: '#666' }}>{t('reminders.loading')}</p>;
+  }
+
+  const pushAvailable = Boolean(availableChannels['web-push'] && vapidPublicKey && isPushSupported());
+  const channelOptions = Object.keys(CHANNEL_LABELS).filter((channel) => (
+    (channel !== 'web-push' || pushAvailable) && (channel !== 'email' || user)
+  ));
+
+  const update = (fields) => setDraft((prev) => ({ ...prev, ...fields }));
+
+  const updateSchedule = (index, fields) => update({
+    schedules: draft.schedules.map((schedule, i) => (i === index ? { ...schedule, ...fields } : schedule))
+  });
+
+  const toggleDay = (index, day) => {
+    const days = draft.schedules[index].daysOfWeek;
+    updateSchedule(index, { daysOfWeek: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] });
+  };
+
+  const toggleChannel = (channel) => update({
+    channels: draft.channels.includes(channel)
+      ? draft.channels.filter((c) => c !== channel)
+      : [...draft.channels, channel]
+  });
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      // Browser notifications ke liye pehle permission aur subscription
+      const wantsPush = draft.channels.includes('web-push');
+      if (wantsPush && settings.pushSubscriptions === 0) {
+        await subscribeToPush(vapidPublicKey);
+      } else if (!wantsPush && settings.channels.includes('web-push') && isPushSupported()) {
+        await unsubscribeFromPush();
+      }
+
+      // Email sirf account ke saath - purani anonymous settings mein bacha ho to hata do
+      const channels = user ? draft.channels : draft.channels.filter((channel) => channel !== 'email');
+      const res = await api.put('/reminders', { ...draft, channels });
+      applySettings(res.data.data);
+      setNotice(res.data.data.enabled ? t('reminders.saved') : t('reminders.savedOff'));
+    } catch (err) {
+      console.error('Error saving reminder settings:', err);
+      setError(err.code === 'PERMISSION_DENIED'
+        ? t('reminders.pushBlocked')
+        : getErrorMessage(err, t('reminders.saveError')));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const snooze = async (minutes) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const res = minutes
+        ? await api.post('/reminders/snooze', { minutes })
+        : await api.delete('/reminders/snooze');
+      applySettings(res.data.data);
+    } catch (err) {
+      console.error('Error updating snooze:', err);
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const snoozed = settings.snoozedUntil && new Date(settings.snoozedUntil) > new Date();
+
+  return (
+    <div>
+      <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>{t('reminders.title')}</h3>
+
+      <div style={sectionStyle}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontWeight: 'bold', color: '#333' }}>
+          <input type="checkbox" checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          {t('reminders.enable')}
+        </label>
+        {settings.enabled && (
+          <div style={{ marginTop: '12px', fontSize: '14px', color: '#555' }}>
+            {snoozed
+              ? t('reminders.snoozedUntil', { date: formatDateTime(settings.snoozedUntil, language) })
+              : settings.nextRunAt && t('reminders.next', { date: formatDateTime(settings.nextRunAt, language) })}
+            <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+              {snoozed ? (
+                <button onClick={() => snooze(null)} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>{t('reminders.resume')}</button>
+              ) : (
+                <>
+                  <button onClick={() => snooze(60)} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>{t('reminders.snoozeHour')}</button>
+                  <button onClick={() => snooze(24 * 60)} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>{t('reminders.snoozeDay')}</button>
+                </>
+              )}
+            </div>
+            {settings.backoffLevel > 0 && (
+              <p style={{ margin: '10px 0 0 0', fontSize: '13px', color: '#6d4c00' }}>
+                {t('reminders.backoff')}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <strong>{t('reminders.when')}</strong>
+        {draft.schedules.map((schedule, index) => (
+          <div key={index} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+            <select
+              value={schedule.frequency}
+              onChange={(e) => updateSchedule(index, { frequency: e.target.value })}
+              aria-label={t('reminders.frequency')}
+              style={inputStyle}
+            >
+              <option value="daily">{t('reminders.daily')}</option>
+              <option value="weekly">{t('reminders.weekly')}</option>
+            </select>
+            <input
+              type="time"
+              value={schedule.time}
+              onChange={(e) => updateSchedule(index, { time: e.target.value })}
+              aria-label={t('reminders.time')}
+              style={inputStyle}
+            />
+            {schedule.frequency === 'weekly' && weekdayNames(language).map((day, dayIndex) => (
+              <button key={dayIndex} onClick={() => toggleDay(index, dayIndex)} style={dayStyle(schedule.daysOfWeek.includes(dayIndex))}>
+                {day}
+              </button>
+            ))}
+            <button
+              onClick={() => update({ schedules: draft.schedules.filter((_, i) => i !== index) })}
+              aria-label={t('reminders.removeTime')}
+              style={{ border: 'none', background: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '16px' }}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => update({ schedules: [...draft.schedules, newSchedule()] })}
+          style={{ marginTop: '12px', padding: '6px 14px', fontSize: '13px', border: '1px solid #ddd', borderRadius: '6px', backgroundColor: 'white', cursor: 'pointer' }}
+        >
+          {t('reminders.addTime')}
+        </button>
+
+        <div style={{ marginTop: '15px', fontSize: '14px', color: '#555' }}>
+          {t('reminders.timezone')} <strong>{draft.timezone}</strong>
+          {DEVICE_TIMEZONE && DEVICE_TIMEZONE !== draft.timezone && (
+            <button
+              onClick={() => update({ timezone: DEVICE_TIMEZONE })}
+              style={{ marginLeft: '10px', border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', textDecoration: 'underline' }}
+            >
+              {t('reminders.useDevice', { timezone: DEVICE_TIMEZONE })}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <strong>{t('reminders.where')}</strong>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '10px', fontSize: '14px' }}>
+          {channelOptions.map((channel) => (
+            <label key={channel}>
+              <input
+                type="checkbox"
+                checked={draft.channels.includes(channel)}
+                onChange={() => toggleChannel(channel)}
+                style={{ marginRight: '8px' }}
+              />
+              {t(CHANNEL_LABELS[channel])}
+            </label>
+          ))}
+        </div>
+        {draft.channels.includes('email') && user && (
+          <p style={{ margin: '10px 0 0 0', fontSize: '13px', color: '#666' }}>
+            {t('reminders.emailTo', { email: user.email })}
+          </p>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <label style={{ fontWeight: 'bold', color: '#333' }}>
+          <input
+            type="checkbox"
+            checked={Boolean(draft.quietHours)}
+            onChange={(e) => update({ quietHours: e.target.checked ? { start: '22:00', end: '07:00' } : null })}
+            style={{ marginRight: '8px' }}
+          />
+          {t('reminders.quietHours')}
+        </label>
+        {draft.quietHours && (
+          <div style={{ marginTop: '10px', fontSize: '14px', color: '#555' }}>
+            {t('reminders.quietFrom')}{' '}
+            <input
+              type="time"
+              value={draft.quietHours.start}
+              onChange={(e) => update({ quietHours: { ...draft.quietHours, start: e.target.value } })}
+              aria-label={t('reminders.quietStart')}
+              style={inputStyle}
+            />
+            {' '}{t('reminders.quietTo')}{' '}
+            <input
+              type="time"
+              value={draft.quietHours.end}
+              onChange={(e) => update({ quietHours: { ...draft.quietHours, end: e.target.value } })}
+              aria-label={t('reminders.quietEnd')}
+              style={inputStyle}
+            />
+            <div style={{ marginTop: '6px', fontSize: '12px', color: '#888' }}>
+              {t('reminders.quietHint')}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <button onClick={save} disabled={saving} style={{ ...buttonStyle, opacity: saving ? 0.6 : 1 }}>
+        {saving ? t('reminders.saving') : t('reminders.save')}
+      </button>
+
+      {notice && (
+        <div role="status" style={{ marginTop: '15px', padding: '15px', backgroundColor: '#f0fff4', color: '#155724', borderRadius: '8px', fontSize: '14px' }}>
+          {notice}
+        </div>
+      )}
+      {error && (
+        <div style={{ marginTop: '15px', padding: '15px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px', fontSize: '14px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Reminders;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { SENTIMENTS, getSentimentColor, getSentimentEmoji } from '../sentiment';
+import { useTranslation } from '../context/LanguageContext';
+
+const SIZE = 160;
+const STROKE = 26;
+const RADIUS = (SIZE - STROKE) / 2;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// Donut of the sentimentBreakdown totals ([{ _id: sentiment, count }]) with a legend
+function SentimentDonut({ breakdown }) {
+  const { t } = useTranslation();
+  const counts = SENTIMENTS
+    .map((sentiment) => ({
+      sentiment,
+      count: breakdown?.find((item) => item._id === sentiment)?.count || 0
+    }))
+    .filter((item) => item.count > 0);
+  const total = counts.reduce((sum, item) => sum + item.count, 0);
+
+  let offset = 0;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '20px', flexWrap: 'wrap', justifyContent: 'center' }}>
+      <svg width={SIZE} height={SIZE} viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={t('donut.label')}>
+        <circle cx={SIZE / 2} cy={SIZE / 2} r={RADIUS} fill="none" stroke="#f1f3f5" strokeWidth={STROKE} />
+        {counts.map(({ sentiment, count }) => {
+          const length = (count / total) * CIRCUMFERENCE;
+          const segment = (
+            <circle
+              key={sentiment}
+              cx={SIZE / 2}
+              cy={SIZE / 2}
+              r={RADIUS}
+              fill="none"
+              stroke={getSentimentColor(sentiment)}
+              strokeWidth={STROKE}
+              strokeDasharray={`${length} ${CIRCUMFERENCE - length}`}
+              strokeDashoffset={-offset}
+              transform={`rotate(-90 ${SIZE / 2} ${SIZE / 2})`}
+            />
+          );
+          offset += length;
+          return segment;
+        })}
+        <text x="50%" y="48%" textAnchor="middle" fontSize="26" fontWeight="bold" fill="#333">{total}</text>
+        <text x="50%" y="62%" textAnchor="middle" fontSize="12" fill="#666">{t('donut.checkIns')}</text>
+      </svg>
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0, lineHeight: '1.9' }}>
+        {counts.length === 0 && <li style={{ color: '#666' }}>{t('donut.empty')}</li>}
+        {counts.map(({ sentiment, count }) => (
+          <li key={sentiment} style={{ fontSize: '14px', color: '#333' }}>
+            <span style={{
+              display: 'inline-block',
+              width: '10px',
+              height: '10px',
+              borderRadius: '50%',
+              backgroundColor: getSentimentColor(sentiment),
+              marginRight: '8px'
+            }} />
+            {getSentimentEmoji(sentiment)} {t(`sentimentName.${sentiment}`)}: {count} ({Math.round((count / total) * 100)}%)
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default SentimentDonut;
@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from '../context/LanguageContext';
+
+// Server ki default limit (SPEECH_MAX_SECONDS) - recording yahan apne aap ruk jati hai
+const MAX_SECONDS = 60;
+const BAR_WIDTH = 3;
+const BAR_GAP = 1;
+
+// First container this browser can record, '' lets it choose
+const pickMimeType = () => (
+  ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+    .find((type) => MediaRecorder.isTypeSupported?.(type)) || ''
+);
+
+const canRecord = () => typeof window.MediaRecorder === 'function' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+// Peak level per animation frame (0-1) as bars. While recording the newest bars scroll in from the right;
+// `fit` squeezes the whole recording into the canvas for the preview.
+const drawWaveform = (canvas, peaks, fit = false) => {
+  const ctx = canvas?.getContext('2d');
+  if (!ctx) return;
+
+  const { width, height } = canvas;
+  const count = Math.floor(width / (BAR_WIDTH + BAR_GAP));
+  let bars = peaks.slice(-count);
+  if (fit && peaks.length > count) {
+    const size = peaks.length / count;
+    bars = Array.from({ length: count }, (_, i) => Math.max(...peaks.slice(Math.floor(i * size), Math.floor((i + 1) * size))));
+  }
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#667eea';
+  bars.forEach((peak, i) => {
+    const barHeight = Math.max(2, peak * height);
+    ctx.fillRect(i * (BAR_WIDTH + BAR_GAP), (height - barHeight) / 2, BAR_WIDTH, barHeight);
+  });
+};
+
+// Mic aur Web Audio band karo
+const release = (session) => {
+  if (!session) return;
+  cancelAnimationFrame(session.frame);
+  session.stream.getTracks().forEach((track) => track.stop());
+  session.audioContext?.close();
+};
+
+const buttonStyle = (primary) => ({
+  padding: '8px 15px',
+  fontSize: '14px',
+  border: primary ? 'none' : '1px solid #ddd',
+  borderRadius: '8px',
+  backgroundColor: primary ? '#667eea' : 'white',
+  color: primary ? 'white' : '#333',
+  cursor: 'pointer'
+});
+
+// Voice check-in: MediaRecorder se record, waveform preview, sunke bhejo.
+// onSubmit({ blob, duration }) gets the recording; the App uploads it to POST /analyze-mood/audio.
+function VoiceRecorder({ onSubmit, disabled }) {
+  const { t } = useTranslation();
+  // idle -> recording -> recorded
+  const [status, setStatus] = useState('idle');
+  const [elapsed, setElapsed] = useState(0);
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+  // { recorder, stream, audioContext, frame, chunks, peaks, startedAt } of the current recording
+  const sessionRef = useRef(null);
+
+  useEffect(() => {
+    const sessions = sessionRef;
+    return () => release(sessions.current);
+  }, []);
+
+  // Preview ka object URL purani recording hatte hi chhod do
+  useEffect(() => () => {
+    if (recording) URL.revokeObjectURL(recording.url);
+  }, [recording]);
+
+  // Timer, and the automatic stop at the limit
+  useEffect(() => {
+    if (status !== 'recording') return undefined;
+    const timer = setInterval(() => {
+      const { recorder, startedAt } = sessionRef.current;
+      const seconds = (Date.now() - startedAt) / 1000;
+      setElapsed(seconds);
+      if (seconds >= MAX_SECONDS && recorder.state === 'recording') recorder.stop();
+    }, 250);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  useEffect(() => {
+    if (status === 'recorded') drawWaveform(canvasRef.current, sessionRef.current.peaks, true);
+  }, [status]);
+
+  const start = async () => {
+    setError(null);
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.error('Microphone unavailable:', err);
+      setError(t('voice.micUnavailable'));
+      return;
+    }
+
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const session = { recorder, stream, audioContext: null, frame: null, chunks: [], peaks: [], startedAt: Date.now() };
+    sessionRef.current = session;
+
+    // Live waveform, jahan Web Audio available hai
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (AudioContextClass) {
+      session.audioContext = new AudioContextClass();
+      const analyser = session.audioContext.createAnalyser();
+      analyser.fftSize = 1024;
+      session.audioContext.createMediaStreamSource(stream).connect(analyser);
+      const samples = new Uint8Array(analyser.fftSize);
+      const tick = () => {
+        analyser.getByteTimeDomainData(samples);
+        session.peaks.push(samples.reduce((peak, value) => Math.max(peak, Math.abs(value - 128) / 128), 0));
+        drawWaveform(canvasRef.current, session.peaks);
+        session.frame = requestAnimationFrame(tick);
+      };
+      tick();
+    }
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) session.chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      const duration = Math.min((Date.now() - session.startedAt) / 1000, MAX_SECONDS);
+      release(session);
+      const blob = new Blob(session.chunks, { type: recorder.mimeType || mimeType || 'audio/webm' });
+      setRecording({ blob, duration, url: URL.createObjectURL(blob) });
+      setStatus('recorded');
+    };
+
+    recorder.start();
+    setRecording(null);
+    setElapsed(0);
+    setStatus('recording');
+  };
+
+  const stop = () => {
+    if (sessionRef.current?.recorder.state === 'recording') sessionRef.current.recorder.stop();
+  };
+
+  const discard = () => {
+    setRecording(null);
+    setStatus('idle');
+  };
+
+  const submit = () => {
+    onSubmit({ blob: recording.blob, duration: recording.duration });
+    discard();
+  };
+
+  if (!canRecord()) return null;
+
+  return (
+    <div style={{ marginBottom: '15px' }}>
+      {status === 'idle' && (
+        <button onClick={start} disabled={disabled} style={buttonStyle(false)}>
+          {t('voice.record')}
+        </button>
+      )}
+
+      {status !== 'idle' && (
+        <div style={{ padding: '12px', border: '2px solid #e0e0e0', borderRadius: '10px' }}>
+          <canvas
+            ref={canvasRef}
+            width={600}
+            height={60}
+            role="img"
+            aria-label={t('voice.waveform')}
+            style={{ width: '100%', height: '60px', display: 'block' }}
+          />
+
+          {status === 'recording' && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px' }}>
+              <span style={{ flex: 1, color: '#dc3545', fontSize: '14px' }}>
+                🔴 {formatSeconds(elapsed)} / {formatSeconds(MAX_SECONDS)}
+              </span>
+              <button onClick={stop} style={buttonStyle(true)}>{t('voice.stop')}</button>
+            </div>
+          )}
+
+          {status === 'recorded' && recording && (
+            <>
+              <audio controls src={recording.url} aria-label={t('voice.preview')} style={{ width: '100%', marginTop: '8px' }} />
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px', flexWrap: 'wrap' }}>
+                <span style={{ flex: 1, color: '#666', fontSize: '14px' }}>🎙️ {formatSeconds(recording.duration)}</span>
+                <button onClick={submit} disabled={disabled} style={buttonStyle(true)}>{t('voice.analyze')}</button>
+                <button onClick={start} style={buttonStyle(false)}>{t('voice.again')}</button>
+                <button onClick={discard} style={buttonStyle(false)}>{t('voice.discard')}</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#721c24' }}>{error}</p>}
+    </div>
+  );
+}
+
+export default VoiceRecorder;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import api, { authStore, resetSession } from '../api';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/LanguageContext';
+
+const CONFIRM_WORD = 'DELETE';
+
+const sectionStyle = {
+  padding: '20px',
+  backgroundColor: 'white',
+  borderRadius: '10px',
+  border: '1px solid #e0e0e0',
+  marginBottom: '15px'
+};
+
+const buttonStyle = {
+  padding: '10px 18px',
+  fontSize: '14px',
+  fontWeight: 'bold',
+  border: 'none',
+  borderRadius: '8px',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+// Server ke Content-Disposition header se file ka naam, warna default
+const filenameFrom = (res, format) => {
+  const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+  return match ? match[1] : `companion-export.${format}`;
+};
+
+// "Your data" settings page - export (JSON/CSV) aur sab kuch delete karna
+function YourData({ onErased }) {
+  const { user } = useAuth();
+  const { t } = useTranslation();
+  const [downloading, setDownloading] = useState(null);
+  const [confirmText, setConfirmText] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [erased, setErased] = useState(null);
+  const [error, setError] = useState(null);
+
+  const download = async (format) => {
+    setDownloading(format);
+    setError(null);
+    try {
+      const res = await api.get('/me/export', { params: { format }, responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filenameFrom(res, format);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(t('yourData.exportError'));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const eraseEverything = async () => {
+    setDeleting(true);
+    setError(null);
+    try {
+      const res = await api.delete('/me', { data: { confirm: CONFIRM_WORD } });
+      // Account aur session dono khatam - client ko bhi fresh start do
+      authStore.clear();
+      resetSession();
+      setErased(res.data.data.deleted);
+      setConfirmText('');
+      if (onErased) onErased();
+    } catch (err) {
+      console.error('Erasure failed:', err);
+      setError(t('yourData.deleteError'));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div>
+      <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>{t('yourData.title')}</h3>
+
+      <div style={sectionStyle}>
+        <strong>{t('yourData.storedTitle')}</strong>
+        <ul style={{ margin: '10px 0 0 0', paddingLeft: '20px', color: '#555', lineHeight: '1.7', fontSize: '14px' }}>
+          <li>{t('yourData.storedText')}</li>
+          <li>{t('yourData.storedAnalysis')}</li>
+          <li>{t('yourData.storedHabits')}</li>
+          <li>{t('yourData.storedExercises')}</li>
+          <li>{t('yourData.storedReminders')}</li>
+          <li>{t('yourData.storedBrowser')}</li>
+          <li>{user ? t('yourData.storedAccount', { email: user.email }) : t('yourData.storedSession')}</li>
+        </ul>
+      </div>
+
+      <div style={sectionStyle}>
+        <strong>{t('yourData.downloadTitle')}</strong>
+        <p style={{ color: '#555', fontSize: '14px' }}>
+          {t('yourData.downloadText')}
+        </p>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {['json', 'csv'].map((format) => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              disabled={Boolean(downloading)}
+              style={{ ...buttonStyle, backgroundColor: '#667eea', opacity: downloading ? 0.6 : 1 }}
+            >
+              {downloading === format ? t('yourData.preparing') : `⬇️ ${format.toUpperCase()}`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ ...sectionStyle, border: '2px solid #f5c2c7', backgroundColor: '#fff8f8' }}>
+        <strong style={{ color: '#b02a37' }}>{t('yourData.deleteTitle')}</strong>
+        <p style={{ color: '#555', fontSize: '14px' }}>
+          {t(user ? 'yourData.deleteTextAccount' : 'yourData.deleteText')}
+        </p>
+        <label style={{ fontSize: '14px', color: '#333' }}>
+          {t('yourData.confirmBefore')} <strong>{CONFIRM_WORD}</strong> {t('yourData.confirmAfter')}
+          <input
+            value={confirmText}
+            onChange={(e) => setConfirmText(e.target.value)}
+            aria-label={t('yourData.confirmLabel', { word: CONFIRM_WORD })}
+            style={{ marginLeft: '10px', padding: '6px 10px', border: '2px solid #e0e0e0', borderRadius: '6px' }}
+          />
+        </label>
+        <div style={{ marginTop: '12px' }}>
+          <button
+            onClick={eraseEverything}
+            disabled={confirmText !== CONFIRM_WORD || deleting}
+            style={{
+              ...buttonStyle,
+              backgroundColor: '#dc3545',
+              opacity: confirmText !== CONFIRM_WORD || deleting ? 0.5 : 1,
+              cursor: confirmText !== CONFIRM_WORD || deleting ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {deleting ? t('yourData.deleting') : t('yourData.delete')}
+          </button>
+        </div>
+      </div>
+
+      {erased && (
+        <div role="status" style={{ padding: '15px', backgroundColor: '#f0fff4', color: '#155724', borderRadius: '8px', fontSize: '14px' }}>
+          {t(erased.account ? 'yourData.erasedAccount' : 'yourData.erased', erased)}
+        </div>
+      )}
+      {error && (
+        <div style={{ padding: '15px', backgroundColor: '#fff5f5', color: '#721c24', borderRadius: '8px', fontSize: '14px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default YourData;
@@ -0,0 +1,49 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import api, { authStore } from '../api';
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(() => authStore.get()?.user || null);
+
+  // Token refresh fail hone par api.js store clear karta hai - yahan sync rakhte hain
+  useEffect(() => authStore.subscribe((auth) => setUser(auth?.user || null)), []);
+
+  const value = useMemo(() => ({
+    user,
+    isAuthenticated: Boolean(user),
+
+    async login(email, password) {
+      const res = await api.post('/auth/login', { email, password });
+      authStore.set(res.data);
+      return res.data;
+    },
+
+    async register(email, password, displayName) {
+      const res = await api.post('/auth/register', { email, password, displayName });
+      authStore.set(res.data);
+      return res.data;
+    },
+
+    async logout() {
+      const refreshToken = authStore.get()?.refreshToken;
+      try {
+        await api.post('/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      } finally {
+        authStore.clear();
+      }
+    }
+  }), [user]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return context;
+}
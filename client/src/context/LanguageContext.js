@@ -0,0 +1,34 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { languageStore, translate } from '../i18n';
+
+const LanguageContext = createContext(null);
+
+export function LanguageProvider({ children }) {
+  const [language, setLanguage] = useState(() => languageStore.get());
+
+  // Screen readers aur browser fonts ke liye <html lang>
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({
+    language,
+
+    setLanguage(next) {
+      languageStore.set(next);
+      setLanguage(next);
+    },
+
+    t: (key, vars) => translate(language, key, vars)
+  }), [language]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+}
+
+export function useTranslation() {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useTranslation must be used inside <LanguageProvider>');
+  }
+  return context;
+}
@@ -0,0 +1,45 @@
+import { languageStore, translate } from './i18n';
+
+// Server error codes (server/utils/errors.js) -> messages shown to the user.
+// VALIDATION_ERROR aur RATE_LIMITED ke liye server ka apna message better hai - usme field / wait time hota hai.
+// Messages live in the i18n catalogs as errors.<CODE>, in the user's chosen language.
+const MESSAGE_KEYS = {
+  INVALID_JSON: 'INVALID_JSON',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  INVALID_TOKEN: 'SESSION_EXPIRED',
+  TOKEN_EXPIRED: 'SESSION_EXPIRED',
+  INVALID_REFRESH_TOKEN: 'SESSION_EXPIRED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  EMAIL_TAKEN: 'EMAIL_TAKEN',
+  NOT_FOUND: 'NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  TRANSCRIPTION_FAILED: 'TRANSCRIPTION_FAILED',
+  SPEECH_SERVICE_UNAVAILABLE: 'SPEECH_SERVICE_UNAVAILABLE',
+  SPEECH_SERVICE_ERROR: 'SPEECH_SERVICE_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AI_SERVICE_UNAVAILABLE: 'AI_SERVICE_UNAVAILABLE',
+  AI_SERVICE_TIMEOUT: 'AI_SERVICE_TIMEOUT',
+  AI_SERVICE_ERROR: 'AI_SERVICE_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const message = (key) => translate(languageStore.get(), `errors.${key}`);
+
+const SERVER_MESSAGE_CODES = ['VALIDATION_ERROR', 'RATE_LIMITED'];
+
+export const getErrorCode = (error) => error?.response?.data?.code || null;
+
+// Friendly message for an axios (or streamAnalyzeMood) error
+export const getErrorMessage = (error, fallback = message('GENERIC')) => {
+  if (error?.response) {
+    const { code, error: serverMessage } = error.response.data || {};
+    if (SERVER_MESSAGE_CODES.includes(code) && serverMessage) return serverMessage;
+    return (MESSAGE_KEYS[code] && message(MESSAGE_KEYS[code])) || serverMessage || fallback;
+  }
+  if (error?.request) {
+    return message('UNREACHABLE');
+  }
+  return fallback;
+};
@@ -0,0 +1,95 @@
+// Guided exercises - ids server ke services/exercises.js se match karte hain.
+// Har exercise ke settings (options) hain aur buildSteps() unse timed steps banata hai:
+// { title, instruction, seconds, phase } - phase breathing circle ko chalata hai
+// (inhale = bada, exhale = chhota, hold = jaisa hai waisa, null = circle nahi).
+// Names, descriptions, labels aur step ke title/instruction i18n keys hain - components t() se dikhate hain.
+
+const breathingRounds = { key: 'rounds', label: 'exerciseOption.rounds', values: [3, 4, 6, 8], defaultValue: 4 };
+
+const BREATH_STEPS = {
+  inhale: { title: 'exerciseStep.inhale', instruction: 'exerciseStep.inhaleHint' },
+  hold: { title: 'exerciseStep.hold', instruction: 'exerciseStep.holdHint' },
+  exhale: { title: 'exerciseStep.exhale', instruction: 'exerciseStep.exhaleHint' },
+  rest: { title: 'exerciseStep.hold', instruction: 'exerciseStep.restHint' }
+};
+
+const breath = (phase, seconds) => ({ ...BREATH_STEPS[phase], phase: phase === 'rest' ? 'hold' : phase, seconds });
+
+const repeat = (rounds, makeRound) => Array.from({ length: rounds }, makeRound).flat();
+
+// exerciseStep.<sense> / exerciseStep.<sense>Hint
+const GROUNDING_SENSES = ['see', 'touch', 'hear', 'smell', 'taste'];
+
+// exerciseStep.<region> / exerciseStep.<region>Hint
+const BODY_REGIONS = ['feet', 'legs', 'hips', 'chest', 'arms', 'shoulders', 'face', 'wholeBody'];
+
+export const EXERCISES = [
+  {
+    id: 'breathing-478',
+    name: 'exercise.breathing478.name',
+    emoji: '🌬️',
+    description: 'exercise.breathing478.description',
+    options: [breathingRounds],
+    buildSteps: ({ rounds }) => repeat(rounds, () => [breath('inhale', 4), breath('hold', 7), breath('exhale', 8)])
+  },
+  {
+    id: 'box-breathing',
+    name: 'exercise.boxBreathing.name',
+    emoji: '🟦',
+    description: 'exercise.boxBreathing.description',
+    options: [
+      { key: 'side', label: 'exerciseOption.side', values: [3, 4, 5, 6], defaultValue: 4 },
+      breathingRounds
+    ],
+    buildSteps: ({ side, rounds }) => repeat(rounds, () => [
+      breath('inhale', side), breath('hold', side), breath('exhale', side), breath('rest', side)
+    ])
+  },
+  {
+    id: 'grounding-54321',
+    name: 'exercise.grounding54321.name',
+    emoji: '🖐️',
+    description: 'exercise.grounding54321.description',
+    options: [{ key: 'secondsPerSense', label: 'exerciseOption.secondsPerSense', values: [20, 30, 45], defaultValue: 30 }],
+    buildSteps: ({ secondsPerSense }) => GROUNDING_SENSES.map((sense) => ({
+      title: `exerciseStep.${sense}`,
+      instruction: `exerciseStep.${sense}Hint`,
+      seconds: secondsPerSense,
+      phase: null
+    }))
+  },
+  {
+    id: 'body-scan',
+    name: 'exercise.bodyScan.name',
+    emoji: '🧘',
+    description: 'exercise.bodyScan.description',
+    options: [{ key: 'minutes', label: 'exerciseOption.minutes', values: [3, 5, 10], defaultValue: 5 }],
+    buildSteps: ({ minutes }) => {
+      const seconds = Math.round((minutes * 60) / BODY_REGIONS.length);
+      return BODY_REGIONS.map((region) => ({
+        title: `exerciseStep.${region}`,
+        instruction: `exerciseStep.${region}Hint`,
+        seconds,
+        phase: null
+      }));
+    }
+  }
+];
+
+export const getExercise = (id) => EXERCISES.find((exercise) => exercise.id === id) || null;
+
+export const defaultSettings = (exercise) => Object.fromEntries(
+  exercise.options.map((option) => [option.key, option.defaultValue])
+);
+
+export const buildSteps = (exercise, settings = {}) => exercise.buildSteps({ ...defaultSettings(exercise), ...settings });
+
+export const totalSeconds = (steps) => steps.reduce((sum, step) => sum + step.seconds, 0);
+
+export const formatDuration = (seconds, t) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  return minutes > 0
+    ? t('duration.minutes', { minutes, seconds: String(rest).padStart(2, '0') })
+    : t('duration.seconds', { seconds: rest });
+};
@@ -0,0 +1,448 @@
+// English UI strings - sabhi keys yahan honi chahiye, doosri languages ki missing keys yahin se aati hain
+const en = {
+  'app.title': 'AI Mental Health Companion 🧠💭',
+  'app.subtitle': 'Share your thoughts and get personalized mood insights',
+  'app.language': 'Language',
+  'app.logOut': 'Log Out',
+  'app.logIn': '🔐 Log In / Sign Up',
+  'app.yourData': '🔒 Your Data',
+
+  'tabs.analyzer': '🎯 Mood Check-in',
+  'tabs.chat': '💬 Companion Chat',
+  'tabs.journal': '📓 Journal',
+  'tabs.dashboard': '📈 Dashboard',
+  'tabs.habits': '🌱 Habits',
+  'tabs.exercises': '🧘 Exercises',
+  'tabs.reminders': '🔔 Reminders',
+
+  'checkIn.label': 'How are you feeling today?',
+  'checkIn.placeholder': 'Share your thoughts, feelings, or describe your day... (Press Ctrl+Enter to analyze)',
+  'checkIn.characters': '{count} characters',
+  'checkIn.empty': 'Please enter some text before analyzing!',
+  'checkIn.analyze': '🎯 Analyze My Mood',
+  'checkIn.analyzing': '🔄 Analyzing your mood...',
+  'checkIn.tryAgainIn': '⏳ Try again in {seconds}s',
+
+  'stage.transcribing': '🎙️ Listening to your recording...',
+  'stage.received': '📨 Received — reading your words...',
+  'stage.sentiment': '🧠 Sentiment detected — preparing recommendation...',
+  'stage.recommendation': '💡 Gathering a few tips...',
+  'stage.tips': '💾 Saving your check-in...',
+  'stage.saved': '✅ Almost done...',
+
+  'result.error': '❌ Error Occurred',
+  'result.title': '📊 Mood Analysis Results',
+  'result.pending': 'Your check-in was saved and will be analyzed shortly.',
+  'result.pendingHint': 'The result will show up in your history below.',
+  'result.transcript': '🎙️ We heard:',
+  'result.transcriptConfidence': '{percent}% sure of the transcript',
+  'result.sentiment': 'Sentiment:',
+  'result.failover': '⚙️ The main AI service is offline, so this was analyzed with our built-in analyzer.',
+  'result.confidence': 'Confidence Score:',
+  'result.recommendation': '💡 Recommendation:',
+  'result.tips': '✨ Things that might help:',
+  'result.startExercise': '▶ Start',
+  'result.startExerciseHint': 'Do this now as a guided exercise',
+
+  'sentiment.POSITIVE': 'POSITIVE',
+  'sentiment.NEGATIVE': 'NEGATIVE',
+  'sentiment.NEUTRAL': 'NEUTRAL',
+  'sentiment.MIXED': 'MIXED',
+
+  'feedback.title': '🙋 Was this helpful?',
+  'feedback.helpful': 'Helpful',
+  'feedback.notHelpful': 'Not helpful',
+  'feedback.rating': 'Rating',
+  'feedback.star': '{count} star',
+  'feedback.stars': '{count} stars',
+  'feedback.comment': 'Feedback comment',
+  'feedback.commentPlaceholder': 'Anything we could do better? (optional)',
+  'feedback.send': 'Send',
+  'feedback.thanks': 'Thanks for telling us! 💜',
+  'feedback.error': 'Could not save your feedback. Please try again.',
+
+  'voice.record': '🎙️ Record instead',
+  'voice.waveform': 'Recording waveform',
+  'voice.stop': '⏹ Stop',
+  'voice.preview': 'Your recording',
+  'voice.analyze': '🎯 Analyze recording',
+  'voice.again': 'Record again',
+  'voice.discard': 'Discard',
+  'voice.micUnavailable': "We couldn't use your microphone. Please allow microphone access, or type your check-in instead.",
+
+  'cooldown.title': "🌿 Let's take a short pause",
+  'cooldown.before': "You've sent quite a few messages in a short time. Take a slow breath — you can try again in",
+  'cooldown.after': '.',
+
+  'crisis.title': "🤝 You don't have to go through this alone",
+  'crisis.emergency': 'If you are in immediate danger, please call your local emergency number (112 in India).',
+
+  'sentimentName.POSITIVE': 'Positive',
+  'sentimentName.NEGATIVE': 'Negative',
+  'sentimentName.NEUTRAL': 'Neutral',
+  'sentimentName.MIXED': 'Mixed',
+
+  'emotions.title': '🎭 Emotions we picked up:',
+  'emotions.none': "Nothing stood out strongly — that's okay too.",
+  'emotion.joy': 'Joy',
+  'emotion.gratitude': 'Gratitude',
+  'emotion.sadness': 'Sadness',
+  'emotion.loneliness': 'Loneliness',
+  'emotion.anxiety': 'Anxiety',
+  'emotion.fear': 'Fear',
+  'emotion.anger': 'Anger',
+
+  'addHabit.add': '+ Habit',
+  'addHabit.hint': 'Track this tip in your habits',
+  'addHabit.added': '✓ Added to your habits',
+  'addHabit.retry': 'Try again',
+
+  'donut.label': 'Sentiment distribution',
+  'donut.checkIns': 'check-ins',
+  'donut.empty': 'No data yet',
+
+  'timeline.empty': 'No check-ins in this period yet.',
+  'timeline.label': 'Mood timeline with {count} {bucket} points',
+  'timeline.day': 'day',
+  'timeline.week': 'week',
+  'timeline.month': 'month',
+  'timeline.point': '{date}: 1 check-in, mood {score}',
+  'timeline.points': '{date}: {count} check-ins, mood {score}',
+
+  'reminderBanner.dismiss': 'Dismiss reminder',
+  'reminderBanner.checkIn': '✍️ Check in now',
+  'reminderBanner.snooze': '⏰ Snooze 1 hour',
+
+  'dashboard.title': '📈 Your Mood Over Time',
+  'dashboard.range': 'Date range',
+  'dashboard.range7': 'Last 7 days',
+  'dashboard.range30': 'Last 30 days',
+  'dashboard.range90': 'Last 3 months',
+  'dashboard.range180': 'Last 6 months',
+  'dashboard.range365': 'Last year',
+  'dashboard.groupBy': 'Group by',
+  'dashboard.bucketAuto': 'Auto',
+  'dashboard.bucketDay': 'Daily',
+  'dashboard.bucketWeek': 'Weekly',
+  'dashboard.bucketMonth': 'Monthly',
+  'dashboard.error': 'Could not load your mood dashboard. Please try again.',
+  'dashboard.loading': '🔄 Loading your dashboard...',
+  'dashboard.checkIns': 'Check-ins',
+  'dashboard.averageConfidence': 'Average confidence',
+  'dashboard.dayStreak': 'Day streak',
+  'dashboard.checkedInToday': 'Checked in today',
+  'dashboard.keepGoing': 'Check in today to keep it going',
+  'dashboard.longestStreak': 'Longest streak',
+  'dashboard.daysInARow': 'days in a row',
+  'dashboard.runOne': '{sentiment} check-in in a row',
+  'dashboard.runMany': '{sentiment} check-ins in a row',
+  'dashboard.timeline': '🗓️ Mood timeline',
+  'dashboard.distribution': '🍩 Sentiment distribution',
+  'dashboard.exercises': '🧘 Guided exercises',
+  'dashboard.sessionOne': '1 session · {minutes} min',
+  'dashboard.sessionMany': '{count} sessions · {minutes} min',
+  'dashboard.moodBefore': 'Mood before',
+  'dashboard.moodAfter': 'after',
+  'dashboard.moodChange': '({change} on a 1-5 scale)',
+  'dashboard.rateExercises': 'Rate your mood before and after an exercise to see how it helps.',
+
+  'history.title': '📚 Your Check-in History',
+  'history.clear': 'Clear History',
+  'history.confirmClear': 'Delete all of your saved check-ins? This cannot be undone.',
+  'history.search': 'Search history',
+  'history.searchPlaceholder': '🔍 Search your entries...',
+  'history.filterSentiment': 'Filter by sentiment',
+  'history.allMoods': 'All moods',
+  'history.from': 'From date',
+  'history.to': 'To date',
+  'history.loadError': 'Could not load your history. Please try again.',
+  'history.deleteError': 'Could not delete that entry. Please try again.',
+  'history.clearError': 'Could not clear your history. Please try again.',
+  'history.noMatches': 'No entries match these filters.',
+  'history.empty': 'Your saved check-ins will show up here.',
+  'history.deleteEntry': 'Delete entry',
+  'history.delete': '🗑️ Delete',
+  'history.input': 'Input:',
+  'history.pending': '🕒 Will be analyzed shortly',
+  'history.failed': "⚠️ We couldn't analyze this one",
+  'history.confidence': '{percent}% confidence',
+  'history.supportShared': '🤝 Support resources shared',
+  'history.loading': '🔄 Loading...',
+  'history.loadMore': 'Load more',
+
+  'yourData.title': '🔒 Your Data',
+  'yourData.storedTitle': 'What we store',
+  'yourData.storedText': 'The text of each check-in, chat message and journal entry you write',
+  'yourData.storedAnalysis': 'The mood analysis, emotions and tips we gave you, and any feedback you left',
+  'yourData.storedHabits': 'The habits you track and the days you logged them',
+  'yourData.storedExercises': 'Guided exercises you did, how long, and the mood you rated before and after',
+  'yourData.storedReminders': 'Your reminder settings, browser notification subscriptions and the reminders we sent you',
+  'yourData.storedBrowser': "Your browser's user agent and language, and a one-way hash of your IP address",
+  'yourData.storedAccount': 'Your account ({email})',
+  'yourData.storedSession': 'An anonymous session ID stored in this browser',
+  'yourData.downloadTitle': '📦 Download a copy',
+  'yourData.downloadText': 'Everything above, including your session stats and preferences. JSON keeps every detail; CSV opens in a spreadsheet.',
+  'yourData.preparing': '🔄 Preparing...',
+  'yourData.exportError': 'Could not prepare your export. Please try again.',
+  'yourData.deleteTitle': '🗑️ Delete everything',
+  'yourData.deleteText': "Permanently deletes all of your check-ins, chats, journal entries and stats. This can't be undone — download a copy first if you want one.",
+  'yourData.deleteTextAccount': "Permanently deletes all of your check-ins, chats, journal entries and stats, and closes your account. This can't be undone — download a copy first if you want one.",
+  'yourData.confirmBefore': 'Type',
+  'yourData.confirmAfter': 'to confirm:',
+  'yourData.confirmLabel': 'Type {word} to confirm',
+  'yourData.deleting': '🔄 Deleting...',
+  'yourData.delete': 'Delete all my data',
+  'yourData.deleteError': 'Could not delete your data. Nothing was removed — please try again.',
+  'yourData.erased': '✅ Done. We deleted {conversations} check-ins, {threads} chats and {journalEntries} journal entries.',
+  'yourData.erasedAccount': '✅ Done. We deleted {conversations} check-ins, {threads} chats and {journalEntries} journal entries, and your account.',
+
+  'auth.signupTitle': '✨ Create your account',
+  'auth.loginTitle': '🔐 Welcome back',
+  'auth.signupText': 'Your check-ins from this browser will be saved to your new account.',
+  'auth.loginText': 'Sign in to see your mood history on any device.',
+  'auth.namePlaceholder': 'Name (optional)',
+  'auth.name': 'Name',
+  'auth.email': 'Email',
+  'auth.passwordPlaceholder': 'Password (min 8 characters)',
+  'auth.password': 'Password',
+  'auth.wait': '🔄 Please wait...',
+  'auth.signUp': 'Sign Up',
+  'auth.logIn': 'Log In',
+  'auth.toLogin': 'Already have an account? Log in',
+  'auth.toSignup': 'New here? Create an account',
+  'auth.skip': 'Continue without an account',
+
+  'chat.typing': 'Companion is typing',
+  'chat.newChat': '➕ New Chat',
+  'chat.messageOne': '{count} message',
+  'chat.messageMany': '{count} messages',
+  'chat.empty': "💬 Start a conversation — I'm here to listen.",
+  'chat.placeholder': 'Type a message... (Enter to send, Shift+Enter for a new line)',
+  'chat.label': 'Chat message',
+  'chat.send': 'Send',
+
+  'journal.title': '📓 Your Journal',
+  'journal.list': '☰ List',
+  'journal.calendar': '📅 Calendar',
+  'journal.newEntry': '✍️ New Entry',
+  'journal.allTags': 'All',
+  'journal.noTagged': 'No entries tagged #{tag}.',
+  'journal.empty': 'No entries yet — start writing whenever you are ready.',
+  'journal.wordOne': '{count} word',
+  'journal.wordMany': '{count} words',
+  'journal.loadMore': 'Load more',
+  'journal.loadError': 'Could not load your journal. Please try again.',
+  'journal.openError': 'Could not open that entry.',
+  'journal.deleteError': 'Could not delete that entry.',
+  'journal.revisionsError': 'Could not load the edit history.',
+  'journal.confirmDelete': 'Delete this journal entry? This cannot be undone.',
+  'journal.back': '← All entries',
+  'journal.edit': '✏️ Edit',
+  'journal.delete': '🗑️ Delete',
+  'journal.mood': 'Mood of this entry:',
+  'journal.chunks': 'Read in {chunks} parts because of its length.',
+  'journal.recommendation': '💡 Recommendation:',
+  'journal.showHistory': '🕘 Show edit history ({count})',
+  'journal.hideHistory': '🕘 Hide edit history ({count})',
+  'journal.beforeEdit': 'Before edit on {date}',
+
+  'journalEditor.bold': 'Bold',
+  'journalEditor.italic': 'Italic',
+  'journalEditor.heading': 'Heading',
+  'journalEditor.bulleted': 'Bulleted list',
+  'journalEditor.numbered': 'Numbered list',
+  'journalEditor.quote': 'Quote',
+  'journalEditor.title': 'Title',
+  'journalEditor.titlePlaceholder': "Give today's entry a title",
+  'journalEditor.write': '✏️ Write',
+  'journalEditor.preview': '👁️ Preview',
+  'journalEditor.nothingToPreview': 'Nothing to preview yet.',
+  'journalEditor.body': 'Entry',
+  'journalEditor.bodyPlaceholder': 'Write as much as you like...',
+  'journalEditor.characters': '{count} / {max} characters',
+  'journalEditor.tags': 'Tags',
+  'journalEditor.tagsPlaceholder': 'Tags, comma separated (e.g. work, family)',
+  'journalEditor.date': 'Entry date',
+  'journalEditor.attach': '📎 Attach files',
+  'journalEditor.remove': 'Remove {name}',
+  'journalEditor.saving': '🔄 Saving & reading your mood...',
+  'journalEditor.saveChanges': '💾 Save Changes',
+  'journalEditor.saveEntry': '💾 Save Entry',
+  'journalEditor.cancel': 'Cancel',
+
+  'calendar.previous': 'Previous month',
+  'calendar.next': 'Next month',
+  'calendar.error': 'Could not load this month. Please try again.',
+  'calendar.entryOne': '{date}: {count} entry',
+  'calendar.entryMany': '{date}: {count} entries',
+  'calendar.empty': 'No entries on this day.',
+
+  'habits.title': '🌱 Habits',
+  'habits.namePlaceholder': 'e.g. Meditate for 5 minutes',
+  'habits.name': 'Habit name',
+  'habits.frequency': 'How often',
+  'habits.daily': 'Every day',
+  'habits.weekly': 'Times a week',
+  'habits.timesPerWeek': 'Times per week',
+  'habits.add': '+ Add habit',
+  'habits.loadError': 'Could not load your habits. Please try again.',
+  'habits.empty': 'No habits yet. Add one above, or tap "+ Habit" next to a tip after a check-in.',
+  'habits.thisWeek': '{done}/{goal} this week',
+  'habits.streakDay': '{count} day',
+  'habits.streakDays': '{count} days',
+  'habits.streakWeek': '{count} week',
+  'habits.streakWeeks': '{count} weeks',
+  'habits.done': 'done',
+  'habits.notDone': 'not done',
+  'habits.doneToday': '✅ Done today',
+  'habits.markDone': 'Mark done',
+  'habits.archive': 'Archive',
+  'habits.needMoreData': 'Keep logging and checking in — we need {minDays} days with and {minDays} without it (so far {doneDays} and {skippedDays}).',
+  'habits.moodBetter': "😊 Mood {done} on days you did it, {skipped} on days you didn't — it seems to help!",
+  'habits.moodWorse': "🤔 Mood {done} on days you did it, {skipped} on days you didn't.",
+  'habits.moodSame': "😐 Mood {done} on days you did it, {skipped} on days you didn't — about the same.",
+  'habits.footnote': 'Mood compares your check-ins over the last {days} days (−1 to +1). It shows a pattern, not a cause.',
+
+  'exercises.title': '🧘 Exercises',
+  'exercises.back': '← All exercises',
+  'exercises.about': 'About {duration}',
+  'exercises.sessions': ' · {count} in the last 30 days',
+  'exercises.moodChange': ' · mood {change} after',
+  'exercises.start': '▶ Start',
+  'exercises.startLabel': 'Start {name}',
+  'exercises.footnote': 'Rate your mood before and after each exercise to see what helps you most.',
+
+  'exercise.breathing478.name': '4-7-8 breathing',
+  'exercise.breathing478.description': 'In for 4, hold for 7, out for 8. Slows your heart rate and helps with anxiety and sleep.',
+  'exercise.boxBreathing.name': 'Box breathing',
+  'exercise.boxBreathing.description': 'Four equal sides: in, hold, out, hold. Steadies you when things feel like too much.',
+  'exercise.grounding54321.name': '5-4-3-2-1 grounding',
+  'exercise.grounding54321.description': 'Use your five senses to come back to the present when your thoughts are racing.',
+  'exercise.bodyScan.name': 'Body scan',
+  'exercise.bodyScan.description': 'Move your attention slowly from your feet to your head, relaxing as you go.',
+
+  'exerciseOption.rounds': 'Rounds',
+  'exerciseOption.side': 'Seconds per side',
+  'exerciseOption.secondsPerSense': 'Seconds per sense',
+  'exerciseOption.minutes': 'Minutes',
+
+  'exerciseStep.inhale': 'Breathe in',
+  'exerciseStep.inhaleHint': 'Slowly through your nose',
+  'exerciseStep.hold': 'Hold',
+  'exerciseStep.holdHint': 'Keep the breath in, gently',
+  'exerciseStep.exhale': 'Breathe out',
+  'exerciseStep.exhaleHint': 'Slowly through your mouth',
+  'exerciseStep.restHint': 'Stay empty for a moment',
+  'exerciseStep.see': '5 things you can see',
+  'exerciseStep.seeHint': 'Look around slowly and name each one.',
+  'exerciseStep.touch': '4 things you can touch',
+  'exerciseStep.touchHint': 'Notice their texture, temperature, weight.',
+  'exerciseStep.hear': '3 things you can hear',
+  'exerciseStep.hearHint': 'Near and far - even quiet sounds count.',
+  'exerciseStep.smell': '2 things you can smell',
+  'exerciseStep.smellHint': 'Or two smells you like, if nothing stands out.',
+  'exerciseStep.taste': '1 thing you can taste',
+  'exerciseStep.tasteHint': 'Or take a sip of water and notice it.',
+  'exerciseStep.feet': 'Feet and toes',
+  'exerciseStep.feetHint': 'Notice any warmth, pressure or tingling.',
+  'exerciseStep.legs': 'Legs and knees',
+  'exerciseStep.legsHint': 'Let them feel heavy and supported.',
+  'exerciseStep.hips': 'Hips and lower back',
+  'exerciseStep.hipsHint': 'Breathe into any tightness and let it soften.',
+  'exerciseStep.chest': 'Belly and chest',
+  'exerciseStep.chestHint': 'Feel them rise and fall with each breath.',
+  'exerciseStep.arms': 'Hands and arms',
+  'exerciseStep.armsHint': 'Unclench your fingers; let your arms go loose.',
+  'exerciseStep.shoulders': 'Shoulders and neck',
+  'exerciseStep.shouldersHint': 'Let your shoulders drop away from your ears.',
+  'exerciseStep.face': 'Face and head',
+  'exerciseStep.faceHint': 'Relax your jaw, your eyes, your forehead.',
+  'exerciseStep.wholeBody': 'Whole body',
+  'exerciseStep.wholeBodyHint': 'Notice your body as one, breathing calmly.',
+
+  'duration.minutes': '{minutes}:{seconds} min',
+  'duration.seconds': '{seconds} sec',
+
+  'player.close': 'Close exercise',
+  'player.rating': '{rating} out of 5',
+  'player.sound': 'Sound cues',
+  'player.about': 'About {duration}',
+  'player.moodBefore': 'How are you feeling right now? (optional)',
+  'player.begin': '▶ Begin',
+  'player.step': 'Step {step} of {total}',
+  'player.resume': '▶ Resume',
+  'player.pause': '⏸ Pause',
+  'player.next': 'Next ⏭',
+  'player.stop': 'Stop',
+  'player.completed': '🌿 Well done. You spent {duration} on this.',
+  'player.stoppedEarly': 'Stopped early — that still counts. You spent {duration} on this.',
+  'player.moodAfter': 'How do you feel now? (optional)',
+  'player.saving': 'Saving...',
+  'player.save': 'Save',
+  'player.saved': '✓ Saved.',
+  'player.moodChange': ' Mood {before} → {after}',
+  'player.again': 'Do it again',
+
+  'reminders.title': '🔔 Check-in Reminders',
+  'reminders.loading': '🔄 Loading your reminders...',
+  'reminders.loadError': 'Could not load your reminder settings. Please try again.',
+  'reminders.saveError': 'Could not save your reminders. Please try again.',
+  'reminders.pushBlocked': 'Notifications are blocked for this site. Allow them in your browser settings, or pick another channel.',
+  'reminders.saved': '✅ Reminders saved.',
+  'reminders.savedOff': '✅ Saved. Reminders are off.',
+  'reminders.enable': 'Remind me to check in',
+  'reminders.snoozedUntil': '😴 Snoozed until {date}',
+  'reminders.next': '⏰ Next reminder: {date}',
+  'reminders.resume': '▶️ Resume',
+  'reminders.snoozeHour': 'Snooze 1 hour',
+  'reminders.snoozeDay': 'Snooze 1 day',
+  'reminders.backoff': "You've missed a few reminders, so we're sending fewer for now. Your next check-in brings them back to normal.",
+  'reminders.when': 'When',
+  'reminders.frequency': 'How often',
+  'reminders.daily': 'Every day',
+  'reminders.weekly': 'On these days',
+  'reminders.time': 'Reminder time',
+  'reminders.removeTime': 'Remove reminder time',
+  'reminders.addTime': '+ Add a reminder time',
+  'reminders.timezone': 'Timezone:',
+  'reminders.useDevice': "Use this device's ({timezone})",
+  'reminders.where': 'Where',
+  'reminders.inApp': '🔔 In the app',
+  'reminders.webPush': '📲 Browser notifications',
+  'reminders.email': '✉️ Email',
+  'reminders.emailTo': 'Email reminders go to your account address, {email}.',
+  'reminders.quietHours': 'Quiet hours',
+  'reminders.quietFrom': 'No reminders from',
+  'reminders.quietTo': 'to',
+  'reminders.quietStart': 'Quiet hours start',
+  'reminders.quietEnd': 'Quiet hours end',
+  'reminders.quietHint': 'A reminder that falls in this window is sent when it ends.',
+  'reminders.saving': '🔄 Saving...',
+  'reminders.save': '💾 Save reminders',
+
+  'footer.tip': '💡 Tip:',
+  'footer.before': 'Press',
+  'footer.after': 'to quickly analyze your mood',
+
+  'errors.INVALID_JSON': 'Something went wrong sending your request. Please try again.',
+  'errors.PAYLOAD_TOO_LARGE': 'That is too much to send at once. Please shorten it and try again.',
+  'errors.AUTH_REQUIRED': 'Please log in to do that.',
+  'errors.SESSION_EXPIRED': 'Your login has expired. Please log in again.',
+  'errors.INVALID_CREDENTIALS': "That email and password don't match. Please try again.",
+  'errors.EMAIL_TAKEN': 'An account with this email already exists. Try logging in instead.',
+  'errors.NOT_FOUND': "We couldn't find that — it may have been deleted.",
+  'errors.ROUTE_NOT_FOUND': "The server doesn't support this yet. Please make sure it is up to date.",
+  'errors.UNSUPPORTED_MEDIA_TYPE': "Your browser recorded audio in a format we can't read. Please type your check-in instead.",
+  'errors.TRANSCRIPTION_FAILED': "We couldn't hear that clearly. Please try again somewhere quieter, or type your check-in.",
+  'errors.SPEECH_SERVICE_UNAVAILABLE': 'Voice check-ins are unavailable right now. Please type your check-in instead.',
+  'errors.SPEECH_SERVICE_ERROR': 'We could not transcribe your recording. Please try again or type your check-in instead.',
+  'errors.RATE_LIMITED': "You're going a little fast. Please wait a moment and try again.",
+  'errors.AI_SERVICE_UNAVAILABLE': 'The mood analysis service is offline right now. Please try again in a few minutes.',
+  'errors.AI_SERVICE_TIMEOUT': 'The mood analysis took too long. Please try again.',
+  'errors.AI_SERVICE_ERROR': 'The mood analysis service ran into a problem. Please try again.',
+  'errors.INTERNAL_ERROR': 'Something went wrong on our side. Please try again.',
+  'errors.UNREACHABLE': 'Unable to connect to server. Please check if all servers are running.',
+  'errors.GENERIC': 'Something went wrong. Please try again.'
+};
+
+export default en;
@@ -0,0 +1,448 @@
+// हिन्दी UI strings - jo key yahan nahi hai woh English (en.js) se aati hai
+const hi = {
+  'app.title': 'AI मानसिक स्वास्थ्य साथी 🧠💭',
+  'app.subtitle': 'अपने मन की बात लिखिए और अपने मूड की समझ पाइए',
+  'app.language': 'भाषा',
+  'app.logOut': 'लॉग आउट',
+  'app.logIn': '🔐 लॉग इन / साइन अप',
+  'app.yourData': '🔒 आपका डेटा',
+
+  'tabs.analyzer': '🎯 मूड चेक-इन',
+  'tabs.chat': '💬 साथी से बात',
+  'tabs.journal': '📓 डायरी',
+  'tabs.dashboard': '📈 डैशबोर्ड',
+  'tabs.habits': '🌱 आदतें',
+  'tabs.exercises': '🧘 अभ्यास',
+  'tabs.reminders': '🔔 रिमाइंडर',
+
+  'checkIn.label': 'आज आप कैसा महसूस कर रहे हैं?',
+  'checkIn.placeholder': 'अपने विचार, भावनाएँ या अपना दिन लिखिए... (जाँचने के लिए Ctrl+Enter दबाएँ)',
+  'checkIn.characters': '{count} अक्षर',
+  'checkIn.empty': 'जाँचने से पहले कुछ लिखिए!',
+  'checkIn.analyze': '🎯 मेरा मूड जाँचें',
+  'checkIn.analyzing': '🔄 आपका मूड जाँचा जा रहा है...',
+  'checkIn.tryAgainIn': '⏳ {seconds} सेकंड में फिर कोशिश करें',
+
+  'stage.transcribing': '🎙️ आपकी रिकॉर्डिंग सुनी जा रही है...',
+  'stage.received': '📨 मिल गया — आपकी बात पढ़ी जा रही है...',
+  'stage.sentiment': '🧠 मूड पहचान लिया — सुझाव तैयार हो रहा है...',
+  'stage.recommendation': '💡 कुछ उपाय चुने जा रहे हैं...',
+  'stage.tips': '💾 आपका चेक-इन सेव हो रहा है...',
+  'stage.saved': '✅ बस हो गया...',
+
+  'result.error': '❌ कुछ गड़बड़ हो गई',
+  'result.title': '📊 मूड जाँच के नतीजे',
+  'result.pending': 'आपका चेक-इन सेव हो गया है और जल्द ही जाँचा जाएगा।',
+  'result.pendingHint': 'नतीजा नीचे आपकी हिस्ट्री में दिखेगा।',
+  'result.transcript': '🎙️ हमने सुना:',
+  'result.transcriptConfidence': 'लिखे गए शब्दों पर {percent}% भरोसा',
+  'result.sentiment': 'मूड:',
+  'result.failover': '⚙️ मुख्य AI सेवा अभी बंद है, इसलिए यह हमारे अपने एनालाइज़र से जाँचा गया।',
+  'result.confidence': 'भरोसा:',
+  'result.recommendation': '💡 सुझाव:',
+  'result.tips': '✨ ये चीज़ें मदद कर सकती हैं:',
+  'result.startExercise': '▶ शुरू करें',
+  'result.startExerciseHint': 'इसे अभी गाइडेड अभ्यास की तरह करें',
+
+  'sentiment.POSITIVE': 'सकारात्मक',
+  'sentiment.NEGATIVE': 'नकारात्मक',
+  'sentiment.NEUTRAL': 'सामान्य',
+  'sentiment.MIXED': 'मिला-जुला',
+
+  'feedback.title': '🙋 क्या यह मददगार था?',
+  'feedback.helpful': 'मददगार',
+  'feedback.notHelpful': 'मददगार नहीं',
+  'feedback.rating': 'रेटिंग',
+  'feedback.star': '{count} स्टार',
+  'feedback.stars': '{count} स्टार',
+  'feedback.comment': 'आपकी राय',
+  'feedback.commentPlaceholder': 'हम क्या बेहतर कर सकते हैं? (ज़रूरी नहीं)',
+  'feedback.send': 'भेजें',
+  'feedback.thanks': 'बताने के लिए शुक्रिया! 💜',
+  'feedback.error': 'आपकी राय सेव नहीं हो पाई। कृपया फिर कोशिश करें।',
+
+  'voice.record': '🎙️ बोलकर बताएँ',
+  'voice.waveform': 'रिकॉर्डिंग की तरंग',
+  'voice.stop': '⏹ रोकें',
+  'voice.preview': 'आपकी रिकॉर्डिंग',
+  'voice.analyze': '🎯 रिकॉर्डिंग जाँचें',
+  'voice.again': 'फिर से रिकॉर्ड करें',
+  'voice.discard': 'हटाएँ',
+  'voice.micUnavailable': 'माइक्रोफ़ोन इस्तेमाल नहीं हो पाया। कृपया माइक्रोफ़ोन की अनुमति दें, या अपना चेक-इन लिखकर भेजें।',
+
+  'cooldown.title': '🌿 चलिए थोड़ा रुकते हैं',
+  'cooldown.before': 'आपने कम समय में काफ़ी संदेश भेजे हैं। धीरे से एक लंबी साँस लीजिए — आप',
+  'cooldown.after': 'में फिर कोशिश कर सकते हैं।',
+
+  'crisis.title': '🤝 आपको इससे अकेले नहीं गुज़रना है',
+  'crisis.emergency': 'अगर आप तुरंत ख़तरे में हैं, तो कृपया अपने स्थानीय आपातकालीन नंबर पर कॉल करें (भारत में 112)।',
+
+  'sentimentName.POSITIVE': 'सकारात्मक',
+  'sentimentName.NEGATIVE': 'नकारात्मक',
+  'sentimentName.NEUTRAL': 'सामान्य',
+  'sentimentName.MIXED': 'मिला-जुला',
+
+  'emotions.title': '🎭 हमने ये भावनाएँ पहचानीं:',
+  'emotions.none': 'कोई भावना ख़ास तौर पर नहीं उभरी — यह भी ठीक है।',
+  'emotion.joy': 'ख़ुशी',
+  'emotion.gratitude': 'आभार',
+  'emotion.sadness': 'उदासी',
+  'emotion.loneliness': 'अकेलापन',
+  'emotion.anxiety': 'चिंता',
+  'emotion.fear': 'डर',
+  'emotion.anger': 'ग़ुस्सा',
+
+  'addHabit.add': '+ आदत',
+  'addHabit.hint': 'इस सुझाव को अपनी आदतों में ट्रैक करें',
+  'addHabit.added': '✓ आपकी आदतों में जुड़ गया',
+  'addHabit.retry': 'फिर कोशिश करें',
+
+  'donut.label': 'मूड का बँटवारा',
+  'donut.checkIns': 'चेक-इन',
+  'donut.empty': 'अभी कोई डेटा नहीं',
+
+  'timeline.empty': 'इस अवधि में अभी कोई चेक-इन नहीं।',
+  'timeline.label': 'मूड टाइमलाइन, {count} बिंदु (हर {bucket})',
+  'timeline.day': 'दिन',
+  'timeline.week': 'हफ़्ता',
+  'timeline.month': 'महीना',
+  'timeline.point': '{date}: 1 चेक-इन, मूड {score}',
+  'timeline.points': '{date}: {count} चेक-इन, मूड {score}',
+
+  'reminderBanner.dismiss': 'रिमाइंडर हटाएँ',
+  'reminderBanner.checkIn': '✍️ अभी चेक-इन करें',
+  'reminderBanner.snooze': '⏰ 1 घंटे बाद याद दिलाएँ',
+
+  'dashboard.title': '📈 समय के साथ आपका मूड',
+  'dashboard.range': 'अवधि',
+  'dashboard.range7': 'पिछले 7 दिन',
+  'dashboard.range30': 'पिछले 30 दिन',
+  'dashboard.range90': 'पिछले 3 महीने',
+  'dashboard.range180': 'पिछले 6 महीने',
+  'dashboard.range365': 'पिछला एक साल',
+  'dashboard.groupBy': 'किस हिसाब से दिखाएँ',
+  'dashboard.bucketAuto': 'अपने आप',
+  'dashboard.bucketDay': 'रोज़ाना',
+  'dashboard.bucketWeek': 'हफ़्तेवार',
+  'dashboard.bucketMonth': 'महीनेवार',
+  'dashboard.error': 'आपका मूड डैशबोर्ड लोड नहीं हो पाया। कृपया फिर कोशिश करें।',
+  'dashboard.loading': '🔄 आपका डैशबोर्ड लोड हो रहा है...',
+  'dashboard.checkIns': 'चेक-इन',
+  'dashboard.averageConfidence': 'औसत भरोसा',
+  'dashboard.dayStreak': 'लगातार दिन',
+  'dashboard.checkedInToday': 'आज चेक-इन हो गया',
+  'dashboard.keepGoing': 'सिलसिला जारी रखने के लिए आज चेक-इन करें',
+  'dashboard.longestStreak': 'सबसे लंबा सिलसिला',
+  'dashboard.daysInARow': 'लगातार दिन',
+  'dashboard.runOne': 'लगातार 1 {sentiment} चेक-इन',
+  'dashboard.runMany': 'लगातार {sentiment} चेक-इन',
+  'dashboard.timeline': '🗓️ मूड टाइमलाइन',
+  'dashboard.distribution': '🍩 मूड का बँटवारा',
+  'dashboard.exercises': '🧘 गाइडेड अभ्यास',
+  'dashboard.sessionOne': '1 सत्र · {minutes} मिनट',
+  'dashboard.sessionMany': '{count} सत्र · {minutes} मिनट',
+  'dashboard.moodBefore': 'पहले मूड',
+  'dashboard.moodAfter': 'बाद में',
+  'dashboard.moodChange': '(1-5 के पैमाने पर {change})',
+  'dashboard.rateExercises': 'अभ्यास से पहले और बाद में अपना मूड रेट करें, ताकि पता चले कि इससे कितनी मदद मिलती है।',
+
+  'history.title': '📚 आपके चेक-इन की हिस्ट्री',
+  'history.clear': 'हिस्ट्री मिटाएँ',
+  'history.confirmClear': 'क्या आपके सभी सेव किए गए चेक-इन मिटा दें? यह वापस नहीं हो सकता।',
+  'history.search': 'हिस्ट्री में खोजें',
+  'history.searchPlaceholder': '🔍 अपनी एंट्री खोजें...',
+  'history.filterSentiment': 'मूड के हिसाब से छाँटें',
+  'history.allMoods': 'सभी मूड',
+  'history.from': 'इस तारीख से',
+  'history.to': 'इस तारीख तक',
+  'history.loadError': 'आपकी हिस्ट्री लोड नहीं हो पाई। कृपया फिर कोशिश करें।',
+  'history.deleteError': 'यह एंट्री मिटाई नहीं जा सकी। कृपया फिर कोशिश करें।',
+  'history.clearError': 'आपकी हिस्ट्री मिटाई नहीं जा सकी। कृपया फिर कोशिश करें।',
+  'history.noMatches': 'इन फ़िल्टर से कोई एंट्री नहीं मिली।',
+  'history.empty': 'आपके सेव किए गए चेक-इन यहाँ दिखेंगे।',
+  'history.deleteEntry': 'एंट्री मिटाएँ',
+  'history.delete': '🗑️ मिटाएँ',
+  'history.input': 'आपने लिखा:',
+  'history.pending': '🕒 जल्द ही जाँचा जाएगा',
+  'history.failed': '⚠️ इसे जाँचा नहीं जा सका',
+  'history.confidence': '{percent}% भरोसा',
+  'history.supportShared': '🤝 मदद के संसाधन बताए गए',
+  'history.loading': '🔄 लोड हो रहा है...',
+  'history.loadMore': 'और दिखाएँ',
+
+  'yourData.title': '🔒 आपका डेटा',
+  'yourData.storedTitle': 'हम क्या सेव करते हैं',
+  'yourData.storedText': 'आपके हर चेक-इन, चैट संदेश और डायरी एंट्री का टेक्स्ट',
+  'yourData.storedAnalysis': 'मूड की जाँच, भावनाएँ और सुझाव जो हमने दिए, और आपकी दी हुई राय',
+  'yourData.storedHabits': 'आपकी ट्रैक की गई आदतें और वे दिन जब आपने उन्हें दर्ज किया',
+  'yourData.storedExercises': 'आपके किए गाइडेड अभ्यास, कितनी देर किए, और पहले व बाद का मूड',
+  'yourData.storedReminders': 'आपकी रिमाइंडर सेटिंग, ब्राउज़र नोटिफ़िकेशन सब्सक्रिप्शन और भेजे गए रिमाइंडर',
+  'yourData.storedBrowser': 'आपके ब्राउज़र का यूज़र एजेंट और भाषा, और आपके IP पते का एकतरफ़ा हैश',
+  'yourData.storedAccount': 'आपका खाता ({email})',
+  'yourData.storedSession': 'इस ब्राउज़र में सेव एक गुमनाम सेशन ID',
+  'yourData.downloadTitle': '📦 एक कॉपी डाउनलोड करें',
+  'yourData.downloadText': 'ऊपर लिखा सब कुछ, आपके सेशन के आँकड़ों और पसंद के साथ। JSON में हर जानकारी रहती है; CSV स्प्रेडशीट में खुलता है।',
+  'yourData.preparing': '🔄 तैयार हो रहा है...',
+  'yourData.exportError': 'आपका एक्सपोर्ट तैयार नहीं हो पाया। कृपया फिर कोशिश करें।',
+  'yourData.deleteTitle': '🗑️ सब कुछ मिटाएँ',
+  'yourData.deleteText': 'आपके सभी चेक-इन, चैट, डायरी एंट्री और आँकड़े हमेशा के लिए मिट जाएँगे। यह वापस नहीं हो सकता — चाहें तो पहले एक कॉपी डाउनलोड कर लें।',
+  'yourData.deleteTextAccount': 'आपके सभी चेक-इन, चैट, डायरी एंट्री और आँकड़े हमेशा के लिए मिट जाएँगे, और आपका खाता बंद हो जाएगा। यह वापस नहीं हो सकता — चाहें तो पहले एक कॉपी डाउनलोड कर लें।',
+  'yourData.confirmBefore': 'पक्का करने के लिए',
+  'yourData.confirmAfter': 'लिखें:',
+  'yourData.confirmLabel': 'पक्का करने के लिए {word} लिखें',
+  'yourData.deleting': '🔄 मिटाया जा रहा है...',
+  'yourData.delete': 'मेरा सारा डेटा मिटाएँ',
+  'yourData.deleteError': 'आपका डेटा मिटाया नहीं जा सका। कुछ भी नहीं हटा — कृपया फिर कोशिश करें।',
+  'yourData.erased': '✅ हो गया। हमने {conversations} चेक-इन, {threads} चैट और {journalEntries} डायरी एंट्री मिटा दीं।',
+  'yourData.erasedAccount': '✅ हो गया। हमने {conversations} चेक-इन, {threads} चैट और {journalEntries} डायरी एंट्री मिटा दीं, और आपका खाता भी।',
+
+  'auth.signupTitle': '✨ अपना खाता बनाएँ',
+  'auth.loginTitle': '🔐 फिर से स्वागत है',
+  'auth.signupText': 'इस ब्राउज़र के आपके चेक-इन आपके नए खाते में सेव हो जाएँगे।',
+  'auth.loginText': 'किसी भी डिवाइस पर अपनी मूड हिस्ट्री देखने के लिए साइन इन करें।',
+  'auth.namePlaceholder': 'नाम (ज़रूरी नहीं)',
+  'auth.name': 'नाम',
+  'auth.email': 'ईमेल',
+  'auth.passwordPlaceholder': 'पासवर्ड (कम से कम 8 अक्षर)',
+  'auth.password': 'पासवर्ड',
+  'auth.wait': '🔄 कृपया रुकें...',
+  'auth.signUp': 'साइन अप',
+  'auth.logIn': 'लॉग इन',
+  'auth.toLogin': 'पहले से खाता है? लॉग इन करें',
+  'auth.toSignup': 'नए हैं? खाता बनाएँ',
+  'auth.skip': 'बिना खाते के जारी रखें',
+
+  'chat.typing': 'साथी लिख रहा है',
+  'chat.newChat': '➕ नई चैट',
+  'chat.messageOne': '{count} संदेश',
+  'chat.messageMany': '{count} संदेश',
+  'chat.empty': '💬 बातचीत शुरू करें — मैं सुनने के लिए यहाँ हूँ।',
+  'chat.placeholder': 'संदेश लिखें... (भेजने के लिए Enter, नई लाइन के लिए Shift+Enter)',
+  'chat.label': 'चैट संदेश',
+  'chat.send': 'भेजें',
+
+  'journal.title': '📓 आपकी डायरी',
+  'journal.list': '☰ सूची',
+  'journal.calendar': '📅 कैलेंडर',
+  'journal.newEntry': '✍️ नई एंट्री',
+  'journal.allTags': 'सभी',
+  'journal.noTagged': '#{tag} टैग वाली कोई एंट्री नहीं है।',
+  'journal.empty': 'अभी कोई एंट्री नहीं — जब मन करे, लिखना शुरू करें।',
+  'journal.wordOne': '{count} शब्द',
+  'journal.wordMany': '{count} शब्द',
+  'journal.loadMore': 'और दिखाएँ',
+  'journal.loadError': 'आपकी डायरी लोड नहीं हो पाई। कृपया फिर कोशिश करें।',
+  'journal.openError': 'यह एंट्री खुल नहीं पाई।',
+  'journal.deleteError': 'यह एंट्री मिटाई नहीं जा सकी।',
+  'journal.revisionsError': 'बदलावों की हिस्ट्री लोड नहीं हो पाई।',
+  'journal.confirmDelete': 'क्या यह डायरी एंट्री मिटा दें? यह वापस नहीं हो सकता।',
+  'journal.back': '← सभी एंट्री',
+  'journal.edit': '✏️ बदलें',
+  'journal.delete': '🗑️ मिटाएँ',
+  'journal.mood': 'इस एंट्री का मूड:',
+  'journal.chunks': 'लंबाई की वजह से {chunks} हिस्सों में पढ़ा गया।',
+  'journal.recommendation': '💡 सुझाव:',
+  'journal.showHistory': '🕘 बदलावों की हिस्ट्री दिखाएँ ({count})',
+  'journal.hideHistory': '🕘 बदलावों की हिस्ट्री छिपाएँ ({count})',
+  'journal.beforeEdit': '{date} को बदलाव से पहले',
+
+  'journalEditor.bold': 'बोल्ड',
+  'journalEditor.italic': 'इटैलिक',
+  'journalEditor.heading': 'शीर्षक',
+  'journalEditor.bulleted': 'बुलेट सूची',
+  'journalEditor.numbered': 'क्रमांकित सूची',
+  'journalEditor.quote': 'उद्धरण',
+  'journalEditor.title': 'शीर्षक',
+  'journalEditor.titlePlaceholder': 'आज की एंट्री को एक शीर्षक दें',
+  'journalEditor.write': '✏️ लिखें',
+  'journalEditor.preview': '👁️ पूर्वावलोकन',
+  'journalEditor.nothingToPreview': 'अभी दिखाने के लिए कुछ नहीं है।',
+  'journalEditor.body': 'एंट्री',
+  'journalEditor.bodyPlaceholder': 'जितना चाहें उतना लिखें...',
+  'journalEditor.characters': '{count} / {max} अक्षर',
+  'journalEditor.tags': 'टैग',
+  'journalEditor.tagsPlaceholder': 'टैग, कॉमा से अलग करें (जैसे काम, परिवार)',
+  'journalEditor.date': 'एंट्री की तारीख',
+  'journalEditor.attach': '📎 फ़ाइलें जोड़ें',
+  'journalEditor.remove': '{name} हटाएँ',
+  'journalEditor.saving': '🔄 सेव हो रहा है और आपका मूड पढ़ा जा रहा है...',
+  'journalEditor.saveChanges': '💾 बदलाव सेव करें',
+  'journalEditor.saveEntry': '💾 एंट्री सेव करें',
+  'journalEditor.cancel': 'रद्द करें',
+
+  'calendar.previous': 'पिछला महीना',
+  'calendar.next': 'अगला महीना',
+  'calendar.error': 'यह महीना लोड नहीं हो पाया। कृपया फिर कोशिश करें।',
+  'calendar.entryOne': '{date}: {count} एंट्री',
+  'calendar.entryMany': '{date}: {count} एंट्री',
+  'calendar.empty': 'इस दिन कोई एंट्री नहीं है।',
+
+  'habits.title': '🌱 आदतें',
+  'habits.namePlaceholder': 'जैसे 5 मिनट ध्यान करना',
+  'habits.name': 'आदत का नाम',
+  'habits.frequency': 'कितनी बार',
+  'habits.daily': 'हर दिन',
+  'habits.weekly': 'हफ़्ते में कुछ बार',
+  'habits.timesPerWeek': 'हफ़्ते में कितनी बार',
+  'habits.add': '+ आदत जोड़ें',
+  'habits.loadError': 'आपकी आदतें लोड नहीं हो पाईं। कृपया फिर कोशिश करें।',
+  'habits.empty': 'अभी कोई आदत नहीं। ऊपर एक जोड़ें, या चेक-इन के बाद किसी सुझाव के पास "+ आदत" दबाएँ।',
+  'habits.thisWeek': 'इस हफ़्ते {done}/{goal}',
+  'habits.streakDay': '{count} दिन',
+  'habits.streakDays': '{count} दिन',
+  'habits.streakWeek': '{count} हफ़्ता',
+  'habits.streakWeeks': '{count} हफ़्ते',
+  'habits.done': 'किया',
+  'habits.notDone': 'नहीं किया',
+  'habits.doneToday': '✅ आज हो गया',
+  'habits.markDone': 'हो गया',
+  'habits.archive': 'संग्रह करें',
+  'habits.needMoreData': 'लिखते और चेक-इन करते रहें — हमें इसे करने वाले {minDays} दिन और न करने वाले {minDays} दिन चाहिए (अब तक {doneDays} और {skippedDays})।',
+  'habits.moodBetter': '😊 जिन दिनों आपने इसे किया मूड {done}, जिन दिनों नहीं किया {skipped} — लगता है इससे मदद मिलती है!',
+  'habits.moodWorse': '🤔 जिन दिनों आपने इसे किया मूड {done}, जिन दिनों नहीं किया {skipped}।',
+  'habits.moodSame': '😐 जिन दिनों आपने इसे किया मूड {done}, जिन दिनों नहीं किया {skipped} — लगभग एक जैसा।',
+  'habits.footnote': 'मूड पिछले {days} दिनों के आपके चेक-इन की तुलना करता है (−1 से +1)। यह एक पैटर्न दिखाता है, वजह नहीं।',
+
+  'exercises.title': '🧘 अभ्यास',
+  'exercises.back': '← सभी अभ्यास',
+  'exercises.about': 'लगभग {duration}',
+  'exercises.sessions': ' · पिछले 30 दिनों में {count} बार',
+  'exercises.moodChange': ' · बाद में मूड {change}',
+  'exercises.start': '▶ शुरू करें',
+  'exercises.startLabel': '{name} शुरू करें',
+  'exercises.footnote': 'हर अभ्यास से पहले और बाद में अपना मूड बताएँ, ताकि पता चले कि आपको किससे सबसे ज़्यादा मदद मिलती है।',
+
+  'exercise.breathing478.name': '4-7-8 साँस',
+  'exercise.breathing478.description': '4 तक साँस लें, 7 तक रोकें, 8 तक छोड़ें। दिल की धड़कन धीमी करता है और घबराहट व नींद में मदद करता है।',
+  'exercise.boxBreathing.name': 'बॉक्स ब्रीदिंग',
+  'exercise.boxBreathing.description': 'चार बराबर हिस्से: लें, रोकें, छोड़ें, रोकें। जब सब कुछ ज़्यादा लगे तो संभलने में मदद करता है।',
+  'exercise.grounding54321.name': '5-4-3-2-1 ग्राउंडिंग',
+  'exercise.grounding54321.description': 'जब विचार तेज़ी से दौड़ रहे हों, तो अपनी पाँचों इंद्रियों से वर्तमान में लौट आएँ।',
+  'exercise.bodyScan.name': 'बॉडी स्कैन',
+  'exercise.bodyScan.description': 'अपना ध्यान धीरे-धीरे पैरों से सिर तक ले जाएँ, और साथ-साथ ढीले होते जाएँ।',
+
+  'exerciseOption.rounds': 'राउंड',
+  'exerciseOption.side': 'हर हिस्से के सेकंड',
+  'exerciseOption.secondsPerSense': 'हर इंद्रिय के सेकंड',
+  'exerciseOption.minutes': 'मिनट',
+
+  'exerciseStep.inhale': 'साँस लें',
+  'exerciseStep.inhaleHint': 'धीरे-धीरे नाक से',
+  'exerciseStep.hold': 'रोकें',
+  'exerciseStep.holdHint': 'साँस को धीरे से अंदर रखें',
+  'exerciseStep.exhale': 'साँस छोड़ें',
+  'exerciseStep.exhaleHint': 'धीरे-धीरे मुँह से',
+  'exerciseStep.restHint': 'एक पल के लिए खाली रहें',
+  'exerciseStep.see': '5 चीज़ें जो आप देख सकते हैं',
+  'exerciseStep.seeHint': 'धीरे-धीरे चारों ओर देखें और हर एक का नाम लें।',
+  'exerciseStep.touch': '4 चीज़ें जिन्हें आप छू सकते हैं',
+  'exerciseStep.touchHint': 'उनकी बनावट, तापमान और वज़न पर ध्यान दें।',
+  'exerciseStep.hear': '3 चीज़ें जो आप सुन सकते हैं',
+  'exerciseStep.hearHint': 'पास और दूर की - धीमी आवाज़ें भी गिनें।',
+  'exerciseStep.smell': '2 चीज़ें जिन्हें आप सूँघ सकते हैं',
+  'exerciseStep.smellHint': 'या अपनी पसंद की दो खुशबुएँ, अगर कुछ खास न लगे।',
+  'exerciseStep.taste': '1 चीज़ जिसका आप स्वाद ले सकते हैं',
+  'exerciseStep.tasteHint': 'या पानी का एक घूँट लें और उस पर ध्यान दें।',
+  'exerciseStep.feet': 'पैर और उँगलियाँ',
+  'exerciseStep.feetHint': 'किसी भी गर्माहट, दबाव या झनझनाहट पर ध्यान दें।',
+  'exerciseStep.legs': 'टाँगें और घुटने',
+  'exerciseStep.legsHint': 'उन्हें भारी और टिका हुआ महसूस होने दें।',
+  'exerciseStep.hips': 'कूल्हे और कमर',
+  'exerciseStep.hipsHint': 'किसी भी जकड़न में साँस भरें और उसे ढीला होने दें।',
+  'exerciseStep.chest': 'पेट और सीना',
+  'exerciseStep.chestHint': 'हर साँस के साथ उन्हें उठते और गिरते महसूस करें।',
+  'exerciseStep.arms': 'हाथ और बाँहें',
+  'exerciseStep.armsHint': 'उँगलियाँ खोलें; बाँहों को ढीला छोड़ दें।',
+  'exerciseStep.shoulders': 'कंधे और गर्दन',
+  'exerciseStep.shouldersHint': 'कंधों को कानों से दूर नीचे गिरने दें।',
+  'exerciseStep.face': 'चेहरा और सिर',
+  'exerciseStep.faceHint': 'जबड़ा, आँखें और माथा ढीला छोड़ें।',
+  'exerciseStep.wholeBody': 'पूरा शरीर',
+  'exerciseStep.wholeBodyHint': 'शांति से साँस लेते हुए पूरे शरीर को एक साथ महसूस करें।',
+
+  'duration.minutes': '{minutes}:{seconds} मिनट',
+  'duration.seconds': '{seconds} सेकंड',
+
+  'player.close': 'अभ्यास बंद करें',
+  'player.rating': '5 में से {rating}',
+  'player.sound': 'आवाज़ के संकेत',
+  'player.about': 'लगभग {duration}',
+  'player.moodBefore': 'अभी आप कैसा महसूस कर रहे हैं? (ज़रूरी नहीं)',
+  'player.begin': '▶ शुरू करें',
+  'player.step': 'चरण {step} / {total}',
+  'player.resume': '▶ जारी रखें',
+  'player.pause': '⏸ रोकें',
+  'player.next': 'अगला ⏭',
+  'player.stop': 'बंद करें',
+  'player.completed': '🌿 बहुत बढ़िया। आपने इस पर {duration} बिताए।',
+  'player.stoppedEarly': 'जल्दी रुक गए — फिर भी यह गिना जाता है। आपने इस पर {duration} बिताए।',
+  'player.moodAfter': 'अब आप कैसा महसूस कर रहे हैं? (ज़रूरी नहीं)',
+  'player.saving': 'सेव हो रहा है...',
+  'player.save': 'सेव करें',
+  'player.saved': '✓ सेव हो गया।',
+  'player.moodChange': ' मूड {before} → {after}',
+  'player.again': 'फिर से करें',
+
+  'reminders.title': '🔔 चेक-इन रिमाइंडर',
+  'reminders.loading': '🔄 आपके रिमाइंडर लोड हो रहे हैं...',
+  'reminders.loadError': 'आपकी रिमाइंडर सेटिंग लोड नहीं हो पाई। कृपया फिर कोशिश करें।',
+  'reminders.saveError': 'आपके रिमाइंडर सेव नहीं हो पाए। कृपया फिर कोशिश करें।',
+  'reminders.pushBlocked': 'इस साइट के लिए नोटिफ़िकेशन बंद हैं। उन्हें ब्राउज़र सेटिंग में चालू करें, या कोई और तरीका चुनें।',
+  'reminders.saved': '✅ रिमाइंडर सेव हो गए।',
+  'reminders.savedOff': '✅ सेव हो गया। रिमाइंडर बंद हैं।',
+  'reminders.enable': 'मुझे चेक-इन की याद दिलाएँ',
+  'reminders.snoozedUntil': '😴 {date} तक स्नूज़',
+  'reminders.next': '⏰ अगला रिमाइंडर: {date}',
+  'reminders.resume': '▶️ फिर शुरू करें',
+  'reminders.snoozeHour': '1 घंटे के लिए स्नूज़',
+  'reminders.snoozeDay': '1 दिन के लिए स्नूज़',
+  'reminders.backoff': 'आपने कुछ रिमाइंडर छोड़ दिए, इसलिए अभी हम कम भेज रहे हैं। आपका अगला चेक-इन उन्हें फिर से सामान्य कर देगा।',
+  'reminders.when': 'कब',
+  'reminders.frequency': 'कितनी बार',
+  'reminders.daily': 'हर दिन',
+  'reminders.weekly': 'इन दिनों पर',
+  'reminders.time': 'रिमाइंडर का समय',
+  'reminders.removeTime': 'रिमाइंडर का समय हटाएँ',
+  'reminders.addTime': '+ रिमाइंडर का समय जोड़ें',
+  'reminders.timezone': 'टाइमज़ोन:',
+  'reminders.useDevice': 'इस डिवाइस का इस्तेमाल करें ({timezone})',
+  'reminders.where': 'कहाँ',
+  'reminders.inApp': '🔔 ऐप में',
+  'reminders.webPush': '📲 ब्राउज़र नोटिफ़िकेशन',
+  'reminders.email': '✉️ ईमेल',
+  'reminders.emailTo': 'ईमेल रिमाइंडर आपके खाते के पते {email} पर जाते हैं।',
+  'reminders.quietHours': 'शांत समय',
+  'reminders.quietFrom': 'इस समय से',
+  'reminders.quietTo': 'तक कोई रिमाइंडर नहीं:',
+  'reminders.quietStart': 'शांत समय की शुरुआत',
+  'reminders.quietEnd': 'शांत समय का अंत',
+  'reminders.quietHint': 'इस समय में पड़ने वाला रिमाइंडर इसके खत्म होने पर भेजा जाता है।',
+  'reminders.saving': '🔄 सेव हो रहा है...',
+  'reminders.save': '💾 रिमाइंडर सेव करें',
+
+  'footer.tip': '💡 सुझाव:',
+  'footer.before': 'मूड जल्दी जाँचने के लिए',
+  'footer.after': 'दबाएँ',
+
+  'errors.INVALID_JSON': 'आपका अनुरोध भेजने में गड़बड़ हुई। कृपया फिर कोशिश करें।',
+  'errors.PAYLOAD_TOO_LARGE': 'एक बार में यह बहुत ज़्यादा है। कृपया इसे छोटा करके फिर कोशिश करें।',
+  'errors.AUTH_REQUIRED': 'इसके लिए कृपया लॉग इन करें।',
+  'errors.SESSION_EXPIRED': 'आपका लॉग इन खत्म हो गया है। कृपया फिर से लॉग इन करें।',
+  'errors.INVALID_CREDENTIALS': 'ईमेल और पासवर्ड मेल नहीं खाते। कृपया फिर कोशिश करें।',
+  'errors.EMAIL_TAKEN': 'इस ईमेल से खाता पहले से है। लॉग इन करके देखें।',
+  'errors.NOT_FOUND': 'यह नहीं मिला — शायद इसे हटा दिया गया है।',
+  'errors.ROUTE_NOT_FOUND': 'सर्वर अभी यह सपोर्ट नहीं करता। कृपया देखें कि वह अपडेटेड है।',
+  'errors.UNSUPPORTED_MEDIA_TYPE': 'आपके ब्राउज़र की रिकॉर्डिंग हम पढ़ नहीं पाए। कृपया अपना चेक-इन लिखकर भेजें।',
+  'errors.TRANSCRIPTION_FAILED': 'हम ठीक से सुन नहीं पाए। कृपया किसी शांत जगह से फिर कोशिश करें, या लिखकर भेजें।',
+  'errors.SPEECH_SERVICE_UNAVAILABLE': 'बोलकर चेक-इन अभी उपलब्ध नहीं है। कृपया लिखकर भेजें।',
+  'errors.SPEECH_SERVICE_ERROR': 'आपकी रिकॉर्डिंग को लिखा नहीं जा सका। कृपया फिर कोशिश करें या लिखकर भेजें।',
+  'errors.RATE_LIMITED': 'आप थोड़ा जल्दी कर रहे हैं। कृपया एक पल रुककर फिर कोशिश करें।',
+  'errors.AI_SERVICE_UNAVAILABLE': 'मूड जाँचने वाली सेवा अभी बंद है। कृपया कुछ मिनट बाद फिर कोशिश करें।',
+  'errors.AI_SERVICE_TIMEOUT': 'मूड जाँचने में बहुत समय लग गया। कृपया फिर कोशिश करें।',
+  'errors.AI_SERVICE_ERROR': 'मूड जाँचने वाली सेवा में दिक्कत आई। कृपया फिर कोशिश करें।',
+  'errors.INTERNAL_ERROR': 'हमारी तरफ़ कुछ गड़बड़ हुई। कृपया फिर कोशिश करें।',
+  'errors.UNREACHABLE': 'सर्वर से जुड़ नहीं पाए। कृपया देखें कि सभी सर्वर चल रहे हैं।',
+  'errors.GENERIC': 'कुछ गड़बड़ हो गई। कृपया फिर कोशिश करें।'
+};
+
+export default hi;
@@ -0,0 +1,32 @@
+import en from './en';
+import hi from './hi';
+
+// UI languages, har ek apni hi script mein likha taaki switcher sab padh sakein
+export const LANGUAGES = [
+  ['en', 'English'],
+  ['hi', 'हिन्दी']
+];
+
+const CATALOGS = { en, hi };
+const LANGUAGE_KEY = 'companion.language';
+
+// Pehli baar: browser Hindi par ho to Hindi, warna English
+const browserLanguage = () => ((navigator.language || '').toLowerCase().startsWith('hi') ? 'hi' : 'en');
+
+// Chosen UI language - api.js isi se Accept-Language bhejta hai
+export const languageStore = {
+  get() {
+    const stored = localStorage.getItem(LANGUAGE_KEY);
+    return CATALOGS[stored] ? stored : browserLanguage();
+  },
+  set(language) {
+    localStorage.setItem(LANGUAGE_KEY, language);
+  }
+};
+
+// translate('hi', 'checkIn.characters', { count: 12 }) -> '12 अक्षर'.
+// Missing keys fall back to English, then to the key itself.
+export const translate = (language, key, vars = {}) => {
+  const template = CATALOGS[language]?.[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
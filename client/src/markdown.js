@@ -0,0 +1,80 @@
+import React from 'react';
+
+// Chhota sa Markdown renderer journal entries ke liye - React elements banata hai,
+// HTML string nahi, isliye entry ka text kabhi markup ki tarah inject nahi hota.
+// Supported: # headings, **bold**, *italic* / _italic_, `code`, - / 1. lists, > quotes.
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*]+\*|_[^_]+_|`[^`]+`)/g;
+
+const renderInline = (text, keyPrefix) => text.split(INLINE_PATTERN).map((part, i) => {
+  const key = `${keyPrefix}-${i}`;
+  if (/^\*\*[^*]+\*\*$/.test(part)) return <strong key={key}>{part.slice(2, -2)}</strong>;
+  if (/^(\*[^*]+\*|_[^_]+_)$/.test(part)) return <em key={key}>{part.slice(1, -1)}</em>;
+  if (/^`[^`]+`$/.test(part)) {
+    return <code key={key} style={{ backgroundColor: '#f1f3f5', padding: '1px 4px', borderRadius: '3px' }}>{part.slice(1, -1)}</code>;
+  }
+  return part;
+});
+
+// Groups lines into blocks: consecutive list items / quote lines / paragraph lines
+const toBlocks = (markdown) => {
+  const blocks = [];
+  for (const line of markdown.split('\n')) {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+\.\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+    const last = blocks[blocks.length - 1];
+
+    if (!line.trim()) {
+      blocks.push({ type: 'break' });
+    } else if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      const text = (bullet || numbered)[1];
+      if (last?.type === type) last.items.push(text);
+      else blocks.push({ type, items: [text] });
+    } else if (quote) {
+      if (last?.type === 'quote') last.lines.push(quote[1]);
+      else blocks.push({ type: 'quote', lines: [quote[1]] });
+    } else if (last?.type === 'paragraph') {
+      last.lines.push(line);
+    } else {
+      blocks.push({ type: 'paragraph', lines: [line] });
+    }
+  }
+  return blocks.filter((block) => block.type !== 'break');
+};
+
+const withLineBreaks = (lines, keyPrefix) => lines.flatMap((line, i) => [
+  ...(i > 0 ? [<br key={`${keyPrefix}-br-${i}`} />] : []),
+  ...renderInline(line, `${keyPrefix}-${i}`)
+]);
+
+export const renderMarkdown = (markdown) => toBlocks(markdown || '').map((block, i) => {
+  const key = `block-${i}`;
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${block.level + 2}`;
+      return <Tag key={key} style={{ margin: '15px 0 8px 0', color: '#333' }}>{renderInline(block.text, key)}</Tag>;
+    }
+    case 'ul':
+    case 'ol': {
+      const Tag = block.type;
+      return (
+        <Tag key={key} style={{ margin: '8px 0', paddingLeft: '22px' }}>
+          {block.items.map((item, j) => <li key={`${key}-${j}`}>{renderInline(item, `${key}-${j}`)}</li>)}
+        </Tag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={key} style={{ margin: '8px 0', padding: '5px 15px', borderLeft: '4px solid #667eea', color: '#555' }}>
+          {withLineBreaks(block.lines, key)}
+        </blockquote>
+      );
+    default:
+      return <p key={key} style={{ margin: '8px 0', lineHeight: '1.7' }}>{withLineBreaks(block.lines, key)}</p>;
+  }
+});
@@ -0,0 +1,44 @@
+import api from './api';
+
+// Web Push for check-in reminders - public/service-worker.js notification dikhata hai
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+export const isPushSupported = () => (
+  'serviceWorker' in navigator &&
+  typeof window.PushManager !== 'undefined' &&
+  typeof window.Notification !== 'undefined'
+);
+
+// VAPID public key (base64url) -> bytes for PushManager.subscribe
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(padded), (char) => char.charCodeAt(0));
+};
+
+// Asks for permission, subscribes this browser and registers it with the server.
+// Throws an Error with code 'PERMISSION_DENIED' when the user blocks notifications.
+export const subscribeToPush = async (vapidPublicKey) => {
+  const permission = await window.Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw Object.assign(new Error('Notifications are blocked'), { code: 'PERMISSION_DENIED' });
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const subscription = (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    }));
+
+  await api.post('/reminders/push-subscriptions', subscription.toJSON());
+};
+
+export const unsubscribeFromPush = async () => {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = registration && (await registration.pushManager.getSubscription());
+  if (!subscription) return;
+
+  // Server par pehle se na ho to bhi browser se hata do
+  await api.delete('/reminders/push-subscriptions', { data: { endpoint: subscription.endpoint } }).catch(() => {});
+  await subscription.unsubscribe();
+};
@@ -0,0 +1,22 @@
+// Sentiment ke colours aur emoji - result card, history aur dashboard sab yahi use karte hain
+export const SENTIMENTS = ['POSITIVE', 'NEUTRAL', 'MIXED', 'NEGATIVE'];
+
+export const getSentimentColor = (sentiment) => {
+  switch(sentiment?.toLowerCase()) {
+    case 'positive': return '#28a745';
+    case 'negative': return '#dc3545';
+    case 'neutral': return '#6c757d';
+    case 'mixed': return '#fd7e14';
+    default: return '#007bff';
+  }
+};
+
+export const getSentimentEmoji = (sentiment) => {
+  switch(sentiment?.toLowerCase()) {
+    case 'positive': return '😊';
+    case 'negative': return '😔';
+    case 'neutral': return '😐';
+    case 'mixed': return '😶‍🌫️';
+    default: return '🤔';
+  }
+};
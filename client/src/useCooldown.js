@@ -0,0 +1,25 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Countdown after a 429 - secondsLeft har second kam hota hai, 0 matlab phir se try kar sakte hain
+export default function useCooldown() {
+  const [until, setUntil] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!until) return undefined;
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= until) setUntil(null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [until]);
+
+  const start = useCallback((seconds) => {
+    setNow(Date.now());
+    setUntil(Date.now() + seconds * 1000);
+  }, []);
+
+  const secondsLeft = until ? Math.max(Math.ceil((until - now) / 1000), 0) : 0;
+  return { secondsLeft, start };
+}
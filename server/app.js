@@ -0,0 +1,474 @@
+// app.js
+// Express app: middleware, routes and error handlers. index.js connects the database and starts listening,
+// so tests can load the app on its own.
+const express = require('express');
+const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+const { testConnection, getDBStats } = require('./config/database');
+const { Conversation, Session, JournalEntry, ExerciseSession } = require('./models');
+const { PYTHON_API_URL, describeAIError } = require('./services/analysis');
+const { runMoodAnalysis } = require('./services/moodAnalysis');
+const { describeProviders } = require('./services/providers');
+const { transcribe, describeSpeechError, describeSpeechProvider } = require('./services/speech');
+const speechConfig = require('./config/speech');
+const aiClient = require('./services/aiClient');
+const { getQueueStats } = require('./services/analysisQueue');
+const { wantsEventStream, openStream, sendEvent } = require('./utils/sse');
+const { authenticate, getOwnerFilter } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const threadRoutes = require('./routes/threads');
+const historyRoutes = require('./routes/history');
+const journalRoutes = require('./routes/journal');
+const conversationRoutes = require('./routes/conversations');
+const meRoutes = require('./routes/me');
+const reminderRoutes = require('./routes/reminders');
+const habitRoutes = require('./routes/habits');
+const exerciseRoutes = require('./routes/exercises');
+const { isEnabled: isEncryptionEnabled } = require('./services/encryption');
+const requestId = require('./middleware/requestId');
+const rateLimit = require('./middleware/rateLimit');
+const { validate, validateHeaders } = require('./middleware/validate');
+const { sendError, buildErrorBody } = require('./utils/errors');
+const rateLimitConfig = require('./config/rateLimit');
+const logger = require('./utils/logger');
+const { REQUEST_ID_HEADER } = require('./utils/requestContext');
+const { mountRouter, listRoutes } = require('./utils/routes');
+const { sessionIdHeader } = require('./utils/schema');
+const { isValidTimezone } = require('./utils/timezone');
+const { getSpec, describeEndpoints, renderDocsPage } = require('./services/openapi');
+
+const app = express();
+
+// Behind a proxy/load balancer req.ip would otherwise be the proxy for everyone (rate limits are per IP)
+app.set('trust proxy', rateLimitConfig.trustProxy);
+
+// Middleware
+app.use(cors({
+    origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', REQUEST_ID_HEADER],
+    exposedHeaders: [
+        'X-Session-ID', 'Content-Disposition', REQUEST_ID_HEADER,
+        'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+    ]
+}));
+
+// Correlation id for logs and the Python API call
+app.use(requestId);
+
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+app.use(validateHeaders(sessionIdHeader));
+
+// Session middleware - Generate session ID for each user
+app.use((req, res, next) => {
+    let sessionId = req.headers['x-session-id'];
+    
+    if (!sessionId) {
+        sessionId = uuidv4();
+        res.setHeader('X-Session-ID', sessionId);
+    }
+    
+    req.sessionId = sessionId;
+    next();
+});
+
+// Logging middleware - one entry per request once the response is sent.
+// Bodies and query strings go through the logger's redaction, so mood text never reaches the logs.
+app.use((req, res, next) => {
+    const startedAt = Date.now();
+    if (req.body && Object.keys(req.body).length > 0) {
+        logger.debug('Request body', { body: req.body });
+    }
+    res.on('finish', () => {
+        logger.info('Request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            query: Object.keys(req.query || {}).length > 0 ? req.query : undefined,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            sessionId: req.sessionId
+        });
+    });
+    next();
+});
+
+// Request timing middleware
+app.use((req, res, next) => {
+    req.startTime = Date.now();
+    next();
+});
+
+// Auth routes (register/login/refresh/logout)
+mountRouter(app, '/auth', authRoutes);
+
+// Attach req.user for every other route when a Bearer token is sent
+app.use(authenticate);
+
+// Health check endpoint with database status
+app.get('/', validate(), async (req, res) => {
+    try {
+        const dbConnected = await testConnection();
+        const dbStats = dbConnected ? await getDBStats() : null;
+        const analysisQueue = dbConnected ? await getQueueStats() : null;
+        
+        res.json({
+            status: '✅ AI Mental Health Companion Server is running!',
+            version: process.env.APP_VERSION || '1.0',
+            timestamp: new Date().toISOString(),
+            database: {
+                connected: dbConnected,
+                stats: dbStats
+            },
+            // Full request/response schemas: GET /openapi.json, browsable at GET /docs
+            endpoints: describeEndpoints(app),
+            pythonApiUrl: PYTHON_API_URL,
+            // Last background probe of the Python API and its circuit breaker; while the breaker
+            // is open check-ins are scored by the fallback provider
+            aiService: aiClient.getHealth(),
+            // Check-ins saved while the AI service was down, waiting to be analyzed
+            analysisQueue,
+            sentimentProviders: describeProviders(),
+            // Speech-to-text for voice check-ins
+            speech: describeSpeechProvider()
+        });
+    } catch (error) {
+        logger.error('Health check failed', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Health check failed');
+    }
+});
+
+// Test Python API connection
+app.get('/test-python-connection', validate(), async (req, res) => {
+    try {
+        logger.info('Testing Python API connection');
+        // Same probe as the background health checker, so the result shows up in GET / too
+        const pythonApiResponse = await aiClient.checkHealth();
+        
+        logger.info('Python API connection successful');
+        res.json({
+            status: 'success',
+            message: 'Python API is reachable',
+            pythonApiResponse
+        });
+    } catch (error) {
+        logger.error('Python API connection failed', { error, pythonApiUrl: PYTHON_API_URL });
+        sendError(res, 'AI_SERVICE_UNAVAILABLE', 'Cannot connect to Python API', { pythonApiUrl: PYTHON_API_URL });
+    }
+});
+
+// Get database statistics
+app.get('/db-stats', validate(), async (req, res) => {
+    try {
+        const stats = await getDBStats();
+        const [unencryptedConversations, unencryptedJournalEntries] = await Promise.all([
+            Conversation.countDocuments(Conversation.unencryptedFilter()),
+            JournalEntry.countDocuments(JournalEntry.unencryptedFilter())
+        ]);
+        res.json({
+            status: 'success',
+            stats: stats,
+            // Documents still holding plaintext - run scripts/encryptExisting.js after enabling encryption
+            encryption: {
+                enabled: isEncryptionEnabled(),
+                unencryptedConversations,
+                unencryptedJournalEntries
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting database statistics', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to get database statistics');
+    }
+});
+
+// Saved check-ins (list/search/delete)
+mountRouter(app, '/history', historyRoutes);
+
+// Feedback on individual check-ins
+mountRouter(app, '/conversations', conversationRoutes);
+
+// Data export / erasure
+mountRouter(app, '/me', meRoutes);
+
+// Check-in reminders and in-app notifications
+mountRouter(app, '/reminders', reminderRoutes);
+
+// Habit tracker and the habit/mood report
+mountRouter(app, '/habits', habitRoutes);
+
+// Guided breathing / grounding exercise sessions
+mountRouter(app, '/exercises', exerciseRoutes);
+
+const ANALYTICS_BUCKETS = ['day', 'week', 'month'];
+const MAX_ANALYTICS_DAYS = 365;
+
+// Longer ranges get coarser buckets unless the client asks for one
+const defaultBucket = (days) => (days <= 31 ? 'day' : days <= 180 ? 'week' : 'month');
+
+// Query: days (1-365, default 30), bucket (day|week|month), tz (IANA timezone for bucket boundaries)
+const analyticsSchema = {
+    query: {
+        days: { type: 'integer', min: 1, max: MAX_ANALYTICS_DAYS, clamp: true, default: 30 },
+        bucket: { type: 'string', lowercase: true, enum: ANALYTICS_BUCKETS },
+        tz: {
+            type: 'string',
+            default: 'UTC',
+            check: (tz) => (isValidTimezone(tz) ? null : 'tz must be an IANA timezone like "Asia/Kolkata".')
+        }
+    }
+};
+
+// Get user analytics
+app.get('/analytics', validate(analyticsSchema), async (req, res) => {
+    try {
+        const sessionId = req.sessionId;
+        const owner = getOwnerFilter(req);
+        
+        const { days, tz: timezone } = req.validated.query;
+        const bucket = req.validated.query.bucket || defaultBucket(days);
+        
+        logger.debug('Generating analytics', { owner: req.user ? 'user' : 'session', days, bucket });
+        
+        // Get analytics using the static method we defined
+        const sentimentAnalytics = await Conversation.getAnalytics(owner, days, { bucket, timezone });
+        const emotionAnalytics = await Conversation.getEmotionBreakdown(owner, days);
+        const streaks = await Conversation.getStreaks(owner, timezone);
+        
+        const totalCount = sentimentAnalytics.totals.reduce((sum, t) => sum + t.count, 0);
+        const averageConfidence = totalCount > 0
+            ? sentimentAnalytics.totals.reduce((sum, t) => sum + t.avgConfidence * t.count, 0) / totalCount
+            : null;
+        
+        // Get recent trends (last 7 days)
+        const recentTrends = await Conversation.find(owner)
+            .sort({ timestamp: -1 })
+            .limit(7)
+            .select('sentiment confidenceScore detectedEmotions timestamp');
+            
+        // Get session info (all sessions of the account when logged in)
+        const sessionStats = await Session.getStats(req.user ? { userId: req.user._id } : { sessionId });
+
+        // Guided exercises and the mood before/after them
+        const exercises = await ExerciseSession.getStats(owner, days);
+        
+        res.json({
+            status: 'success',
+            data: {
+                sentimentBreakdown: sentimentAnalytics.totals,
+                timeline: {
+                    bucket,
+                    timezone,
+                    series: sentimentAnalytics.series
+                },
+                emotionBreakdown: emotionAnalytics,
+                averageConfidence,
+                totalCheckIns: totalCount,
+                streaks,
+                recentTrends,
+                sessionStats,
+                exercises,
+                period: `${days} days`
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error generating analytics', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to generate analytics');
+    }
+});
+
+const MAX_TEXT_LENGTH = 1000;
+
+const analyzeMoodSchema = {
+    body: {
+        text: {
+            type: 'string',
+            required: true,
+            maxLength: MAX_TEXT_LENGTH,
+            messages: {
+                required: 'Please enter some text to analyze.',
+                type: 'Please enter some text to analyze.',
+                maxLength: `Text is too long. Please keep it under ${MAX_TEXT_LENGTH} characters.`
+            }
+        }
+    }
+};
+
+// Main mood analysis endpoint with database integration.
+// Send `Accept: text/event-stream` to receive the pipeline stages as Server-Sent Events.
+app.post('/analyze-mood', rateLimit('analyzeMood'), validate(analyzeMoodSchema), async (req, res) => {
+    logger.info('Processing mood analysis request');
+    
+    const trimmedText = req.body.text;
+    
+    const stream = wantsEventStream(req);
+    if (stream) {
+        logger.debug('Streaming analysis stages via SSE');
+        openStream(res);
+    }
+    
+    try {
+        const result = await runMoodAnalysis({
+            text: trimmedText,
+            req,
+            emit: stream ? (event, data) => sendEvent(res, event, data) : undefined
+        });
+        
+        logger.info('Mood analysis completed', { sentiment: result.sentiment, processingTime: result.processingTime, analysisStatus: result.analysisStatus });
+        if (stream) {
+            sendEvent(res, 'done', result);
+            return res.end();
+        }
+        // Saved but queued for later analysis - poll GET /conversations/:id for the result
+        res.status(result.analysisStatus === 'pending' ? 202 : 200).json(result);
+        
+    } catch (error) {
+        logger.error('Error in mood analysis', { error });
+        
+        const { statusCode, code, errorMessage } = describeAIError(error);
+        const extra = { timestamp: new Date().toISOString() };
+        
+        if (stream) {
+            sendEvent(res, 'error', buildErrorBody(code, errorMessage, { ...extra, statusCode }));
+            return res.end();
+        }
+        sendError(res, code, errorMessage, { ...extra, statusCode });
+    }
+});
+
+// Voice check-ins: the recording is the raw request body (Content-Type one of speechConfig.mimeTypes)
+// and its length in seconds is ?duration= (MediaRecorder knows it, the server can't cheaply decode it)
+const analyzeAudioSchema = {
+    query: {
+        duration: {
+            type: 'number',
+            required: true,
+            min: 0.5,
+            max: speechConfig.maxSeconds,
+            messages: {
+                required: 'Please send the length of the recording in seconds (?duration=).',
+                type: 'Please send the length of the recording in seconds (?duration=).',
+                min: 'That recording is too short. Please try again.',
+                max: `Recordings can be at most ${speechConfig.maxSeconds} seconds long.`
+            }
+        }
+    }
+};
+
+// Reads the recording into req.body as a Buffer. Content types it doesn't accept leave req.body unset.
+const readAudio = (req, res, next) => {
+    express.raw({ type: speechConfig.mimeTypes, limit: speechConfig.maxBytes })(req, res, (error) => {
+        if (error?.type === 'entity.too.large') {
+            const megabytes = Math.round(speechConfig.maxBytes / (1024 * 1024) * 10) / 10;
+            return sendError(res, 'PAYLOAD_TOO_LARGE', `Recordings can be at most ${megabytes} MB.`);
+        }
+        next(error);
+    });
+};
+
+// Transcribes the recording, then runs the same pipeline as POST /analyze-mood on the transcript
+app.post('/analyze-mood/audio', rateLimit('analyzeMood'), validate(analyzeAudioSchema), readAudio, async (req, res) => {
+    logger.info('Processing voice check-in');
+
+    if (!Buffer.isBuffer(req.body)) {
+        return sendError(res, 'UNSUPPORTED_MEDIA_TYPE', `Please upload the recording as ${speechConfig.mimeTypes.join(', ')}.`);
+    }
+    if (req.body.length === 0) {
+        return sendError(res, 'VALIDATION_ERROR', 'The recording is empty. Please try again.');
+    }
+
+    let transcription;
+    try {
+        const mimeType = req.headers['content-type'].split(';')[0].trim().toLowerCase();
+        transcription = await transcribe(req.body, { mimeType });
+    } catch (error) {
+        logger.error('Error transcribing voice check-in', { error });
+        const { statusCode, code, errorMessage } = describeSpeechError(error);
+        return sendError(res, code, errorMessage, { statusCode });
+    }
+
+    const { transcript, confidence } = transcription;
+    // The provider's measurement wins over the length the client declared
+    const durationSeconds = transcription.durationSeconds ?? req.validated.query.duration;
+    logger.debug('Voice check-in transcribed', { provider: transcription.provider, confidence, durationSeconds, textLength: transcript.length });
+
+    // A second of slack for container padding and rounding
+    if (durationSeconds > speechConfig.maxSeconds + 1) {
+        return sendError(res, 'VALIDATION_ERROR', `Recordings can be at most ${speechConfig.maxSeconds} seconds long.`);
+    }
+    if (!transcript) {
+        return sendError(res, 'TRANSCRIPTION_FAILED', "We couldn't make out any words. Please try again somewhere quieter, or type your check-in.");
+    }
+    if (confidence !== null && confidence < speechConfig.minConfidence) {
+        return sendError(res, 'TRANSCRIPTION_FAILED', "We couldn't hear that clearly. Please try again closer to the microphone, or type your check-in.", {
+            transcript,
+            transcriptConfidence: confidence
+        });
+    }
+    if (transcript.length > MAX_TEXT_LENGTH) {
+        return sendError(res, 'VALIDATION_ERROR', 'That recording is too long to analyze. Please keep your check-in a little shorter.');
+    }
+
+    try {
+        const result = await runMoodAnalysis({
+            text: transcript,
+            req,
+            transcription: { confidence, durationSeconds, provider: transcription.provider }
+        });
+
+        logger.info('Mood analysis completed', { sentiment: result.sentiment, processingTime: result.processingTime, analysisStatus: result.analysisStatus, source: 'voice' });
+        res.status(result.analysisStatus === 'pending' ? 202 : 200).json({
+            ...result,
+            source: 'voice',
+            transcript,
+            transcriptConfidence: confidence
+        });
+    } catch (error) {
+        logger.error('Error in mood analysis', { error });
+        const { statusCode, code, errorMessage } = describeAIError(error);
+        sendError(res, code, errorMessage, { timestamp: new Date().toISOString(), statusCode });
+    }
+});
+
+// Companion chat threads
+mountRouter(app, '/threads', threadRoutes);
+
+// Journal entries
+mountRouter(app, '/journal', journalRoutes);
+
+// API documentation, generated from the routes above
+app.get('/openapi.json', validate(), (req, res) => {
+    res.json(getSpec(app));
+});
+
+app.get('/docs', validate(), (req, res) => {
+    res.type('html').send(renderDocsPage('/openapi.json'));
+});
+
+// 404 handler
+app.use((req, res) => {
+    logger.warn('Route not found', { method: req.method, path: req.path });
+    sendError(res, 'ROUTE_NOT_FOUND', `Route not found: ${req.method} ${req.path}`, {
+        availableEndpoints: listRoutes(app).map(route => `${route.method} ${route.path}`)
+    });
+});
+
+// Global error handler
+app.use((error, req, res, next) => {
+    // Body parser failures are the client's fault
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON.');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large.');
+    }
+
+    logger.error('Unhandled error', { error, method: req.method, path: req.path });
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error', { timestamp: new Date().toISOString() });
+});
+
+module.exports = app;
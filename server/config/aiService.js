@@ -0,0 +1,27 @@
+// config/aiService.js
+// Python AI API (ai-api/app.py) client settings
+//   PYTHON_API_URL           - base url of the Flask service
+//   AI_TIMEOUT_MS            - per-attempt timeout for /predict
+//   AI_RETRIES               - extra attempts after a retryable failure (0 turns retries off)
+//   AI_RETRY_BASE_MS         - first backoff delay; doubles each attempt, with full jitter, capped at AI_RETRY_MAX_MS
+//   AI_BREAKER_THRESHOLD     - consecutive failures that open the circuit breaker
+//   AI_BREAKER_COOLDOWN_MS   - how long the breaker stays open before a trial request is let through
+//   AI_HEALTH_INTERVAL_MS    - how often GET / of the Flask service is probed (0 turns the checker off)
+require('dotenv').config();
+
+const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+module.exports = {
+    pythonApiUrl: process.env.PYTHON_API_URL || 'http://127.0.0.1:5001',
+    timeoutMs: readInt('AI_TIMEOUT_MS', 15000),
+    retries: readInt('AI_RETRIES', 2),
+    retryBaseMs: readInt('AI_RETRY_BASE_MS', 200),
+    retryMaxMs: readInt('AI_RETRY_MAX_MS', 2000),
+    breakerThreshold: readInt('AI_BREAKER_THRESHOLD', 5) || 1,
+    breakerCooldownMs: readInt('AI_BREAKER_COOLDOWN_MS', 30 * 1000),
+    healthIntervalMs: readInt('AI_HEALTH_INTERVAL_MS', 15 * 1000),
+    healthTimeoutMs: readInt('AI_HEALTH_TIMEOUT_MS', 3000)
+};
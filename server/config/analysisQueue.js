@@ -0,0 +1,20 @@
+// config/analysisQueue.js
+// Deferred analysis: check-ins that arrive while the AI service is unreachable are saved as
+// pending and analyzed by a background worker (services/analysisQueue.js) once it's back.
+// This is the default. Setting SENTIMENT_FAILOVER=true makes the fallback scorer answer first
+// instead, and the queue then only catches what that can't handle.
+require('dotenv').config();
+
+module.exports = {
+    enabled: process.env.ANALYSIS_QUEUE_ENABLED !== 'false',
+    // How often the worker looks for due jobs, and how many it takes per run
+    pollIntervalMs: parseInt(process.env.ANALYSIS_QUEUE_INTERVAL_MS) || 10 * 1000,
+    batchSize: parseInt(process.env.ANALYSIS_QUEUE_BATCH_SIZE) || 10,
+    // Attempts that got an answer from the AI service (an outage doesn't use them up)
+    maxAttempts: parseInt(process.env.ANALYSIS_QUEUE_MAX_ATTEMPTS) || 5,
+    // Delay after a failed attempt, doubled each time
+    retryBaseMs: parseInt(process.env.ANALYSIS_QUEUE_RETRY_MS) || 30 * 1000,
+    retryMaxMs: 30 * 60 * 1000,
+    // A job still "processing" after this long belonged to a worker that died - it's picked up again
+    lockTimeoutMs: 5 * 60 * 1000
+};
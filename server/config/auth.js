@@ -0,0 +1,16 @@
+// config/auth.js
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+if (!process.env.JWT_SECRET) {
+    logger.warn('JWT_SECRET is not set - using an insecure development secret');
+}
+
+module.exports = {
+    accessTokenSecret: process.env.JWT_SECRET || 'dev-only-access-secret',
+    refreshTokenSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || 'dev-only-refresh-secret',
+    accessTokenTTL: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTTLDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
+    passwordMinLength: 8
+};
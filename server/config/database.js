@@ -1,10 +1,11 @@
 // config/database.js
 const mongoose = require('mongoose');
 require('dotenv').config();
+const logger = require('../utils/logger');
 
 const connectDB = async () => {
     try {
-        console.log('🔌 Connecting to MongoDB...');
+        logger.info('Connecting to MongoDB');
         
         const conn = await mongoose.connect(process.env.MONGODB_URI, {
             useNewUrlParser: true,
@@ -15,30 +16,29 @@ const connectDB = async () => {
             socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
         });
 
-        console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
-        console.log(`📊 Database: ${conn.connection.name}`);
+        logger.info('MongoDB connected', { host: conn.connection.host, database: conn.connection.name });
         
         // Connection event listeners
         mongoose.connection.on('connected', () => {
-            console.log('📡 Mongoose connected to MongoDB');
+            logger.info('Mongoose connected to MongoDB');
         });
 
         mongoose.connection.on('error', (err) => {
-            console.error('❌ Mongoose connection error:', err);
+            logger.error('Mongoose connection error', { error: err });
         });
 
         mongoose.connection.on('disconnected', () => {
-            console.log('⚠️  Mongoose disconnected from MongoDB');
+            logger.warn('Mongoose disconnected from MongoDB');
         });
 
         // Graceful shutdown
         process.on('SIGINT', async () => {
             try {
                 await mongoose.connection.close();
-                console.log('🛑 MongoDB connection closed through app termination');
+                logger.info('MongoDB connection closed through app termination');
                 process.exit(0);
             } catch (error) {
-                console.error('❌ Error closing MongoDB connection:', error);
+                logger.error('Error closing MongoDB connection', { error });
                 process.exit(1);
             }
         });
@@ -46,19 +46,15 @@ const connectDB = async () => {
         return conn;
         
     } catch (error) {
-        console.error('❌ Database connection failed:', error.message);
-        
-        // More specific error messages
+        // More specific hints
+        let hint;
         if (error.name === 'MongooseServerSelectionError') {
-            console.error('💡 Possible issues:');
-            console.error('   - Check your MongoDB URI in .env file');
-            console.error('   - Verify your internet connection');
-            console.error('   - Check MongoDB Atlas network access settings');
+            hint = 'Check the MongoDB URI in .env, your internet connection and MongoDB Atlas network access settings';
         }
-        
         if (error.name === 'MongoParseError') {
-            console.error('💡 Check your MongoDB URI format in .env file');
+            hint = 'Check the MongoDB URI format in .env';
         }
+        logger.error('Database connection failed', { error, hint });
         
         // Don't exit in development, just log the error
         if (process.env.NODE_ENV === 'production') {
@@ -73,10 +69,10 @@ const connectDB = async () => {
 const testConnection = async () => {
     try {
         await mongoose.connection.db.admin().command({ ping: 1 });
-        console.log('🏓 Database ping successful!');
+        logger.debug('Database ping successful');
         return true;
     } catch (error) {
-        console.error('❌ Database ping failed:', error.message);
+        logger.error('Database ping failed', { error });
         return false;
     }
 };
@@ -102,7 +98,7 @@ const getDBStats = async () => {
             }
         };
     } catch (error) {
-        console.error('❌ Error getting database stats:', error);
+        logger.error('Error getting database stats', { error });
         return null;
     }
 };
@@ -0,0 +1,46 @@
+// config/encryption.js
+// Master keys for field-level encryption (see services/encryption.js).
+//   ENCRYPTION_MASTER_KEYS="2:<base64>,1:<base64>" - 32-byte keys; the first one wraps new data keys,
+//                                                  the others are only used to unwrap older ones
+//   ENCRYPTION_MASTER_KEY=<base64>                - shorthand for a single key with id "1"
+// Without either, text is stored as plaintext (fine for local development only).
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+const parseMasterKeys = () => {
+    const raw = process.env.ENCRYPTION_MASTER_KEYS
+        || (process.env.ENCRYPTION_MASTER_KEY ? `1:${process.env.ENCRYPTION_MASTER_KEY}` : '');
+
+    const keys = raw.split(',').map(s => s.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator < 1) {
+            throw new Error('ENCRYPTION_MASTER_KEYS entries must look like "<id>:<base64 key>"');
+        }
+        const id = entry.substring(0, separator);
+        const key = Buffer.from(entry.substring(separator + 1), 'base64');
+        if (key.length !== 32) {
+            throw new Error(`Encryption master key "${id}" must be 32 bytes (got ${key.length})`);
+        }
+        return { id, key };
+    });
+
+    if (new Set(keys.map(k => k.id)).size !== keys.length) {
+        throw new Error('ENCRYPTION_MASTER_KEYS contains the same id twice');
+    }
+    return keys;
+};
+
+const masterKeys = parseMasterKeys();
+
+if (masterKeys.length === 0) {
+    logger.warn('No ENCRYPTION_MASTER_KEY set - check-in and journal text will be stored unencrypted');
+}
+
+module.exports = {
+    enabled: masterKeys.length > 0,
+    // Newest first - masterKeys[0] is the current key
+    masterKeys,
+    // Unwrapped data keys kept in memory
+    keyCacheSize: parseInt(process.env.ENCRYPTION_KEY_CACHE_SIZE) || 1000
+};
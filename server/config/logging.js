@@ -0,0 +1,26 @@
+// config/logging.js
+//   LOG_LEVEL  - error | warn | info | debug | silent (default depends on NODE_ENV, see below)
+//   LOG_FORMAT - json (one object per line) | pretty (readable, for local development)
+require('dotenv').config();
+
+const LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+const env = process.env.NODE_ENV || 'development';
+const DEFAULT_LEVELS = {
+    production: 'info',
+    test: 'silent',
+    development: 'debug'
+};
+
+const requestedLevel = (process.env.LOG_LEVEL || '').toLowerCase();
+
+module.exports = {
+    LEVELS,
+    env,
+    level: LEVELS.includes(requestedLevel) ? requestedLevel : (DEFAULT_LEVELS[env] || 'info'),
+    format: process.env.LOG_FORMAT === 'pretty' || process.env.LOG_FORMAT === 'json'
+        ? process.env.LOG_FORMAT
+        : (env === 'production' ? 'json' : 'pretty'),
+    // Stack traces are left out of production logs
+    includeStacks: env !== 'production'
+};
@@ -0,0 +1,20 @@
+// config/privacy.js
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+const RETENTION_MODES = ['delete', 'anonymize'];
+
+const mode = process.env.RETENTION_MODE || 'anonymize';
+if (!RETENTION_MODES.includes(mode)) {
+    logger.warn('Unknown RETENTION_MODE - using "anonymize"', { mode });
+}
+
+module.exports = {
+    // Check-ins older than this are purged/anonymized. 0 turns retention off.
+    retentionDays: parseInt(process.env.RETENTION_DAYS) || 0,
+    retentionMode: RETENTION_MODES.includes(mode) ? mode : 'anonymize',
+    // How often the retention job runs
+    retentionIntervalMs: parseInt(process.env.RETENTION_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    // Salt for the hashed subject ids kept in the audit log
+    auditSalt: process.env.AUDIT_SALT || process.env.JWT_SECRET || 'dev-only-audit-salt'
+};
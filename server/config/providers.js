@@ -0,0 +1,17 @@
+// config/providers.js
+require('dotenv').config();
+
+module.exports = {
+    // python-http | local-lexicon | mock
+    provider: process.env.SENTIMENT_PROVIDER || 'python-http',
+    // Used when the primary provider is unreachable (ECONNREFUSED / ETIMEDOUT) or its circuit breaker is open.
+    // Opt-in (SENTIMENT_FAILOVER=true): by default those check-ins are queued for the primary instead
+    // (config/analysisQueue.js), so a lexicon guess never stands in for a real analysis.
+    fallbackProvider: process.env.SENTIMENT_FALLBACK_PROVIDER || 'local-lexicon',
+    failoverEnabled: process.env.SENTIMENT_FAILOVER === 'true',
+    // Provider per detected input language (services/language.js; "hi" covers Devanagari and Hinglish).
+    // Languages not listed use `provider`. The Python model is English-only, so Hindi defaults to the Hindi lexicon.
+    localeProviders: {
+        hi: process.env.SENTIMENT_PROVIDER_HI || 'local-lexicon-hi'
+    }
+};
@@ -0,0 +1,56 @@
+// config/rateLimit.js
+// Per-route limits: { windowMs, session, user, ip } - max requests per window for each key
+// (a key left out isn't limited). A request is rejected as soon as any of its keys is over its limit.
+// Session ids come from the client and can be rotated freely, so the ip limit is the real backstop.
+//   RATE_LIMIT_ENABLED=false - turns limiting off
+//   RATE_LIMIT_STORE         - memory (single instance, default) | mongo (shared between instances)
+//   RATE_LIMITS              - JSON overrides merged per route, e.g. {"analyzeMood":{"session":5}}
+//   TRUST_PROXY              - Express "trust proxy" value, so req.ip is the client behind a load balancer
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+const STORES = ['memory', 'mongo'];
+
+const DEFAULT_LIMITS = {
+    // Every call runs a transformer inference in the Python service
+    analyzeMood: { windowMs: 60 * 1000, session: 10, user: 15, ip: 30 },
+    threadMessage: { windowMs: 60 * 1000, session: 15, user: 20, ip: 40 },
+    // Saving an entry re-analyzes the whole body
+    journalAnalysis: { windowMs: 60 * 1000, session: 10, user: 10, ip: 30 },
+    // Served from a cache, but a cold cache aggregates every rated check-in
+    feedbackSummary: { windowMs: 60 * 1000, session: 10, user: 10, ip: 30 },
+    // Password guessing
+    auth: { windowMs: 15 * 60 * 1000, ip: 30 }
+};
+
+const parseOverrides = () => {
+    if (!process.env.RATE_LIMITS) return {};
+    try {
+        return JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+        logger.warn('RATE_LIMITS is not valid JSON - using the default limits', { error });
+        return {};
+    }
+};
+
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+const overrides = parseOverrides();
+const store = process.env.RATE_LIMIT_STORE || 'memory';
+if (!STORES.includes(store)) {
+    logger.warn('Unknown RATE_LIMIT_STORE - using "memory"', { store });
+}
+
+module.exports = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: STORES.includes(store) ? store : 'memory',
+    limits: Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([route, limit]) => [
+        route,
+        { ...limit, ...(overrides[route] || {}) }
+    ])),
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
+};
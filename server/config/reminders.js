@@ -0,0 +1,58 @@
+// config/reminders.js
+// Check-in reminders (services/reminders): the scheduler, delivery channels and backoff.
+// Web Push needs a VAPID key pair - generate one with `npx web-push generate-vapid-keys`.
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+const EMAIL_TRANSPORTS = ['file', 'smtp'];
+
+module.exports = {
+    enabled: process.env.REMINDERS_ENABLED !== 'false',
+    // How often the scheduler looks for due reminders, and how many it sends per run
+    pollIntervalMs: parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000,
+    batchSize: parseInt(process.env.REMINDER_BATCH_SIZE) || 50,
+
+    // After this many reminders in a row with no check-in, reminders thin out: every 2nd, then 4th,
+    // then 8th one is sent (maxBackoffLevel). A check-in or tapping a reminder resets it.
+    ignoreThreshold: parseInt(process.env.REMINDER_IGNORE_THRESHOLD) || 3,
+    maxBackoffLevel: 3,
+
+    // Allowed snooze lengths, in minutes
+    minSnoozeMinutes: 10,
+    maxSnoozeMinutes: 24 * 60,
+
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+
+    webPush: {
+        publicKey: process.env.VAPID_PUBLIC_KEY || null,
+        privateKey: process.env.VAPID_PRIVATE_KEY || null,
+        subject: process.env.VAPID_SUBJECT || 'mailto:reminders@localhost',
+        // Push subscriptions are only accepted for these push services (FCM, Mozilla autopush, Apple, WNS) -
+        // the server POSTs to the endpoint on every reminder. "*." allows any subdomain.
+        // PUSH_SERVICE_HOSTS (comma separated) replaces the list.
+        allowedHosts: process.env.PUSH_SERVICE_HOSTS
+            ? process.env.PUSH_SERVICE_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+            : [
+                'fcm.googleapis.com',
+                'android.googleapis.com',
+                'updates.push.services.mozilla.com',
+                'web.push.apple.com',
+                '*.notify.windows.com'
+            ]
+    },
+
+    email: {
+        // file: writes .eml files to `directory` (for development), smtp: sends through SMTP_HOST
+        transport: EMAIL_TRANSPORTS.includes(process.env.EMAIL_TRANSPORT) ? process.env.EMAIL_TRANSPORT : 'file',
+        directory: process.env.EMAIL_DIR || path.join(os.tmpdir(), 'mental-health-companion-emails'),
+        from: process.env.EMAIL_FROM || 'AI Mental Health Companion <reminders@localhost>',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS || null
+        }
+    }
+};
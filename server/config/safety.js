@@ -0,0 +1,92 @@
+// config/safety.js
+const fs = require('fs');
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+// Default crisis detection rules, grouped by locale.
+// Har locale mein "high" patterns explicit self-harm/suicidal intent hain,
+// "medium" patterns hopelessness jaisi concerning phrasing pakadte hain.
+const DEFAULT_PATTERNS = {
+    en: {
+        high: [
+            { category: 'suicidal_intent', pattern: '\\b(kill|hang|shoot|drown)\\s+myself\\b' },
+            { category: 'suicidal_intent', pattern: '\\b(commit(ting)?\\s+)?suicid(e|al)\\b' },
+            { category: 'suicidal_intent', pattern: '\\bend(ing)?\\s+(it\\s+all|my\\s+life|everything)\\b' },
+            { category: 'suicidal_intent', pattern: '\\b(want|wanna|going)\\s+to\\s+die\\b' },
+            { category: 'suicidal_intent', pattern: "\\b(don'?t|do\\s+not)\\s+want\\s+to\\s+(live|be\\s+alive|wake\\s+up)\\b" },
+            { category: 'suicidal_intent', pattern: '\\bbetter\\s+off\\s+dead\\b' },
+            { category: 'suicidal_intent', pattern: '\\btake\\s+my\\s+(own\\s+)?life\\b' },
+            { category: 'self_harm', pattern: '\\b(cut|cutting|hurt|hurting|harm|harming|burn|burning)\\s+myself\\b' },
+            { category: 'self_harm', pattern: '\\bself[-\\s]?harm(ing)?\\b' },
+            { category: 'self_harm', pattern: '\\boverdos(e|ing)\\b' }
+        ],
+        medium: [
+            { category: 'hopelessness', pattern: '\\b(hopeless|no\\s+hope)\\b' },
+            { category: 'hopelessness', pattern: '\\bno\\s+(point|reason)\\s+(in\\s+)?(living|going\\s+on|anymore)\\b' },
+            { category: 'hopelessness', pattern: "\\bcan'?t\\s+(go\\s+on|take\\s+(it|this)\\s+anymore)\\b" },
+            { category: 'worthlessness', pattern: '\\b(i\\s+am|i\'?m)\\s+(worthless|a\\s+burden)\\b' },
+            { category: 'worthlessness', pattern: '\\beveryone\\s+would\\s+be\\s+better\\s+(off\\s+)?without\\s+me\\b' },
+            { category: 'isolation', pattern: '\\bno\\s*one\\s+would\\s+(care|miss\\s+me|notice)\\b' }
+        ]
+    },
+    hi: {
+        high: [
+            { category: 'suicidal_intent', pattern: '\\b(marna|mar\\s+jana|mar\\s+jaun)\\s+(chahta|chahti|hai|hoon|hu)\\b' },
+            { category: 'suicidal_intent', pattern: '\\b(khudkushi|aatmahatya|suicide)\\b' },
+            { category: 'suicidal_intent', pattern: '\\bjeena\\s+nahi\\s+(chahta|chahti)\\b' },
+            { category: 'suicidal_intent', pattern: '\\bsab\\s+khatam\\s+kar\\s+(dunga|dungi|du)\\b' },
+            { category: 'suicidal_intent', pattern: 'आत्महत्या|मरना\\s+चाहता|मरना\\s+चाहती|जीना\\s+नहीं\\s+चाहता|जीना\\s+नहीं\\s+चाहती' },
+            { category: 'self_harm', pattern: '\\bkhud\\s+ko\\s+(hurt|nuksan|chot)\\b' }
+        ],
+        medium: [
+            { category: 'hopelessness', pattern: '\\b(koi\\s+umeed\\s+nahi|sab\\s+bekaar\\s+hai)\\b' },
+            { category: 'worthlessness', pattern: '\\b(main|mai)\\s+(bekaar|bojh)\\s+(hoon|hu)\\b' },
+            { category: 'isolation', pattern: '\\bkisi\\s+ko\\s+(fark|farak)\\s+nahi\\s+padta\\b' },
+            { category: 'hopelessness', pattern: 'कोई\\s+उम्मीद\\s+नहीं|मैं\\s+बोझ\\s+हूँ' }
+        ]
+    }
+};
+
+// Helpline resources shown in the crisis response, keyed by locale
+const DEFAULT_RESOURCES = {
+    en: [
+        { name: 'Tele MANAS (India)', phone: '14416', description: '24x7 free mental health helpline' },
+        { name: 'KIRAN Mental Health Helpline (India)', phone: '1800-599-0019', description: '24x7 toll-free' },
+        { name: 'AASRA', phone: '+91-9820466726', url: 'http://www.aasra.info' },
+        { name: 'Find a Helpline (International)', url: 'https://findahelpline.com' }
+    ],
+    hi: [
+        { name: 'टेली मानस (Tele MANAS)', phone: '14416', description: '24x7 मुफ़्त मानसिक स्वास्थ्य हेल्पलाइन' },
+        { name: 'किरण हेल्पलाइन (KIRAN)', phone: '1800-599-0019', description: '24x7 टोल-फ़्री' },
+        { name: 'AASRA', phone: '+91-9820466726', url: 'http://www.aasra.info' }
+    ]
+};
+
+const DEFAULT_MESSAGES = {
+    en: "💛 It sounds like you're carrying a lot of pain right now, and you don't have to face it alone. " +
+        'Please reach out to one of the helplines below or someone you trust — talking to someone right now can help.',
+    hi: '💛 लगता है आप अभी बहुत दर्द से गुज़र रहे हैं, और आपको इसका सामना अकेले नहीं करना है। ' +
+        'कृपया नीचे दी गई किसी हेल्पलाइन से या किसी भरोसेमंद व्यक्ति से अभी बात करें।'
+};
+
+// Optional JSON override: { patterns, resources, messages, defaultLocale }
+const loadOverrides = () => {
+    const file = process.env.SAFETY_CONFIG_FILE;
+    if (!file) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        logger.error('Failed to load safety config', { error, file });
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+module.exports = {
+    defaultLocale: overrides.defaultLocale || process.env.SAFETY_DEFAULT_LOCALE || 'en',
+    patterns: { ...DEFAULT_PATTERNS, ...overrides.patterns },
+    resources: { ...DEFAULT_RESOURCES, ...overrides.resources },
+    messages: { ...DEFAULT_MESSAGES, ...overrides.messages }
+};
@@ -0,0 +1,35 @@
+// config/speech.js
+// Voice check-ins (POST /analyze-mood/audio): upload limits and the speech-to-text provider (services/speech)
+//   SPEECH_PROVIDER          - whisper-http | local-stand-in. Defaults to whisper-http when SPEECH_API_URL is set
+//   SPEECH_API_URL           - OpenAI-compatible transcription endpoint (faster-whisper-server, whisper.cpp, ...)
+//   SPEECH_API_KEY           - sent as a bearer token, if the endpoint needs one
+//   SPEECH_MODEL             - model name sent with each request
+//   SPEECH_TIMEOUT_MS        - per-request timeout
+//   SPEECH_MAX_BYTES         - largest accepted upload
+//   SPEECH_MAX_SECONDS       - longest accepted recording
+//   SPEECH_MIN_CONFIDENCE    - transcripts below this confidence are not analyzed (the user is asked to retry)
+//   SPEECH_STANDIN_TRANSCRIPT - what the local stand-in "hears" in real audio
+require('dotenv').config();
+
+const readNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+const apiUrl = process.env.SPEECH_API_URL || null;
+
+module.exports = {
+    provider: process.env.SPEECH_PROVIDER || (apiUrl ? 'whisper-http' : 'local-stand-in'),
+    apiUrl,
+    apiKey: process.env.SPEECH_API_KEY || null,
+    model: process.env.SPEECH_MODEL || 'whisper-1',
+    timeoutMs: readNumber('SPEECH_TIMEOUT_MS', 30 * 1000),
+    // ~1 minute of Opus audio is well under 1 MB; WAV from older browsers is much larger
+    maxBytes: readNumber('SPEECH_MAX_BYTES', 5 * 1024 * 1024),
+    // A minute of speech is roughly 150 words - about what fits in a 1000 character check-in
+    maxSeconds: readNumber('SPEECH_MAX_SECONDS', 60),
+    minConfidence: readNumber('SPEECH_MIN_CONFIDENCE', 0.3),
+    // What MediaRecorder produces in current browsers, plus WAV and MP3 for uploads from other clients
+    mimeTypes: ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/wav', 'audio/x-wav'],
+    standInTranscript: process.env.SPEECH_STANDIN_TRANSCRIPT || 'I wanted to talk about how my day went.'
+};
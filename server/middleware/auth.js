@@ -0,0 +1,49 @@
+// middleware/auth.js
+const { verifyAccessToken } = require('../services/auth');
+const { User } = require('../models');
+const { sendError } = require('../utils/errors');
+
+// Attaches req.user when a valid Bearer token is present.
+// Anonymous requests pass through; a bad or expired token is rejected so the client can refresh.
+const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer ')) {
+        return next();
+    }
+
+    try {
+        const payload = verifyAccessToken(header.slice(7));
+        const user = await User.findById(payload.sub);
+
+        if (!user || !user.isActive) {
+            return sendError(res, 'INVALID_TOKEN', 'Account not found or disabled');
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        return expired
+            ? sendError(res, 'TOKEN_EXPIRED', 'Access token expired')
+            : sendError(res, 'INVALID_TOKEN', 'Invalid access token');
+    }
+};
+
+const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return sendError(res, 'AUTH_REQUIRED', 'Authentication required');
+    }
+    next();
+};
+
+// Query filter for data owned by the current caller.
+// Once a session is claimed by an account, anonymous requests with that session id no longer see it.
+const getOwnerFilter = (req) => {
+    return req.user ? { userId: req.user._id } : { sessionId: req.sessionId, userId: null };
+};
+
+module.exports = {
+    authenticate,
+    requireAuth,
+    getOwnerFilter
+};
@@ -0,0 +1,42 @@
+// middleware/rateLimit.js
+// Per-route request limits (see config/rateLimit.js). Adds the RateLimit-* headers to every
+// limited route and answers 429 + Retry-After once the session, user or IP is over its limit.
+const rateLimitConfig = require('../config/rateLimit');
+const { consume } = require('../services/rateLimit');
+const { hashIp } = require('../utils/ip');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const rateLimit = (routeName) => Object.assign(async (req, res, next) => {
+    if (!rateLimitConfig.enabled) return next();
+
+    let result;
+    try {
+        result = await consume(routeName, {
+            session: req.sessionId,
+            user: req.user ? String(req.user._id) : null,
+            ip: hashIp(req.ip)
+        });
+    } catch (error) {
+        // Never lock everyone out because the limiter itself broke
+        logger.error('Rate limit check failed - allowing request', { route: routeName, error });
+        return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+    if (result.limit !== null) {
+        res.setHeader('RateLimit-Limit', result.limit);
+        res.setHeader('RateLimit-Remaining', result.remaining);
+        res.setHeader('RateLimit-Reset', resetSeconds);
+    }
+
+    if (!result.limited) return next();
+
+    logger.warn('Rate limit exceeded', { route: routeName, dimension: result.dimension, retryAfter: resetSeconds });
+    res.setHeader('Retry-After', resetSeconds);
+    sendError(res, 'RATE_LIMITED', `Too many requests. Please wait ${resetSeconds} seconds and try again.`, {
+        retryAfter: resetSeconds
+    });
+}, { rateLimit: routeName });
+
+module.exports = rateLimit;
@@ -0,0 +1,16 @@
+// middleware/requestId.js
+// Gives every request a correlation id: taken from X-Request-ID when the caller sends a sane one,
+// generated otherwise. It is echoed back, added to every log entry and forwarded to the Python API.
+const crypto = require('crypto');
+const { REQUEST_ID_HEADER, runWithContext } = require('../utils/requestContext');
+
+const VALID_REQUEST_ID = /^[\w.-]{8,128}$/;
+
+const requestId = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,76 @@
+// models/AnalysisJob.js
+// Deferred analysis jobs (services/analysisQueue.js) - one per pending check-in.
+// The text stays in the (encrypted) conversation; a job is deleted once its conversation is analyzed.
+const mongoose = require('mongoose');
+
+const AnalysisJobSchema = new mongoose.Schema({
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true,
+        unique: true
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'failed'],
+        default: 'queued'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    nextRunAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    },
+
+    // Request language, for the safety screening and recommendation locale
+    language: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'analysis_jobs'
+});
+
+AnalysisJobSchema.index({ status: 1, nextRunAt: 1 });
+
+AnalysisJobSchema.statics.enqueue = function(conversationId, language) {
+    return this.create({ conversationId, language });
+};
+
+// Atomically takes the next due job (or one whose worker died mid-run) and marks it processing
+AnalysisJobSchema.statics.claimNext = function(lockTimeoutMs) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextRunAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+            ]
+        },
+        { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { nextRunAt: 1 }, new: true }
+    );
+};
+
+AnalysisJobSchema.statics.countByStatus = async function() {
+    const counts = await this.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+};
+
+module.exports = mongoose.model('AnalysisJob', AnalysisJobSchema);
@@ -0,0 +1,44 @@
+// models/AuditLog.js
+// Record of privacy-relevant actions (erasure, retention runs). Never stores the data itself
+// or a raw user/session id - only a salted hash, so the record can't be joined back to a person.
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: ['erasure', 'export', 'retention']
+    },
+
+    subjectType: {
+        type: String,
+        enum: ['user', 'session', 'system'],
+        required: true
+    },
+
+    subjectHash: {
+        type: String,
+        default: null
+    },
+
+    // e.g. { conversations: 12, sessions: 1 }
+    counts: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+}, {
+    collection: 'audit_logs'
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,5 +1,13 @@
 // models/Conversation.js
 const mongoose = require('mongoose');
+const fieldEncryption = require('./plugins/fieldEncryption');
+
+function isAnalyzed() {
+    return this.analysisStatus === 'analyzed';
+}
+
+// Pending and failed check-ins have no sentiment yet (documents from before the queue have no analysisStatus)
+const ANALYZED = { analysisStatus: { $nin: ['pending', 'failed'] } };
 
 const ConversationSchema = new mongoose.Schema({
     // User identification (for now, we'll use session-based)
@@ -9,6 +17,14 @@ const ConversationSchema = new mongoose.Schema({
         index: true
     },
     
+    // Registered user (null for anonymous sessions)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    
     // User's input text
     userText: {
         type: String,
@@ -17,29 +33,48 @@ const ConversationSchema = new mongoose.Schema({
         maxLength: 1000
     },
     
+    // pending: saved while the AI service was down, waiting in the analysis queue (services/analysisQueue.js)
+    // failed: the queue gave up on it. The analysis fields below are only set once it's analyzed.
+    analysisStatus: {
+        type: String,
+        enum: ['pending', 'analyzed', 'failed'],
+        default: 'analyzed'
+    },
+    
+    analyzedAt: {
+        type: Date,
+        default: null
+    },
+    
     // AI Analysis Results
     sentiment: {
         type: String,
-        required: true,
+        required: isAnalyzed,
         enum: ['POSITIVE', 'NEGATIVE', 'NEUTRAL', 'MIXED']
     },
     
     confidenceScore: {
         type: Number,
-        required: true,
+        required: isAnalyzed,
         min: 0,
         max: 1
     },
     
     recommendation: {
         type: String,
-        required: true
+        required: isAnalyzed
     },
     
     additionalTips: [{
         type: String
     }],
     
+    // Which catalog rules/tips produced the recommendation (used for tip dedup)
+    recommendationMeta: {
+        ruleIds: [{ type: String }],
+        tipIds: [{ type: String }]
+    },
+    
     // Metadata
     timestamp: {
         type: Date,
@@ -53,7 +88,28 @@ const ConversationSchema = new mongoose.Schema({
         default: 0
     },
     
-    // User feedback (for future improvement)
+    // Sentiment provider that produced the analysis (python-http, local-lexicon, mock)
+    provider: {
+        type: String,
+        default: 'python-http'
+    },
+    
+    // Typed, or spoken and transcribed (POST /analyze-mood/audio)
+    source: {
+        type: String,
+        enum: ['text', 'voice'],
+        default: 'text'
+    },
+    
+    // Voice check-ins only - userText is the transcript
+    transcription: {
+        // The speech-to-text provider's confidence in the transcript (unset when it doesn't report one)
+        confidence: { type: Number, min: 0, max: 1 },
+        durationSeconds: Number,
+        provider: String
+    },
+    
+    // User feedback on the recommendation (aggregated to rank tips - see services/feedbackStats.js)
     userFeedback: {
         helpful: {
             type: Boolean,
@@ -64,6 +120,17 @@ const ConversationSchema = new mongoose.Schema({
             min: 1,
             max: 5,
             default: null
+        },
+        // Limited to 500 characters by the feedback route - a maxLength here would be checked against the
+        // ciphertext, since the encryption hook runs before update validators
+        comment: {
+            type: String,
+            trim: true,
+            default: null
+        },
+        submittedAt: {
+            type: Date,
+            default: null
         }
     },
     
@@ -81,12 +148,38 @@ const ConversationSchema = new mongoose.Schema({
         confidence: Number
     }],
     
+    // Set when the retention policy stripped the text and identifiers (see services/retention.js)
+    anonymizedAt: {
+        type: Date,
+        default: null
+    },
+    
+    // Crisis / self-harm safety screening result
+    safety: {
+        riskLevel: {
+            type: String,
+            enum: ['none', 'low', 'medium', 'high'],
+            default: 'none'
+        },
+        flagged: {
+            type: Boolean,
+            default: false
+        },
+        categories: [{
+            type: String
+        }],
+        flaggedAt: Date
+    },
+    
     // IP and user agent for analytics (anonymous)
     metadata: {
         userAgent: String,
         ipHash: String, // hashed for privacy
         country: String,
-        language: String
+        // Accept-Language (the language we answer in)
+        language: String,
+        // Language the text is written in: en, hi or hi-Latn (Hinglish) - services/language.js
+        detectedLanguage: String
     }
 }, {
     timestamps: true, // Adds createdAt and updatedAt
@@ -95,8 +188,21 @@ const ConversationSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 ConversationSchema.index({ sessionId: 1, timestamp: -1 });
+ConversationSchema.index({ userId: 1, timestamp: -1 });
 ConversationSchema.index({ sentiment: 1, timestamp: -1 });
 ConversationSchema.index({ timestamp: -1 });
+ConversationSchema.index({ 'safety.flagged': 1, timestamp: -1 });
+ConversationSchema.index({ 'userFeedback.submittedAt': -1 });
+ConversationSchema.index({ analysisStatus: 1 });
+// Full-text search over the history view (only used while encryption is off)
+ConversationSchema.index({ userText: 'text' });
+
+// Text, recommendation and feedback comments are encrypted at rest; sentiment, scores and
+// emotions stay readable for analytics
+ConversationSchema.plugin(fieldEncryption, {
+    fields: ['userText', 'recommendation', 'additionalTips', 'userFeedback.comment'],
+    search: ['userText']
+});
 
 // Virtual for formatted date
 ConversationSchema.virtual('formattedDate').get(function() {
@@ -109,28 +215,261 @@ ConversationSchema.virtual('formattedDate').get(function() {
     });
 });
 
+// Signed mood per check-in: +confidence for POSITIVE, -confidence for NEGATIVE, 0 otherwise
+const MOOD_VALUE = {
+    $switch: {
+        branches: [
+            { case: { $eq: ['$sentiment', 'POSITIVE'] }, then: '$confidenceScore' },
+            { case: { $eq: ['$sentiment', 'NEGATIVE'] }, then: { $multiply: ['$confidenceScore', -1] } }
+        ],
+        default: 0
+    }
+};
+
 // Static methods for analytics
-ConversationSchema.statics.getAnalytics = async function(sessionId, days = 30) {
+// `owner` is either a sessionId string or an owner filter like { userId }
+ConversationSchema.statics.getAnalytics = async function(owner, days = 30, options = {}) {
+    const { bucket = 'day', timezone = 'UTC' } = options;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
+    const ownerFilter = typeof owner === 'string' ? { sessionId: owner } : owner;
     
     const pipeline = [
         {
             $match: {
-                sessionId: sessionId,
+                ...ownerFilter,
+                ...ANALYZED,
                 timestamp: { $gte: startDate }
             }
         },
+        {
+            $facet: {
+                // Per-sentiment totals (the original shape)
+                totals: [
+                    {
+                        $group: {
+                            _id: '$sentiment',
+                            count: { $sum: 1 },
+                            avgConfidence: { $avg: '$confidenceScore' }
+                        }
+                    }
+                ],
+                // One point per day/week/month in the user's timezone
+                series: [
+                    {
+                        $group: {
+                            _id: {
+                                $dateTrunc: { date: '$timestamp', unit: bucket, timezone, startOfWeek: 'monday' }
+                            },
+                            count: { $sum: 1 },
+                            positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'POSITIVE'] }, 1, 0] } },
+                            negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'NEGATIVE'] }, 1, 0] } },
+                            neutral: { $sum: { $cond: [{ $eq: ['$sentiment', 'NEUTRAL'] }, 1, 0] } },
+                            mixed: { $sum: { $cond: [{ $eq: ['$sentiment', 'MIXED'] }, 1, 0] } },
+                            avgConfidence: { $avg: '$confidenceScore' },
+                            moodScore: { $avg: MOOD_VALUE }
+                        }
+                    },
+                    { $sort: { _id: 1 } },
+                    {
+                        $project: {
+                            _id: 0,
+                            bucketStart: '$_id',
+                            count: 1,
+                            positive: 1,
+                            negative: 1,
+                            neutral: 1,
+                            mixed: 1,
+                            avgConfidence: { $round: ['$avgConfidence', 3] },
+                            moodScore: { $round: ['$moodScore', 3] }
+                        }
+                    }
+                ]
+            }
+        }
+    ];
+    
+    const [result] = await this.aggregate(pipeline);
+    return { totals: result.totals, series: result.series, bucket, timezone };
+};
+
+// Average mood per local calendar day since `from`: [{ day: 'YYYY-MM-DD', moodScore, count }], oldest first
+ConversationSchema.statics.getDailyMood = async function(ownerFilter, from, timezone = 'UTC') {
+    return await this.aggregate([
+        { $match: { ...ownerFilter, ...ANALYZED, timestamp: { $gte: from } } },
+        {
+            $group: {
+                _id: { $dateToString: { date: '$timestamp', format: '%Y-%m-%d', timezone } },
+                moodScore: { $avg: MOOD_VALUE },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, day: '$_id', moodScore: { $round: ['$moodScore', 3] }, count: 1 } }
+    ]);
+};
+
+// Check-in streaks: consecutive days with a check-in (in the user's timezone) and the current sentiment run
+ConversationSchema.statics.getStreaks = async function(owner, timezone = 'UTC') {
+    const ownerFilter = typeof owner === 'string' ? { sessionId: owner } : owner;
+    
+    const days = await this.aggregate([
+        { $match: ownerFilter },
         {
             $group: {
-                _id: '$sentiment',
-                count: { $sum: 1 },
-                avgConfidence: { $avg: '$confidenceScore' }
+                _id: { $dateToString: { date: '$timestamp', format: '%Y-%m-%d', timezone } }
             }
+        },
+        { $sort: { _id: -1 } }
+    ]);
+    
+    const recent = await this.find({ ...ownerFilter, ...ANALYZED })
+        .sort({ timestamp: -1 })
+        .limit(50)
+        .select('sentiment');
+    
+    // Day strings are compared as UTC dates so DST doesn't shift the gaps
+    const dayNumber = (day) => Math.round(Date.parse(`${day}T00:00:00Z`) / 86400000);
+    const today = dayNumber(new Date().toLocaleDateString('en-CA', { timeZone: timezone }));
+    const dayNumbers = days.map(d => dayNumber(d._id));
+    
+    let longestDays = 0;
+    let run = 0;
+    for (let i = 0; i < dayNumbers.length; i++) {
+        run = i > 0 && dayNumbers[i - 1] - dayNumbers[i] === 1 ? run + 1 : 1;
+        longestDays = Math.max(longestDays, run);
+    }
+    
+    // The current streak survives until the end of today even if there's no check-in yet
+    let currentDays = 0;
+    if (dayNumbers.length > 0 && today - dayNumbers[0] <= 1) {
+        currentDays = 1;
+        while (currentDays < dayNumbers.length && dayNumbers[currentDays - 1] - dayNumbers[currentDays] === 1) {
+            currentDays += 1;
         }
+    }
+    
+    let sentimentRun = 0;
+    const runSentiment = recent.length > 0 ? recent[0].sentiment : null;
+    while (sentimentRun < recent.length && recent[sentimentRun].sentiment === runSentiment) {
+        sentimentRun += 1;
+    }
+    
+    return {
+        currentDays,
+        longestDays,
+        checkedInToday: dayNumbers[0] === today,
+        sentimentRun: { sentiment: runSentiment, count: sentimentRun }
+    };
+};
+
+// Average score per emotion, plus how often each one was the strongest emotion of a check-in
+ConversationSchema.statics.getEmotionBreakdown = async function(owner, days = 30) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    const ownerFilter = typeof owner === 'string' ? { sessionId: owner } : owner;
+    
+    return await this.aggregate([
+        {
+            $match: {
+                ...ownerFilter,
+                timestamp: { $gte: startDate },
+                'detectedEmotions.0': { $exists: true }
+            }
+        },
+        // detectedEmotions is stored highest score first, so index 0 is the dominant emotion
+        { $unwind: { path: '$detectedEmotions', includeArrayIndex: 'rank' } },
+        {
+            $group: {
+                _id: '$detectedEmotions.emotion',
+                avgScore: { $avg: '$detectedEmotions.confidence' },
+                maxScore: { $max: '$detectedEmotions.confidence' },
+                dominantCount: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ['$rank', 0] }, { $gte: ['$detectedEmotions.confidence', 0.3] }] },
+                            1,
+                            0
+                        ]
+                    }
+                },
+                entries: { $sum: 1 }
+            }
+        },
+        { $sort: { avgScore: -1 } }
+    ]);
+};
+
+// Feedback score per tip and per top rule, grouped by sentiment.
+// Each conversation's score is the mean of its signals: helpful (1/0) and rating mapped to 0..1.
+ConversationSchema.statics.getFeedbackStats = async function(days = 90) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    
+    const scored = [
+        {
+            $match: {
+                'userFeedback.submittedAt': { $gte: startDate },
+                'recommendationMeta.tipIds.0': { $exists: true }
+            }
+        },
+        {
+            $addFields: {
+                feedbackScore: {
+                    $avg: [
+                        { $cond: [{ $eq: ['$userFeedback.helpful', null] }, null, { $cond: ['$userFeedback.helpful', 1, 0] }] },
+                        { $cond: [{ $eq: ['$userFeedback.rating', null] }, null, { $divide: [{ $subtract: ['$userFeedback.rating', 1] }, 4] }] }
+                    ]
+                }
+            }
+        },
+        { $match: { feedbackScore: { $ne: null } } }
     ];
     
-    return await this.aggregate(pipeline);
+    const signals = {
+        count: { $sum: 1 },
+        totalScore: { $sum: '$feedbackScore' },
+        avgScore: { $avg: '$feedbackScore' },
+        avgRating: { $avg: '$userFeedback.rating' },
+        helpfulVotes: { $sum: { $cond: [{ $eq: ['$userFeedback.helpful', true] }, 1, 0] } },
+        unhelpfulVotes: { $sum: { $cond: [{ $eq: ['$userFeedback.helpful', false] }, 1, 0] } }
+    };
+    
+    const [result] = await this.aggregate([
+        ...scored,
+        {
+            $facet: {
+                tips: [
+                    { $unwind: '$recommendationMeta.tipIds' },
+                    { $group: { _id: { sentiment: '$sentiment', tipId: '$recommendationMeta.tipIds' }, ...signals } }
+                ],
+                // The message comes from the first (highest priority) matched rule
+                messages: [
+                    {
+                        $group: {
+                            _id: { sentiment: '$sentiment', ruleId: { $first: '$recommendationMeta.ruleIds' } },
+                            ...signals
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+    
+    return result;
+};
+
+// Recent check-ins (newest first) used by the recommendation engine for history rules and tip dedup
+ConversationSchema.statics.getRecentHistory = async function(ownerFilter, limit = 5) {
+    const recent = await this.find({ ...ownerFilter, ...ANALYZED })
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .select('sentiment recommendationMeta.tipIds');
+    
+    return recent.map(c => ({
+        sentiment: c.sentiment,
+        tipIds: c.recommendationMeta?.tipIds || []
+    }));
 };
 
 // Instance method for similar conversations
@@ -153,6 +492,14 @@ const SessionSchema = new mongoose.Schema({
         index: true
     },
     
+    // Set when an anonymous session is upgraded into an account
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    
     // Session statistics
     conversationCount: {
         type: Number,
@@ -182,8 +529,9 @@ const SessionSchema = new mongoose.Schema({
         default: Date.now
     },
     
-    // User preferences (for future features)
+    // User preferences
     preferences: {
+        // Base locale of the last check-in's Accept-Language (the client's language switcher)
         language: { type: String, default: 'en' },
         timezone: { type: String, default: 'Asia/Kolkata' },
         notificationEnabled: { type: Boolean, default: false }
@@ -215,6 +563,50 @@ SessionSchema.methods.updateStats = function(sentiment) {
     return this.save();
 };
 
+// Keeps session counters in sync when conversations are deleted.
+// Check-ins without a sentiment (pending/failed) were never counted.
+SessionSchema.statics.removeConversations = async function(conversations) {
+    const bySession = {};
+    for (const { sessionId, sentiment } of conversations) {
+        if (!sentiment) continue;
+        const counts = bySession[sessionId] || (bySession[sessionId] = { conversationCount: 0, positive: 0, negative: 0, neutral: 0 });
+        counts.conversationCount -= 1;
+        if (sentiment === 'POSITIVE') counts.positive -= 1;
+        else if (sentiment === 'NEGATIVE') counts.negative -= 1;
+        else counts.neutral -= 1;
+    }
+    
+    await Promise.all(Object.entries(bySession).map(([sessionId, counts]) => this.updateOne({ sessionId }, {
+        $inc: {
+            conversationCount: counts.conversationCount,
+            'moodTrend.positive': counts.positive,
+            'moodTrend.negative': counts.negative,
+            'moodTrend.neutral': counts.neutral
+        }
+    })));
+};
+
+// Combined statistics for all sessions matching a filter (one session, or every session of a user)
+SessionSchema.statics.getStats = async function(filter) {
+    const sessions = await this.find(filter);
+    if (sessions.length === 0) return null;
+    
+    return sessions.reduce((stats, session) => {
+        stats.totalConversations += session.conversationCount;
+        stats.moodTrend.positive += session.moodTrend.positive;
+        stats.moodTrend.negative += session.moodTrend.negative;
+        stats.moodTrend.neutral += session.moodTrend.neutral;
+        if (session.firstInteraction < stats.firstInteraction) stats.firstInteraction = session.firstInteraction;
+        if (session.lastInteraction > stats.lastInteraction) stats.lastInteraction = session.lastInteraction;
+        return stats;
+    }, {
+        totalConversations: 0,
+        firstInteraction: sessions[0].firstInteraction,
+        lastInteraction: sessions[0].lastInteraction,
+        moodTrend: { positive: 0, negative: 0, neutral: 0 }
+    });
+};
+
 const Session = mongoose.model('Session', SessionSchema);
 
 // models/index.js - Export all models
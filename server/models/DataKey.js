@@ -0,0 +1,50 @@
+// models/DataKey.js
+// Per-owner data encryption keys, stored wrapped (encrypted) by a master key - see services/encryption.js.
+// An owner can have several keys: only the newest active one encrypts new data, older ones still decrypt.
+// Deleting an owner's keys makes their remaining ciphertext (including backups) unreadable.
+const mongoose = require('mongoose');
+
+const DataKeySchema = new mongoose.Schema({
+    ownerType: {
+        type: String,
+        enum: ['user', 'session'],
+        required: true
+    },
+
+    // User _id or sessionId
+    ownerId: {
+        type: String,
+        required: true
+    },
+
+    // iv + auth tag + encrypted key, base64
+    wrappedKey: {
+        type: String,
+        required: true
+    },
+
+    // Id of the master key that wrapped it (config/encryption.js)
+    masterKeyId: {
+        type: String,
+        required: true
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    // Last time the key was rewrapped under a new master key
+    rewrappedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'data_keys'
+});
+
+DataKeySchema.index({ ownerType: 1, ownerId: 1, active: 1, createdAt: -1 });
+DataKeySchema.index({ masterKeyId: 1 });
+
+module.exports = mongoose.model('DataKey', DataKeySchema);
@@ -0,0 +1,116 @@
+// models/ExerciseSession.js
+// One run of a guided exercise (breathing, grounding, body scan), with the mood the user rated
+// before and after it (1-5, both optional) - the analytics compare the two.
+const mongoose = require('mongoose');
+
+const EXERCISE_IDS = ['breathing-478', 'box-breathing', 'grounding-54321', 'body-scan'];
+
+const moodRating = {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: null
+};
+
+const ExerciseSessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    exerciseId: {
+        type: String,
+        required: true,
+        enum: EXERCISE_IDS
+    },
+
+    // The check-in whose tip launched it, if any
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        default: null
+    },
+
+    // How long the user actually spent on it
+    durationSeconds: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // false when it was stopped early
+    completed: {
+        type: Boolean,
+        default: true
+    },
+
+    moodBefore: moodRating,
+    moodAfter: moodRating,
+
+    startedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    collection: 'exercise_sessions'
+});
+
+ExerciseSessionSchema.index({ userId: 1, startedAt: -1 });
+ExerciseSessionSchema.index({ sessionId: 1, startedAt: -1 });
+
+const round = (field) => ({ $round: [field, 2] });
+
+// Totals per exercise over the last `days` days. Mood averages only use sessions rated both before and after,
+// so the before/after numbers describe the same sessions.
+ExerciseSessionSchema.statics.getStats = async function(ownerFilter, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const rated = { $and: [{ $ne: ['$moodBefore', null] }, { $ne: ['$moodAfter', null] }] };
+    const ifRated = (field) => ({ $cond: [rated, field, null] });
+
+    const groupFields = {
+        sessions: { $sum: 1 },
+        completed: { $sum: { $cond: ['$completed', 1, 0] } },
+        totalSeconds: { $sum: '$durationSeconds' },
+        rated: { $sum: { $cond: [rated, 1, 0] } },
+        moodBefore: { $avg: ifRated('$moodBefore') },
+        moodAfter: { $avg: ifRated('$moodAfter') }
+    };
+    const projectFields = {
+        _id: 0,
+        sessions: 1,
+        completed: 1,
+        totalMinutes: round({ $divide: ['$totalSeconds', 60] }),
+        rated: 1,
+        moodBefore: round('$moodBefore'),
+        moodAfter: round('$moodAfter'),
+        moodChange: round({ $subtract: ['$moodAfter', '$moodBefore'] })
+    };
+
+    const [result] = await this.aggregate([
+        { $match: { ...ownerFilter, startedAt: { $gte: since } } },
+        {
+            $facet: {
+                overall: [{ $group: { _id: null, ...groupFields } }, { $project: projectFields }],
+                byExercise: [
+                    { $group: { _id: '$exerciseId', ...groupFields } },
+                    { $sort: { sessions: -1, _id: 1 } },
+                    { $project: { exerciseId: '$_id', ...projectFields } }
+                ]
+            }
+        }
+    ]);
+
+    const empty = { sessions: 0, completed: 0, totalMinutes: 0, rated: 0, moodBefore: null, moodAfter: null, moodChange: null };
+    return { ...(result.overall[0] || empty), byExercise: result.byExercise };
+};
+
+ExerciseSessionSchema.statics.EXERCISE_IDS = EXERCISE_IDS;
+
+module.exports = mongoose.model('ExerciseSession', ExerciseSessionSchema);
@@ -0,0 +1,120 @@
+// models/Habit.js
+// Habits and goals the user tracks ("Meditate daily", "Walk 3x a week"), often created from a recommended tip.
+// Completions are local calendar days in the habit's timezone, so streaks follow the user's days, not UTC ones.
+const mongoose = require('mongoose');
+const fieldEncryption = require('./plugins/fieldEncryption');
+
+const FREQUENCIES = ['daily', 'weekly'];
+const LOCAL_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CompletionSchema = new mongoose.Schema({
+    // "YYYY-MM-DD" in the habit's timezone
+    day: {
+        type: String,
+        required: true,
+        match: LOCAL_DAY
+    },
+
+    note: {
+        type: String,
+        trim: true,
+        maxLength: 200,
+        default: null
+    },
+
+    loggedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const HabitSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 100
+    },
+
+    // The recommendation tip this habit was added from, if any
+    sourceTip: {
+        type: String,
+        trim: true,
+        maxLength: 300,
+        default: null
+    },
+
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        default: 'daily'
+    },
+
+    // Weekly habits: days per week (Monday-Sunday) that count as keeping it up
+    timesPerWeek: {
+        type: Number,
+        min: 1,
+        max: 7,
+        default: 1
+    },
+
+    timezone: {
+        type: String,
+        default: 'Asia/Kolkata'
+    },
+
+    // Kept sorted by day, one entry per day
+    completions: [CompletionSchema],
+
+    // Archived habits keep their history but drop out of the tracker
+    archivedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'habits'
+});
+
+HabitSchema.index({ userId: 1, createdAt: 1 });
+HabitSchema.index({ sessionId: 1, createdAt: 1 });
+
+HabitSchema.plugin(fieldEncryption, {
+    fields: ['name', 'sourceTip', 'completions.note']
+});
+
+// Adds (or updates the note of) the completion for `day`
+HabitSchema.methods.logCompletion = function(day, note = null) {
+    const existing = this.completions.find(completion => completion.day === day);
+    if (existing) {
+        if (note !== null) existing.note = note;
+        return;
+    }
+    this.completions.push({ day, note });
+    this.completions.sort((a, b) => a.day.localeCompare(b.day));
+};
+
+// Returns false when there was nothing logged that day
+HabitSchema.methods.removeCompletion = function(day) {
+    const index = this.completions.findIndex(completion => completion.day === day);
+    if (index === -1) return false;
+    this.completions.splice(index, 1);
+    return true;
+};
+
+HabitSchema.statics.FREQUENCIES = FREQUENCIES;
+
+module.exports = mongoose.model('Habit', HabitSchema);
@@ -0,0 +1,194 @@
+// models/JournalEntry.js
+const mongoose = require('mongoose');
+const { stripMarkdown } = require('../utils/text');
+const fieldEncryption = require('./plugins/fieldEncryption');
+
+const MAX_REVISIONS = 20;
+
+// Previous version of an entry, pushed on every edit
+const RevisionSchema = new mongoose.Schema({
+    title: String,
+    body: String,
+    tags: [String],
+    editedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Only metadata is stored - files themselves live wherever `url` points
+const AttachmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 200
+    },
+    mimeType: {
+        type: String,
+        trim: true,
+        maxLength: 100
+    },
+    size: {
+        type: Number,
+        min: 0
+    },
+    url: {
+        type: String,
+        trim: true,
+        maxLength: 2000
+    }
+}, { _id: false });
+
+const JournalEntrySchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 200
+    },
+
+    // Markdown (bold, italic, headings, lists, quotes)
+    body: {
+        type: String,
+        required: true,
+        maxLength: 20000
+    },
+
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxLength: 30
+    }],
+
+    attachments: [AttachmentSchema],
+
+    // The day the entry is about (calendar view) - defaults to when it was written
+    entryDate: {
+        type: Date,
+        default: Date.now
+    },
+
+    wordCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Mood analysis of the body, refreshed whenever the body changes
+    mood: {
+        sentiment: {
+            type: String,
+            enum: ['POSITIVE', 'NEGATIVE', 'NEUTRAL', 'MIXED', null],
+            default: null
+        },
+        confidenceScore: Number,
+        detectedEmotions: [{
+            emotion: String,
+            confidence: Number
+        }],
+        recommendation: String,
+        additionalTips: [String],
+        riskLevel: {
+            type: String,
+            enum: ['none', 'low', 'medium', 'high'],
+            default: 'none'
+        },
+        provider: String,
+        // How many model-sized pieces the body was split into
+        chunks: Number,
+        // Language the body was read as (services/language.js)
+        language: String,
+        // failed: the AI service failed on an entry that needed the crisis response - only the
+        // recommendation, tips and riskLevel are set
+        analysisStatus: {
+            type: String,
+            enum: ['analyzed', 'failed'],
+            default: 'analyzed'
+        },
+        analyzedAt: Date
+    },
+
+    safety: {
+        flagged: { type: Boolean, default: false },
+        categories: [{ type: String }],
+        flaggedAt: { type: Date, default: null }
+    },
+
+    revisions: {
+        type: [RevisionSchema],
+        select: false
+    },
+
+    revisionCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    collection: 'journal_entries'
+});
+
+JournalEntrySchema.index({ userId: 1, entryDate: -1 });
+JournalEntrySchema.index({ sessionId: 1, entryDate: -1 });
+JournalEntrySchema.index({ userId: 1, tags: 1 });
+JournalEntrySchema.index({ title: 'text', body: 'text' }, { weights: { title: 3, body: 1 } });
+
+// Tags stay plaintext so they can be filtered and counted
+JournalEntrySchema.plugin(fieldEncryption, {
+    fields: ['title', 'body', 'mood.recommendation', 'mood.additionalTips', 'revisions.title', 'revisions.body'],
+    search: ['title', 'body']
+});
+
+// Snapshot the current version before an edit; only the latest MAX_REVISIONS are kept
+JournalEntrySchema.methods.pushRevision = function() {
+    this.revisions.push({ title: this.title, body: this.body, tags: [...this.tags] });
+    if (this.revisions.length > MAX_REVISIONS) {
+        this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+    }
+    this.revisionCount += 1;
+};
+
+// List view - body trimmed to a plain-text preview
+JournalEntrySchema.methods.toSummaryJSON = function() {
+    const plain = stripMarkdown(this.body);
+    return {
+        id: this._id,
+        title: this.title,
+        excerpt: plain.length > 160 ? plain.substring(0, 160).trim() + '...' : plain,
+        tags: this.tags,
+        entryDate: this.entryDate,
+        wordCount: this.wordCount,
+        mood: this.mood
+            ? { sentiment: this.mood.sentiment, confidenceScore: this.mood.confidenceScore, analysisStatus: this.mood.analysisStatus }
+            : null,
+        attachmentCount: this.attachments.length,
+        revisionCount: this.revisionCount,
+        updatedAt: this.updatedAt
+    };
+};
+
+JournalEntrySchema.statics.getTagCounts = async function(ownerFilter) {
+    return await this.aggregate([
+        { $match: ownerFilter },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+};
+
+module.exports = mongoose.model('JournalEntry', JournalEntrySchema);
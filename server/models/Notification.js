@@ -0,0 +1,53 @@
+// models/Notification.js
+// In-app notifications (the "in-app" reminder channel). Old ones expire on their own.
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TTL_DAYS = 30;
+
+const NotificationSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    type: {
+        type: String,
+        enum: ['reminder'],
+        default: 'reminder'
+    },
+
+    title: {
+        type: String,
+        required: true,
+        maxLength: 200
+    },
+
+    body: {
+        type: String,
+        maxLength: 1000
+    },
+
+    readAt: {
+        type: Date,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: NOTIFICATION_TTL_DAYS * 24 * 60 * 60
+    }
+}, {
+    collection: 'notifications'
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ sessionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,30 @@
+// models/RateLimitCounter.js
+// Request counters for the Mongo rate limit store (services/rateLimit/mongoStore.js).
+// One document per route + key + window; MongoDB deletes it once the window is over.
+const mongoose = require('mongoose');
+
+const RateLimitCounterSchema = new mongoose.Schema({
+    // "<route>:<session|user|ip>:<id>:<window start>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'rate_limits',
+    versionKey: false
+});
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,166 @@
+// models/ReminderSettings.js
+// Check-in reminder settings - one document per owner (account or anonymous session).
+// services/reminders/scheduler.js sends a reminder whenever nextRunAt comes due.
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['daily', 'weekly'];
+const CHANNELS = ['in-app', 'web-push', 'email'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ScheduleSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        required: true,
+        enum: FREQUENCIES
+    },
+
+    // Local time in the settings' timezone, "HH:MM"
+    time: {
+        type: String,
+        required: true,
+        match: TIME_OF_DAY
+    },
+
+    // Weekly schedules only - 0 = Sunday
+    daysOfWeek: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: true });
+
+// No reminders between start and end (local time); may wrap past midnight (22:00-07:00)
+const QuietHoursSchema = new mongoose.Schema({
+    start: { type: String, required: true, match: TIME_OF_DAY },
+    end: { type: String, required: true, match: TIME_OF_DAY }
+}, { _id: false });
+
+// A browser's PushSubscription (PushManager.subscribe) - one per device
+const PushSubscriptionSchema = new mongoose.Schema({
+    endpoint: { type: String, required: true },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+    },
+    userAgent: String,
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ReminderSettingsSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+
+    // IANA timezone the schedule times are in
+    timezone: {
+        type: String,
+        default: 'Asia/Kolkata'
+    },
+
+    schedules: [ScheduleSchema],
+
+    channels: {
+        type: [{ type: String, enum: CHANNELS }],
+        default: ['in-app']
+    },
+
+    // Where email reminders go - always the account's own email, anonymous sessions can't use the channel
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        maxLength: 254,
+        default: null
+    },
+
+    quietHours: {
+        type: QuietHoursSchema,
+        default: null
+    },
+
+    pushSubscriptions: [PushSubscriptionSchema],
+
+    // No reminders until then; one is sent when it ends
+    snoozedUntil: {
+        type: Date,
+        default: null
+    },
+
+    // Next reminder due, null when there is nothing to send
+    nextRunAt: {
+        type: Date,
+        default: null
+    },
+
+    // Set while a scheduler instance is sending this reminder
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Backoff bookkeeping (see services/reminders/schedule.js)
+    lastSentAt: { type: Date, default: null },
+    // Last time the user reacted to a reminder (opened or snoozed it)
+    lastRespondedAt: { type: Date, default: null },
+    // True until the scheduler has checked whether the last reminder got a response
+    awaitingResponse: { type: Boolean, default: false },
+    ignoredCount: { type: Number, default: 0 },
+    skippedCount: { type: Number, default: 0 },
+    sentCount: { type: Number, default: 0 }
+}, {
+    timestamps: true,
+    collection: 'reminder_settings'
+});
+
+ReminderSettingsSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Owner filter for the reminder's check-ins and notifications
+ReminderSettingsSchema.methods.ownerFilter = function() {
+    return this.userId ? { userId: this.userId } : { sessionId: this.sessionId, userId: null };
+};
+
+// Atomically takes the next due reminder (or one whose scheduler died mid-send)
+ReminderSettingsSchema.statics.claimDue = function(now, lockTimeoutMs) {
+    return this.findOneAndUpdate(
+        {
+            enabled: true,
+            nextRunAt: { $lte: now },
+            $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }]
+        },
+        { $set: { lockedAt: now } },
+        { sort: { nextRunAt: 1 }, new: true }
+    );
+};
+
+// Moves an anonymous session's settings into the account, unless the account already has its own
+ReminderSettingsSchema.statics.claimForUser = async function(sessionId, userId) {
+    const existing = await this.exists({ userId });
+    if (existing) {
+        return this.deleteOne({ sessionId, userId: null });
+    }
+    return this.updateOne({ sessionId, userId: null }, { $set: { userId } });
+};
+
+ReminderSettingsSchema.statics.FREQUENCIES = FREQUENCIES;
+ReminderSettingsSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('ReminderSettings', ReminderSettingsSchema);
@@ -0,0 +1,156 @@
+// models/Thread.js
+const mongoose = require('mongoose');
+const fieldEncryption = require('./plugins/fieldEncryption');
+
+const MessageSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        required: true,
+        enum: ['user', 'assistant']
+    },
+
+    content: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 4000
+    },
+
+    // Analysis of user messages (assistant messages leave these empty)
+    sentiment: {
+        type: String,
+        enum: ['POSITIVE', 'NEGATIVE', 'NEUTRAL', 'MIXED', null],
+        default: null
+    },
+    confidenceScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+    },
+    riskLevel: {
+        type: String,
+        enum: ['none', 'low', 'medium', 'high'],
+        default: 'none'
+    },
+    provider: {
+        type: String,
+        default: null
+    },
+
+    // Assistant extras
+    tips: [{
+        type: String
+    }],
+    // Catalog ids of the tips above (recommendation engine dedup)
+    tipIds: [{
+        type: String
+    }],
+    crisis: {
+        message: String,
+        resources: [mongoose.Schema.Types.Mixed]
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+const ThreadSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+
+    title: {
+        type: String,
+        trim: true,
+        maxLength: 100,
+        default: 'New conversation'
+    },
+
+    // Ordered user + assistant messages
+    messages: [MessageSchema],
+
+    // Kept alongside messages so thread lists can skip loading them
+    messageCount: {
+        type: Number,
+        default: 0
+    },
+
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Set once any message in the thread was flagged by the safety layer
+    flagged: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true,
+    collection: 'threads'
+});
+
+ThreadSchema.index({ userId: 1, lastMessageAt: -1 });
+ThreadSchema.index({ sessionId: 1, lastMessageAt: -1 });
+
+ThreadSchema.plugin(fieldEncryption, {
+    fields: ['title', 'messages.content', 'messages.tips']
+});
+
+// Sentiments of the most recent user messages, oldest first
+ThreadSchema.methods.getMoodTrajectory = function(limit = 5) {
+    return this.messages
+        .filter(m => m.role === 'user' && m.sentiment)
+        .slice(-limit)
+        .map(m => ({ sentiment: m.sentiment, confidenceScore: m.confidenceScore, createdAt: m.createdAt }));
+};
+
+// Earlier user messages for the recommendation engine, newest first: [{ sentiment, tipIds }]
+// tipIds come from the assistant reply that followed each user message
+ThreadSchema.methods.getRecommendationHistory = function(limit = 5) {
+    const history = [];
+    this.messages.forEach((message, index) => {
+        if (message.role !== 'user' || !message.sentiment) return;
+        const reply = this.messages[index + 1];
+        history.push({
+            sentiment: message.sentiment,
+            tipIds: reply && reply.role === 'assistant' ? reply.tipIds : []
+        });
+    });
+    return history.slice(-limit).reverse();
+};
+
+// Appends a message and keeps the denormalized counters in sync
+ThreadSchema.methods.addMessage = function(message) {
+    this.messages.push(message);
+    this.messageCount = this.messages.length;
+    this.lastMessageAt = new Date();
+    return this.messages[this.messages.length - 1];
+};
+
+// List view - works with only the last message loaded
+ThreadSchema.methods.toSummaryJSON = function() {
+    const last = this.messages[this.messages.length - 1];
+    return {
+        id: this._id,
+        title: this.title,
+        messageCount: this.messageCount,
+        lastMessage: last ? last.content.substring(0, 80) : null,
+        lastMessageAt: this.lastMessageAt,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('Thread', ThreadSchema);
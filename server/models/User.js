@@ -0,0 +1,71 @@
+// models/User.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+
+const UserSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        maxLength: 254
+    },
+
+    // bcrypt hash - plain password kabhi store nahi hota
+    passwordHash: {
+        type: String,
+        required: true
+    },
+
+    displayName: {
+        type: String,
+        trim: true,
+        maxLength: 60
+    },
+
+    // Active refresh tokens (only a hash of the token id is stored)
+    refreshTokens: [{
+        tokenHash: { type: String, required: true },
+        expiresAt: { type: Date, required: true },
+        createdAt: { type: Date, default: Date.now },
+        userAgent: String
+    }],
+
+    lastLogin: Date,
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    collection: 'users'
+});
+
+UserSchema.methods.setPassword = async function(password) {
+    this.passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+};
+
+UserSchema.methods.comparePassword = function(password) {
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+// Drop expired refresh tokens so the array doesn't grow forever
+UserSchema.methods.pruneRefreshTokens = function() {
+    const now = new Date();
+    this.refreshTokens = this.refreshTokens.filter(t => t.expiresAt > now);
+};
+
+// Public profile - never expose hashes to the client
+UserSchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        email: this.email,
+        displayName: this.displayName,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,29 @@
+// models/index.js - Export all models
+const { Conversation, Session } = require('./Conversation');
+const User = require('./User');
+const Thread = require('./Thread');
+const JournalEntry = require('./JournalEntry');
+const AuditLog = require('./AuditLog');
+const DataKey = require('./DataKey');
+const RateLimitCounter = require('./RateLimitCounter');
+const AnalysisJob = require('./AnalysisJob');
+const ReminderSettings = require('./ReminderSettings');
+const Notification = require('./Notification');
+const Habit = require('./Habit');
+const ExerciseSession = require('./ExerciseSession');
+
+module.exports = {
+    Conversation,
+    Session,
+    User,
+    Thread,
+    JournalEntry,
+    AuditLog,
+    DataKey,
+    RateLimitCounter,
+    AnalysisJob,
+    ReminderSettings,
+    Notification,
+    Habit,
+    ExerciseSession
+};
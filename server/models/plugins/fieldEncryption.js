@@ -0,0 +1,214 @@
+// models/plugins/fieldEncryption.js
+// Encrypts string fields on save and decrypts them whenever documents are loaded (hydrated or lean),
+// so routes keep working with plaintext. Key handling lives in services/encryption.js.
+//
+// Options:
+//   fields - paths to encrypt: strings, string arrays, and fields of document arrays ('revisions.body')
+//   search - top-level fields to build the blind search index (searchTokens) from
+//
+// Query updates ($set) of encrypted fields are encrypted too, as long as the filter names the owner
+// (getOwnerFilter). Anything else has to go through save(), or pass { skipFieldEncryption: true }
+// when the new value isn't personal data (e.g. the retention placeholder).
+const mongoose = require('mongoose');
+const encryption = require('../../services/encryption');
+
+const ENCRYPTED_PATTERN = new RegExp(`^${encryption.PREFIX}`);
+const DOCUMENT_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'];
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// 'revisions.body' -> { arrayPath: 'revisions', rest: 'body' } when revisions is a document array
+const splitAtDocumentArray = (schema, path) => {
+    const segments = path.split('.');
+    for (let i = 1; i < segments.length; i++) {
+        const arrayPath = segments.slice(0, i).join('.');
+        if (schema.path(arrayPath)?.$isMongooseDocumentArray) {
+            return { arrayPath, rest: segments.slice(i).join('.') };
+        }
+    }
+    return null;
+};
+
+// Hydrated documents go through set(). keepModified(wasModified) decides whether the new value should be
+// written on the next save; decrypted values are only an in-memory view and must not be.
+const transformDocument = (doc, path, transform, keepModified) => {
+    const nested = splitAtDocumentArray(doc.schema, path);
+    if (nested) {
+        // Array items are written through the array itself (push or a whole-array $set picks up the
+        // in-memory value), so a change only stays marked when that exact item field was edited
+        const edited = new Set(doc.directModifiedPaths());
+        (doc.get(nested.arrayPath) || []).forEach((subdoc, index) => {
+            const itemPath = `${nested.arrayPath}.${index}.${nested.rest}`;
+            transformDocument(subdoc, nested.rest, transform, () => true);
+            if (!keepModified(edited.has(itemPath))) {
+                subdoc.unmarkModified(nested.rest);
+                doc.unmarkModified(itemPath);
+            }
+        });
+        return;
+    }
+
+    if (!doc.isSelected(path)) return;
+    const value = doc.get(path);
+    if (value === null || value === undefined) return;
+
+    const next = Array.isArray(value) ? value.map(transform) : transform(value);
+    const changed = Array.isArray(value) ? next.some((item, i) => item !== value[i]) : next !== value;
+    if (!changed) return;
+
+    const wasModified = doc.isNew || doc.isModified(path);
+    doc.set(path, next);
+    if (!keepModified(wasModified)) doc.unmarkModified(path);
+};
+
+// Lean results are plain objects - edited in place
+const transformPlain = (obj, segments, transform) => {
+    if (!obj || typeof obj !== 'object') return;
+    const [head, ...rest] = segments;
+    if (rest.length === 0) {
+        const value = obj[head];
+        if (Array.isArray(value)) obj[head] = value.map(transform);
+        else if (value !== null && value !== undefined) obj[head] = transform(value);
+        return;
+    }
+    const child = obj[head];
+    for (const item of Array.isArray(child) ? child : [child]) {
+        transformPlain(item, rest, transform);
+    }
+};
+
+// transform(value, path) is only called for strings
+const eachField = (doc, fields, transform, keepModified = () => false) => {
+    for (const path of fields) {
+        const apply = (value) => (typeof value === 'string' ? transform(value, path) : value);
+        if (doc instanceof mongoose.Document) transformDocument(doc, path, apply, keepModified);
+        else transformPlain(doc, path.split('.'), apply);
+    }
+};
+
+const decryptDocuments = async (docs, fields) => {
+    const keyIds = [];
+    for (const doc of docs) {
+        eachField(doc, fields, (value) => {
+            if (encryption.isEncrypted(value)) keyIds.push(encryption.getKeyId(value));
+            return value;
+        });
+    }
+    if (keyIds.length === 0) return;
+
+    const keys = await encryption.loadKeys(keyIds);
+    for (const doc of docs) {
+        eachField(doc, fields, (value, path) => encryption.decryptValue(value, keys, path));
+    }
+};
+
+// Mongo filter matching documents where any encrypted field (or array item) matches `condition`
+const buildFieldFilter = (schema, fields, condition) => ({
+    $or: fields.map((path) => {
+        const nested = splitAtDocumentArray(schema, path);
+        if (nested) return { [nested.arrayPath]: { $elemMatch: { [nested.rest]: condition } } };
+        if (schema.path(path)?.$isMongooseArray) return { [path]: { $elemMatch: condition } };
+        return { [path]: condition };
+    })
+});
+
+module.exports = function fieldEncryption(schema, options = {}) {
+    const fields = options.fields || [];
+    const searchFields = options.search || [];
+
+    if (searchFields.length > 0) {
+        // Blind index (HMAC of each word) - see services/encryption.js
+        schema.add({ searchTokens: { type: [String], select: false } });
+        schema.index({ searchTokens: 1 });
+    }
+
+    // Runs after validation, so length limits apply to the plaintext
+    schema.pre('save', async function() {
+        if (!encryption.isEnabled()) return;
+
+        const owner = encryption.ownerFromDoc(this);
+        if (!owner) throw new Error('Cannot encrypt a document without userId or sessionId');
+        const keyEntry = await encryption.getActiveKey(owner);
+
+        const searchChanged = searchFields.some(path => this.isNew || this.isModified(path));
+        const searchReadable = searchFields.every(path => this.isSelected(path) && !encryption.isEncrypted(this.get(path)));
+        if (searchFields.length > 0 && searchChanged && searchReadable) {
+            this.searchTokens = encryption.searchTokens(searchFields.map(path => this.get(path) || ''), keyEntry);
+        }
+
+        eachField(this, fields, (value, path) => (
+            encryption.isEncrypted(value) ? value : encryption.encryptValue(value, keyEntry, path)
+        ), wasModified => wasModified);
+    });
+
+    // Hand the caller back plaintext
+    schema.post('save', async function() {
+        await decryptDocuments([this], fields);
+    });
+
+    schema.post(DOCUMENT_QUERIES, async function(result) {
+        if (!result) return;
+        await decryptDocuments(Array.isArray(result) ? result : [result], fields);
+    });
+
+    schema.pre(UPDATE_QUERIES, async function() {
+        if (!encryption.isEnabled() || this.getOptions().skipFieldEncryption) return;
+
+        const update = this.getUpdate() || {};
+        const targets = [update, update.$set].filter(Boolean);
+        const touched = targets.flatMap(target => fields
+            .filter(path => typeof target[path] === 'string' || Array.isArray(target[path]))
+            .map(path => ({ target, path })));
+        if (touched.length === 0) return;
+
+        const owner = encryption.ownerFromFilter(this.getFilter());
+        if (!owner) {
+            throw new Error(`Updating encrypted fields (${touched.map(t => t.path).join(', ')}) needs an owner filter - use save()`);
+        }
+        const keyEntry = await encryption.getActiveKey(owner);
+
+        const touchedSearch = searchFields.filter(path => touched.some(t => t.path === path));
+        if (touchedSearch.length > 0) {
+            if (touchedSearch.length !== searchFields.length) {
+                throw new Error(`Search fields (${searchFields.join(', ')}) must be updated together - use save()`);
+            }
+            const texts = searchFields.map(path => touched.find(t => t.path === path).target[path]);
+            (update.$set || update).searchTokens = encryption.searchTokens(texts, keyEntry);
+        }
+
+        for (const { target, path } of touched) {
+            const encrypt = value => (typeof value === 'string' && !encryption.isEncrypted(value)
+                ? encryption.encryptValue(value, keyEntry, path)
+                : value);
+            target[path] = Array.isArray(target[path]) ? target[path].map(encrypt) : encrypt(target[path]);
+        }
+    });
+
+    // For documents read without the query hooks (cursors, aggregate + hydrate)
+    schema.methods.decryptFields = async function() {
+        await decryptDocuments([this], fields);
+        return this;
+    };
+
+    // Marks every encrypted field for rewriting, so the next save() encrypts it with the owner's active key
+    schema.methods.markEncryptedFieldsModified = function() {
+        for (const root of new Set(fields.map(path => path.split('.')[0]))) {
+            if (this.isSelected(root)) this.markModified(root);
+        }
+    };
+
+    // Search filter for `query`: $text while encryption is off, the blind index while it's on
+    schema.statics.buildSearchFilter = async function(ownerFilter, query) {
+        if (!encryption.isEnabled() || searchFields.length === 0) return { $text: { $search: query } };
+        return await encryption.buildSearchFilter(ownerFilter, query);
+    };
+
+    // Documents that still hold plaintext in an encrypted field (see scripts/encryptExisting.js)
+    schema.statics.unencryptedFilter = function() {
+        return buildFieldFilter(schema, fields, { $type: 'string', $not: ENCRYPTED_PATTERN });
+    };
+
+    // Documents with values encrypted by any of these data keys
+    schema.statics.encryptedWithFilter = function(keyIds) {
+        return buildFieldFilter(schema, fields, { $regex: `^${encryption.PREFIX}(${keyIds.join('|')}):` });
+    };
+};
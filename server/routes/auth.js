@@ -0,0 +1,200 @@
+// routes/auth.js
+const express = require('express');
+const { User } = require('../models');
+const authConfig = require('../config/auth');
+const authService = require('../services/auth');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// bcrypt only looks at the first 72 bytes anyway
+const PASSWORD_MAX_LENGTH = 128;
+
+const EMAIL_MESSAGE = 'Please enter a valid email address.';
+const PASSWORD_MESSAGE = `Password must be at least ${authConfig.passwordMinLength} characters.`;
+const CREDENTIALS_MESSAGE = 'Email and password are required.';
+const EMAIL_TAKEN_MESSAGE = 'An account with this email already exists.';
+// MongoDB duplicate key error (the unique email index)
+const DUPLICATE_KEY = 11000;
+
+const registerSchema = {
+    body: {
+        email: {
+            type: 'string',
+            required: true,
+            lowercase: true,
+            maxLength: 254,
+            pattern: EMAIL_REGEX,
+            messages: { required: EMAIL_MESSAGE, pattern: EMAIL_MESSAGE }
+        },
+        password: {
+            type: 'string',
+            required: true,
+            trim: false,
+            minLength: authConfig.passwordMinLength,
+            maxLength: PASSWORD_MAX_LENGTH,
+            messages: { required: PASSWORD_MESSAGE, minLength: PASSWORD_MESSAGE }
+        },
+        displayName: { type: 'string', maxLength: 60, nullable: true }
+    }
+};
+
+const loginSchema = {
+    body: {
+        email: { type: 'string', required: true, lowercase: true, messages: { required: CREDENTIALS_MESSAGE } },
+        password: { type: 'string', required: true, trim: false, messages: { required: CREDENTIALS_MESSAGE } }
+    }
+};
+
+const refreshSchema = {
+    body: {
+        refreshToken: { type: 'string', required: true, messages: { required: 'Refresh token is required.' } }
+    }
+};
+
+const logoutSchema = {
+    body: {
+        refreshToken: { type: 'string' },
+        all: { type: 'boolean' }
+    }
+};
+
+const invalidRefreshToken = (res) => sendError(res, 'INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token.');
+
+// Register a new account and upgrade the current anonymous session into it
+router.post('/register', rateLimit('auth'), validate(registerSchema), async (req, res) => {
+    try {
+        const { email, password, displayName } = req.body;
+
+        const existing = await User.findOne({ email });
+        if (existing) {
+            return sendError(res, 'EMAIL_TAKEN', EMAIL_TAKEN_MESSAGE);
+        }
+
+        const user = new User({
+            email,
+            displayName: displayName || undefined
+        });
+        await user.setPassword(password);
+
+        const tokens = await authService.createTokenPair(user, req.headers['user-agent']);
+        const claimed = await authService.claimSession(user, req.sessionId);
+
+        logger.info('New user registered', { claimedConversations: claimed.conversations });
+
+        res.status(201).json({
+            status: 'success',
+            user: user.toPublicJSON(),
+            ...tokens,
+            claimedConversations: claimed.conversations
+        });
+    } catch (error) {
+        // Two registrations with the same email at once: both pass the check above, the unique index stops the second
+        if (error.code === DUPLICATE_KEY) {
+            return sendError(res, 'EMAIL_TAKEN', EMAIL_TAKEN_MESSAGE);
+        }
+        logger.error('Registration error', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Registration failed');
+    }
+});
+
+router.post('/login', rateLimit('auth'), validate(loginSchema), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await User.findOne({ email });
+        // Same message for unknown email and wrong password
+        if (!user || !user.isActive || !(await user.comparePassword(password))) {
+            return sendError(res, 'INVALID_CREDENTIALS', 'Invalid email or password.');
+        }
+
+        user.lastLogin = new Date();
+        const tokens = await authService.createTokenPair(user, req.headers['user-agent']);
+        const claimed = await authService.claimSession(user, req.sessionId);
+
+        logger.info('User logged in', { claimedConversations: claimed.conversations });
+
+        res.json({
+            status: 'success',
+            user: user.toPublicJSON(),
+            ...tokens,
+            claimedConversations: claimed.conversations
+        });
+    } catch (error) {
+        logger.error('Login error', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Login failed');
+    }
+});
+
+// Exchange a refresh token for a new pair (refresh tokens are single-use).
+// No access token needed here - it's usually expired when this gets called.
+router.post('/refresh', rateLimit('auth'), validate(refreshSchema), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        let payload;
+        try {
+            payload = authService.verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return invalidRefreshToken(res);
+        }
+
+        const user = await authService.consumeRefreshToken(payload.sub, payload.jti);
+        if (!user) {
+            return invalidRefreshToken(res);
+        }
+
+        const tokens = await authService.createTokenPair(user, req.headers['user-agent']);
+
+        res.json({
+            status: 'success',
+            user: user.toPublicJSON(),
+            ...tokens
+        });
+    } catch (error) {
+        logger.error('Token refresh error', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Token refresh failed');
+    }
+});
+
+// Revoke the given refresh token, or every refresh token of the signed-in user with { all: true }.
+// Works with just the refresh token so an expired access token doesn't block logout.
+router.post('/logout', authenticate, validate(logoutSchema), async (req, res) => {
+    try {
+        const { refreshToken, all } = req.body;
+
+        if (all === true) {
+            if (!req.user) {
+                return sendError(res, 'AUTH_REQUIRED', 'Authentication required');
+            }
+            req.user.refreshTokens = [];
+            await req.user.save();
+        } else if (refreshToken) {
+            try {
+                const payload = authService.verifyRefreshToken(refreshToken);
+                const user = await User.findById(payload.sub);
+                if (user && authService.revokeRefreshToken(user, payload.jti)) {
+                    await user.save();
+                }
+            } catch (error) {
+                // Already invalid - nothing to revoke
+            }
+        }
+
+        res.json({ status: 'success', message: 'Logged out' });
+    } catch (error) {
+        logger.error('Logout error', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Logout failed');
+    }
+});
+
+router.get('/me', authenticate, requireAuth, validate(), (req, res) => {
+    res.json({ status: 'success', user: req.user.toPublicJSON() });
+});
+
+module.exports = router;
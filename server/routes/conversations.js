@@ -0,0 +1,111 @@
+// routes/conversations.js
+// A single check-in (polled while its analysis is pending), feedback on the recommendation and the feedback report
+const express = require('express');
+const { Conversation } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { buildSummary } = require('../services/feedbackStats');
+const { baseLocale, getRequestLanguage } = require('../utils/locale');
+const { objectIdParam } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_COMMENT_LENGTH = 500;
+const RATING_MESSAGE = 'rating must be a whole number from 1 to 5.';
+
+const summarySchema = {
+    query: {
+        minSamples: { type: 'integer', min: 1, clamp: true, default: 3 },
+        top: { type: 'integer', min: 1, max: 20, clamp: true, default: 5 }
+    }
+};
+
+const feedbackSchema = {
+    params: objectIdParam,
+    body: {
+        helpful: { type: 'boolean', nullable: true },
+        rating: {
+            type: 'integer',
+            min: 1,
+            max: 5,
+            nullable: true,
+            messages: { type: RATING_MESSAGE, min: RATING_MESSAGE, max: RATING_MESSAGE }
+        },
+        comment: {
+            type: 'string',
+            maxLength: MAX_COMMENT_LENGTH,
+            nullable: true,
+            messages: { maxLength: `comment must be under ${MAX_COMMENT_LENGTH} characters.` }
+        }
+    }
+};
+
+// Which recommendation messages and tips users find most / least helpful, per sentiment.
+// Query: minSamples (default 3), top (default 5)
+router.get('/feedback', rateLimit('feedbackSummary'), validate(summarySchema), async (req, res) => {
+    try {
+        const { minSamples, top } = req.validated.query;
+        const summary = await buildSummary({
+            minSamples,
+            top,
+            locale: baseLocale(getRequestLanguage(req))
+        });
+        res.json({ status: 'success', data: summary });
+    } catch (error) {
+        logger.error('Error building feedback summary', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to build feedback summary');
+    }
+});
+
+// One check-in. A check-in saved while the AI service was down has analysisStatus 'pending'
+// until the analysis queue has processed it ('analyzed', or 'failed' when it gave up).
+router.get('/:id', validate({ params: objectIdParam }), async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, ...getOwnerFilter(req) })
+            .select('-__v -sessionId -metadata.ipHash');
+        if (!conversation) {
+            return sendError(res, 'NOT_FOUND', 'Conversation not found');
+        }
+
+        res.json({ status: 'success', data: conversation });
+    } catch (error) {
+        logger.error('Error fetching conversation', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch conversation');
+    }
+});
+
+// Thumbs up/down, 1-5 rating and an optional comment - any combination, sent again to change it
+router.post('/:id/feedback', validate(feedbackSchema), async (req, res) => {
+    try {
+        const { helpful, rating, comment } = req.body;
+
+        if (helpful === undefined && rating === undefined && comment === undefined) {
+            return sendError(res, 'VALIDATION_ERROR', 'Send helpful, rating or comment.');
+        }
+
+        const update = { 'userFeedback.submittedAt': new Date() };
+        if (helpful !== undefined) update['userFeedback.helpful'] = helpful;
+        if (rating !== undefined) update['userFeedback.rating'] = rating;
+        if (comment !== undefined) update['userFeedback.comment'] = comment || null;
+
+        const conversation = await Conversation.findOneAndUpdate(
+            { _id: req.params.id, ...getOwnerFilter(req) },
+            { $set: update },
+            { new: true, runValidators: true, projection: 'userFeedback' }
+        );
+        if (!conversation) {
+            return sendError(res, 'NOT_FOUND', 'Conversation not found');
+        }
+
+        logger.info('Feedback saved', { helpful: conversation.userFeedback.helpful, rating: conversation.userFeedback.rating });
+        res.json({ status: 'success', data: conversation.userFeedback });
+    } catch (error) {
+        logger.error('Error saving feedback', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to save feedback');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// routes/exercises.js
+// Guided exercise sessions: the client runs the exercise and saves the result here,
+// with the mood rated before and after it
+const express = require('express');
+const { ExerciseSession, Conversation } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Longest body scan is 10 minutes; leave room for pauses
+const MAX_DURATION_SECONDS = 60 * 60;
+const MAX_STATS_DAYS = 365;
+
+const moodRating = {
+    type: 'integer',
+    min: 1,
+    max: 5,
+    nullable: true,
+    messages: { min: 'Mood ratings go from 1 to 5.', max: 'Mood ratings go from 1 to 5.' }
+};
+
+const createSchema = {
+    body: {
+        exerciseId: { type: 'string', required: true, enum: ExerciseSession.EXERCISE_IDS },
+        durationSeconds: { type: 'integer', required: true, min: 0, max: MAX_DURATION_SECONDS },
+        completed: { type: 'boolean', default: true },
+        moodBefore: moodRating,
+        moodAfter: moodRating,
+        // The check-in whose tip started the exercise
+        conversationId: { type: 'objectId', nullable: true },
+        startedAt: { type: 'date' }
+    }
+};
+
+const listSchema = {
+    query: {
+        limit: { type: 'integer', min: 1, max: 100, clamp: true, default: 20 }
+    }
+};
+
+const statsSchema = {
+    query: {
+        days: { type: 'integer', min: 1, max: MAX_STATS_DAYS, clamp: true, default: 30 }
+    }
+};
+
+const toSessionResponse = (session) => ({
+    id: session._id,
+    exerciseId: session.exerciseId,
+    durationSeconds: session.durationSeconds,
+    completed: session.completed,
+    moodBefore: session.moodBefore,
+    moodAfter: session.moodAfter,
+    conversationId: session.conversationId,
+    startedAt: session.startedAt
+});
+
+const handleError = (res, action, error) => {
+    logger.error(`Error ${action}`, { error });
+    sendError(res, 'INTERNAL_ERROR', `Failed ${action}`);
+};
+
+// Recent sessions, newest first
+router.get('/sessions', validate(listSchema), async (req, res) => {
+    try {
+        const sessions = await ExerciseSession.find(getOwnerFilter(req))
+            .sort({ startedAt: -1 })
+            .limit(req.validated.query.limit)
+            .lean();
+
+        res.json({ status: 'success', data: sessions.map(toSessionResponse) });
+    } catch (error) {
+        handleError(res, 'listing exercise sessions', error);
+    }
+});
+
+// Totals and average mood before/after, overall and per exercise
+router.get('/stats', validate(statsSchema), async (req, res) => {
+    try {
+        const { days } = req.validated.query;
+        const stats = await ExerciseSession.getStats(getOwnerFilter(req), days);
+        res.json({ status: 'success', data: { ...stats, period: `${days} days` } });
+    } catch (error) {
+        handleError(res, 'building exercise stats', error);
+    }
+});
+
+router.post('/sessions', validate(createSchema), async (req, res) => {
+    try {
+        const owner = getOwnerFilter(req);
+        const { conversationId, durationSeconds } = req.body;
+
+        if (conversationId && !(await Conversation.exists({ _id: conversationId, ...owner }))) {
+            return sendError(res, 'NOT_FOUND', 'Check-in not found');
+        }
+
+        const session = await ExerciseSession.create({
+            ...req.body,
+            startedAt: req.body.startedAt || new Date(Date.now() - durationSeconds * 1000),
+            sessionId: req.sessionId,
+            userId: req.user ? req.user._id : null
+        });
+        logger.info('Exercise session saved', {
+            exerciseId: session.exerciseId,
+            completed: session.completed,
+            fromTip: Boolean(conversationId)
+        });
+
+        res.status(201).json({ status: 'success', data: toSessionResponse(session) });
+    } catch (error) {
+        handleError(res, 'saving the exercise session', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+// routes/habits.js
+// Habit tracker: habits with a daily or weekly goal, a log of the days they were done, streaks,
+// and a report comparing check-in mood on days each habit was done vs. skipped
+const express = require('express');
+const { Habit, Session } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { summarizeHabit, buildMoodReport } = require('../services/habits');
+const { isValidTimezone, toLocalDay } = require('../utils/timezone');
+const { objectIdParam } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_HABITS = 50;
+const MAX_NAME_LENGTH = 100;
+// Completions can be logged for today and this many days back
+const MAX_BACKFILL_DAYS = 30;
+const MAX_REPORT_DAYS = 365;
+const LOCAL_DAY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const habitSchema = ({ partial }) => ({
+    name: {
+        type: 'string',
+        required: !partial,
+        minLength: 1,
+        maxLength: MAX_NAME_LENGTH,
+        messages: {
+            required: 'Please give your habit a name.',
+            minLength: 'Please give your habit a name.',
+            maxLength: `Habit names must be under ${MAX_NAME_LENGTH} characters.`
+        }
+    },
+    frequency: { type: 'string', lowercase: true, enum: Habit.FREQUENCIES },
+    timesPerWeek: { type: 'integer', min: 1, max: 7 },
+    timezone: {
+        type: 'string',
+        check: (tz) => (isValidTimezone(tz) ? null : 'timezone must be an IANA timezone like "Asia/Kolkata".')
+    }
+});
+
+const createSchema = {
+    body: {
+        ...habitSchema({ partial: false }),
+        sourceTip: { type: 'string', maxLength: 300, nullable: true }
+    }
+};
+
+const habitParams = { params: objectIdParam };
+
+const updateSchema = {
+    ...habitParams,
+    body: {
+        ...habitSchema({ partial: true }),
+        archived: { type: 'boolean' }
+    }
+};
+
+const listSchema = {
+    query: {
+        archived: { type: 'boolean', default: false }
+    }
+};
+
+const localDay = {
+    type: 'string',
+    pattern: LOCAL_DAY,
+    // Rejects days that don't exist, like 2026-02-31
+    check: (day) => (new Date(Date.parse(`${day}T00:00:00Z`) || 0).toISOString().startsWith(day) ? null : 'day must be a date like "2026-10-18".'),
+    messages: { pattern: 'day must be a date like "2026-10-18".' }
+};
+
+const completionSchema = {
+    ...habitParams,
+    body: {
+        // Defaults to today in the habit's timezone
+        day: localDay,
+        note: { type: 'string', maxLength: 200, nullable: true }
+    }
+};
+
+const removeCompletionSchema = {
+    params: { ...objectIdParam, day: { ...localDay, required: true } }
+};
+
+const reportSchema = {
+    query: {
+        days: { type: 'integer', min: 7, max: MAX_REPORT_DAYS, clamp: true, default: 30 }
+    }
+};
+
+const findOwnedHabit = (req) => Habit.findOne({ _id: req.params.id, ...getOwnerFilter(req) });
+
+const habitNotFound = (res) => sendError(res, 'NOT_FOUND', 'Habit not found');
+
+const handleError = (res, action, error) => {
+    logger.error(`Error ${action}`, { error });
+    sendError(res, 'INTERNAL_ERROR', `Failed ${action}`);
+};
+
+// Names are encrypted at rest, so duplicates are found after loading
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Habits, oldest first, with streaks and the last 7 days
+router.get('/', validate(listSchema), async (req, res) => {
+    try {
+        const { archived } = req.validated.query;
+        const habits = await Habit.find({
+            ...getOwnerFilter(req),
+            ...(archived ? {} : { archivedAt: null })
+        }).sort({ createdAt: 1 });
+
+        const now = new Date();
+        res.json({ status: 'success', data: habits.map(habit => summarizeHabit(habit, now)) });
+    } catch (error) {
+        handleError(res, 'listing habits', error);
+    }
+});
+
+// Mood on days each active habit was done vs. skipped
+router.get('/report', validate(reportSchema), async (req, res) => {
+    try {
+        const owner = getOwnerFilter(req);
+        const habits = await Habit.find({ ...owner, archivedAt: null }).sort({ createdAt: 1 });
+        const report = await buildMoodReport(owner, habits, { days: req.validated.query.days });
+        res.json({ status: 'success', data: report });
+    } catch (error) {
+        handleError(res, 'building the habit report', error);
+    }
+});
+
+// Adding a habit that is already being tracked (same name) returns the existing one, so
+// "add this tip as a habit" can be clicked twice safely
+router.post('/', validate(createSchema), async (req, res) => {
+    try {
+        const owner = getOwnerFilter(req);
+        const active = await Habit.find({ ...owner, archivedAt: null });
+
+        const existing = active.find(habit => sameName(habit.name, req.body.name));
+        if (existing) {
+            return res.json({ status: 'success', data: summarizeHabit(existing), existing: true });
+        }
+        if (active.length >= MAX_HABITS) {
+            return sendError(res, 'VALIDATION_ERROR', `You can track up to ${MAX_HABITS} habits. Archive one to add another.`);
+        }
+
+        let { timezone } = req.body;
+        if (!timezone) {
+            const session = await Session.findOne({ sessionId: req.sessionId }).select('preferences').lean();
+            timezone = session?.preferences?.timezone;
+        }
+
+        const habit = await Habit.create({
+            ...req.body,
+            timezone,
+            sessionId: req.sessionId,
+            userId: req.user ? req.user._id : null
+        });
+        logger.info('Habit created', { frequency: habit.frequency, fromTip: Boolean(habit.sourceTip) });
+
+        res.status(201).json({ status: 'success', data: summarizeHabit(habit) });
+    } catch (error) {
+        handleError(res, 'creating the habit', error);
+    }
+});
+
+// Partial update; `archived` archives or restores the habit
+router.put('/:id', validate(updateSchema), async (req, res) => {
+    try {
+        const habit = await findOwnedHabit(req);
+        if (!habit) return habitNotFound(res);
+
+        const { archived, ...values } = req.body;
+        habit.set(values);
+        if (archived !== undefined) {
+            habit.archivedAt = archived ? (habit.archivedAt || new Date()) : null;
+        }
+        await habit.save();
+
+        res.json({ status: 'success', data: summarizeHabit(habit) });
+    } catch (error) {
+        handleError(res, 'updating the habit', error);
+    }
+});
+
+router.delete('/:id', validate(habitParams), async (req, res) => {
+    try {
+        const result = await Habit.deleteOne({ _id: req.params.id, ...getOwnerFilter(req) });
+        if (result.deletedCount === 0) return habitNotFound(res);
+
+        logger.info('Habit deleted');
+        res.json({ status: 'success', data: { deletedCount: 1 } });
+    } catch (error) {
+        handleError(res, 'deleting the habit', error);
+    }
+});
+
+// Marks the habit done for a day (today unless `day` is given). Logging the same day again only updates the note.
+router.post('/:id/completions', validate(completionSchema), async (req, res) => {
+    try {
+        const habit = await findOwnedHabit(req);
+        if (!habit) return habitNotFound(res);
+
+        const now = new Date();
+        const today = toLocalDay(now, habit.timezone);
+        const earliest = toLocalDay(new Date(now.getTime() - MAX_BACKFILL_DAYS * DAY_MS), habit.timezone);
+        const day = req.body.day || today;
+        if (day > today || day < earliest) {
+            return sendError(res, 'VALIDATION_ERROR', `Habits can be logged for today and up to ${MAX_BACKFILL_DAYS} days back.`);
+        }
+
+        habit.logCompletion(day, req.body.note ?? null);
+        await habit.save();
+
+        res.json({ status: 'success', data: summarizeHabit(habit, now) });
+    } catch (error) {
+        handleError(res, 'logging the habit', error);
+    }
+});
+
+router.delete('/:id/completions/:day', validate(removeCompletionSchema), async (req, res) => {
+    try {
+        const habit = await findOwnedHabit(req);
+        if (!habit) return habitNotFound(res);
+
+        if (!habit.removeCompletion(req.params.day)) {
+            return sendError(res, 'NOT_FOUND', 'Nothing was logged for that day');
+        }
+        await habit.save();
+
+        res.json({ status: 'success', data: summarizeHabit(habit) });
+    } catch (error) {
+        handleError(res, 'removing the habit log', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// routes/history.js
+// Saved mood check-ins: paginated list with filters/search, and deletion
+const express = require('express');
+const { Conversation, Session } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { objectIdParam, pagination } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SENTIMENTS = ['POSITIVE', 'NEGATIVE', 'NEUTRAL', 'MIXED'];
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+//   q          - search over userText (whole words only while encryption is on)
+//   sentiment  - one or more sentiments, comma separated
+//   from / to  - ISO dates; a date-only `to` includes that whole day
+const listSchema = {
+    query: {
+        ...pagination({ defaultLimit: 10, maxLimit: MAX_PAGE_SIZE }),
+        q: { type: 'string', maxLength: MAX_QUERY_LENGTH },
+        sentiment: {
+            type: 'list',
+            items: {
+                type: 'string',
+                uppercase: true,
+                enum: SENTIMENTS,
+                messages: { enum: `Unknown sentiment. Use one of ${SENTIMENTS.join(', ')}.` }
+            }
+        },
+        from: { type: 'date', messages: { type: 'Invalid "from" date' } },
+        to: {
+            type: 'string',
+            check: (value) => (isNaN(new Date(value)) ? 'Invalid "to" date' : null)
+        }
+    }
+};
+
+// Turns the validated query into a Mongo filter
+const buildHistoryFilter = async (req) => {
+    const { q, sentiment, from, to } = req.validated.query;
+    const filter = { ...getOwnerFilter(req) };
+
+    if (q) {
+        Object.assign(filter, await Conversation.buildSearchFilter(getOwnerFilter(req), q));
+    }
+
+    if (sentiment && sentiment.length > 0) {
+        filter.sentiment = { $in: sentiment };
+    }
+
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = from;
+        if (to) {
+            const toDate = new Date(to);
+            if (DATE_ONLY.test(to)) {
+                toDate.setUTCDate(toDate.getUTCDate() + 1);
+                filter.timestamp.$lt = toDate;
+            } else {
+                filter.timestamp.$lte = toDate;
+            }
+        }
+    }
+
+    return filter;
+};
+
+// Get user's conversation history
+router.get('/', validate(listSchema), async (req, res) => {
+    try {
+        const { page, limit } = req.validated.query;
+        const filter = await buildHistoryFilter(req);
+
+        logger.debug('Fetching history', { owner: req.user ? 'user' : 'session', page, limit });
+
+        const conversations = await Conversation.find(filter)
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit)
+            .select('-__v -sessionId -metadata.ipHash');
+
+        const total = await Conversation.countDocuments(filter);
+
+        res.json({
+            status: 'success',
+            data: conversations,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error fetching history', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch conversation history');
+    }
+});
+
+// Delete one entry
+router.delete('/:id', validate({ params: objectIdParam }), async (req, res) => {
+    try {
+        const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, ...getOwnerFilter(req) });
+        if (!conversation) {
+            return sendError(res, 'NOT_FOUND', 'History entry not found');
+        }
+
+        await Session.removeConversations([conversation]);
+        logger.info('History entry deleted');
+
+        res.json({ status: 'success', data: { deletedCount: 1 } });
+    } catch (error) {
+        logger.error('Error deleting history entry', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to delete history entry');
+    }
+});
+
+// Clear all history of this user/session
+router.delete('/', validate(), async (req, res) => {
+    try {
+        const owner = getOwnerFilter(req);
+        const conversations = await Conversation.find(owner).select('sessionId sentiment');
+        const result = await Conversation.deleteMany(owner);
+
+        await Session.removeConversations(conversations);
+        logger.info('History cleared', { deletedCount: result.deletedCount });
+
+        res.json({ status: 'success', data: { deletedCount: result.deletedCount } });
+    } catch (error) {
+        logger.error('Error clearing history', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to clear history');
+    }
+});
+
+module.exports = router;
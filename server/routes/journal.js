@@ -0,0 +1,267 @@
+// routes/journal.js
+// Journal entries: longer, titled, tagged and editable - each one gets the same mood analysis as a check-in
+const express = require('express');
+const { JournalEntry } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { analyzeLongEntry } = require('../services/moodAnalysis');
+const { describeAIError } = require('../services/analysis');
+const { stripMarkdown, countWords } = require('../utils/text');
+const { objectIdParam, pagination } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const LIMITS = {
+    title: 200,
+    body: 20000,
+    tags: 10,
+    tagLength: 30,
+    attachments: 10
+};
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+
+const findOwnedEntry = (req, projection) => (
+    JournalEntry.findOne({ _id: req.params.id, ...getOwnerFilter(req) }, projection)
+);
+
+const entryNotFound = (res) => sendError(res, 'NOT_FOUND', 'Journal entry not found');
+
+const normalizeTags = (tags) => [...new Set(tags.map(tag => String(tag).trim().toLowerCase().replace(/^#/, '')).filter(Boolean))];
+
+// Create/update body. `partial` makes every field optional (updates).
+const entrySchema = ({ partial }) => ({
+    title: {
+        type: 'string',
+        required: !partial,
+        maxLength: LIMITS.title,
+        messages: {
+            required: 'Please give your entry a title.',
+            maxLength: `Title must be under ${LIMITS.title} characters.`
+        }
+    },
+    body: {
+        type: 'string',
+        required: !partial,
+        trim: false,
+        maxLength: LIMITS.body,
+        check: (body) => (stripMarkdown(body) ? null : 'Your entry is empty.'),
+        messages: {
+            required: 'Your entry is empty.',
+            maxLength: `Entries must be under ${LIMITS.body} characters.`
+        }
+    },
+    tags: {
+        type: 'array',
+        items: { type: 'string', messages: { type: 'tags must be an array of strings.' } },
+        transform: normalizeTags,
+        maxItems: LIMITS.tags,
+        check: (tags) => (tags.some(tag => tag.length > LIMITS.tagLength)
+            ? `Tags must be under ${LIMITS.tagLength} characters.`
+            : null),
+        messages: {
+            type: 'tags must be an array of strings.',
+            maxItems: `Use at most ${LIMITS.tags} tags.`
+        }
+    },
+    attachments: {
+        type: 'array',
+        maxItems: LIMITS.attachments,
+        items: {
+            type: 'object',
+            fields: {
+                // Attachments sent back from a loaded entry still carry their subdocument id
+                _id: { type: 'objectId' },
+                name: { type: 'string', required: true, maxLength: 200, messages: { required: 'Every attachment needs a name.' } },
+                mimeType: { type: 'string', maxLength: 100, nullable: true },
+                size: { type: 'number', min: 0, nullable: true },
+                url: { type: 'string', maxLength: 2000, nullable: true }
+            }
+        },
+        transform: (attachments) => attachments.map(({ name, mimeType, size, url }) => ({ name, mimeType, size, url })),
+        messages: { maxItems: `attachments must be an array of at most ${LIMITS.attachments} items.` }
+    },
+    entryDate: { type: 'date', messages: { type: 'Invalid entryDate.' } }
+});
+
+// Query: page, limit, tag (comma separated - entries must have all of them), q (search), from/to (entryDate)
+const listSchema = {
+    query: {
+        ...pagination({ defaultLimit: 20, maxLimit: MAX_PAGE_SIZE }),
+        tag: { type: 'list', items: { type: 'string' }, transform: normalizeTags },
+        q: { type: 'string', maxLength: MAX_QUERY_LENGTH },
+        from: { type: 'date', messages: { type: 'Invalid date range' } },
+        to: { type: 'date', messages: { type: 'Invalid date range' } }
+    }
+};
+
+const entryParams = { params: objectIdParam };
+const createSchema = { body: entrySchema({ partial: false }) };
+const updateSchema = { ...entryParams, body: entrySchema({ partial: true }) };
+
+// Runs the body through the mood pipeline and stores the result on the entry
+const applyAnalysis = async (entry, req) => {
+    const text = stripMarkdown(`${entry.title}\n\n${entry.body}`);
+    const { mood, assessment, crisis } = await analyzeLongEntry({ text, req });
+
+    entry.mood = mood;
+    const flagged = assessment.riskLevel === 'high' || assessment.riskLevel === 'medium';
+    entry.safety = {
+        flagged,
+        categories: assessment.categories || [],
+        flaggedAt: flagged ? new Date() : null
+    };
+    return crisis;
+};
+
+const handleError = (res, action, error) => {
+    logger.error(`Error ${action}`, { error });
+    // Analysis failures carry an AI-service status (503 when it is down)
+    if (error.response || typeof error.code === 'string') {
+        const { statusCode, code, errorMessage } = describeAIError(error);
+        return sendError(res, code, errorMessage, { statusCode });
+    }
+    sendError(res, 'INTERNAL_ERROR', `Failed ${action}`);
+};
+
+// List entries (summaries)
+router.get('/', validate(listSchema), async (req, res) => {
+    try {
+        const { page, limit, tag, q, from, to } = req.validated.query;
+        const filter = { ...getOwnerFilter(req) };
+
+        if (tag && tag.length > 0) filter.tags = { $all: tag };
+        if (q) {
+            Object.assign(filter, await JournalEntry.buildSearchFilter(getOwnerFilter(req), q));
+        }
+        if (from || to) {
+            filter.entryDate = {};
+            if (from) filter.entryDate.$gte = from;
+            if (to) filter.entryDate.$lte = to;
+        }
+
+        const [entries, total] = await Promise.all([
+            JournalEntry.find(filter)
+                .sort({ entryDate: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            JournalEntry.countDocuments(filter)
+        ]);
+
+        res.json({
+            status: 'success',
+            data: entries.map(entry => entry.toSummaryJSON()),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        handleError(res, 'listing journal entries', error);
+    }
+});
+
+// Tags in use, most used first
+router.get('/tags', validate(), async (req, res) => {
+    try {
+        const tags = await JournalEntry.getTagCounts(getOwnerFilter(req));
+        res.json({ status: 'success', data: tags });
+    } catch (error) {
+        handleError(res, 'listing journal tags', error);
+    }
+});
+
+router.post('/', rateLimit('journalAnalysis'), validate(createSchema), async (req, res) => {
+    try {
+        const values = req.body;
+
+        const entry = new JournalEntry({
+            ...values,
+            sessionId: req.sessionId,
+            userId: req.user ? req.user._id : null,
+            wordCount: countWords(stripMarkdown(values.body))
+        });
+
+        const crisis = await applyAnalysis(entry, req);
+        await entry.save();
+        logger.info('Journal entry saved', { wordCount: entry.wordCount, chunks: entry.mood.chunks || 0 });
+
+        res.status(201).json({ status: 'success', data: entry, ...(crisis ? { crisis } : {}) });
+    } catch (error) {
+        handleError(res, 'creating journal entry', error);
+    }
+});
+
+router.get('/:id', validate(entryParams), async (req, res) => {
+    try {
+        const entry = await findOwnedEntry(req, '-__v -sessionId');
+        if (!entry) return entryNotFound(res);
+        res.json({ status: 'success', data: entry });
+    } catch (error) {
+        handleError(res, 'fetching journal entry', error);
+    }
+});
+
+// Edit history, newest first
+router.get('/:id/revisions', validate(entryParams), async (req, res) => {
+    try {
+        const entry = await findOwnedEntry(req, 'revisions revisionCount');
+        if (!entry) return entryNotFound(res);
+        res.json({ status: 'success', data: [...entry.revisions].reverse() });
+    } catch (error) {
+        handleError(res, 'fetching journal revisions', error);
+    }
+});
+
+// Partial update - the previous version goes into the edit history, and the mood is re-analyzed if the text changed
+router.put('/:id', rateLimit('journalAnalysis'), validate(updateSchema), async (req, res) => {
+    try {
+        const values = req.body;
+
+        const entry = await findOwnedEntry(req, '+revisions');
+        if (!entry) return entryNotFound(res);
+
+        const textChanged = (values.title !== undefined && values.title !== entry.title) ||
+            (values.body !== undefined && values.body !== entry.body);
+        const tagsChanged = values.tags !== undefined && values.tags.join(',') !== entry.tags.join(',');
+
+        if (textChanged || tagsChanged) {
+            entry.pushRevision();
+        }
+        entry.set(values);
+
+        let crisis = null;
+        if (textChanged) {
+            entry.wordCount = countWords(stripMarkdown(entry.body));
+            crisis = await applyAnalysis(entry, req);
+        }
+
+        await entry.save();
+        logger.info('Journal entry updated', { reanalyzed: textChanged });
+
+        const data = entry.toObject();
+        delete data.revisions;
+        res.json({ status: 'success', data, ...(crisis ? { crisis } : {}) });
+    } catch (error) {
+        handleError(res, 'updating journal entry', error);
+    }
+});
+
+router.delete('/:id', validate(entryParams), async (req, res) => {
+    try {
+        const result = await JournalEntry.deleteOne({ _id: req.params.id, ...getOwnerFilter(req) });
+        if (result.deletedCount === 0) return entryNotFound(res);
+
+        logger.info('Journal entry deleted');
+        res.json({ status: 'success', data: { deletedCount: 1 } });
+    } catch (error) {
+        handleError(res, 'deleting journal entry', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// routes/me.js
+// "Your data": export and erasure for the current account, or the anonymous session when logged out
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { buildExport, exportToCsv, eraseOwnerData, writeAudit } = require('../services/privacy');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const ERASE_CONFIRMATION = 'DELETE';
+const ERASE_MESSAGE = `To delete your data, send { "confirm": "${ERASE_CONFIRMATION}" }.`;
+
+const exportSchema = {
+    query: {
+        format: { type: 'string', lowercase: true, enum: EXPORT_FORMATS, default: 'json' }
+    }
+};
+
+const eraseSchema = {
+    body: {
+        confirm: {
+            type: 'string',
+            required: true,
+            trim: false,
+            enum: [ERASE_CONFIRMATION],
+            messages: { required: ERASE_MESSAGE, enum: ERASE_MESSAGE }
+        }
+    }
+};
+
+// GET /me/export?format=json|csv - downloaded as a file
+router.get('/export', validate(exportSchema), async (req, res) => {
+    try {
+        const { format } = req.validated.query;
+
+        const bundle = await buildExport(req);
+        await writeAudit('export', req, { conversations: bundle.conversations.length }, { format });
+        logger.info('Data export', { format, conversations: bundle.conversations.length });
+
+        const filename = `mental-health-companion-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8').send(exportToCsv(bundle));
+        } else {
+            res.type('application/json').send(JSON.stringify(bundle, null, 2));
+        }
+    } catch (error) {
+        logger.error('Error exporting data', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to export data');
+    }
+});
+
+// DELETE /me  body: { confirm: "DELETE" }
+// Hard-deletes every check-in, session, chat and journal entry (and the account when logged in)
+router.delete('/', validate(eraseSchema), async (req, res) => {
+    try {
+        const counts = await eraseOwnerData(req);
+        logger.info('Erasure completed', { owner: req.user ? 'user' : 'session', counts });
+
+        res.json({ status: 'success', data: { deleted: counts } });
+    } catch (error) {
+        logger.error('Error erasing data', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to delete data');
+    }
+});
+
+module.exports = router;
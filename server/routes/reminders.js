@@ -0,0 +1,322 @@
+// routes/reminders.js
+// Check-in reminders: schedules, channels, quiet hours and snooze, Web Push subscriptions
+// and the in-app notifications the "in-app" channel leaves behind
+const express = require('express');
+const { ReminderSettings, Notification, Session } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { computeNextRun, getBackoffLevel } = require('../services/reminders/schedule');
+const { getChannel, describeChannels } = require('../services/reminders');
+const { isPushServiceEndpoint } = require('../services/reminders/channels/webPush');
+const remindersConfig = require('../config/reminders');
+const { isValidTimezone } = require('../utils/timezone');
+const { objectIdParam } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_SCHEDULES = 10;
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+const MAX_NOTIFICATIONS = 50;
+const WEB_PUSH_UNAVAILABLE = 'Web Push is not set up on this server.';
+
+const timeOfDay = (field) => ({
+    type: 'string',
+    required: true,
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    messages: { pattern: `${field} must be a 24-hour time like "08:30".` }
+});
+
+const unique = (items) => [...new Set(items)];
+
+const settingsSchema = {
+    body: {
+        enabled: { type: 'boolean' },
+        timezone: {
+            type: 'string',
+            check: (tz) => (isValidTimezone(tz) ? null : 'timezone must be an IANA timezone like "Asia/Kolkata".')
+        },
+        schedules: {
+            type: 'array',
+            maxItems: MAX_SCHEDULES,
+            items: {
+                type: 'object',
+                fields: {
+                    frequency: { type: 'string', required: true, lowercase: true, enum: ReminderSettings.FREQUENCIES },
+                    time: timeOfDay('time'),
+                    // 0 = Sunday
+                    daysOfWeek: {
+                        type: 'array',
+                        items: { type: 'integer', min: 0, max: 6 },
+                        transform: (days) => unique(days).sort()
+                    },
+                    enabled: { type: 'boolean', default: true }
+                }
+            },
+            check: (schedules) => (schedules.some(s => s.frequency === 'weekly' && !s.daysOfWeek?.length)
+                ? 'Weekly reminders need at least one day in daysOfWeek (0 = Sunday).'
+                : null)
+        },
+        channels: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', lowercase: true, enum: ReminderSettings.CHANNELS },
+            transform: unique
+        },
+        quietHours: {
+            type: 'object',
+            nullable: true,
+            fields: { start: timeOfDay('quietHours.start'), end: timeOfDay('quietHours.end') }
+        }
+    }
+};
+
+const snoozeSchema = {
+    body: {
+        minutes: {
+            type: 'integer',
+            min: remindersConfig.minSnoozeMinutes,
+            max: remindersConfig.maxSnoozeMinutes,
+            default: 60
+        }
+    }
+};
+
+// The JSON of a browser PushSubscription
+const subscriptionSchema = {
+    body: {
+        endpoint: {
+            type: 'string',
+            required: true,
+            maxLength: 2000,
+            check: (endpoint) => (isPushServiceEndpoint(endpoint) ? null : 'endpoint must be the https URL of a browser push service.')
+        },
+        keys: {
+            type: 'object',
+            required: true,
+            fields: {
+                p256dh: { type: 'string', required: true, maxLength: 200 },
+                auth: { type: 'string', required: true, maxLength: 100 }
+            }
+        },
+        expirationTime: { type: 'number', nullable: true }
+    }
+};
+
+const unsubscribeSchema = {
+    body: {
+        endpoint: { type: 'string', required: true, maxLength: 2000 }
+    }
+};
+
+const notificationsSchema = {
+    query: {
+        unread: { type: 'boolean' },
+        limit: { type: 'integer', min: 1, max: MAX_NOTIFICATIONS, clamp: true, default: 20 }
+    }
+};
+
+const findSettings = (req) => ReminderSettings.findOne(getOwnerFilter(req));
+
+// Settings that haven't been saved yet start from the session's preferences
+const findOrBuildSettings = async (req) => {
+    const settings = await findSettings(req);
+    if (settings) return settings;
+
+    const session = await Session.findOne({ sessionId: req.sessionId }).select('preferences').lean();
+    return new ReminderSettings({
+        sessionId: req.sessionId,
+        userId: req.user ? req.user._id : null,
+        enabled: session?.preferences?.notificationEnabled,
+        timezone: session?.preferences?.timezone
+    });
+};
+
+const toResponse = (settings) => ({
+    enabled: settings.enabled,
+    timezone: settings.timezone,
+    schedules: settings.schedules.map(({ _id, frequency, time, daysOfWeek, enabled }) => ({ _id, frequency, time, daysOfWeek, enabled })),
+    channels: settings.channels,
+    email: settings.email,
+    quietHours: settings.quietHours ? { start: settings.quietHours.start, end: settings.quietHours.end } : null,
+    snoozedUntil: settings.snoozedUntil,
+    nextRunAt: settings.nextRunAt,
+    lastSentAt: settings.lastSentAt,
+    // > 0 while reminders are thinned out because they were ignored
+    backoffLevel: getBackoffLevel(settings.ignoredCount),
+    pushSubscriptions: settings.pushSubscriptions.length
+});
+
+const remindersOff = (res) => sendError(res, 'NOT_FOUND', 'Reminders are not turned on.');
+
+const handleError = (res, action, error) => {
+    logger.error(`Error ${action}`, { error });
+    sendError(res, 'INTERNAL_ERROR', `Failed ${action}`);
+};
+
+// Current settings, plus which channels this server can deliver on
+router.get('/', validate(), async (req, res) => {
+    try {
+        const settings = await findOrBuildSettings(req);
+        res.json({
+            status: 'success',
+            data: toResponse(settings),
+            availableChannels: describeChannels(),
+            vapidPublicKey: remindersConfig.webPush.publicKey
+        });
+    } catch (error) {
+        handleError(res, 'loading reminder settings', error);
+    }
+});
+
+// Any subset of the settings; schedules, channels and quietHours are replaced as a whole
+router.put('/', validate(settingsSchema), async (req, res) => {
+    try {
+        // Email reminders only go to the signed-in account's own address - never one typed in,
+        // so the server can't be used to mail someone else
+        if (req.body.channels?.includes('email') && !req.user) {
+            return sendError(res, 'VALIDATION_ERROR', 'Sign in to get reminders by email.');
+        }
+        if (req.body.channels?.includes('web-push') && !getChannel('web-push').isConfigured()) {
+            return sendError(res, 'VALIDATION_ERROR', WEB_PUSH_UNAVAILABLE);
+        }
+
+        const settings = await findOrBuildSettings(req);
+        settings.set(req.body);
+        settings.email = req.user ? req.user.email : null;
+
+        // New settings start the backoff over
+        settings.ignoredCount = 0;
+        settings.skippedCount = 0;
+        settings.nextRunAt = computeNextRun(settings);
+        await settings.save();
+
+        // Kept in sync so the session's preferences (and the data export) reflect the reminder settings
+        await Session.updateOne(
+            { sessionId: req.sessionId },
+            { $set: { 'preferences.timezone': settings.timezone, 'preferences.notificationEnabled': settings.enabled } }
+        );
+
+        logger.info('Reminder settings saved', { enabled: settings.enabled, schedules: settings.schedules.length, channels: settings.channels });
+        res.json({ status: 'success', data: toResponse(settings) });
+    } catch (error) {
+        handleError(res, 'saving reminder settings', error);
+    }
+});
+
+// Pause reminders for `minutes` - one is sent when the snooze ends
+router.post('/snooze', validate(snoozeSchema), async (req, res) => {
+    try {
+        const settings = await findSettings(req);
+        if (!settings || !settings.enabled) return remindersOff(res);
+
+        const now = new Date();
+        settings.snoozedUntil = new Date(now.getTime() + req.body.minutes * 60 * 1000);
+        // Snoozing is a response to the last reminder - it doesn't count as ignored
+        settings.lastRespondedAt = now;
+        settings.nextRunAt = computeNextRun(settings, now);
+        await settings.save();
+
+        res.json({ status: 'success', data: toResponse(settings) });
+    } catch (error) {
+        handleError(res, 'snoozing reminders', error);
+    }
+});
+
+router.delete('/snooze', validate(), async (req, res) => {
+    try {
+        const settings = await findSettings(req);
+        if (!settings || !settings.enabled) return remindersOff(res);
+
+        settings.snoozedUntil = null;
+        settings.nextRunAt = computeNextRun(settings);
+        await settings.save();
+
+        res.json({ status: 'success', data: toResponse(settings) });
+    } catch (error) {
+        handleError(res, 'ending the snooze', error);
+    }
+});
+
+// Registers this browser for Web Push (the client then adds "web-push" to the channels)
+router.post('/push-subscriptions', validate(subscriptionSchema), async (req, res) => {
+    try {
+        if (!getChannel('web-push').isConfigured()) {
+            return sendError(res, 'VALIDATION_ERROR', WEB_PUSH_UNAVAILABLE);
+        }
+
+        const { endpoint, keys } = req.body;
+        const settings = await findOrBuildSettings(req);
+        const others = settings.pushSubscriptions.filter(subscription => subscription.endpoint !== endpoint);
+        // Oldest devices drop off first
+        settings.pushSubscriptions = [
+            ...others.slice(-(MAX_PUSH_SUBSCRIPTIONS - 1)),
+            { endpoint, keys, userAgent: req.headers['user-agent'] }
+        ];
+        await settings.save();
+
+        res.status(201).json({ status: 'success', data: toResponse(settings) });
+    } catch (error) {
+        handleError(res, 'saving the push subscription', error);
+    }
+});
+
+router.delete('/push-subscriptions', validate(unsubscribeSchema), async (req, res) => {
+    try {
+        const settings = await findSettings(req);
+        if (!settings) return sendError(res, 'NOT_FOUND', 'Push subscription not found');
+
+        const remaining = settings.pushSubscriptions.filter(subscription => subscription.endpoint !== req.body.endpoint);
+        if (remaining.length === settings.pushSubscriptions.length) {
+            return sendError(res, 'NOT_FOUND', 'Push subscription not found');
+        }
+        settings.pushSubscriptions = remaining;
+        await settings.save();
+
+        res.json({ status: 'success', data: toResponse(settings) });
+    } catch (error) {
+        handleError(res, 'removing the push subscription', error);
+    }
+});
+
+// In-app notifications, newest first
+router.get('/notifications', validate(notificationsSchema), async (req, res) => {
+    try {
+        const { unread, limit } = req.validated.query;
+        const notifications = await Notification.find({
+            ...getOwnerFilter(req),
+            ...(unread ? { readAt: null } : {})
+        })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('-__v -sessionId -userId');
+
+        res.json({ status: 'success', data: notifications });
+    } catch (error) {
+        handleError(res, 'loading notifications', error);
+    }
+});
+
+// Opening a reminder counts as a response to it (see the backoff in services/reminders/schedule.js)
+router.post('/notifications/:id/read', validate({ params: objectIdParam }), async (req, res) => {
+    try {
+        const owner = getOwnerFilter(req);
+        const now = new Date();
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, ...owner },
+            { $set: { readAt: now } },
+            { new: true, projection: '-__v -sessionId -userId' }
+        );
+        if (!notification) {
+            return sendError(res, 'NOT_FOUND', 'Notification not found');
+        }
+
+        await ReminderSettings.updateOne(owner, { $set: { lastRespondedAt: now } });
+        res.json({ status: 'success', data: notification });
+    } catch (error) {
+        handleError(res, 'updating the notification', error);
+    }
+});
+
+module.exports = router;
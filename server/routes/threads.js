@@ -0,0 +1,166 @@
+// routes/threads.js
+// Multi-turn companion chat
+const express = require('express');
+const { Thread } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const companion = require('../services/companion');
+const { describeAIError } = require('../services/analysis');
+const { analyzeMessage } = require('../services/moodAnalysis');
+const { baseLocale } = require('../utils/locale');
+const { objectIdParam } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_TITLE_LENGTH = 100;
+
+const createSchema = {
+    body: {
+        title: { type: 'string', maxLength: MAX_TITLE_LENGTH }
+    }
+};
+
+const messageSchema = {
+    params: objectIdParam,
+    body: {
+        content: {
+            type: 'string',
+            required: true,
+            maxLength: MAX_MESSAGE_LENGTH,
+            messages: {
+                required: 'Please enter a message.',
+                type: 'Please enter a message.',
+                maxLength: `Message is too long. Please keep it under ${MAX_MESSAGE_LENGTH} characters.`
+            }
+        }
+    }
+};
+
+const findOwnedThread = (req, projection) => (
+    Thread.findOne({ _id: req.params.id, ...getOwnerFilter(req) }, projection)
+);
+
+const threadNotFound = (res) => sendError(res, 'NOT_FOUND', 'Thread not found');
+
+// First user message becomes the title
+const titleFromText = (text) => (text.length > 40 ? text.substring(0, 40).trim() + '...' : text);
+
+// Create a thread
+router.post('/', validate(createSchema), async (req, res) => {
+    try {
+        const { title } = req.body;
+
+        const thread = new Thread({
+            sessionId: req.sessionId,
+            userId: req.user ? req.user._id : null,
+            ...(title ? { title } : {})
+        });
+        await thread.save();
+
+        logger.info('New chat thread created');
+        res.status(201).json({ status: 'success', data: thread.toSummaryJSON() });
+    } catch (error) {
+        logger.error('Error creating thread', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to create thread');
+    }
+});
+
+// List threads for the thread switcher (without full message arrays)
+router.get('/', validate(), async (req, res) => {
+    try {
+        const threads = await Thread.find(getOwnerFilter(req))
+            .sort({ lastMessageAt: -1 })
+            .limit(50)
+            .slice('messages', -1);
+
+        res.json({ status: 'success', data: threads.map(t => t.toSummaryJSON()) });
+    } catch (error) {
+        logger.error('Error listing threads', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to list threads');
+    }
+});
+
+router.get('/:id', validate({ params: objectIdParam }), async (req, res) => {
+    try {
+        const thread = await findOwnedThread(req, '-__v -sessionId');
+        if (!thread) return threadNotFound(res);
+
+        res.json({
+            status: 'success',
+            data: {
+                ...thread.toSummaryJSON(),
+                messages: thread.messages,
+                moodTrajectory: thread.getMoodTrajectory()
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching thread', { error: error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch thread');
+    }
+});
+
+// Send a user message and get the companion's reply
+router.post('/:id/messages', rateLimit('threadMessage'), validate(messageSchema), async (req, res) => {
+    try {
+        const text = req.body.content;
+
+        const thread = await findOwnedThread(req);
+        if (!thread) return threadNotFound(res);
+
+        // Trajectory is taken before this message is added
+        const trajectory = thread.getMoodTrajectory();
+
+        // aiResult is null when the AI service failed on a crisis message - the reply is the crisis response
+        const { aiResult, assessment, language } = await analyzeMessage({ text, req, history: thread.getRecommendationHistory() });
+        const reply = companion.buildReply({ aiResult, assessment, trajectory, locale: baseLocale(language) });
+
+        if (thread.messageCount === 0 && thread.title === 'New conversation') {
+            thread.title = titleFromText(text);
+        }
+
+        const userMessage = thread.addMessage({
+            role: 'user',
+            content: text,
+            sentiment: aiResult ? aiResult.sentiment : null,
+            confidenceScore: aiResult ? aiResult.confidence_score : null,
+            provider: aiResult ? aiResult.provider : null,
+            riskLevel: assessment.riskLevel
+        });
+        const assistantMessage = thread.addMessage({
+            role: 'assistant',
+            content: reply.content,
+            tips: reply.tips,
+            tipIds: reply.tipIds || [],
+            riskLevel: reply.riskLevel,
+            ...(reply.crisis ? { crisis: reply.crisis } : {})
+        });
+
+        if (assessment.riskLevel === 'high' || assessment.riskLevel === 'medium') {
+            thread.flagged = true;
+        }
+
+        await thread.save();
+        logger.info('Reply sent', { pattern: reply.pattern });
+
+        res.json({
+            status: 'success',
+            data: {
+                thread: thread.toSummaryJSON(),
+                userMessage,
+                assistantMessage,
+                pattern: reply.pattern,
+                moodTrajectory: thread.getMoodTrajectory()
+            }
+        });
+    } catch (error) {
+        logger.error('Error in thread message', { error: error });
+        const { statusCode, code, errorMessage } = describeAIError(error);
+        sendError(res, code, errorMessage, { statusCode, timestamp: new Date().toISOString() });
+    }
+});
+
+module.exports = router;
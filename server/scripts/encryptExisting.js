@@ -0,0 +1,53 @@
+// scripts/encryptExisting.js
+// Encrypts documents saved before field-level encryption was turned on (or while it was off).
+// Safe to run repeatedly and while the server is running - only documents that still hold plaintext are touched.
+//   node scripts/encryptExisting.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { Conversation, JournalEntry, Thread } = require('../models');
+const encryption = require('../services/encryption');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Journal revisions are excluded from queries by default
+const TARGETS = [
+    { name: 'conversations', model: Conversation, select: '+searchTokens' },
+    { name: 'journal entries', model: JournalEntry, select: '+revisions +searchTokens' },
+    { name: 'threads', model: Thread, select: '' }
+];
+
+const encryptCollection = async ({ name, model, select }) => {
+    const filter = model.unencryptedFilter();
+    const pending = await model.countDocuments(filter);
+    console.log(`📄 ${name}: ${pending} with plaintext`);
+    if (dryRun || pending === 0) return 0;
+
+    let done = 0;
+    for await (const doc of model.find(filter).select(select).cursor()) {
+        await doc.decryptFields();
+        doc.markEncryptedFieldsModified();
+        await doc.save({ timestamps: false });
+        done += 1;
+        if (done % 100 === 0) console.log(`   ${done}/${pending}`);
+    }
+    return done;
+};
+
+const main = async () => {
+    if (!encryption.isEnabled()) {
+        throw new Error('Set ENCRYPTION_MASTER_KEY (or ENCRYPTION_MASTER_KEYS) first');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    for (const target of TARGETS) {
+        const count = await encryptCollection(target);
+        if (!dryRun) console.log(`🔒 Encrypted ${count} ${target.name}`);
+    }
+};
+
+main()
+    .catch((error) => {
+        console.error('❌ Encryption migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,94 @@
+// scripts/rotateKeys.js
+// Key rotation for field-level encryption (services/encryption.js).
+//
+//   node scripts/rotateKeys.js
+//     Master key rotation: put the new key first in ENCRYPTION_MASTER_KEYS (keep the old one after it),
+//     run this to rewrap every data key, then the old master key can be removed.
+//
+//   node scripts/rotateKeys.js --data-keys [--owner user:<id>|session:<id>]
+//     Data key rotation: each owner gets a new data key, their documents are re-encrypted with it and the
+//     old keys are deleted. Old keys that are still referenced (e.g. by anonymized check-ins) are kept, inactive.
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { Conversation, JournalEntry, Thread, DataKey } = require('../models');
+const encryption = require('../services/encryption');
+
+const MODELS = [
+    { model: Conversation, select: '+searchTokens' },
+    { model: JournalEntry, select: '+revisions +searchTokens' },
+    { model: Thread, select: '' }
+];
+
+const argValue = (name) => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+};
+
+const ownerFilterFor = (owner) => (owner.type === 'user'
+    ? { userId: new mongoose.Types.ObjectId(owner.id) }
+    : { sessionId: owner.id, userId: null });
+
+const rotateOwner = async (owner) => {
+    const retiredIds = await encryption.retireOwnerKeys(owner);
+
+    let documents = 0;
+    for (const { model, select } of MODELS) {
+        const filter = { ...ownerFilterFor(owner), ...model.encryptedWithFilter(retiredIds) };
+        for await (const doc of model.find(filter).select(select).cursor()) {
+            await doc.decryptFields();
+            doc.markEncryptedFieldsModified();
+            await doc.save({ timestamps: false });
+            documents += 1;
+        }
+    }
+
+    // Only delete keys nothing points at any more
+    const stillUsed = [];
+    for (const keyId of retiredIds) {
+        const counts = await Promise.all(MODELS.map(({ model }) => model.countDocuments(model.encryptedWithFilter([keyId]))));
+        if (counts.some(count => count > 0)) stillUsed.push(keyId);
+    }
+    await encryption.deleteKeys(retiredIds.filter(id => !stillUsed.includes(id)));
+
+    return { documents, kept: stillUsed.length };
+};
+
+const rotateDataKeys = async () => {
+    const ownerArg = argValue('--owner');
+    let owners;
+    if (ownerArg) {
+        const [type, id] = ownerArg.split(':');
+        if (!['user', 'session'].includes(type) || !id) throw new Error('--owner must look like user:<id> or session:<id>');
+        owners = [{ type, id }];
+    } else {
+        const groups = await DataKey.aggregate([{ $group: { _id: { type: '$ownerType', id: '$ownerId' } } }]);
+        owners = groups.map(group => group._id);
+    }
+
+    for (const owner of owners) {
+        const { documents, kept } = await rotateOwner(owner);
+        console.log(`🔑 Rotated data key for ${owner.type} (${documents} documents re-encrypted${kept ? `, ${kept} old keys still in use` : ''})`);
+    }
+    console.log(`✅ Data keys rotated for ${owners.length} owners`);
+};
+
+const main = async () => {
+    if (!encryption.isEnabled()) {
+        throw new Error('Set ENCRYPTION_MASTER_KEY (or ENCRYPTION_MASTER_KEYS) first');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    if (process.argv.includes('--data-keys')) {
+        await rotateDataKeys();
+    } else {
+        const count = await encryption.rewrapDataKeys();
+        console.log(`✅ Rewrapped ${count} data keys with the current master key`);
+    }
+};
+
+main()
+    .catch((error) => {
+        console.error('❌ Key rotation failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
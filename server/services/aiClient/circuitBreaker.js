@@ -0,0 +1,90 @@
+// services/aiClient/circuitBreaker.js
+// closed -> (threshold consecutive failures) -> open -> (cooldown) -> half-open -> one trial call
+// A successful trial closes the breaker again, a failed one reopens it for another cooldown.
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+const createCircuitBreaker = ({ threshold, cooldownMs, now = Date.now, onStateChange = () => {} }) => {
+    let state = STATES.CLOSED;
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    const setState = (next) => {
+        if (next === state) return;
+        const previous = state;
+        state = next;
+        onStateChange(next, previous);
+    };
+
+    const open = () => {
+        openedAt = now();
+        trialInFlight = false;
+        setState(STATES.OPEN);
+    };
+
+    const refresh = () => {
+        if (state === STATES.OPEN && now() - openedAt >= cooldownMs) {
+            setState(STATES.HALF_OPEN);
+        }
+    };
+
+    // When the next request will be let through, or null if it would be now
+    const retryAt = () => {
+        refresh();
+        return state === STATES.OPEN ? new Date(openedAt + cooldownMs) : null;
+    };
+
+    return {
+        // false while open, and while half-open once the trial call has been handed out
+        allowRequest() {
+            refresh();
+            if (state === STATES.CLOSED) return true;
+            if (state === STATES.HALF_OPEN && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+
+        recordSuccess() {
+            failures = 0;
+            openedAt = null;
+            trialInFlight = false;
+            setState(STATES.CLOSED);
+        },
+
+        // Failures reported while open (failed health probes) restart the cooldown
+        recordFailure() {
+            failures += 1;
+            if (state === STATES.HALF_OPEN || failures >= threshold) open();
+        },
+
+        // Skips the rest of the cooldown (the health checker saw the service come back)
+        halfOpen() {
+            if (state !== STATES.OPEN) return;
+            trialInFlight = false;
+            setState(STATES.HALF_OPEN);
+        },
+
+        retryAt,
+
+        getState() {
+            refresh();
+            return {
+                state,
+                failures,
+                openedAt: openedAt ? new Date(openedAt) : null,
+                retryAt: retryAt()
+            };
+        }
+    };
+};
+
+module.exports = {
+    STATES,
+    createCircuitBreaker
+};
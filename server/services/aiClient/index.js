@@ -0,0 +1,173 @@
+// services/aiClient/index.js
+// HTTP client for the Python AI API: per-attempt timeout, bounded retries with jittered backoff,
+// a circuit breaker shared by every caller, and a background health checker probing GET / of the
+// Flask service. While the breaker is open predict() fails fast with code ECIRCUITOPEN, which the
+// provider registry treats like a connection failure and fails over to the local scorer.
+const axios = require('axios');
+const aiConfig = require('../../config/aiService');
+const { REQUEST_ID_HEADER, getRequestId } = require('../../utils/requestContext');
+const logger = require('../../utils/logger');
+const { STATES, createCircuitBreaker } = require('./circuitBreaker');
+
+// /predict has no side effects, so these are safe to retry. Timeouts are not retried: a slow
+// model server is usually an overloaded one, and sending the same text again only adds to it.
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const breaker = createCircuitBreaker({
+    threshold: aiConfig.breakerThreshold,
+    cooldownMs: aiConfig.breakerCooldownMs,
+    onStateChange: (state, previous) => {
+        const level = state === STATES.OPEN ? 'warn' : 'info';
+        logger[level]('AI service circuit breaker changed state', { state, previous });
+    }
+});
+
+const health = {
+    status: 'unknown',
+    lastCheckedAt: null,
+    lastSuccessAt: null,
+    latencyMs: null,
+    consecutiveFailures: 0,
+    lastError: null
+};
+
+let healthTimer = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter: anywhere between 0 and the capped exponential delay
+const backoffDelay = (attempt) => {
+    const ceiling = Math.min(aiConfig.retryMaxMs, aiConfig.retryBaseMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+};
+
+const isRetryable = (error) => (
+    RETRYABLE_CODES.includes(error.code) ||
+    RETRYABLE_STATUSES.includes(error.response?.status)
+);
+
+const requestHeaders = () => ({
+    'Content-Type': 'application/json',
+    // Lets the Python logs be matched to this request
+    ...(getRequestId() ? { [REQUEST_ID_HEADER]: getRequestId() } : {})
+});
+
+const circuitOpenError = () => {
+    const error = new Error('AI service circuit breaker is open');
+    error.code = 'ECIRCUITOPEN';
+    error.retryAt = breaker.retryAt();
+    return error;
+};
+
+// Resolves with the raw axios response; 4xx responses are returned, not thrown
+const predict = async (text) => {
+    if (!breaker.allowRequest()) throw circuitOpenError();
+
+    // A half-open trial is a single attempt
+    const attempts = breaker.getState().state === STATES.CLOSED ? aiConfig.retries + 1 : 1;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.post(`${aiConfig.pythonApiUrl}/predict`, { text }, {
+                headers: requestHeaders(),
+                timeout: aiConfig.timeoutMs,
+                // Report timeouts as ETIMEDOUT rather than axios' generic ECONNABORTED
+                transitional: { clarifyTimeoutError: true },
+                validateStatus: (status) => status < 500
+            });
+            // A 4xx is still an answer - the service is up
+            breaker.recordSuccess();
+            return response;
+        } catch (error) {
+            const lastAttempt = attempt + 1 >= attempts;
+            if (lastAttempt || !isRetryable(error)) {
+                breaker.recordFailure();
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt);
+            logger.warn('AI service call failed - retrying', {
+                attempt: attempt + 1,
+                code: error.code,
+                status: error.response?.status,
+                delayMs: delay
+            });
+            await sleep(delay);
+        }
+    }
+};
+
+// Probes GET / of the Flask service and records the result. Resolves with its body, rethrows on failure.
+const checkHealth = async () => {
+    const startedAt = Date.now();
+    health.lastCheckedAt = new Date();
+
+    try {
+        const response = await axios.get(`${aiConfig.pythonApiUrl}/`, {
+            headers: requestHeaders(),
+            timeout: aiConfig.healthTimeoutMs,
+            transitional: { clarifyTimeoutError: true }
+        });
+
+        if (health.status !== 'up') logger.info('AI service is reachable', { pythonApiUrl: aiConfig.pythonApiUrl });
+        health.status = 'up';
+        health.lastSuccessAt = health.lastCheckedAt;
+        health.latencyMs = Date.now() - startedAt;
+        health.consecutiveFailures = 0;
+        health.lastError = null;
+
+        // Let a real request through now instead of waiting out the cooldown
+        breaker.halfOpen();
+        return response.data;
+    } catch (error) {
+        if (health.status !== 'down') logger.warn('AI service health check failed', { code: error.code, pythonApiUrl: aiConfig.pythonApiUrl });
+        health.status = 'down';
+        health.latencyMs = null;
+        health.consecutiveFailures += 1;
+        health.lastError = error.code || error.message;
+
+        // Counts towards opening the breaker, so users don't have to find out one failed request at a time
+        breaker.recordFailure();
+        throw error;
+    }
+};
+
+const startHealthChecker = () => {
+    if (healthTimer || !aiConfig.healthIntervalMs) return;
+
+    const tick = () => checkHealth().catch(() => {});
+
+    logger.info('AI service health checker started', { intervalMs: aiConfig.healthIntervalMs });
+    tick();
+    healthTimer = setInterval(tick, aiConfig.healthIntervalMs);
+    healthTimer.unref();
+};
+
+const stopHealthChecker = () => {
+    clearInterval(healthTimer);
+    healthTimer = null;
+};
+
+// AI service state for the GET / health response
+const getHealth = () => ({
+    url: aiConfig.pythonApiUrl,
+    ...health,
+    circuitBreaker: breaker.getState(),
+    healthChecker: {
+        running: Boolean(healthTimer),
+        intervalMs: aiConfig.healthIntervalMs
+    }
+});
+
+const isAvailable = () => breaker.getState().state !== STATES.OPEN;
+
+module.exports = {
+    predict,
+    checkHealth,
+    startHealthChecker,
+    stopHealthChecker,
+    getHealth,
+    isAvailable,
+    breaker
+};
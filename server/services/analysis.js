@@ -0,0 +1,39 @@
+// services/analysis.js
+// How Python AI API failures are reported to clients (the calls themselves are in services/aiClient)
+const aiConfig = require('../config/aiService');
+
+const PYTHON_API_URL = aiConfig.pythonApiUrl;
+
+// Maps AI call failures to the status code, error code (utils/errors.js) and message sent to the client
+const describeAIError = (error) => {
+    if (error.code === 'ECONNREFUSED') {
+        return {
+            statusCode: 503,
+            code: 'AI_SERVICE_UNAVAILABLE',
+            errorMessage: "Cannot connect to AI service. Please make sure the Python API is running."
+        };
+    }
+    if (error.code === 'ECIRCUITOPEN') {
+        return {
+            statusCode: 503,
+            code: 'AI_SERVICE_UNAVAILABLE',
+            errorMessage: "The AI service is temporarily unavailable. Please try again in a moment."
+        };
+    }
+    if (error.code === 'ETIMEDOUT') {
+        return { statusCode: 504, code: 'AI_SERVICE_TIMEOUT', errorMessage: "Request timed out. Please try again." };
+    }
+    if (error.response) {
+        return {
+            statusCode: error.response.status,
+            code: 'AI_SERVICE_ERROR',
+            errorMessage: error.response.data?.error || "AI service error"
+        };
+    }
+    return { statusCode: 500, code: 'INTERNAL_ERROR', errorMessage: "Failed to analyze mood. Please try again." };
+};
+
+module.exports = {
+    PYTHON_API_URL,
+    describeAIError
+};
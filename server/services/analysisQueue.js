@@ -0,0 +1,124 @@
+// services/analysisQueue.js
+// Background worker for check-ins saved while the AI service was down (see deferAnalysis in
+// services/moodAnalysis.js). Jobs live in MongoDB (models/AnalysisJob.js), so they survive restarts
+// and several server instances can share the queue.
+const { Conversation, AnalysisJob } = require('../models');
+const queueConfig = require('../config/analysisQueue');
+const aiClient = require('./aiClient');
+const { analyzePendingConversation } = require('./moodAnalysis');
+const { isUnavailableError } = require('./providers');
+const logger = require('../utils/logger');
+
+let timer = null;
+let running = false;
+
+const retryDelay = (attempts) => Math.min(queueConfig.retryMaxMs, queueConfig.retryBaseMs * 2 ** (attempts - 1));
+
+const giveUp = async (job, conversation, error) => {
+    job.status = 'failed';
+    job.lastError = error.message;
+    job.lockedAt = null;
+    await job.save();
+
+    conversation.analysisStatus = 'failed';
+    await conversation.save();
+    logger.error('Queued check-in could not be analyzed - giving up', { conversationId: conversation._id, attempts: job.attempts, error });
+};
+
+// Runs one job. Returns false when the AI service turned out to be unreachable, so the batch stops.
+const processJob = async (job) => {
+    const conversation = await Conversation.findById(job.conversationId);
+    // Deleted (or already analyzed) in the meantime
+    if (!conversation || conversation.analysisStatus !== 'pending') {
+        await job.deleteOne();
+        return true;
+    }
+
+    try {
+        await analyzePendingConversation(conversation, job.language);
+        await job.deleteOne();
+        return true;
+    } catch (error) {
+        job.lastError = error.message;
+        job.lockedAt = null;
+        job.status = 'queued';
+
+        // Still down: put it back without using up an attempt
+        if (isUnavailableError(error)) {
+            job.attempts -= 1;
+            job.nextRunAt = new Date(Date.now() + queueConfig.retryBaseMs);
+            await job.save();
+            return false;
+        }
+
+        if (job.attempts >= queueConfig.maxAttempts) {
+            await giveUp(job, conversation, error);
+            return true;
+        }
+
+        job.nextRunAt = new Date(Date.now() + retryDelay(job.attempts));
+        await job.save();
+        logger.warn('Queued check-in analysis failed - will retry', { conversationId: conversation._id, attempts: job.attempts, error });
+        return true;
+    }
+};
+
+// Takes up to batchSize due jobs, one at a time so a backlog doesn't flood the model server.
+// Returns the number of jobs processed.
+const processQueue = async ({ batchSize = queueConfig.batchSize } = {}) => {
+    let processed = 0;
+    while (processed < batchSize) {
+        // No point asking while the circuit breaker says the service is down
+        if (!aiClient.isAvailable()) break;
+
+        const job = await AnalysisJob.claimNext(queueConfig.lockTimeoutMs);
+        if (!job) break;
+
+        processed += 1;
+        if (!(await processJob(job))) break;
+    }
+
+    if (processed > 0) logger.info('Analysis queue run finished', { processed });
+    return processed;
+};
+
+const startAnalysisWorker = () => {
+    if (timer || !queueConfig.enabled) return;
+
+    const tick = async () => {
+        // A slow run shouldn't overlap with the next one
+        if (running) return;
+        running = true;
+        try {
+            await processQueue();
+        } catch (error) {
+            logger.error('Analysis queue run failed', { error });
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info('Analysis queue worker started', { intervalMs: queueConfig.pollIntervalMs });
+    tick();
+    timer = setInterval(tick, queueConfig.pollIntervalMs);
+    timer.unref();
+};
+
+const stopAnalysisWorker = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+// Queue state for the GET / health response
+const getQueueStats = async () => ({
+    enabled: queueConfig.enabled,
+    worker: Boolean(timer),
+    jobs: await AnalysisJob.countByStatus()
+});
+
+module.exports = {
+    processQueue,
+    startAnalysisWorker,
+    stopAnalysisWorker,
+    getQueueStats
+};
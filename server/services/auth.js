@@ -0,0 +1,132 @@
+// services/auth.js
+// Access/refresh token handling and anonymous session upgrade
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { User, Conversation, Session, Thread, JournalEntry, ReminderSettings, Notification, Habit, ExerciseSession } = require('../models');
+const { transferSessionKeys } = require('./encryption');
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const signAccessToken = (user) => {
+    return jwt.sign(
+        { sub: user._id.toString(), email: user.email, type: 'access' },
+        authConfig.accessTokenSecret,
+        { expiresIn: authConfig.accessTokenTTL }
+    );
+};
+
+const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, authConfig.accessTokenSecret);
+    if (payload.type !== 'access') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return payload;
+};
+
+// Refresh tokens carry a random id (jti); only its hash is kept on the user
+const issueRefreshToken = (user, userAgent) => {
+    const jti = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + authConfig.refreshTokenTTLDays * 24 * 60 * 60 * 1000);
+
+    user.pruneRefreshTokens();
+    user.refreshTokens.push({ tokenHash: hashToken(jti), expiresAt, userAgent });
+
+    return jwt.sign(
+        { sub: user._id.toString(), jti, type: 'refresh' },
+        authConfig.refreshTokenSecret,
+        { expiresIn: `${authConfig.refreshTokenTTLDays}d` }
+    );
+};
+
+const verifyRefreshToken = (token) => {
+    const payload = jwt.verify(token, authConfig.refreshTokenSecret);
+    if (payload.type !== 'refresh') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return payload;
+};
+
+const revokeRefreshToken = (user, jti) => {
+    const tokenHash = hashToken(jti);
+    const before = user.refreshTokens.length;
+    user.refreshTokens = user.refreshTokens.filter(t => t.tokenHash !== tokenHash);
+    return user.refreshTokens.length !== before;
+};
+
+// Removes the refresh token in the same write that checks it, so two requests with one token can't
+// both get through. Returns the active user it belonged to, or null if it was unknown, expired or used.
+const consumeRefreshToken = (userId, jti) => {
+    const tokenHash = hashToken(jti);
+    return User.findOneAndUpdate(
+        { _id: userId, isActive: true, refreshTokens: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } } },
+        { $pull: { refreshTokens: { tokenHash } } },
+        { new: true }
+    );
+};
+
+// Issues a fresh token pair and saves the user
+const createTokenPair = async (user, userAgent) => {
+    const refreshToken = issueRefreshToken(user, userAgent);
+    await user.save();
+
+    return {
+        accessToken: signAccessToken(user),
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: authConfig.accessTokenTTL
+    };
+};
+
+// Anonymous session ki history ko account mein move karo.
+// Only conversations that don't already belong to someone are claimed.
+const claimSession = async (user, sessionId) => {
+    if (!sessionId) return { conversations: 0 };
+
+    const [conversations] = await Promise.all([
+        Conversation.updateMany(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        Thread.updateMany(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        JournalEntry.updateMany(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        Session.updateOne(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        Notification.updateMany(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        Habit.updateMany(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        ExerciseSession.updateMany(
+            { sessionId, userId: null },
+            { $set: { userId: user._id } }
+        ),
+        // Kept only if the account has no reminder settings of its own
+        ReminderSettings.claimForUser(sessionId, user._id),
+        // The claimed text stays encrypted with the session's keys, which now belong to the user
+        transferSessionKeys(sessionId, user._id)
+    ]);
+
+    return { conversations: conversations.modifiedCount };
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    verifyRefreshToken,
+    revokeRefreshToken,
+    consumeRefreshToken,
+    createTokenPair,
+    claimSession
+};
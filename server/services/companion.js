@@ -0,0 +1,86 @@
+// services/companion.js
+// Builds the assistant reply for chat threads from the AI result and the thread's mood trajectory
+const safety = require('./safety');
+
+const TRAJECTORY_WINDOW = 3;
+const DEFAULT_LOCALE = 'en';
+
+// Pattern messages, { <locale>: string } like the recommendation catalog
+const TRAJECTORY_MESSAGES = {
+    persistent_negative: {
+        en: "I've noticed the last few things you've shared have all felt heavy. " +
+            "That's a lot to carry — would it help to talk about what's been weighing on you the most?",
+        hi: 'मैंने देखा कि पिछली कुछ बातें जो आपने बताईं, सब भारी लग रही थीं। ' +
+            'इतना सब उठाना आसान नहीं है — क्या उस बारे में बात करने से मदद मिलेगी जो आपको सबसे ज़्यादा परेशान कर रहा है?'
+    },
+    persistent_positive: {
+        en: "You've been sounding brighter for a while now — it's really good to see this stretch of good days.",
+        hi: 'कुछ समय से आप काफ़ी खुश लग रहे हैं — अच्छे दिनों का यह सिलसिला देखकर सच में अच्छा लगा।'
+    },
+    improving: {
+        en: 'It sounds like things feel a bit lighter than earlier. What helped?',
+        hi: 'लगता है अब चीज़ें पहले से थोड़ी हल्की लग रही हैं। किस चीज़ से मदद मिली?'
+    },
+    declining: {
+        en: "Things seem to have taken a harder turn since we last talked. I'm here to listen.",
+        hi: 'लगता है पिछली बार की बातचीत के बाद चीज़ें थोड़ी मुश्किल हो गई हैं। मैं सुनने के लिए यहाँ हूँ।'
+    }
+};
+
+const patternMessage = (pattern, locale) => (
+    TRAJECTORY_MESSAGES[pattern][locale] || TRAJECTORY_MESSAGES[pattern][DEFAULT_LOCALE]
+);
+
+// Looks at the recent user sentiments (including the current one) for patterns worth naming.
+// locale is a base language code ('en', 'hi'); others get English.
+const describeTrajectory = (trajectory, locale = DEFAULT_LOCALE) => {
+    const recent = trajectory.slice(-TRAJECTORY_WINDOW).map(t => t.sentiment);
+
+    let pattern = 'none';
+    if (recent.length >= TRAJECTORY_WINDOW && recent.every(s => s === 'NEGATIVE')) {
+        pattern = 'persistent_negative';
+    } else if (recent.length >= TRAJECTORY_WINDOW && recent.every(s => s === 'POSITIVE')) {
+        pattern = 'persistent_positive';
+    } else {
+        const [previous, current] = recent.slice(-2);
+        if (previous === 'NEGATIVE' && current === 'POSITIVE') pattern = 'improving';
+        if (previous === 'POSITIVE' && current === 'NEGATIVE') pattern = 'declining';
+    }
+
+    return { pattern, message: pattern === 'none' ? null : patternMessage(pattern, locale) };
+};
+
+// trajectory: mood trajectory of earlier user messages, oldest first.
+// aiResult can be null when the AI service failed for a crisis message - the crisis reply needs no analysis.
+// locale (base language code) picks the pattern message's language, like the recommendation's.
+const buildReply = ({ aiResult, assessment, trajectory, locale }) => {
+    if (!aiResult || safety.isCrisis(assessment)) {
+        const crisis = safety.buildCrisisResponse(assessment.locale);
+        return {
+            content: crisis.message,
+            tips: crisis.tips,
+            crisis: { message: crisis.message, resources: crisis.resources },
+            riskLevel: assessment.riskLevel,
+            pattern: 'crisis'
+        };
+    }
+
+    const safeResult = safety.applyToResponse(aiResult, assessment);
+    const fullTrajectory = [...trajectory, { sentiment: aiResult.sentiment }];
+    const { pattern, message } = describeTrajectory(fullTrajectory, locale);
+    // Chat replies stay short; medium risk keeps the appended support tip
+    const tips = assessment.riskLevel === 'medium' ? safeResult.additional_tips : (safeResult.additional_tips || []).slice(0, 2);
+
+    return {
+        content: message ? `${message}\n\n${safeResult.recommendation}` : safeResult.recommendation,
+        tips,
+        tipIds: (aiResult.recommendationMeta?.tipIds || []).slice(0, tips.length),
+        riskLevel: assessment.riskLevel,
+        pattern
+    };
+};
+
+module.exports = {
+    describeTrajectory,
+    buildReply
+};
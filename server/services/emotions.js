@@ -0,0 +1,145 @@
+// services/emotions.js
+// Multi-label emotion breakdown for a check-in (stored in Conversation.detectedEmotions).
+// Providers that return their own `emotions` are used as-is; otherwise the cue lexicon below is used
+// (English, plus the Hindi cues for text detected as Hindi or Hinglish).
+const englishCues = require('./providers/lexicon/emotions-en');
+const hindiCues = require('./providers/lexicon/emotions-hi');
+const { LEXICONS } = require('./providers/localLexicon');
+const { baseLocale } = require('../utils/locale');
+
+const EMOTIONS = ['joy', 'sadness', 'anxiety', 'anger', 'fear', 'gratitude', 'loneliness'];
+
+const normalizeKeys = (object) => Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key.normalize('NFC'), value])
+);
+
+const mergeCues = (...sets) => Object.fromEntries(
+    [...EMOTIONS, 'phrases'].map(key => [key, Object.assign({}, ...sets.map(set => normalizeKeys(set[key])))])
+);
+
+// Cues and negation/intensifier words per language
+const LANGUAGES = {
+    en: { cues: englishCues, lexicon: LEXICONS.en },
+    hi: { cues: mergeCues(englishCues, hindiCues), lexicon: LEXICONS.hi }
+};
+const NEGATION_WINDOW = 3;
+// How fast raw cue strength saturates towards 1
+const SATURATION = 3;
+// Share of the sentiment confidence used as a baseline for joy / sadness
+const SENTIMENT_PRIOR = 0.25;
+// Longer texts are scored by cue density so a diary page doesn't max out every emotion
+const DENSITY_WINDOW = 60;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z'\u0900-\u0963\u0966-\u097f]+/g) || [];
+
+const scoreCues = (text, { cues, lexicon }) => {
+    const raw = Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+    const normalized = text.normalize('NFC');
+    const tokens = tokenize(normalized);
+    let negateFor = 0;
+    let multiplier = 1;
+    // Cues added by the last cue word, for negators that follow it ("khush nahi")
+    let last = null;
+
+    for (const [index, token] of tokens.entries()) {
+        if (lexicon.negators.includes(token)) {
+            negateFor = NEGATION_WINDOW;
+            continue;
+        }
+        if (lexicon.postNegators?.includes(token)) {
+            if (last && index - last.index <= NEGATION_WINDOW) {
+                last.added.forEach(([emotion, amount]) => { raw[emotion] -= amount; });
+            }
+            last = null;
+            continue;
+        }
+        if (lexicon.intensifiers[token]) {
+            multiplier *= lexicon.intensifiers[token];
+            continue;
+        }
+
+        // "not happy" shouldn't count as joy - negated cues are dropped rather than flipped
+        if (negateFor === 0) {
+            const added = [];
+            for (const emotion of EMOTIONS) {
+                const strength = cues[emotion][token];
+                if (strength) {
+                    raw[emotion] += strength * multiplier;
+                    added.push([emotion, strength * multiplier]);
+                }
+            }
+            if (added.length > 0) last = { index, added };
+        }
+
+        multiplier = 1;
+        if (negateFor > 0) negateFor -= 1;
+    }
+
+    const lower = normalized.toLowerCase();
+    for (const [phrase, weights] of Object.entries(cues.phrases)) {
+        if (lower.includes(phrase)) {
+            for (const [emotion, strength] of Object.entries(weights)) {
+                raw[emotion] += strength;
+            }
+        }
+    }
+
+    const lengthFactor = Math.max(1, tokens.length / DENSITY_WINDOW);
+    for (const emotion of EMOTIONS) {
+        raw[emotion] /= lengthFactor;
+    }
+
+    return raw;
+};
+
+// Normalizes provider output ([{ emotion, confidence }] or { emotion: score }) to the stored shape
+const normalizeEmotions = (emotions) => {
+    const entries = Array.isArray(emotions)
+        ? emotions.map(e => [e.emotion || e.label, e.confidence ?? e.score])
+        : Object.entries(emotions);
+
+    return entries
+        .filter(([emotion, confidence]) => emotion && typeof confidence === 'number')
+        .map(([emotion, confidence]) => ({ emotion: emotion.toLowerCase(), confidence: round(confidence) }))
+        .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Returns every emotion with a 0..1 score, highest first: [{ emotion, confidence }]
+ * aiResult (optional) is the sentiment result - used for the joy/sadness baseline
+ * or passed through when the provider already returned emotions.
+ * language (optional) is the detected input language (services/language.js).
+ */
+const detectEmotions = (text, aiResult = {}, language = 'en') => {
+    if (aiResult.emotions) return normalizeEmotions(aiResult.emotions);
+
+    const raw = scoreCues(text, LANGUAGES[baseLocale(language)] || LANGUAGES.en);
+    const confidence = aiResult.confidence_score || 0;
+
+    return EMOTIONS
+        .map(emotion => {
+            let score = 1 - Math.exp(-raw[emotion] / SATURATION);
+            if (emotion === 'joy' && aiResult.sentiment === 'POSITIVE') {
+                score += (1 - score) * SENTIMENT_PRIOR * confidence;
+            }
+            if (emotion === 'sadness' && aiResult.sentiment === 'NEGATIVE') {
+                score += (1 - score) * SENTIMENT_PRIOR * confidence;
+            }
+            return { emotion, confidence: round(score) };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Highest-scoring emotion, or null when nothing stands out
+const dominantEmotion = (emotions, threshold = 0.3) => {
+    const [top] = emotions || [];
+    return top && top.confidence >= threshold ? top.emotion : null;
+};
+
+module.exports = {
+    EMOTIONS,
+    detectEmotions,
+    dominantEmotion
+};
@@ -0,0 +1,293 @@
+// services/encryption.js
+// Field-level encryption at rest (AES-256-GCM) with envelope keys.
+// Every owner (registered user or anonymous session) gets its own random data key. Data keys are stored
+// wrapped by the master key from config/encryption.js, so rotating the master key only rewraps the small
+// DataKey documents, and erasing an owner's keys makes any leftover copy of their text unreadable.
+//
+// Encrypted values replace the plaintext string in the document:
+//   enc:1:<dataKeyId>:<iv>:<authTag>:<ciphertext>     (base64url parts)
+// Anything without the prefix is treated as plaintext, so old documents keep working until they are
+// migrated (scripts/encryptExisting.js).
+//
+// Ciphertext can't be searched, so encrypted documents also store a blind index: HMACs of their words
+// under a per-key search key. Search matches whole words only (no stemming or partial words).
+const crypto = require('crypto');
+const DataKey = require('../models/DataKey');
+const encryptionConfig = require('../config/encryption');
+const logger = require('../utils/logger');
+
+const PREFIX = 'enc:1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const MIN_WORD_LENGTH = 2;
+const MAX_SEARCH_TOKENS = 500;
+
+// keyId -> { id, owner, key, searchKey }
+const keyCache = new Map();
+// "user:<id>" / "session:<id>" -> active keyId
+const activeKeys = new Map();
+// Owners whose first key is being created right now (avoids two keys from concurrent saves)
+const pendingKeys = new Map();
+
+const isEnabled = () => encryptionConfig.enabled;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const ownerKey = (owner) => `${owner.type}:${owner.id}`;
+
+// Owner of a document: its user if it has one, otherwise its anonymous session
+const ownerFromDoc = (doc) => {
+    const userId = doc.userId && (doc.userId._id || doc.userId);
+    if (userId) return { type: 'user', id: String(userId) };
+    if (doc.sessionId) return { type: 'session', id: String(doc.sessionId) };
+    return null;
+};
+
+// Owner from a query filter built by getOwnerFilter() ({ userId } or { sessionId, userId: null })
+const ownerFromFilter = (filter = {}) => {
+    const { userId, sessionId } = filter;
+    if (userId && (typeof userId === 'string' || userId._bsontype === 'ObjectId')) {
+        return { type: 'user', id: String(userId) };
+    }
+    if (typeof sessionId === 'string' && userId === null) return { type: 'session', id: sessionId };
+    return null;
+};
+
+// Wraps a raw data key with the current master key
+const wrapKey = (rawKey) => {
+    const master = encryptionConfig.masterKeys[0];
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, master.key, iv);
+    const wrapped = Buffer.concat([cipher.update(rawKey), cipher.final()]);
+    return {
+        wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64'),
+        masterKeyId: master.id
+    };
+};
+
+const unwrapKey = (dataKey) => {
+    const master = encryptionConfig.masterKeys.find(k => k.id === dataKey.masterKeyId);
+    if (!master) {
+        throw new Error(`Master key "${dataKey.masterKeyId}" for data key ${dataKey._id} is not configured`);
+    }
+    const buffer = Buffer.from(dataKey.wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, master.key, buffer.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + 16));
+    return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + 16)), decipher.final()]);
+};
+
+const cacheKey = (dataKey) => {
+    const key = unwrapKey(dataKey);
+    const entry = {
+        id: String(dataKey._id),
+        owner: { type: dataKey.ownerType, id: dataKey.ownerId },
+        key,
+        // Separate key for the blind index so search tokens reveal nothing about the ciphertext key
+        searchKey: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'search-index', 32))
+    };
+    keyCache.set(entry.id, entry);
+    // Map keeps insertion order - drop the oldest entries once over the limit
+    while (keyCache.size > encryptionConfig.keyCacheSize) {
+        keyCache.delete(keyCache.keys().next().value);
+    }
+    return entry;
+};
+
+// Loads (and caches) data keys by id. Returns Map keyId -> entry; missing ids are left out.
+const loadKeys = async (keyIds) => {
+    const found = new Map();
+    const missing = [];
+    for (const id of new Set(keyIds)) {
+        if (keyCache.has(id)) found.set(id, keyCache.get(id));
+        else missing.push(id);
+    }
+    if (missing.length > 0) {
+        const dataKeys = await DataKey.find({ _id: { $in: missing } });
+        for (const dataKey of dataKeys) {
+            const entry = cacheKey(dataKey);
+            found.set(entry.id, entry);
+        }
+    }
+    return found;
+};
+
+const createKey = async (owner) => {
+    const dataKey = await DataKey.create({
+        ownerType: owner.type,
+        ownerId: owner.id,
+        ...wrapKey(crypto.randomBytes(32))
+    });
+    logger.info('Created data key', { ownerType: owner.type });
+    return cacheKey(dataKey);
+};
+
+// The key new data of this owner is encrypted with (created on first use)
+const getActiveKey = async (owner) => {
+    const cachedId = activeKeys.get(ownerKey(owner));
+    if (cachedId && keyCache.has(cachedId)) return keyCache.get(cachedId);
+
+    if (!pendingKeys.has(ownerKey(owner))) {
+        const lookup = (async () => {
+            const dataKey = await DataKey.findOne({ ownerType: owner.type, ownerId: owner.id, active: true })
+                .sort({ createdAt: -1 });
+            return dataKey ? cacheKey(dataKey) : createKey(owner);
+        })();
+        pendingKeys.set(ownerKey(owner), lookup);
+        lookup.finally(() => pendingKeys.delete(ownerKey(owner))).catch(() => {});
+    }
+
+    const entry = await pendingKeys.get(ownerKey(owner));
+    activeKeys.set(ownerKey(owner), entry.id);
+    return entry;
+};
+
+// Every key of an owner, active or not (search has to cover text encrypted with older keys)
+const getOwnerKeys = async (owner) => {
+    const dataKeys = await DataKey.find({ ownerType: owner.type, ownerId: owner.id });
+    return dataKeys.map(dataKey => keyCache.get(String(dataKey._id)) || cacheKey(dataKey));
+};
+
+// `context` (the field path) is authenticated, so a value can't be moved to another field undetected
+const encryptValue = (plaintext, keyEntry, context) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, keyEntry.key, iv);
+    cipher.setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return PREFIX + [keyEntry.id, iv, cipher.getAuthTag(), ciphertext]
+        .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+        .join(':');
+};
+
+const getKeyId = (value) => (isEncrypted(value) ? value.substring(PREFIX.length).split(':')[0] : null);
+
+// keys: Map from loadKeys(). Plaintext values are returned unchanged.
+const decryptValue = (value, keys, context) => {
+    if (!isEncrypted(value)) return value;
+
+    const [keyId, iv, tag, ciphertext] = value.substring(PREFIX.length).split(':');
+    const keyEntry = keys.get(keyId);
+    if (!keyEntry) {
+        throw new Error(`Data key ${keyId} not found - the value can't be decrypted`);
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, keyEntry.key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+// Lowercased unique words (letters, combining marks for Devanagari etc., digits)
+const tokenize = (text) => {
+    const words = String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    return [...new Set(words.filter(word => word.length >= MIN_WORD_LENGTH))];
+};
+
+const hashToken = (word, keyEntry) => crypto.createHmac('sha256', keyEntry.searchKey)
+    .update(word)
+    .digest('base64url')
+    .substring(0, 22);
+
+// Blind index tokens stored with a document
+const searchTokens = (texts, keyEntry) => tokenize(texts.join(' '))
+    .slice(0, MAX_SEARCH_TOKENS)
+    .map(word => hashToken(word, keyEntry));
+
+// Mongo filter matching documents of this owner that contain every word of `query`
+const buildSearchFilter = async (ownerFilter, query, field = 'searchTokens') => {
+    const owner = ownerFromFilter(ownerFilter);
+    const words = tokenize(query);
+    const keys = owner ? await getOwnerKeys(owner) : [];
+    if (words.length === 0 || keys.length === 0) {
+        // Nothing can match
+        return { [field]: { $in: [] } };
+    }
+    return {
+        $and: words.map(word => ({ [field]: { $in: keys.map(keyEntry => hashToken(word, keyEntry)) } }))
+    };
+};
+
+const forgetOwner = (owner) => {
+    activeKeys.delete(ownerKey(owner));
+    for (const [id, entry] of keyCache) {
+        if (entry.owner.type === owner.type && entry.owner.id === owner.id) keyCache.delete(id);
+    }
+};
+
+// Hands an anonymous session's keys to the account that claimed it. They stop being active, so the
+// user's own key encrypts anything new, but they keep decrypting (and searching) the claimed text.
+const transferSessionKeys = async (sessionId, userId) => {
+    const from = { type: 'session', id: sessionId };
+    const result = await DataKey.updateMany(
+        { ownerType: 'session', ownerId: sessionId },
+        { $set: { ownerType: 'user', ownerId: String(userId), active: false } }
+    );
+    forgetOwner(from);
+    return result.modifiedCount;
+};
+
+// Crypto-shredding: once the keys are gone, any copy of the ciphertext is unreadable
+const destroyOwnerKeys = async (owners) => {
+    let deleted = 0;
+    for (const owner of owners) {
+        const result = await DataKey.deleteMany({ ownerType: owner.type, ownerId: owner.id });
+        forgetOwner(owner);
+        deleted += result.deletedCount;
+    }
+    return deleted;
+};
+
+// Master key rotation: rewraps every data key not yet wrapped by the current master key
+const rewrapDataKeys = async () => {
+    const current = encryptionConfig.masterKeys[0];
+    let rewrapped = 0;
+    for await (const dataKey of DataKey.find({ masterKeyId: { $ne: current.id } }).cursor()) {
+        const rawKey = unwrapKey(dataKey);
+        Object.assign(dataKey, wrapKey(rawKey), { rewrappedAt: new Date() });
+        await dataKey.save();
+        rewrapped += 1;
+    }
+    return rewrapped;
+};
+
+// Data key rotation: the owner's current keys are retired and a fresh one becomes active.
+// Existing documents must then be re-encrypted (scripts/rotateKeys.js --data-keys) before the old keys are deleted.
+const retireOwnerKeys = async (owner) => {
+    const retired = await DataKey.find({ ownerType: owner.type, ownerId: owner.id }).select('_id');
+    await DataKey.updateMany({ ownerType: owner.type, ownerId: owner.id, active: true }, { $set: { active: false } });
+    forgetOwner(owner);
+    const fresh = await createKey(owner);
+    activeKeys.set(ownerKey(owner), fresh.id);
+    return retired.map(k => String(k._id));
+};
+
+const deleteKeys = async (keyIds) => {
+    const result = await DataKey.deleteMany({ _id: { $in: keyIds } });
+    keyIds.forEach(id => keyCache.delete(String(id)));
+    return result.deletedCount;
+};
+
+const clearKeyCache = () => {
+    keyCache.clear();
+    activeKeys.clear();
+};
+
+module.exports = {
+    PREFIX,
+    isEnabled,
+    isEncrypted,
+    ownerFromDoc,
+    ownerFromFilter,
+    getActiveKey,
+    loadKeys,
+    getKeyId,
+    encryptValue,
+    decryptValue,
+    tokenize,
+    searchTokens,
+    buildSearchFilter,
+    transferSessionKeys,
+    destroyOwnerKeys,
+    rewrapDataKeys,
+    retireOwnerKeys,
+    deleteKeys,
+    clearKeyCache
+};
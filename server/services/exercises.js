@@ -0,0 +1,37 @@
+// services/exercises.js
+// Guided exercises the client can run (client/src/exercises.js has the steps and timings).
+// Tips point at one through `exerciseId`: catalog tips declare it (data/recommendations.json), and tips from
+// anywhere else (the AI provider, crisis responses) are matched on their text.
+const { ExerciseSession } = require('../models');
+const { getTipExercise } = require('./recommendationEngine');
+
+const { EXERCISE_IDS } = ExerciseSession;
+
+// First match wins - the specific technique before the generic "breathing exercise"
+const TEXT_PATTERNS = [
+    ['breathing-478', /4-7-8/],
+    ['grounding-54321', /5-4-3-2-1|\bground(ing| yourself)\b/i],
+    ['body-scan', /\bbody scan\b|\bmindfulness meditation\b/i],
+    ['box-breathing', /\bbox breathing\b|\bdeep breaths?\b|\bbreathing exercises?\b|\bsaans\b/i]
+];
+
+const matchExercise = (text) => {
+    const match = TEXT_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+};
+
+// additional_tips with the exercise each one can launch: [{ text, tipId, exerciseId }].
+// Crisis responses replace the catalog tips, so their tip ids no longer line up.
+const describeTips = (result) => {
+    const tipIds = result.crisis ? [] : (result.recommendationMeta?.tipIds || []);
+    return (result.additional_tips || []).map((text, i) => {
+        const tipId = tipIds[i] || null;
+        return { text, tipId, exerciseId: tipId ? getTipExercise(tipId) : matchExercise(text) };
+    });
+};
+
+module.exports = {
+    EXERCISE_IDS,
+    matchExercise,
+    describeTips
+};
@@ -0,0 +1,123 @@
+// services/feedbackStats.js
+// Turns user feedback on recommendations into per-tip boosts for the recommendation engine.
+// Aggregates are cached in memory and refreshed in the background at most every CACHE_TTL_MS.
+const { Conversation } = require('../models');
+const { getTipText, getRuleMessage } = require('./recommendationEngine');
+const logger = require('../utils/logger');
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const LOOKBACK_DAYS = 90;
+// Bayesian smoothing - a tip needs a few ratings before it moves far from neutral
+const PRIOR_SCORE = 0.5;
+const PRIOR_WEIGHT = 5;
+// Boost range: 0.5 (always unhelpful) .. 1.5 (always helpful)
+const BOOST_SPREAD = 1;
+
+let cache = null;
+let refreshing = null;
+
+const smoothedScore = ({ totalScore, count }) => (totalScore + PRIOR_SCORE * PRIOR_WEIGHT) / (count + PRIOR_WEIGHT);
+
+const refresh = async () => {
+    const stats = await Conversation.getFeedbackStats(LOOKBACK_DAYS);
+
+    const boosts = {};
+    for (const tip of stats.tips) {
+        const { sentiment, tipId } = tip._id;
+        boosts[sentiment] = boosts[sentiment] || {};
+        boosts[sentiment][tipId] = 1 + (smoothedScore(tip) - PRIOR_SCORE) * BOOST_SPREAD;
+    }
+
+    cache = { stats, boosts, loadedAt: Date.now() };
+    return cache;
+};
+
+// Stale cache is served while a refresh runs; callers never wait on (or fail because of) the aggregation
+const getCache = () => {
+    const stale = !cache || Date.now() - cache.loadedAt > CACHE_TTL_MS;
+    if (stale && !refreshing) {
+        refreshing = refresh()
+            .catch(error => {
+                logger.error('Could not refresh feedback stats', { error });
+                // Keep serving what we had and wait a full TTL before trying again
+                cache = { stats: null, boosts: {}, ...cache, loadedAt: Date.now() };
+            })
+            .finally(() => { refreshing = null; });
+    }
+    return cache;
+};
+
+// { tipId: multiplier } for one sentiment - empty until feedback has been aggregated
+const getTipBoosts = (sentiment) => getCache()?.boosts[sentiment] || {};
+
+// Like getCache(), but the very first call waits for the aggregation instead of getting nothing
+const loadCache = async () => {
+    const current = getCache();
+    if (current) return current;
+    await refreshing;
+    return cache;
+};
+
+const describeEntry = (entry, extra) => ({
+    ...extra,
+    count: entry.count,
+    score: Math.round(smoothedScore(entry) * 1000) / 1000,
+    avgRating: entry.avgRating === null ? null : Math.round(entry.avgRating * 100) / 100,
+    helpfulVotes: entry.helpfulVotes,
+    unhelpfulVotes: entry.unhelpfulVotes
+});
+
+// Most and least helpful tips/messages per sentiment (entries with fewer than minSamples ratings are left out)
+const buildSummary = async ({ minSamples = 3, top = 5, locale } = {}) => {
+    const { stats, loadedAt } = await loadCache();
+    if (!stats) {
+        throw new Error('Feedback stats could not be aggregated');
+    }
+    const summary = {};
+
+    const section = (sentiment) => {
+        summary[sentiment] = summary[sentiment] || { tips: [], messages: [] };
+        return summary[sentiment];
+    };
+
+    for (const tip of stats.tips) {
+        if (tip.count < minSamples) continue;
+        section(tip._id.sentiment).tips.push(describeEntry(tip, {
+            tipId: tip._id.tipId,
+            text: getTipText(tip._id.tipId, locale)
+        }));
+    }
+    for (const message of stats.messages) {
+        if (message.count < minSamples) continue;
+        section(message._id.sentiment).messages.push(describeEntry(message, {
+            ruleId: message._id.ruleId,
+            // Stored recommendations are encrypted, so the text comes from the catalog
+            message: getRuleMessage(message._id.ruleId, locale)
+        }));
+    }
+
+    // With fewer than 2 x top entries the upper half is "most" and the rest "least" helpful, so no entry is in both
+    const rank = (items) => {
+        const sorted = [...items].sort((a, b) => b.score - a.score);
+        const mostHelpful = sorted.slice(0, Math.min(top, Math.ceil(sorted.length / 2)));
+        return {
+            mostHelpful,
+            leastHelpful: sorted.slice(mostHelpful.length).slice(-top).reverse()
+        };
+    };
+
+    return {
+        generatedAt: new Date(loadedAt).toISOString(),
+        lookbackDays: LOOKBACK_DAYS,
+        minSamples,
+        sentiments: Object.fromEntries(Object.entries(summary).map(([sentiment, { tips, messages }]) => [
+            sentiment,
+            { tips: rank(tips), messages: rank(messages) }
+        ]))
+    };
+};
+
+module.exports = {
+    getTipBoosts,
+    buildSummary
+};
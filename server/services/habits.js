@@ -0,0 +1,139 @@
+// services/habits.js
+// Habit streaks and the habit/mood report. Everything works on local calendar days ("YYYY-MM-DD") in the
+// habit's timezone; weeks run Monday to Sunday like the analytics buckets.
+const { Conversation } = require('../models');
+const { toLocalDay } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 7;
+// With fewer done (or skipped) days than this, the difference in mood says very little
+const MIN_REPORT_DAYS = 3;
+
+// Day strings are compared as UTC dates so DST doesn't shift the gaps
+const dayNumber = (day) => Math.round(Date.parse(`${day}T00:00:00Z`) / DAY_MS);
+const dayFromNumber = (number) => new Date(number * DAY_MS).toISOString().slice(0, 10);
+// Day 0 (1 January 1970) was a Thursday - the shift makes weeks start on Monday
+const weekNumber = (number) => Math.floor((number + 3) / 7);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// `periods`: ascending numbers of the days/weeks the habit was kept up.
+// The current run may end in the period before `latest` - it stays alive until `latest` is over.
+const countRuns = (periods, latest) => {
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < periods.length; i++) {
+        run = i > 0 && periods[i] - periods[i - 1] === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    let current = 0;
+    const last = periods.length - 1;
+    if (last >= 0 && latest - periods[last] <= 1) {
+        current = 1;
+        while (current <= last && periods[last - current + 1] - periods[last - current] === 1) {
+            current += 1;
+        }
+    }
+    return { current, longest };
+};
+
+// Daily habits count days in a row; weekly ones count weeks in a row with at least timesPerWeek days
+const computeHabitStreak = (habit, now = new Date()) => {
+    const today = dayNumber(toLocalDay(now, habit.timezone));
+    const days = [...new Set(habit.completions.map(completion => dayNumber(completion.day)))]
+        .filter(day => day <= today)
+        .sort((a, b) => a - b);
+
+    if (habit.frequency === 'weekly') {
+        const perWeek = new Map();
+        for (const day of days) {
+            perWeek.set(weekNumber(day), (perWeek.get(weekNumber(day)) || 0) + 1);
+        }
+        const keptWeeks = [...perWeek.keys()].filter(week => perWeek.get(week) >= habit.timesPerWeek);
+        return { unit: 'weeks', ...countRuns(keptWeeks, weekNumber(today)) };
+    }
+
+    return { unit: 'days', ...countRuns(days, today) };
+};
+
+// What the tracker shows for one habit
+const summarizeHabit = (habit, now = new Date()) => {
+    const today = dayNumber(toLocalDay(now, habit.timezone));
+    const weekStart = weekNumber(today) * 7 - 3;
+    const done = new Set(habit.completions.map(completion => completion.day));
+
+    return {
+        id: habit._id,
+        name: habit.name,
+        sourceTip: habit.sourceTip,
+        frequency: habit.frequency,
+        timesPerWeek: habit.timesPerWeek,
+        timezone: habit.timezone,
+        archivedAt: habit.archivedAt,
+        createdAt: habit.createdAt,
+        streak: computeHabitStreak(habit, now),
+        today: dayFromNumber(today),
+        doneToday: done.has(dayFromNumber(today)),
+        // Days done since Monday
+        thisWeek: habit.completions.filter(({ day }) => dayNumber(day) >= weekStart && dayNumber(day) <= today).length,
+        recentDays: Array.from({ length: RECENT_DAYS }, (_, i) => {
+            const day = dayFromNumber(today - RECENT_DAYS + 1 + i);
+            return { day, done: done.has(day) };
+        }),
+        totalCompletions: habit.completions.length
+    };
+};
+
+const average = (scores) => (scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null);
+
+// Average mood on days the habit was done vs. days it wasn't. Only days with a check-in count, from the
+// habit's first day (its creation or earliest completion) on.
+// dailyMood: Conversation.getDailyMood() in the habit's timezone
+const compareMood = (habit, dailyMood) => {
+    const done = new Set(habit.completions.map(completion => completion.day));
+    const created = toLocalDay(habit.createdAt, habit.timezone);
+    const firstDay = habit.completions.length > 0 && habit.completions[0].day < created ? habit.completions[0].day : created;
+
+    const scores = { done: [], skipped: [] };
+    for (const { day, moodScore } of dailyMood) {
+        if (day < firstDay) continue;
+        scores[done.has(day) ? 'done' : 'skipped'].push(moodScore);
+    }
+
+    const moodWhenDone = average(scores.done);
+    const moodWhenSkipped = average(scores.skipped);
+    return {
+        habitId: habit._id,
+        name: habit.name,
+        doneDays: scores.done.length,
+        skippedDays: scores.skipped.length,
+        moodWhenDone,
+        moodWhenSkipped,
+        // Positive: check-ins were happier on days the habit was done
+        difference: moodWhenDone !== null && moodWhenSkipped !== null ? round(moodWhenDone - moodWhenSkipped) : null,
+        enoughData: scores.done.length >= MIN_REPORT_DAYS && scores.skipped.length >= MIN_REPORT_DAYS
+    };
+};
+
+// Habit/mood comparison over the last `days` days. Moods are grouped into days once per timezone in use.
+const buildMoodReport = async (ownerFilter, habits, { days, now = new Date() }) => {
+    const from = new Date(now.getTime() - days * DAY_MS);
+    const timezones = [...new Set(habits.map(habit => habit.timezone))];
+    const moodByTimezone = new Map(await Promise.all(
+        timezones.map(async (timezone) => [timezone, await Conversation.getDailyMood(ownerFilter, from, timezone)])
+    ));
+
+    return {
+        period: `${days} days`,
+        minDays: MIN_REPORT_DAYS,
+        habits: habits.map(habit => compareMood(habit, moodByTimezone.get(habit.timezone)))
+    };
+};
+
+module.exports = {
+    computeHabitStreak,
+    summarizeHabit,
+    compareMood,
+    buildMoodReport
+};
@@ -0,0 +1,44 @@
+// services/language.js
+// Detects the language a check-in is written in, so it can be routed to a provider that understands it
+// (config/providers.js localeProviders). Accept-Language says which language to answer in; the text
+// itself says how to read it - many users write Hinglish with an English UI.
+// Returns a BCP 47 tag: 'en', 'hi' (Devanagari) or 'hi-Latn' (Hindi in Roman script, i.e. Hinglish).
+
+// Share of letters in Devanagari above which the text counts as Hindi
+const DEVANAGARI_SHARE = 0.3;
+// Romanized Hindi words needed (count and share of the words) before Latin text counts as Hinglish
+const MIN_HINGLISH_WORDS = 2;
+const HINGLISH_SHARE = 0.15;
+
+// Common Hindi function words and mood words in Roman script. Words that are also everyday
+// English ("main", "ho", "to", "me", "so") are left out.
+const HINGLISH_WORDS = new Set([
+    'hai', 'hain', 'hoon', 'hun', 'hu', 'tha', 'thi', 'hua', 'hui', 'raha', 'rahi', 'rahe', 'gaya', 'gayi',
+    'nahi', 'nahin', 'nhi', 'mujhe', 'mujhko', 'mera', 'meri', 'mere', 'mai', 'mein', 'hum', 'humein',
+    'tum', 'aap', 'apna', 'apni', 'kya', 'kyun', 'kyu', 'kaise', 'kaisa', 'kuch', 'koi', 'sab', 'bahut', 'bohot',
+    'bahot', 'bhi', 'aaj', 'kal', 'abhi', 'yaar', 'yar', 'lag', 'lagta', 'lagti', 'se', 'ko', 'ka', 'ki', 'ke',
+    'aur', 'pe', 'kar', 'karna', 'karke', 'wala', 'wali', 'bas', 'bilkul', 'zyada', 'jyada', 'thoda',
+    'accha', 'acha', 'achha', 'theek', 'thik', 'khush', 'udaas', 'udas', 'dukhi', 'pareshan', 'gussa', 'akela',
+    'ghar', 'dost', 'kaam', 'padhai', 'dil', 'mann', 'neend'
+]);
+
+const DEVANAGARI_LETTER = /[ऀ-ॣ०-ॿ]/g;
+const LETTER = /[a-zऀ-ॣ०-ॿ]/gi;
+
+const detectLanguage = (text = '') => {
+    const letters = (text.match(LETTER) || []).length;
+    if (letters === 0) return 'en';
+
+    const devanagari = (text.match(DEVANAGARI_LETTER) || []).length;
+    if (devanagari / letters >= DEVANAGARI_SHARE) return 'hi';
+
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    const hinglish = words.filter(word => HINGLISH_WORDS.has(word)).length;
+    if (hinglish >= MIN_HINGLISH_WORDS && hinglish / words.length >= HINGLISH_SHARE) return 'hi-Latn';
+
+    return 'en';
+};
+
+module.exports = {
+    detectLanguage
+};
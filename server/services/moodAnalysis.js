@@ -0,0 +1,486 @@
+// services/moodAnalysis.js
+// The /analyze-mood pipeline, split into stages so it can be streamed (SSE) or returned as one JSON body.
+// Stages (emit order): received -> sentiment -> recommendation -> tips -> saved
+// While the AI service is unreachable the check-in is saved as pending instead (received -> saved),
+// and services/analysisQueue.js finishes it later through analyzePendingConversation().
+const { Conversation, Session, AnalysisJob } = require('../models');
+const safety = require('./safety');
+const queueConfig = require('../config/analysisQueue');
+const { analyzeText, isUnavailableError } = require('./providers');
+const { withRecommendation } = require('./recommendationEngine');
+const { detectEmotions } = require('./emotions');
+const { detectLanguage } = require('./language');
+const { describeTips } = require('./exercises');
+const { getTipBoosts } = require('./feedbackStats');
+const { getOwnerFilter } = require('../middleware/auth');
+const { getRequestLanguage, baseLocale } = require('../utils/locale');
+const { splitIntoChunks } = require('../utils/text');
+const { hashIp } = require('../utils/ip');
+const logger = require('../utils/logger');
+
+// The Flask model rejects anything longer than this
+const MAX_CHUNK_LENGTH = 1000;
+// Both polarities above this share of the text -> the whole entry is MIXED
+const MIXED_SHARE = 0.3;
+
+// Crisis response used when the AI service can't produce a result
+const buildCrisisFallback = (screening) => {
+    const crisis = safety.buildCrisisResponse(screening.locale);
+    logger.warn('AI service unavailable - sending crisis response from safety layer');
+
+    return {
+        recommendation: crisis.message,
+        additional_tips: crisis.tips,
+        riskLevel: screening.riskLevel,
+        crisis: {
+            message: crisis.message,
+            resources: crisis.resources
+        }
+    };
+};
+
+const requestMetadata = (req, language, detectedLanguage) => ({
+    userAgent: req.headers['user-agent'],
+    ipHash: hashIp(req.ip),
+    language,
+    detectedLanguage
+});
+
+// source and transcription fields of a check-in; transcription is set for voice check-ins
+const sourceFields = (transcription) => (transcription
+    ? {
+        source: 'voice',
+        transcription: {
+            confidence: transcription.confidence,
+            durationSeconds: transcription.durationSeconds,
+            provider: transcription.provider
+        }
+    }
+    : { source: 'text' });
+
+// Owner filter for a saved conversation, same shape as getOwnerFilter(req)
+const conversationOwner = (conversation) => (
+    conversation.userId ? { userId: conversation.userId } : { sessionId: conversation.sessionId, userId: null }
+);
+
+// Counts an analyzed check-in in its session's statistics, creating the session on its first one
+const recordInSession = async (conversation) => {
+    const { sessionId, userId, metadata } = conversation;
+
+    let session = await Session.findOne({ sessionId });
+    if (!session) {
+        session = new Session({
+            sessionId,
+            userAgent: metadata?.userAgent,
+            ipHash: metadata?.ipHash
+        });
+    }
+    if (userId && !session.userId) {
+        session.userId = userId;
+    }
+    // The language the client asked to be answered in is the session's preferred language
+    if (metadata?.language && metadata.language !== 'unknown') {
+        session.preferences.language = baseLocale(metadata.language);
+    }
+
+    await session.updateStats(conversation.sentiment);
+    logger.debug('Session statistics updated');
+};
+
+// Emotions, the catalog recommendation (using this owner's recent check-ins) and the post-AI safety assessment.
+// language picks the recommendation's locale, detectedLanguage the emotion cues. history replaces the
+// owner's recent check-ins when given (a chat thread recommends from its own messages).
+// Returns { aiResult, assessment, safeResult } - safeResult may carry the crisis response instead.
+const completeAnalysis = async ({ text, aiResult, screening, ownerFilter, history = null, language, detectedLanguage }) => {
+    const detectedEmotions = detectEmotions(text, aiResult, detectedLanguage);
+
+    let recent = history || [];
+    if (!history) {
+        try {
+            recent = await Conversation.getRecentHistory(ownerFilter);
+        } catch (dbError) {
+            logger.error('Could not load check-in history', { error: dbError });
+        }
+    }
+    const result = withRecommendation({ ...aiResult, detectedEmotions }, {
+        text,
+        locale: baseLocale(language),
+        history: recent,
+        emotions: detectedEmotions,
+        tipBoosts: getTipBoosts(aiResult.sentiment)
+    });
+
+    const assessment = safety.assessRisk(screening, result);
+    return { aiResult: result, assessment, safeResult: safety.applyToResponse(result, assessment) };
+};
+
+const saveConversation = async ({ req, text, aiResult, safeResult, assessment, processingTime, language, detectedLanguage, transcription }) => {
+    const conversation = new Conversation({
+        sessionId: req.sessionId,
+        userId: req.user ? req.user._id : null,
+        userText: text,
+        sentiment: aiResult.sentiment,
+        confidenceScore: aiResult.confidence_score,
+        recommendation: safeResult.recommendation,
+        additionalTips: safeResult.additional_tips || [],
+        detectedEmotions: aiResult.detectedEmotions,
+        // Crisis responses replace the catalog tips, so there is nothing to attribute feedback to
+        recommendationMeta: safeResult.crisis ? undefined : aiResult.recommendationMeta,
+        analyzedAt: new Date(),
+        processingTime,
+        textLength: text.length,
+        provider: aiResult.provider,
+        ...sourceFields(transcription),
+        safety: safety.toConversationFlag(assessment),
+        metadata: requestMetadata(req, language, detectedLanguage)
+    });
+
+    await conversation.save();
+    logger.debug('Conversation saved', { conversationId: conversation._id });
+
+    await recordInSession(conversation);
+    return conversation;
+};
+
+// Saves the check-in without an analysis: pending while it waits in the queue, failed when nothing will analyze it
+const saveUnanalyzedConversation = async ({ req, text, screening, language, detectedLanguage, transcription, analysisStatus }) => {
+    const conversation = new Conversation({
+        sessionId: req.sessionId,
+        userId: req.user ? req.user._id : null,
+        userText: text,
+        analysisStatus,
+        textLength: text.length,
+        ...sourceFields(transcription),
+        safety: safety.toConversationFlag(screening),
+        metadata: requestMetadata(req, language, detectedLanguage)
+    });
+    await conversation.save();
+    return conversation;
+};
+
+// Shown when a check-in is queued, { <locale>: string } like the recommendation catalog
+const PENDING_MESSAGES = {
+    en: "We couldn't reach the analyzer just now, so your check-in was saved and will be analyzed shortly.",
+    hi: 'अभी विश्लेषण सेवा तक नहीं पहुँच पाए, इसलिए आपका चेक-इन सेव कर लिया गया है और जल्द ही जाँचा जाएगा।'
+};
+
+const pendingMessage = (language) => PENDING_MESSAGES[baseLocale(language)] || PENDING_MESSAGES.en;
+
+// Errors the queue can wait out - anything else would fail again on retry
+const canDefer = (error) => queueConfig.enabled && isUnavailableError(error);
+
+// Saves the check-in without an analysis and queues it for the worker
+const queueConversation = async (fields) => {
+    const conversation = await saveUnanalyzedConversation({ ...fields, analysisStatus: 'pending' });
+
+    try {
+        await AnalysisJob.enqueue(conversation._id, fields.language);
+    } catch (error) {
+        // A pending check-in without a job would never be analyzed
+        await conversation.deleteOne();
+        throw error;
+    }
+    logger.info('AI service unavailable - check-in queued for analysis', { conversationId: conversation._id });
+    return conversation;
+};
+
+const deferAnalysis = async ({ req, text, screening, language, detectedLanguage, transcription, emit }) => {
+    const conversation = await queueConversation({ req, text, screening, language, detectedLanguage, transcription });
+
+    emit('saved', { saved: true, conversationId: conversation._id, analysisStatus: 'pending' });
+    return {
+        analysisStatus: 'pending',
+        message: pendingMessage(language),
+        timestamp: new Date().toISOString(),
+        conversationId: conversation._id,
+        sessionId: req.sessionId.substring(0, 8) + '...',
+        status: 'success'
+    };
+};
+
+// text must already be validated and trimmed.
+// emit(stage, data) is optional and called as each stage completes.
+// transcription ({ confidence, durationSeconds, provider } from services/speech) marks a voice check-in.
+const runMoodAnalysis = async ({ text, req, transcription = null, emit = () => {} }) => {
+    const sessionId = req.sessionId;
+    const startTime = req.startTime || Date.now();
+    // Answer in the requested language; read the text in the language it's written in
+    const language = getRequestLanguage(req);
+    const detectedLanguage = detectLanguage(text);
+
+    emit('received', { textLength: text.length, detectedLanguage, timestamp: new Date().toISOString() });
+
+    // Safety screening before the AI call
+    const screening = safety.screenText(text, language);
+    if (screening.riskLevel !== 'none') {
+        logger.warn('Safety screening flagged text', { riskLevel: screening.riskLevel, categories: screening.categories });
+    }
+
+    logger.debug('Sending text to sentiment provider', { textLength: text.length, detectedLanguage });
+
+    let aiResult;
+    try {
+        aiResult = await analyzeText(text, { language: detectedLanguage });
+    } catch (error) {
+        if (!safety.isCrisis(screening)) {
+            // Keep the check-in and analyze it once the AI service is back, rather than losing it
+            if (canDefer(error)) {
+                return deferAnalysis({ req, text, screening, language, detectedLanguage, transcription, emit }).catch((queueError) => {
+                    logger.error('Could not queue check-in for later analysis', { error: queueError });
+                    throw error;
+                });
+            }
+            throw error;
+        }
+
+        // Never leave someone in crisis with only an error message - and keep the flagged check-in,
+        // queued like any other when the AI service is only unreachable
+        const fallback = buildCrisisFallback(screening);
+        emit('recommendation', { recommendation: fallback.recommendation, riskLevel: fallback.riskLevel, crisis: fallback.crisis });
+        const fallbackTips = describeTips(fallback);
+        emit('tips', { additional_tips: fallback.additional_tips, tipDetails: fallbackTips });
+
+        let conversation = null;
+        try {
+            const fields = { req, text, screening, language, detectedLanguage, transcription };
+            conversation = canDefer(error)
+                ? await queueConversation(fields)
+                : await saveUnanalyzedConversation({ ...fields, analysisStatus: 'failed' });
+        } catch (dbError) {
+            logger.error('Database save error', { error: dbError });
+        }
+        emit('saved', {
+            saved: Boolean(conversation),
+            conversationId: conversation ? conversation._id : null,
+            ...(conversation ? { analysisStatus: conversation.analysisStatus } : {})
+        });
+        return {
+            ...fallback,
+            tipDetails: fallbackTips,
+            ...(conversation ? { analysisStatus: conversation.analysisStatus } : {}),
+            timestamp: new Date().toISOString(),
+            conversationId: conversation ? conversation._id : null,
+            sessionId: sessionId.substring(0, 8) + '...',
+            status: 'success'
+        };
+    }
+
+    // Recommendation from the rule catalog, using this owner's recent check-ins
+    const completed = await completeAnalysis({
+        text, aiResult, screening, ownerFilter: getOwnerFilter(req), language, detectedLanguage
+    });
+    aiResult = completed.aiResult;
+    const { assessment, safeResult } = completed;
+    
+    const processingTime = Date.now() - startTime;
+
+    logger.info('Received AI analysis result', {
+        provider: aiResult.provider,
+        failover: aiResult.failover,
+        sentiment: aiResult.sentiment,
+        confidence: aiResult.confidence_score,
+        detectedLanguage
+    });
+    emit('sentiment', {
+        sentiment: aiResult.sentiment,
+        confidence_score: aiResult.confidence_score,
+        provider: aiResult.provider,
+        failover: aiResult.failover,
+        detectedLanguage,
+        detectedEmotions: aiResult.detectedEmotions
+    });
+
+    // The safety assessment after the AI call may have swapped in the crisis response
+    if (safety.isCrisis(assessment)) {
+        logger.warn('Crisis response sent instead of regular recommendation', { riskLevel: assessment.riskLevel });
+    }
+    emit('recommendation', {
+        recommendation: safeResult.recommendation,
+        riskLevel: safeResult.riskLevel,
+        ...(safeResult.crisis ? { crisis: safeResult.crisis } : {})
+    });
+    // Which tips can launch a guided exercise in the client
+    const tipDetails = describeTips(safeResult);
+    emit('tips', { additional_tips: safeResult.additional_tips || [], tipDetails });
+
+    // Save conversation to database
+    let conversation = null;
+    try {
+        conversation = await saveConversation({
+            req, text, aiResult, safeResult, assessment, processingTime, language, detectedLanguage, transcription
+        });
+    } catch (dbError) {
+        logger.error('Database save error', { error: dbError });
+        // Continue with response even if database save fails
+    }
+    emit('saved', { saved: Boolean(conversation), conversationId: conversation ? conversation._id : null });
+
+    // Enhanced response with additional data
+    return {
+        ...safeResult,
+        tipDetails,
+        detectedLanguage,
+        timestamp: new Date().toISOString(),
+        processingTime,
+        conversationId: conversation ? conversation._id : null,
+        sessionId: sessionId.substring(0, 8) + '...', // Partial session ID for client
+        status: 'success'
+    };
+};
+
+// Merges per-chunk results into one, weighting each chunk by its length
+const combineChunkResults = (results, chunks) => {
+    if (results.length === 1) return results[0];
+
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const share = { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0, MIXED: 0 };
+    const confidence = { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0, MIXED: 0 };
+
+    results.forEach((result, i) => {
+        const weight = chunks[i].length / totalLength;
+        share[result.sentiment] += weight;
+        confidence[result.sentiment] += weight * result.confidence_score;
+    });
+
+    let sentiment;
+    if (share.POSITIVE >= MIXED_SHARE && share.NEGATIVE >= MIXED_SHARE) {
+        sentiment = 'MIXED';
+    } else {
+        sentiment = Object.keys(share).reduce((best, key) => (share[key] > share[best] ? key : best));
+    }
+
+    const confidenceScore = sentiment === 'MIXED'
+        ? share.POSITIVE + share.NEGATIVE > 0
+            ? (confidence.POSITIVE + confidence.NEGATIVE) / (share.POSITIVE + share.NEGATIVE)
+            : 0.5
+        : confidence[sentiment] / share[sentiment];
+
+    return {
+        sentiment,
+        confidence_score: Math.round(confidenceScore * 1000) / 1000,
+        provider: results[0].provider,
+        failover: results.some(r => r.failover)
+    };
+};
+
+// analyzeText for text of any length - long text is analyzed in chunks and merged
+const analyzeLongText = async (text, language = detectLanguage(text)) => {
+    const chunks = splitIntoChunks(text, MAX_CHUNK_LENGTH);
+    const results = [];
+    // One at a time so a long entry doesn't flood the model server
+    for (const chunk of chunks) {
+        results.push(await analyzeText(chunk, { language }));
+    }
+    return { ...combineChunkResults(results, chunks), chunks: chunks.length };
+};
+
+// Same pipeline as /analyze-mood (safety, sentiment, emotions, recommendation) for text that isn't saved as a
+// check-in - journal entries (long: analyzed in chunks) and chat messages (history: the thread's own).
+// When the AI service fails on text that needs the crisis response, aiResult is null and safeResult is that response.
+// Returns { aiResult, assessment, safeResult, language, detectedLanguage }.
+const analyzeMessage = async ({ text, req, history = null, long = false }) => {
+    const language = getRequestLanguage(req);
+    const detectedLanguage = detectLanguage(text);
+    const screening = safety.screenText(text, language);
+
+    let aiResult;
+    try {
+        aiResult = long
+            ? await analyzeLongText(text, detectedLanguage)
+            : await analyzeText(text, { language: detectedLanguage });
+    } catch (error) {
+        if (!safety.isCrisis(screening)) throw error;
+        return { aiResult: null, assessment: screening, safeResult: buildCrisisFallback(screening), language, detectedLanguage };
+    }
+
+    const completed = await completeAnalysis({
+        text, aiResult, screening, ownerFilter: getOwnerFilter(req), history, language, detectedLanguage
+    });
+    return { ...completed, language, detectedLanguage };
+};
+
+// analyzeMessage() for journal entries. Returns { mood, assessment, crisis }.
+const analyzeLongEntry = async ({ text, req }) => {
+    const { aiResult, assessment, safeResult, detectedLanguage } = await analyzeMessage({ text, req, long: true });
+
+    // The entry is still saved, flagged, with the crisis response in place of the analysis
+    if (!aiResult) {
+        return {
+            mood: {
+                sentiment: null,
+                riskLevel: assessment.riskLevel,
+                recommendation: safeResult.recommendation,
+                additionalTips: safeResult.additional_tips,
+                language: detectedLanguage,
+                analysisStatus: 'failed',
+                analyzedAt: new Date()
+            },
+            assessment,
+            crisis: safeResult.crisis
+        };
+    }
+
+    return {
+        mood: {
+            sentiment: aiResult.sentiment,
+            confidenceScore: aiResult.confidence_score,
+            detectedEmotions: aiResult.detectedEmotions,
+            recommendation: safeResult.recommendation,
+            additionalTips: safeResult.additional_tips || [],
+            riskLevel: assessment.riskLevel,
+            provider: aiResult.provider,
+            chunks: aiResult.chunks,
+            language: detectedLanguage,
+            analysisStatus: 'analyzed',
+            analyzedAt: new Date()
+        },
+        assessment,
+        crisis: safeResult.crisis || null
+    };
+};
+
+// Worker side of deferAnalysis(): analyzes a pending check-in and saves the result.
+// AI errors are thrown so the queue can retry.
+const analyzePendingConversation = async (conversation, language) => {
+    const startTime = Date.now();
+    const text = conversation.userText;
+    const detectedLanguage = conversation.metadata?.detectedLanguage || detectLanguage(text);
+    const screening = safety.screenText(text, language);
+
+    const { aiResult, assessment, safeResult } = await completeAnalysis({
+        text,
+        aiResult: await analyzeText(text, { language: detectedLanguage }),
+        screening,
+        ownerFilter: conversationOwner(conversation),
+        language,
+        detectedLanguage
+    });
+
+    conversation.set({
+        analysisStatus: 'analyzed',
+        analyzedAt: new Date(),
+        sentiment: aiResult.sentiment,
+        confidenceScore: aiResult.confidence_score,
+        recommendation: safeResult.recommendation,
+        additionalTips: safeResult.additional_tips || [],
+        detectedEmotions: aiResult.detectedEmotions,
+        recommendationMeta: safeResult.crisis ? undefined : aiResult.recommendationMeta,
+        processingTime: Date.now() - startTime,
+        provider: aiResult.provider,
+        safety: safety.toConversationFlag(assessment)
+    });
+    await conversation.save();
+    await recordInSession(conversation);
+
+    logger.info('Queued check-in analyzed', { conversationId: conversation._id, sentiment: aiResult.sentiment, provider: aiResult.provider });
+    return conversation;
+};
+
+module.exports = {
+    MAX_CHUNK_LENGTH,
+    runMoodAnalysis,
+    analyzeLongText,
+    analyzeMessage,
+    analyzeLongEntry,
+    analyzePendingConversation
+};
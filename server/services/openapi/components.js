@@ -0,0 +1,429 @@
+// services/openapi/components.js
+// Shared OpenAPI schemas for response bodies. Request schemas are not written here -
+// they are generated from the validate() schemas on each route.
+const { ERROR_CODES } = require('../../utils/errors');
+
+const SENTIMENT = { type: 'string', enum: ['POSITIVE', 'NEGATIVE', 'NEUTRAL', 'MIXED'] };
+const RISK_LEVEL = { type: 'string', enum: ['none', 'low', 'medium', 'high'] };
+const ID = { type: 'string', pattern: '^[a-f\\d]{24}$' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const DETECTED_LANGUAGE = { type: 'string', enum: ['en', 'hi', 'hi-Latn'] };
+const EXERCISE_ID = { type: 'string', enum: ['breathing-478', 'box-breathing', 'grounding-54321', 'body-scan'] };
+const SOURCE = { type: 'string', enum: ['text', 'voice'] };
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// { status: 'success', data: <schema> } - the shape most routes answer with
+const success = (data, extra = {}) => ({
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { type: 'string', enum: ['success'] },
+        ...(data ? { data } : {}),
+        ...extra
+    }
+});
+
+const schemas = {
+    Error: {
+        type: 'object',
+        description: 'Error envelope shared by every route (see server/utils/errors.js)',
+        required: ['status', 'code', 'error'],
+        properties: {
+            status: { type: 'string', enum: ['error'] },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            error: { type: 'string', description: 'Human-readable message, safe to show to the user' },
+            details: { type: 'array', items: ref('ValidationIssue'), description: 'VALIDATION_ERROR only' },
+            retryAfter: { type: 'integer', description: 'RATE_LIMITED only - seconds until the limit resets' },
+            requestId: { type: 'string', description: 'Same as the X-Request-ID response header' }
+        }
+    },
+    ValidationIssue: {
+        type: 'object',
+        properties: {
+            location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+            field: { type: 'string', nullable: true },
+            rule: { type: 'string', example: 'maxLength' },
+            message: { type: 'string' }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            pages: { type: 'integer' }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            id: ID,
+            email: { type: 'string', format: 'email' },
+            displayName: { type: 'string', nullable: true },
+            createdAt: DATE_TIME
+        }
+    },
+    AuthTokens: success(null, {
+        user: ref('User'),
+        accessToken: { type: 'string' },
+        refreshToken: { type: 'string' },
+        expiresIn: { type: 'string', example: '15m' },
+        claimedConversations: { type: 'integer', description: 'Anonymous check-ins moved into the account' }
+    }),
+    Crisis: {
+        type: 'object',
+        description: 'Crisis support shown instead of (or next to) the normal recommendation',
+        additionalProperties: true
+    },
+    DetectedEmotion: {
+        type: 'object',
+        properties: {
+            emotion: { type: 'string' },
+            confidence: { type: 'number' }
+        }
+    },
+    MoodAnalysis: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['success'] },
+            sentiment: SENTIMENT,
+            confidence_score: { type: 'number', minimum: 0, maximum: 1 },
+            recommendation: { type: 'string' },
+            additional_tips: { type: 'array', items: { type: 'string' } },
+            tipDetails: {
+                type: 'array',
+                description: 'additional_tips in the same order, with the guided exercise each one can launch',
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        tipId: { type: 'string', nullable: true },
+                        exerciseId: { ...EXERCISE_ID, nullable: true }
+                    }
+                }
+            },
+            riskLevel: RISK_LEVEL,
+            detectedEmotions: { type: 'array', items: ref('DetectedEmotion') },
+            detectedLanguage: {
+                ...DETECTED_LANGUAGE,
+                description: 'Language the text is written in; recommendations follow Accept-Language instead'
+            },
+            crisis: ref('Crisis'),
+            analysisStatus: {
+                type: 'string',
+                enum: ['pending', 'failed'],
+                description: 'Only on a crisis response the AI service failed on: the check-in was saved without an analysis ' +
+                    '(pending: queued until the service is back)'
+            },
+            provider: { type: 'string' },
+            failover: { type: 'boolean' },
+            source: { ...SOURCE, description: 'Only on POST /analyze-mood/audio' },
+            transcript: { type: 'string', description: 'What the speech-to-text provider heard (voice check-ins only)' },
+            transcriptConfidence: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+            conversationId: { ...ID, nullable: true },
+            sessionId: { type: 'string', description: 'Shortened session id' },
+            processingTime: { type: 'integer', description: 'Milliseconds' },
+            timestamp: DATE_TIME
+        }
+    },
+    PendingAnalysis: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['success'] },
+            analysisStatus: { type: 'string', enum: ['pending'] },
+            message: { type: 'string' },
+            conversationId: ID,
+            sessionId: { type: 'string', description: 'Shortened session id' },
+            timestamp: DATE_TIME
+        }
+    },
+    Feedback: {
+        type: 'object',
+        properties: {
+            helpful: { type: 'boolean', nullable: true },
+            rating: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+            comment: { type: 'string', nullable: true },
+            submittedAt: DATE_TIME
+        }
+    },
+    Conversation: {
+        type: 'object',
+        properties: {
+            _id: ID,
+            userText: { type: 'string' },
+            analysisStatus: {
+                type: 'string',
+                enum: ['pending', 'analyzed', 'failed'],
+                description: 'pending: saved while the AI service was down; the analysis fields are set once it is analyzed'
+            },
+            analyzedAt: { ...DATE_TIME, nullable: true },
+            sentiment: SENTIMENT,
+            confidenceScore: { type: 'number' },
+            recommendation: { type: 'string' },
+            additionalTips: { type: 'array', items: { type: 'string' } },
+            detectedEmotions: { type: 'array', items: ref('DetectedEmotion') },
+            riskLevel: RISK_LEVEL,
+            source: SOURCE,
+            transcription: {
+                type: 'object',
+                description: 'Voice check-ins only - userText is the transcript',
+                properties: {
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    durationSeconds: { type: 'number' },
+                    provider: { type: 'string' }
+                }
+            },
+            userFeedback: ref('Feedback'),
+            timestamp: DATE_TIME
+        }
+    },
+    ThreadSummary: {
+        type: 'object',
+        properties: {
+            id: ID,
+            title: { type: 'string' },
+            messageCount: { type: 'integer' },
+            lastMessage: { type: 'string', nullable: true },
+            lastMessageAt: DATE_TIME,
+            createdAt: DATE_TIME
+        }
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            _id: ID,
+            role: { type: 'string', enum: ['user', 'assistant'] },
+            content: { type: 'string' },
+            tips: { type: 'array', items: { type: 'string' } },
+            sentiment: { ...SENTIMENT, nullable: true },
+            riskLevel: RISK_LEVEL,
+            crisis: ref('Crisis'),
+            createdAt: DATE_TIME
+        }
+    },
+    Thread: {
+        allOf: [ref('ThreadSummary'), {
+            type: 'object',
+            properties: {
+                messages: { type: 'array', items: ref('Message') },
+                moodTrajectory: { type: 'object', additionalProperties: true }
+            }
+        }]
+    },
+    JournalSummary: {
+        type: 'object',
+        properties: {
+            id: ID,
+            title: { type: 'string' },
+            excerpt: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            entryDate: DATE_TIME,
+            wordCount: { type: 'integer' },
+            mood: {
+                type: 'object',
+                nullable: true,
+                properties: { sentiment: SENTIMENT, confidenceScore: { type: 'number' }, analysisStatus: { type: 'string' } }
+            },
+            attachmentCount: { type: 'integer' },
+            revisionCount: { type: 'integer' },
+            updatedAt: DATE_TIME
+        }
+    },
+    JournalEntry: {
+        type: 'object',
+        properties: {
+            _id: ID,
+            title: { type: 'string' },
+            body: { type: 'string', description: 'Markdown' },
+            tags: { type: 'array', items: { type: 'string' } },
+            attachments: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        mimeType: { type: 'string' },
+                        size: { type: 'number' },
+                        url: { type: 'string' }
+                    }
+                }
+            },
+            entryDate: DATE_TIME,
+            wordCount: { type: 'integer' },
+            mood: {
+                type: 'object',
+                properties: {
+                    sentiment: { ...SENTIMENT, nullable: true },
+                    confidenceScore: { type: 'number' },
+                    detectedEmotions: { type: 'array', items: ref('DetectedEmotion') },
+                    recommendation: { type: 'string' },
+                    additionalTips: { type: 'array', items: { type: 'string' } },
+                    riskLevel: RISK_LEVEL,
+                    analysisStatus: {
+                        type: 'string',
+                        enum: ['analyzed', 'failed'],
+                        description: 'failed: the AI service failed on an entry that needed the crisis response, so only that is set'
+                    },
+                    analyzedAt: DATE_TIME
+                }
+            },
+            revisionCount: { type: 'integer' },
+            createdAt: DATE_TIME,
+            updatedAt: DATE_TIME
+        }
+    },
+    ReminderSettings: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            timezone: { type: 'string', description: 'IANA timezone the schedule times are in' },
+            schedules: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        _id: ID,
+                        frequency: { type: 'string', enum: ['daily', 'weekly'] },
+                        time: { type: 'string', description: 'Local time, "HH:MM"' },
+                        daysOfWeek: { type: 'array', items: { type: 'integer' }, description: 'Weekly only - 0 = Sunday' },
+                        enabled: { type: 'boolean' }
+                    }
+                }
+            },
+            channels: { type: 'array', items: { type: 'string', enum: ['in-app', 'web-push', 'email'] } },
+            email: { type: 'string', nullable: true },
+            quietHours: {
+                type: 'object',
+                nullable: true,
+                properties: { start: { type: 'string' }, end: { type: 'string' } }
+            },
+            snoozedUntil: { ...DATE_TIME, nullable: true },
+            nextRunAt: { ...DATE_TIME, nullable: true },
+            lastSentAt: { ...DATE_TIME, nullable: true },
+            backoffLevel: { type: 'integer', description: 'Above 0 while reminders are thinned out because they were ignored' },
+            pushSubscriptions: { type: 'integer', description: 'Number of subscribed browsers' }
+        }
+    },
+    Notification: {
+        type: 'object',
+        properties: {
+            _id: ID,
+            type: { type: 'string', enum: ['reminder'] },
+            title: { type: 'string' },
+            body: { type: 'string' },
+            readAt: { ...DATE_TIME, nullable: true },
+            createdAt: DATE_TIME
+        }
+    },
+    Habit: {
+        type: 'object',
+        properties: {
+            id: ID,
+            name: { type: 'string' },
+            sourceTip: { type: 'string', nullable: true, description: 'The recommendation tip the habit was added from' },
+            frequency: { type: 'string', enum: ['daily', 'weekly'] },
+            timesPerWeek: { type: 'integer', description: 'Weekly only - days per week that keep the streak going' },
+            timezone: { type: 'string' },
+            archivedAt: { ...DATE_TIME, nullable: true },
+            createdAt: DATE_TIME,
+            streak: {
+                type: 'object',
+                properties: {
+                    unit: { type: 'string', enum: ['days', 'weeks'] },
+                    current: { type: 'integer' },
+                    longest: { type: 'integer' }
+                }
+            },
+            today: { type: 'string', format: 'date', description: "Today in the habit's timezone" },
+            doneToday: { type: 'boolean' },
+            thisWeek: { type: 'integer', description: 'Days done since Monday' },
+            recentDays: {
+                type: 'array',
+                items: { type: 'object', properties: { day: { type: 'string', format: 'date' }, done: { type: 'boolean' } } }
+            },
+            totalCompletions: { type: 'integer' }
+        }
+    },
+    HabitReport: {
+        type: 'object',
+        properties: {
+            period: { type: 'string' },
+            minDays: { type: 'integer', description: 'Done and skipped days each habit needs before enoughData is true' },
+            habits: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        habitId: ID,
+                        name: { type: 'string' },
+                        doneDays: { type: 'integer' },
+                        skippedDays: { type: 'integer' },
+                        moodWhenDone: { type: 'number', nullable: true, description: 'Average mood score (-1 to 1) of check-ins on days it was done' },
+                        moodWhenSkipped: { type: 'number', nullable: true },
+                        difference: { type: 'number', nullable: true },
+                        enoughData: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    },
+    ExerciseSession: {
+        type: 'object',
+        properties: {
+            id: ID,
+            exerciseId: EXERCISE_ID,
+            durationSeconds: { type: 'integer' },
+            completed: { type: 'boolean' },
+            moodBefore: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+            moodAfter: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+            conversationId: { ...ID, nullable: true, description: 'The check-in whose tip started it' },
+            startedAt: DATE_TIME
+        }
+    },
+    ExerciseStats: {
+        type: 'object',
+        properties: {
+            period: { type: 'string' },
+            sessions: { type: 'integer' },
+            completed: { type: 'integer', description: 'Sessions finished rather than stopped early' },
+            totalMinutes: { type: 'number' },
+            rated: { type: 'integer', description: 'Sessions with a mood rating both before and after' },
+            moodBefore: { type: 'number', nullable: true, description: 'Average 1-5 rating of the rated sessions' },
+            moodAfter: { type: 'number', nullable: true },
+            moodChange: { type: 'number', nullable: true },
+            byExercise: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        exerciseId: EXERCISE_ID,
+                sessions: { type: 'integer' },
+                completed: { type: 'integer', description: 'Sessions finished rather than stopped early' },
+                totalMinutes: { type: 'number' },
+                rated: { type: 'integer', description: 'Sessions with a mood rating both before and after' },
+                moodBefore: { type: 'number', nullable: true, description: 'Average 1-5 rating of the rated sessions' },
+                moodAfter: { type: 'number', nullable: true },
+                moodChange: { type: 'number', nullable: true }
+                    }
+                }
+            }
+        }
+    },
+    JournalRevision: {
+        type: 'object',
+        properties: {
+            title: { type: 'string' },
+            body: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            editedAt: DATE_TIME
+        }
+    }
+};
+
+module.exports = {
+    schemas,
+    ref,
+    success
+};
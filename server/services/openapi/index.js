@@ -0,0 +1,243 @@
+// services/openapi/index.js
+// Builds the OpenAPI 3 document from the routes actually registered on the app:
+//   paths and methods          <- the Express router (utils/routes.js)
+//   parameters / request body  <- the validate() schemas on the route (utils/schema.js rules)
+//   400 / 401 / 429 responses  <- validate(), requireAuth and rateLimit() on the route
+//   summary, tag, 2xx body     <- operations.js
+// so the document follows the code instead of being maintained next to it.
+const { listRoutes } = require('../../utils/routes');
+const { ERROR_CODES } = require('../../utils/errors');
+const { sessionIdHeader } = require('../../utils/schema');
+const { requireAuth } = require('../../middleware/auth');
+const { schemas, ref } = require('./components');
+const operations = require('./operations');
+const logger = require('../../utils/logger');
+
+const PARAMETER_LOCATIONS = { query: 'query', params: 'path', headers: 'header' };
+
+const routeKey = ({ method, path }) => `${method} ${path}`;
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// utils/schema.js rule -> JSON schema
+const ruleToSchema = (rule) => {
+    let schema;
+    switch (rule.type) {
+        case 'string':
+            schema = {
+                type: 'string',
+                ...(rule.minLength !== undefined ? { minLength: rule.minLength } : {}),
+                ...(rule.maxLength !== undefined ? { maxLength: rule.maxLength } : {}),
+                ...(rule.pattern ? { pattern: rule.pattern.source } : {}),
+                ...(rule.enum ? { enum: rule.enum } : {})
+            };
+            break;
+        case 'integer':
+        case 'number':
+            schema = {
+                type: rule.type,
+                ...(rule.min !== undefined ? { minimum: rule.min } : {}),
+                ...(rule.max !== undefined ? { maximum: rule.max } : {})
+            };
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'objectId':
+            schema = { type: 'string', pattern: '^[a-f\\d]{24}$' };
+            break;
+        case 'array':
+        case 'list':
+            schema = {
+                type: 'array',
+                items: rule.items ? ruleToSchema(rule.items) : {},
+                ...(rule.minItems !== undefined ? { minItems: rule.minItems } : {}),
+                ...(rule.maxItems !== undefined ? { maxItems: rule.maxItems } : {})
+            };
+            break;
+        case 'object':
+            schema = fieldsToSchema(rule.fields || {}, rule.allowUnknown);
+            break;
+        default:
+            schema = {};
+    }
+    if (rule.nullable) schema.nullable = true;
+    if (rule.default !== undefined && typeof rule.default !== 'function') schema.default = rule.default;
+    return schema;
+};
+
+const fieldsToSchema = (fields, allowUnknown = false) => {
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, ruleToSchema(rule)])),
+        ...(required.length > 0 ? { required } : {}),
+        additionalProperties: allowUnknown
+    };
+};
+
+const toParameters = (location, fields) => Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: PARAMETER_LOCATIONS[location],
+    required: location === 'params' || Boolean(rule.required),
+    schema: ruleToSchema(rule),
+    // "a,b,c"
+    ...(rule.type === 'list' ? { style: 'form', explode: false } : {})
+}));
+
+const errorResponses = (codes) => {
+    const byStatus = {};
+    for (const code of new Set(codes)) {
+        const status = ERROR_CODES[code];
+        byStatus[status] = byStatus[status] || [];
+        byStatus[status].push(code);
+    }
+    return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+        description: `Error codes: ${statusCodes.join(', ')}`,
+        content: { 'application/json': { schema: ref('Error') } }
+    }]));
+};
+
+const buildOperation = (route, doc) => {
+    const validator = route.handlers.find(handler => handler.schemas);
+    const limiter = route.handlers.find(handler => handler.rateLimit);
+    const authRequired = route.handlers.includes(requireAuth);
+    const routeSchemas = validator ? validator.schemas : {};
+
+    const parameters = [
+        { $ref: '#/components/parameters/SessionId' },
+        ...Object.keys(PARAMETER_LOCATIONS).flatMap(location => toParameters(location, routeSchemas[location] || {}))
+    ];
+    const bodyFields = routeSchemas.body || {};
+    const hasBody = Object.keys(bodyFields).length > 0;
+
+    const errorCodes = [
+        ...(validator ? ['VALIDATION_ERROR'] : []),
+        ...(hasBody ? ['INVALID_JSON'] : []),
+        ...(authRequired ? ['AUTH_REQUIRED'] : []),
+        ...(limiter ? ['RATE_LIMITED'] : []),
+        ...(doc.errors || []),
+        'INTERNAL_ERROR'
+    ];
+
+    return {
+        operationId: doc.operationId,
+        summary: doc.summary || routeKey(route),
+        ...(doc.description ? { description: doc.description } : {}),
+        tags: [doc.tag || 'Undocumented'],
+        parameters,
+        // Non-JSON bodies (audio uploads) are described in operations.js
+        ...(doc.requestBody ? { requestBody: doc.requestBody } : hasBody ? {
+            requestBody: {
+                required: Object.values(bodyFields).some(rule => rule.required),
+                content: { 'application/json': { schema: fieldsToSchema(bodyFields) } }
+            }
+        } : {}),
+        responses: {
+            [doc.status || 200]: {
+                description: 'Success',
+                content: Object.fromEntries((doc.contentType || 'application/json').split(', ').map(type => [
+                    type,
+                    { schema: doc.response || {} }
+                ]))
+            },
+            ...Object.fromEntries(Object.entries(doc.otherResponses || {}).map(([status, other]) => [status, {
+                description: other.description,
+                content: { 'application/json': { schema: other.response } }
+            }])),
+            ...errorResponses(errorCodes)
+        },
+        security: authRequired ? [{ bearerAuth: [] }] : [{}, { bearerAuth: [] }],
+        ...(limiter ? { 'x-rate-limit': limiter.rateLimit } : {})
+    };
+};
+
+const buildSpec = (app) => {
+    const paths = {};
+    const undocumented = [];
+
+    for (const route of listRoutes(app)) {
+        const doc = operations[routeKey(route)];
+        if (!doc) undocumented.push(routeKey(route));
+
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method.toLowerCase()]: buildOperation(route, doc || {}) };
+    }
+
+    if (undocumented.length > 0) {
+        logger.warn('Routes missing from services/openapi/operations.js', { routes: undocumented });
+    }
+
+    const sessionRule = sessionIdHeader['x-session-id'];
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'AI Mental Health Companion API',
+            version: process.env.APP_VERSION || '1.0',
+            description: 'Every error uses the `Error` envelope with a machine-readable `code`. ' +
+                'Anonymous callers are identified by `X-Session-ID` (issued in the response header of the first request); ' +
+                'logged-in callers send `Authorization: Bearer <access token>`, and an invalid or expired token ' +
+                'is answered with 401 `INVALID_TOKEN` / `TOKEN_EXPIRED` on any route.'
+        },
+        tags: [...new Set(Object.values(operations).map(op => op.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas,
+            parameters: {
+                SessionId: {
+                    name: 'X-Session-ID',
+                    in: 'header',
+                    required: false,
+                    description: 'Anonymous session id - omit it on the first request to get one',
+                    schema: ruleToSchema(sessionRule)
+                }
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            }
+        }
+    };
+};
+
+// Routes are all registered by the time the first request comes in, so the document is built once
+const specs = new WeakMap();
+const getSpec = (app) => {
+    if (!specs.has(app)) specs.set(app, buildSpec(app));
+    return specs.get(app);
+};
+
+// { operationId: 'METHOD /path' } for the health response
+const describeEndpoints = (app) => Object.fromEntries(listRoutes(app).map(route => [
+    operations[routeKey(route)]?.operationId || routeKey(route),
+    routeKey(route)
+]));
+
+// Swagger UI from a CDN - the page is only for developers, so it isn't worth a dependency
+const SWAGGER_UI_VERSION = '5.17.14';
+const renderDocsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>AI Mental Health Companion API</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js" crossorigin></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`;
+
+module.exports = {
+    buildSpec,
+    getSpec,
+    describeEndpoints,
+    renderDocsPage,
+    routeKey,
+    toOpenApiPath
+};
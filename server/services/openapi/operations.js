@@ -0,0 +1,407 @@
+// services/openapi/operations.js
+// What the route definitions can't tell: summary, tag, success response and route-specific errors.
+// Keyed by "METHOD /express/path". Parameters, request bodies, 400/429/401/500 responses are
+// generated from the middleware on each route (services/openapi/index.js), and tests/openapi.test.js
+// fails when a route is missing here or an entry here no longer matches a route.
+const { ref, success } = require('./components');
+const speechConfig = require('../../config/speech');
+
+const deleted = success({ type: 'object', properties: { deletedCount: { type: 'integer' } } });
+const AI_ERRORS = ['AI_SERVICE_ERROR', 'AI_SERVICE_UNAVAILABLE', 'AI_SERVICE_TIMEOUT'];
+
+const operations = {
+    // Auth
+    'POST /auth/register': {
+        operationId: 'register',
+        tag: 'Auth',
+        summary: 'Create an account and move the current anonymous session into it',
+        status: 201,
+        response: ref('AuthTokens'),
+        errors: ['EMAIL_TAKEN']
+    },
+    'POST /auth/login': {
+        operationId: 'login',
+        tag: 'Auth',
+        summary: 'Log in with email and password',
+        response: ref('AuthTokens'),
+        errors: ['INVALID_CREDENTIALS']
+    },
+    'POST /auth/refresh': {
+        operationId: 'refresh',
+        tag: 'Auth',
+        summary: 'Exchange a refresh token for a new token pair (refresh tokens are single-use)',
+        response: ref('AuthTokens'),
+        errors: ['INVALID_REFRESH_TOKEN']
+    },
+    'POST /auth/logout': {
+        operationId: 'logout',
+        tag: 'Auth',
+        summary: 'Revoke a refresh token, or every refresh token of the account with { all: true }',
+        response: success(null, { message: { type: 'string' } }),
+        errors: ['AUTH_REQUIRED']
+    },
+    'GET /auth/me': {
+        operationId: 'me',
+        tag: 'Auth',
+        summary: 'The logged-in user',
+        response: success(null, { user: ref('User') })
+    },
+
+    // Service
+    'GET /': {
+        operationId: 'health',
+        tag: 'Service',
+        summary: 'Health check with database status, AI service health (circuit breaker, last probe) and the list of endpoints',
+        response: { type: 'object', additionalProperties: true }
+    },
+    'GET /test-python-connection': {
+        operationId: 'testPythonApi',
+        tag: 'Service',
+        summary: 'Check that the Python AI API is reachable',
+        response: success(null, { message: { type: 'string' }, pythonApiResponse: { type: 'object', additionalProperties: true } }),
+        errors: ['AI_SERVICE_UNAVAILABLE']
+    },
+    'GET /db-stats': {
+        operationId: 'databaseStats',
+        tag: 'Service',
+        summary: 'Collection counts, sizes and how many documents are still unencrypted',
+        response: success(null, {
+            stats: { type: 'object', additionalProperties: true },
+            encryption: { type: 'object', additionalProperties: true }
+        })
+    },
+    'GET /openapi.json': {
+        operationId: 'openApiSpec',
+        tag: 'Service',
+        summary: 'This OpenAPI document',
+        response: { type: 'object', additionalProperties: true }
+    },
+    'GET /docs': {
+        operationId: 'apiDocs',
+        tag: 'Service',
+        summary: 'Interactive API docs (Swagger UI)',
+        contentType: 'text/html',
+        response: { type: 'string' }
+    },
+
+    // Check-ins
+    'POST /analyze-mood': {
+        operationId: 'analyzeMood',
+        tag: 'Check-ins',
+        summary: 'Analyze the mood of a check-in and save it',
+        description: 'Send `Accept: text/event-stream` to receive the pipeline stages (received, sentiment, ' +
+            'recommendation, tips, saved) as Server-Sent Events, followed by `done` with the result ' +
+            'or `error` with the error envelope plus `statusCode`. While the AI service is unreachable the ' +
+            'check-in is saved and queued instead (202); poll `GET /conversations/{id}` for the result. ' +
+            'The recommendation and tips are in the `Accept-Language` locale (en or hi, English otherwise); ' +
+            'the text itself is read as English, Hindi or Hinglish, whichever it is written in.',
+        response: ref('MoodAnalysis'),
+        otherResponses: {
+            202: { description: 'Saved, analysis queued', response: ref('PendingAnalysis') }
+        },
+        errors: AI_ERRORS
+    },
+    'POST /analyze-mood/audio': {
+        operationId: 'analyzeMoodAudio',
+        tag: 'Check-ins',
+        summary: 'Transcribe a voice check-in, then analyze and save it like POST /analyze-mood',
+        description: 'The request body is the recording itself; `duration` is its length in seconds. ' +
+            'Size and length limits are in `GET /` under `speech`. The response adds the `transcript` and ' +
+            'its `transcriptConfidence`; a transcript that is empty or below the confidence threshold is ' +
+            'answered with 422 `TRANSCRIPTION_FAILED` instead of being analyzed.',
+        requestBody: {
+            required: true,
+            content: Object.fromEntries(speechConfig.mimeTypes.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+        },
+        response: ref('MoodAnalysis'),
+        otherResponses: {
+            202: { description: 'Saved, analysis queued', response: ref('PendingAnalysis') }
+        },
+        errors: [
+            'PAYLOAD_TOO_LARGE', 'UNSUPPORTED_MEDIA_TYPE', 'TRANSCRIPTION_FAILED',
+            'SPEECH_SERVICE_ERROR', 'SPEECH_SERVICE_UNAVAILABLE', ...AI_ERRORS
+        ]
+    },
+    'GET /history': {
+        operationId: 'getHistory',
+        tag: 'Check-ins',
+        summary: 'Saved check-ins, newest first, with search and filters',
+        response: success({ type: 'array', items: ref('Conversation') }, { pagination: ref('Pagination') })
+    },
+    'DELETE /history/:id': {
+        operationId: 'deleteHistoryEntry',
+        tag: 'Check-ins',
+        summary: 'Delete one check-in',
+        response: deleted,
+        errors: ['NOT_FOUND']
+    },
+    'DELETE /history': {
+        operationId: 'clearHistory',
+        tag: 'Check-ins',
+        summary: 'Delete every check-in of this account or session',
+        response: deleted
+    },
+    'GET /conversations/feedback': {
+        operationId: 'feedbackSummary',
+        tag: 'Check-ins',
+        summary: 'Most and least helpful recommendations and tips, per sentiment',
+        response: success({ type: 'object', additionalProperties: true })
+    },
+    'GET /conversations/:id': {
+        operationId: 'getConversation',
+        tag: 'Check-ins',
+        summary: 'One saved check-in - poll it while its analysisStatus is pending',
+        response: success(ref('Conversation')),
+        errors: ['NOT_FOUND']
+    },
+    'POST /conversations/:id/feedback': {
+        operationId: 'sendFeedback',
+        tag: 'Check-ins',
+        summary: 'Rate the recommendation of a check-in (send again to change it)',
+        response: success(ref('Feedback')),
+        errors: ['NOT_FOUND']
+    },
+    'GET /analytics': {
+        operationId: 'getAnalytics',
+        tag: 'Check-ins',
+        summary: 'Sentiment breakdown, timeline, emotions and streaks',
+        response: success({ type: 'object', additionalProperties: true })
+    },
+
+    // Your data
+    'GET /me/export': {
+        operationId: 'exportData',
+        tag: 'Your data',
+        summary: 'Download everything stored for this account or session',
+        contentType: 'application/json, text/csv',
+        response: { type: 'string', format: 'binary' }
+    },
+    'DELETE /me': {
+        operationId: 'deleteData',
+        tag: 'Your data',
+        summary: 'Permanently delete everything stored for this account or session',
+        response: success({ type: 'object', properties: { deleted: { type: 'object', additionalProperties: { type: 'integer' } } } })
+    },
+
+    // Reminders
+    'GET /reminders': {
+        operationId: 'getReminders',
+        tag: 'Reminders',
+        summary: 'Check-in reminder settings, the channels this server can deliver on and its Web Push key',
+        response: success(ref('ReminderSettings'), {
+            availableChannels: { type: 'object', additionalProperties: { type: 'boolean' } },
+            vapidPublicKey: { type: 'string', nullable: true }
+        })
+    },
+    'PUT /reminders': {
+        operationId: 'updateReminders',
+        tag: 'Reminders',
+        summary: 'Turn reminders on or off and set schedules (daily/weekly, local time), channels and quiet hours',
+        response: success(ref('ReminderSettings'))
+    },
+    'POST /reminders/snooze': {
+        operationId: 'snoozeReminders',
+        tag: 'Reminders',
+        summary: 'Pause reminders for a number of minutes; one is sent when the snooze ends',
+        response: success(ref('ReminderSettings')),
+        errors: ['NOT_FOUND']
+    },
+    'DELETE /reminders/snooze': {
+        operationId: 'endSnooze',
+        tag: 'Reminders',
+        summary: 'End a snooze early',
+        response: success(ref('ReminderSettings')),
+        errors: ['NOT_FOUND']
+    },
+    'POST /reminders/push-subscriptions': {
+        operationId: 'addPushSubscription',
+        tag: 'Reminders',
+        summary: "Register this browser's Web Push subscription",
+        status: 201,
+        response: success(ref('ReminderSettings'))
+    },
+    'DELETE /reminders/push-subscriptions': {
+        operationId: 'removePushSubscription',
+        tag: 'Reminders',
+        summary: 'Remove a Web Push subscription',
+        response: success(ref('ReminderSettings')),
+        errors: ['NOT_FOUND']
+    },
+    'GET /reminders/notifications': {
+        operationId: 'listNotifications',
+        tag: 'Reminders',
+        summary: 'In-app notifications, newest first',
+        response: success({ type: 'array', items: ref('Notification') })
+    },
+    'POST /reminders/notifications/:id/read': {
+        operationId: 'readNotification',
+        tag: 'Reminders',
+        summary: 'Mark a notification as read (counts as a response to the reminder)',
+        response: success(ref('Notification')),
+        errors: ['NOT_FOUND']
+    },
+
+    // Habits
+    'GET /habits': {
+        operationId: 'listHabits',
+        tag: 'Habits',
+        summary: 'Tracked habits with their streaks and the last 7 days (archived ones with ?archived=true)',
+        response: success({ type: 'array', items: ref('Habit') })
+    },
+    'GET /habits/report': {
+        operationId: 'getHabitReport',
+        tag: 'Habits',
+        summary: 'Average check-in mood on days each habit was done vs. skipped',
+        response: success(ref('HabitReport'))
+    },
+    'POST /habits': {
+        operationId: 'createHabit',
+        tag: 'Habits',
+        summary: 'Start tracking a habit; an active habit with the same name is returned instead (200, existing: true)',
+        status: 201,
+        response: success(ref('Habit'), { existing: { type: 'boolean' } })
+    },
+    'PUT /habits/:id': {
+        operationId: 'updateHabit',
+        tag: 'Habits',
+        summary: 'Rename a habit, change its goal, or archive / restore it',
+        response: success(ref('Habit')),
+        errors: ['NOT_FOUND']
+    },
+    'DELETE /habits/:id': {
+        operationId: 'deleteHabit',
+        tag: 'Habits',
+        summary: 'Delete a habit and its log',
+        response: success({ type: 'object', properties: { deletedCount: { type: 'integer' } } }),
+        errors: ['NOT_FOUND']
+    },
+    'POST /habits/:id/completions': {
+        operationId: 'logHabit',
+        tag: 'Habits',
+        summary: 'Mark a habit done for today, or a day up to 30 days back',
+        response: success(ref('Habit')),
+        errors: ['NOT_FOUND']
+    },
+    'DELETE /habits/:id/completions/:day': {
+        operationId: 'unlogHabit',
+        tag: 'Habits',
+        summary: 'Undo marking a habit done for a day',
+        response: success(ref('Habit')),
+        errors: ['NOT_FOUND']
+    },
+
+    // Exercises
+    'GET /exercises/sessions': {
+        operationId: 'listExerciseSessions',
+        tag: 'Exercises',
+        summary: 'Recent guided exercise sessions, newest first',
+        response: success({ type: 'array', items: ref('ExerciseSession') })
+    },
+    'GET /exercises/stats': {
+        operationId: 'getExerciseStats',
+        tag: 'Exercises',
+        summary: 'Sessions, minutes and average mood before vs. after, overall and per exercise',
+        response: success(ref('ExerciseStats'))
+    },
+    'POST /exercises/sessions': {
+        operationId: 'saveExerciseSession',
+        tag: 'Exercises',
+        summary: 'Save a finished (or stopped) exercise with the mood rated before and after it',
+        status: 201,
+        response: success(ref('ExerciseSession')),
+        errors: ['NOT_FOUND']
+    },
+
+    // Companion chat
+    'POST /threads': {
+        operationId: 'createThread',
+        tag: 'Companion chat',
+        summary: 'Start a chat thread',
+        status: 201,
+        response: success(ref('ThreadSummary'))
+    },
+    'GET /threads': {
+        operationId: 'listThreads',
+        tag: 'Companion chat',
+        summary: 'Chat threads, most recently active first',
+        response: success({ type: 'array', items: ref('ThreadSummary') })
+    },
+    'GET /threads/:id': {
+        operationId: 'getThread',
+        tag: 'Companion chat',
+        summary: 'A thread with all its messages',
+        response: success(ref('Thread')),
+        errors: ['NOT_FOUND']
+    },
+    'POST /threads/:id/messages': {
+        operationId: 'sendMessage',
+        tag: 'Companion chat',
+        summary: "Send a message and get the companion's reply",
+        response: success({
+            type: 'object',
+            properties: {
+                thread: ref('ThreadSummary'),
+                userMessage: ref('Message'),
+                assistantMessage: ref('Message'),
+                pattern: { type: 'string' },
+                moodTrajectory: { type: 'object', additionalProperties: true }
+            }
+        }),
+        errors: ['NOT_FOUND', ...AI_ERRORS]
+    },
+
+    // Journal
+    'GET /journal': {
+        operationId: 'listJournal',
+        tag: 'Journal',
+        summary: 'Journal entry summaries, newest first',
+        response: success({ type: 'array', items: ref('JournalSummary') }, { pagination: ref('Pagination') })
+    },
+    'GET /journal/tags': {
+        operationId: 'journalTags',
+        tag: 'Journal',
+        summary: 'Tags in use, most used first',
+        response: success({
+            type: 'array',
+            items: { type: 'object', properties: { tag: { type: 'string' }, count: { type: 'integer' } } }
+        })
+    },
+    'POST /journal': {
+        operationId: 'createJournalEntry',
+        tag: 'Journal',
+        summary: 'Write a journal entry (its mood is analyzed)',
+        status: 201,
+        response: success(ref('JournalEntry'), { crisis: ref('Crisis') }),
+        errors: AI_ERRORS
+    },
+    'GET /journal/:id': {
+        operationId: 'getJournalEntry',
+        tag: 'Journal',
+        summary: 'One journal entry',
+        response: success(ref('JournalEntry')),
+        errors: ['NOT_FOUND']
+    },
+    'GET /journal/:id/revisions': {
+        operationId: 'journalRevisions',
+        tag: 'Journal',
+        summary: 'Edit history of an entry, newest first',
+        response: success({ type: 'array', items: ref('JournalRevision') }),
+        errors: ['NOT_FOUND']
+    },
+    'PUT /journal/:id': {
+        operationId: 'updateJournalEntry',
+        tag: 'Journal',
+        summary: 'Edit an entry (the old version is kept; the mood is re-analyzed if the text changed)',
+        response: success(ref('JournalEntry'), { crisis: ref('Crisis') }),
+        errors: ['NOT_FOUND', ...AI_ERRORS]
+    },
+    'DELETE /journal/:id': {
+        operationId: 'deleteJournalEntry',
+        tag: 'Journal',
+        summary: 'Delete a journal entry',
+        response: deleted,
+        errors: ['NOT_FOUND']
+    }
+};
+
+module.exports = operations;
@@ -0,0 +1,181 @@
+// services/privacy.js
+// Data export and right-to-erasure for the current caller (account or anonymous session)
+const crypto = require('crypto');
+const { Conversation, Session, Thread, JournalEntry, User, AuditLog, ReminderSettings, Notification, Habit, ExerciseSession } = require('../models');
+const { getOwnerFilter } = require('../middleware/auth');
+const privacyConfig = require('../config/privacy');
+const { ownerFromFilter, destroyOwnerKeys } = require('./encryption');
+
+const hashSubject = (id) => crypto.createHmac('sha256', privacyConfig.auditSalt).update(String(id)).digest('hex');
+
+const describeSubject = (req) => (req.user
+    ? { subjectType: 'user', subjectHash: hashSubject(req.user._id) }
+    : { subjectType: 'session', subjectHash: hashSubject(req.sessionId) });
+
+const writeAudit = (action, req, counts, details = {}) => AuditLog.create({
+    action,
+    ...describeSubject(req),
+    counts,
+    details
+});
+
+// Everything stored about the caller, as plain objects
+const buildExport = async (req) => {
+    const owner = getOwnerFilter(req);
+
+    const [conversations, sessions, threads, journalEntries, reminders, notifications, habits, exerciseSessions] = await Promise.all([
+        Conversation.find(owner).sort({ timestamp: 1 }).select('-__v').lean(),
+        Session.find(owner).select('-__v').lean(),
+        Thread.find(owner).sort({ createdAt: 1 }).select('-__v').lean(),
+        JournalEntry.find(owner).sort({ entryDate: 1 }).select('+revisions -__v').lean(),
+        ReminderSettings.findOne(owner).select('-__v -lockedAt').lean(),
+        Notification.find(owner).sort({ createdAt: 1 }).select('-__v').lean(),
+        Habit.find(owner).sort({ createdAt: 1 }).select('-__v').lean(),
+        ExerciseSession.find(owner).sort({ startedAt: 1 }).select('-__v').lean()
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        account: req.user ? req.user.toPublicJSON() : null,
+        sessionId: req.user ? null : req.sessionId,
+        // Preferences live on the session documents
+        preferences: sessions.map(s => ({ sessionId: s.sessionId, ...s.preferences })),
+        sessions,
+        conversations,
+        threads,
+        journalEntries,
+        reminders,
+        notifications,
+        habits,
+        exerciseSessions
+    };
+};
+
+// Spreadsheet apps execute cells starting with these - prefix them so exported text stays text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvTable = (title, columns, rows) => [
+    `# ${title}`,
+    columns.map(([name]) => name).join(','),
+    ...rows.map(row => columns.map(([, pick]) => csvCell(pick(row))).join(','))
+].join('\n');
+
+// One CSV file with a section per record type ("# conversations", "# sessions", ...)
+const exportToCsv = (bundle) => [
+    csvTable('conversations', [
+        ['timestamp', c => c.timestamp],
+        ['text', c => c.userText],
+        ['source', c => c.source],
+        ['transcript_confidence', c => c.transcription?.confidence],
+        ['sentiment', c => c.sentiment],
+        ['confidence', c => c.confidenceScore],
+        ['emotions', c => (c.detectedEmotions || []).filter(e => e.confidence > 0).map(e => `${e.emotion}:${e.confidence}`).join(' ')],
+        ['recommendation', c => c.recommendation],
+        ['tips', c => (c.additionalTips || []).join(' | ')],
+        ['risk_level', c => c.safety?.riskLevel],
+        ['feedback_helpful', c => c.userFeedback?.helpful],
+        ['feedback_rating', c => c.userFeedback?.rating],
+        ['feedback_comment', c => c.userFeedback?.comment],
+        ['language', c => c.metadata?.language],
+        ['detected_language', c => c.metadata?.detectedLanguage],
+        ['user_agent', c => c.metadata?.userAgent],
+        ['ip_hash', c => c.metadata?.ipHash]
+    ], bundle.conversations),
+    csvTable('sessions', [
+        ['session_id', s => s.sessionId],
+        ['first_interaction', s => s.firstInteraction],
+        ['last_interaction', s => s.lastInteraction],
+        ['conversation_count', s => s.conversationCount],
+        ['positive', s => s.moodTrend?.positive],
+        ['negative', s => s.moodTrend?.negative],
+        ['neutral', s => s.moodTrend?.neutral],
+        ['language', s => s.preferences?.language],
+        ['timezone', s => s.preferences?.timezone],
+        ['notifications', s => s.preferences?.notificationEnabled]
+    ], bundle.sessions),
+    csvTable('chat_messages', [
+        ['thread', m => m.threadTitle],
+        ['created_at', m => m.createdAt],
+        ['role', m => m.role],
+        ['content', m => m.content],
+        ['sentiment', m => m.sentiment]
+    ], bundle.threads.flatMap(t => t.messages.map(m => ({ ...m, threadTitle: t.title })))),
+    csvTable('journal_entries', [
+        ['entry_date', j => j.entryDate],
+        ['title', j => j.title],
+        ['body', j => j.body],
+        ['tags', j => (j.tags || []).join(' ')],
+        ['sentiment', j => j.mood?.sentiment],
+        ['confidence', j => j.mood?.confidenceScore],
+        ['revisions', j => j.revisionCount]
+    ], bundle.journalEntries),
+    csvTable('habit_log', [
+        ['habit', h => h.habitName],
+        ['day', h => h.day],
+        ['note', h => h.note],
+        ['logged_at', h => h.loggedAt]
+    ], bundle.habits.flatMap(h => h.completions.map(c => ({ ...c, habitName: h.name })))),
+    csvTable('exercise_sessions', [
+        ['started_at', e => e.startedAt],
+        ['exercise', e => e.exerciseId],
+        ['duration_seconds', e => e.durationSeconds],
+        ['completed', e => e.completed],
+        ['mood_before', e => e.moodBefore],
+        ['mood_after', e => e.moodAfter]
+    ], bundle.exerciseSessions)
+].join('\n\n') + '\n';
+
+// Hard-deletes everything owned by the caller (and the account itself when logged in)
+const eraseOwnerData = async (req) => {
+    const owner = getOwnerFilter(req);
+
+    const [conversations, sessions, threads, journalEntries, reminders, notifications, habits, exerciseSessions] = await Promise.all([
+        Conversation.deleteMany(owner),
+        Session.deleteMany(owner),
+        Thread.deleteMany(owner),
+        JournalEntry.deleteMany(owner),
+        ReminderSettings.deleteMany(owner),
+        Notification.deleteMany(owner),
+        Habit.deleteMany(owner),
+        ExerciseSession.deleteMany(owner)
+    ]);
+
+    const counts = {
+        conversations: conversations.deletedCount,
+        sessions: sessions.deletedCount,
+        threads: threads.deletedCount,
+        journalEntries: journalEntries.deletedCount,
+        reminders: reminders.deletedCount,
+        notifications: notifications.deletedCount,
+        habits: habits.deletedCount,
+        exerciseSessions: exerciseSessions.deletedCount,
+        account: 0,
+        dataKeys: 0
+    };
+
+    if (req.user) {
+        const account = await User.deleteOne({ _id: req.user._id });
+        counts.account = account.deletedCount;
+    }
+
+    // Without its keys, any copy of this owner's encrypted text left in backups is unreadable
+    counts.dataKeys = await destroyOwnerKeys([ownerFromFilter(owner)]);
+
+    await writeAudit('erasure', req, counts);
+    return counts;
+};
+
+module.exports = {
+    hashSubject,
+    writeAudit,
+    buildExport,
+    exportToCsv,
+    eraseOwnerData
+};
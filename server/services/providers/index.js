@@ -0,0 +1,84 @@
+// services/providers/index.js
+// Sentiment provider registry with automatic failover to the local analyzer
+const providerConfig = require('../../config/providers');
+const { createPythonHttpProvider } = require('./pythonHttp');
+const { createLocalLexiconProvider } = require('./localLexicon');
+const { createMockProvider } = require('./mock');
+const { baseLocale } = require('../../utils/locale');
+const logger = require('../../utils/logger');
+
+const factories = {
+    'python-http': createPythonHttpProvider,
+    'local-lexicon': createLocalLexiconProvider,
+    'local-lexicon-hi': () => createLocalLexiconProvider({ locale: 'hi' }),
+    'mock': createMockProvider
+};
+
+const instances = {};
+
+// Connection-level failures that should trigger failover (4xx/5xx answers do not).
+// ECIRCUITOPEN: the AI client's circuit breaker is open and the call was never made.
+const FAILOVER_CODES = ['ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ECIRCUITOPEN'];
+
+const getProvider = (name) => {
+    if (!factories[name]) {
+        throw new Error(`Unknown sentiment provider: ${name}`);
+    }
+    if (!instances[name]) {
+        instances[name] = factories[name]();
+    }
+    return instances[name];
+};
+
+// Lets tests or other modules plug in a custom provider ({ name, analyze(text) })
+const registerProvider = (name, factory) => {
+    factories[name] = factory;
+    delete instances[name];
+};
+
+// True when the provider couldn't be reached at all (as opposed to answering with an error)
+const isUnavailableError = (error) => FAILOVER_CODES.includes(error.code);
+
+// Provider for text detected as `language` (e.g. 'hi-Latn' -> localeProviders.hi)
+const providerForLanguage = (language) => (
+    (language && providerConfig.localeProviders[baseLocale(language)]) || providerConfig.provider
+);
+
+// Returns { sentiment, confidence_score, provider, failover } (+ recommendation/tips if the provider has them).
+// options.language (the detected input language) picks the provider unless options.provider names one.
+const analyzeText = async (text, options = {}) => {
+    const primaryName = options.provider || providerForLanguage(options.language);
+    const primary = getProvider(primaryName);
+
+    try {
+        const result = await primary.analyze(text);
+        return { ...result, provider: primary.name, failover: false };
+    } catch (error) {
+        const fallbackName = providerConfig.fallbackProvider;
+        if (!providerConfig.failoverEnabled || !isUnavailableError(error) || fallbackName === primaryName) {
+            throw error;
+        }
+
+        logger.warn('Sentiment provider unavailable - failing over', { provider: primaryName, code: error.code, fallback: fallbackName });
+        const fallback = getProvider(fallbackName);
+        const result = await fallback.analyze(text);
+        return { ...result, provider: fallback.name, failover: true };
+    }
+};
+
+const describeProviders = () => ({
+    provider: providerConfig.provider,
+    fallbackProvider: providerConfig.fallbackProvider,
+    failoverEnabled: providerConfig.failoverEnabled,
+    localeProviders: providerConfig.localeProviders,
+    available: Object.keys(factories)
+});
+
+module.exports = {
+    analyzeText,
+    providerForLanguage,
+    getProvider,
+    registerProvider,
+    isUnavailableError,
+    describeProviders
+};
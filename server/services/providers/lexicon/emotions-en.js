@@ -0,0 +1,59 @@
+// services/providers/lexicon/emotions-en.js
+// Emotion cue words with a strength (1..3). A word can cue more than one emotion.
+module.exports = {
+    joy: {
+        'happy': 2, 'happier': 2, 'happiest': 3, 'joy': 3, 'joyful': 3, 'glad': 2, 'great': 1, 'amazing': 2,
+        'awesome': 2, 'wonderful': 2, 'fantastic': 2, 'excited': 2, 'exciting': 2, 'thrilled': 3,
+        'ecstatic': 3, 'delighted': 3, 'cheerful': 2, 'fun': 2, 'enjoy': 2, 'enjoyed': 2, 'enjoying': 2,
+        'smile': 1, 'smiling': 2, 'laugh': 1, 'laughing': 2, 'love': 1, 'loved': 1, 'lovely': 2,
+        'proud': 2, 'pleased': 2, 'content': 1, 'calm': 1, 'peaceful': 1, 'relaxed': 1, 'relieved': 2,
+        'good': 1, 'yay': 2, 'celebrate': 2, 'celebrating': 2, 'won': 2, 'win': 1, 'hopeful': 1,
+        'accomplished': 2, 'productive': 1
+    },
+    sadness: {
+        'sad': 3, 'sadness': 3, 'unhappy': 2, 'down': 1, 'low': 1, 'blue': 1, 'upset': 2, 'depressed': 3,
+        'depressing': 2, 'depression': 3, 'miserable': 3, 'hopeless': 3, 'empty': 2, 'numb': 2, 'cry': 2,
+        'crying': 3, 'cried': 3, 'tears': 2, 'hurt': 2, 'hurting': 2, 'broken': 2, 'heartbroken': 3,
+        'grief': 3, 'grieving': 3, 'loss': 2, 'lost': 1, 'disappointed': 2, 'worthless': 2,
+        'exhausted': 1, 'drained': 1, 'miss': 1, 'missing': 1, 'gloomy': 2
+    },
+    anxiety: {
+        'anxious': 3, 'anxiety': 3, 'worried': 3, 'worry': 3, 'worrying': 3, 'nervous': 3, 'stress': 2,
+        'stressed': 3, 'stressful': 2, 'overwhelmed': 3, 'pressure': 2, 'tense': 2, 'restless': 2,
+        'panic': 3, 'panicking': 3, 'uneasy': 2, 'overthinking': 3, 'insomnia': 1, 'deadline': 1,
+        'deadlines': 1, 'exam': 1, 'exams': 1, 'racing': 1, 'dread': 2, 'jittery': 2
+    },
+    anger: {
+        'angry': 3, 'anger': 3, 'mad': 3, 'furious': 3, 'rage': 3, 'frustrated': 2, 'frustrating': 2,
+        'irritated': 2, 'annoyed': 2, 'annoying': 2, 'hate': 2, 'hated': 2, 'resent': 2, 'unfair': 2,
+        'pissed': 3, 'fed': 1, 'sick': 1, 'livid': 3, 'yelled': 2, 'shouted': 2
+    },
+    fear: {
+        'scared': 3, 'afraid': 3, 'fear': 3, 'frightened': 3, 'terrified': 3, 'panic': 2, 'dread': 2,
+        'unsafe': 3, 'threatened': 3, 'nightmare': 2, 'nightmares': 2, 'horror': 2, 'shaking': 2,
+        'danger': 2, 'worried': 1
+    },
+    gratitude: {
+        'grateful': 3, 'gratitude': 3, 'thankful': 3, 'thanks': 2, 'thank': 2, 'blessed': 3,
+        'appreciate': 3, 'appreciated': 2, 'appreciative': 3, 'lucky': 2, 'fortunate': 2, 'supported': 1
+    },
+    loneliness: {
+        'lonely': 3, 'loneliness': 3, 'alone': 2, 'isolated': 3, 'abandoned': 3, 'ignored': 2,
+        'rejected': 2, 'unwanted': 3, 'invisible': 2, 'nobody': 2, 'friendless': 3, 'disconnected': 2,
+        'miss': 1, 'missing': 1
+    },
+
+    // Multi-word cues, matched on the lowercased text
+    phrases: {
+        'left out': { loneliness: 3 },
+        'no one': { loneliness: 2 },
+        'no friends': { loneliness: 3 },
+        'by myself': { loneliness: 2 },
+        'on edge': { anxiety: 3 },
+        'cant sleep': { anxiety: 1, sadness: 1 },
+        "can't sleep": { anxiety: 1, sadness: 1 },
+        'fed up': { anger: 3 },
+        'thank god': { gratitude: 2 },
+        'feel good': { joy: 2 }
+    }
+};
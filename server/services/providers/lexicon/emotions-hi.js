@@ -0,0 +1,49 @@
+// services/providers/lexicon/emotions-hi.js
+// Hindi emotion cues (Roman script and Devanagari), used on top of emotions-en.js for Hindi and Hinglish text
+module.exports = {
+    joy: {
+        'khush': 2, 'khushi': 3, 'mast': 2, 'badhiya': 2, 'badiya': 2, 'shandaar': 2, 'maza': 2, 'mazaa': 2,
+        'sukoon': 1, 'sukun': 1, 'hansi': 2, 'sukhi': 2,
+        'खुश': 2, 'खुशी': 3, 'ख़ुश': 2, 'बढ़िया': 2, 'शानदार': 2, 'मज़ा': 2, 'मजा': 2, 'सुकून': 1, 'सुखी': 2
+    },
+    sadness: {
+        'udaas': 3, 'udas': 3, 'dukhi': 3, 'dukh': 3, 'rona': 3, 'rone': 3, 'roya': 3, 'royi': 3,
+        'nirash': 2, 'niraash': 2, 'dard': 2, 'takleef': 2, 'thaka': 1, 'thaki': 1, 'yaad': 1,
+        'उदास': 3, 'दुखी': 3, 'दुख': 3, 'दुःख': 3, 'रोना': 3, 'निराश': 2, 'दर्द': 2, 'तकलीफ': 2, 'तकलीफ़': 2,
+        'थका': 1, 'थकी': 1, 'याद': 1
+    },
+    anxiety: {
+        'tension': 3, 'tensed': 3, 'chinta': 3, 'pareshan': 2, 'pareshaan': 2, 'preshan': 2, 'ghabrahat': 3,
+        'ghabra': 3, 'ghabraya': 3, 'ghabrayi': 3, 'bechain': 2, 'bechaini': 2, 'tanaav': 3, 'neend': 1,
+        'pariksha': 1,
+        'चिंता': 3, 'परेशान': 2, 'घबराहट': 3, 'बेचैन': 2, 'तनाव': 3, 'नींद': 1, 'परीक्षा': 1
+    },
+    anger: {
+        'gussa': 3, 'naraz': 2, 'naraaz': 2, 'chidchida': 2, 'nafrat': 2, 'bakwas': 1, 'bakwaas': 1,
+        'गुस्सा': 3, 'नाराज़': 2, 'नाराज': 2, 'नफ़रत': 2, 'नफरत': 2
+    },
+    fear: {
+        'darr': 3, 'dar': 2, 'darta': 3, 'darti': 3, 'dara': 3, 'dari': 3, 'ghabrahat': 1,
+        'डर': 3, 'डरता': 3, 'डरती': 3
+    },
+    gratitude: {
+        'shukriya': 3, 'dhanyavaad': 3, 'shukar': 2, 'shukr': 2, 'aabhari': 3,
+        'शुक्रिया': 3, 'धन्यवाद': 3, 'शुक्र': 2, 'आभारी': 3
+    },
+    loneliness: {
+        'akela': 3, 'akeli': 3, 'akelapan': 3, 'tanha': 3, 'tanhai': 3,
+        'अकेला': 3, 'अकेली': 3, 'अकेलापन': 3, 'तन्हा': 3, 'तन्हाई': 3
+    },
+
+    phrases: {
+        'koi nahi samajhta': { loneliness: 3 },
+        'kisi se baat': { loneliness: 1 },
+        'neend nahi': { anxiety: 1, sadness: 1 },
+        'mann nahi lag': { sadness: 2 },
+        'dil bhari': { sadness: 2 },
+        'bhagwan ka shukar': { gratitude: 2 },
+        'कोई नहीं समझता': { loneliness: 3 },
+        'नींद नहीं': { anxiety: 1, sadness: 1 },
+        'मन नहीं लग': { sadness: 2 }
+    }
+};
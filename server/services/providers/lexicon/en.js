@@ -0,0 +1,50 @@
+// services/providers/lexicon/en.js
+// AFINN-style word valences (-5..+5), trimmed to words that show up in mood check-ins
+module.exports = {
+    words: {
+        // Positive
+        'amazing': 4, 'awesome': 4, 'brilliant': 4, 'ecstatic': 4, 'fantastic': 4, 'superb': 4,
+        'thrilled': 5, 'wonderful': 4, 'outstanding': 5, 'joyful': 3, 'joy': 3, 'love': 3, 'loved': 3,
+        'lovely': 3, 'happy': 3, 'happier': 3, 'glad': 3, 'great': 3, 'excited': 3, 'exciting': 3,
+        'blessed': 3, 'grateful': 3, 'thankful': 2, 'proud': 2, 'good': 3, 'better': 2, 'best': 3,
+        'nice': 3, 'fine': 2, 'calm': 2, 'peaceful': 2, 'relaxed': 2, 'relieved': 2, 'hopeful': 2,
+        'hope': 2, 'optimistic': 2, 'confident': 2, 'motivated': 2, 'energetic': 2, 'cheerful': 2,
+        'content': 2, 'satisfied': 2, 'fun': 4, 'enjoy': 2, 'enjoyed': 2, 'enjoying': 2, 'smile': 2,
+        'smiling': 2, 'laugh': 1, 'laughing': 1, 'success': 2, 'successful': 3, 'accomplished': 2,
+        'productive': 2, 'rested': 2, 'refreshed': 2, 'supported': 2, 'loving': 2, 'beautiful': 3,
+        'kind': 2, 'friendly': 2, 'safe': 1, 'strong': 2, 'win': 4, 'won': 3, 'yay': 3, 'awesomeness': 4,
+        'okay': 1, 'ok': 1, 'alright': 1, 'improving': 2, 'improved': 2, 'inspired': 2, 'delighted': 3,
+        'pleased': 3, 'comfortable': 2, 'appreciated': 2,
+
+        // Negative
+        'sad': -2, 'sadness': -2, 'unhappy': -2, 'down': -1, 'low': -1, 'blue': -1, 'upset': -2,
+        'depressed': -2, 'depressing': -2, 'depression': -2, 'miserable': -3, 'hopeless': -2,
+        'helpless': -2, 'worthless': -2, 'lonely': -2, 'alone': -2, 'isolated': -1, 'empty': -1,
+        'numb': -1, 'cry': -1, 'crying': -2, 'cried': -2, 'tears': -2, 'hurt': -2, 'hurting': -2,
+        'pain': -2, 'painful': -2, 'broken': -1, 'heartbroken': -3, 'grief': -2, 'grieving': -2,
+        'anxious': -2, 'anxiety': -2, 'worried': -3, 'worry': -3, 'worrying': -3, 'nervous': -2,
+        'scared': -2, 'afraid': -2, 'fear': -2, 'panic': -3, 'panicking': -3, 'stress': -1,
+        'stressed': -2, 'stressful': -2, 'overwhelmed': -2, 'pressure': -1, 'tense': -2,
+        'angry': -3, 'anger': -3, 'mad': -3, 'furious': -3, 'frustrated': -2, 'frustrating': -2,
+        'irritated': -3, 'annoyed': -2, 'annoying': -2, 'hate': -3, 'hated': -3, 'rage': -2,
+        'tired': -2, 'exhausted': -2, 'drained': -2, 'burnout': -2, 'sick': -2, 'ill': -2,
+        'bad': -3, 'worse': -3, 'worst': -3, 'terrible': -3, 'awful': -3, 'horrible': -3,
+        'failure': -2, 'failed': -2, 'fail': -2, 'lost': -3, 'guilty': -3, 'guilt': -3,
+        'ashamed': -2, 'shame': -2, 'embarrassed': -2, 'regret': -2, 'jealous': -2, 'bored': -2,
+        'boring': -3, 'confused': -2, 'disappointed': -2, 'disappointing': -2, 'rejected': -1,
+        'ignored': -2, 'useless': -2, 'struggle': -2, 'struggling': -2, 'difficult': -1,
+        'hard': -1, 'problem': -2, 'problems': -2, 'sucks': -3, 'ugh': -2, 'insomnia': -2,
+        'restless': -2, 'dread': -2, 'miss': -2, 'missing': -2, 'abandoned': -2
+    },
+
+    // Flip the valence of the next few words
+    negators: ['not', 'no', 'never', "don't", 'dont', "doesn't", "didn't", "isn't", "wasn't",
+        "can't", 'cant', "couldn't", "won't", 'nothing', 'hardly', 'barely'],
+
+    // Multiply the valence of the next word
+    intensifiers: {
+        'very': 1.5, 'really': 1.5, 'so': 1.3, 'extremely': 2, 'super': 1.5, 'too': 1.3,
+        'totally': 1.5, 'completely': 1.5, 'incredibly': 2, 'quite': 1.2, 'slightly': 0.5,
+        'little': 0.6, 'bit': 0.6, 'kinda': 0.7, 'somewhat': 0.7
+    }
+};
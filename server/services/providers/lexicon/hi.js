@@ -0,0 +1,57 @@
+// services/providers/lexicon/hi.js
+// Hindi valences, in Devanagari and in Roman script (Hinglish), on top of the English lexicon -
+// Hinglish check-ins mix both ("aaj bahut stressed hoon").
+// Hindi negation comes after the word ("khush nahi hoon"), so it goes in postNegators.
+const english = require('./en');
+
+// Keys are NFC-normalized like the tokens (ढ़ / ड़ can be typed as one or two code points)
+const normalizeKeys = (object) => Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key.normalize('NFC'), value])
+);
+
+const hindiWords = {
+    // Positive - Roman
+    'khush': 3, 'khushi': 3, 'accha': 2, 'acha': 2, 'achha': 2, 'achcha': 2, 'acchi': 2, 'achi': 2,
+    'badhiya': 3, 'badiya': 3, 'mast': 3, 'shandaar': 4, 'shandar': 4, 'zabardast': 4, 'sukoon': 3,
+    'sukun': 3, 'shanti': 2, 'shaant': 2, 'shant': 2, 'pyaar': 3, 'pyar': 3, 'maza': 3, 'mazaa': 3,
+    'aaram': 2, 'behtar': 2, 'theek': 1, 'thik': 1, 'umeed': 2, 'shukriya': 2, 'dhanyavaad': 2,
+    'santusht': 2, 'garv': 2, 'hansi': 2, 'sukhi': 3, 'khushnuma': 3,
+
+    // Negative - Roman
+    'udaas': -2, 'udas': -2, 'dukhi': -3, 'dukh': -2, 'pareshan': -2, 'pareshaan': -2, 'preshan': -2,
+    'chinta': -2, 'ghabrahat': -3, 'ghabra': -2, 'ghabraya': -2, 'ghabrayi': -2, 'darr': -2,
+    'darta': -2, 'darti': -2, 'gussa': -3, 'naraz': -2, 'naraaz': -2, 'chidchida': -2, 'akela': -2,
+    'akeli': -2, 'akelapan': -2, 'thaka': -2, 'thaki': -2, 'thakan': -2, 'thakaan': -2, 'bura': -3,
+    'buri': -3, 'bekaar': -2, 'bekar': -2, 'bakwas': -3, 'bakwaas': -3, 'kharab': -3, 'kharaab': -3,
+    'rona': -2, 'rone': -2, 'roya': -2, 'royi': -2, 'dard': -2, 'takleef': -2, 'mushkil': -1,
+    'musibat': -2, 'nirash': -2, 'niraash': -2, 'bechain': -2, 'bechaini': -2, 'tanaav': -2,
+    'nafrat': -3, 'afsos': -2, 'pachtava': -2, 'sharminda': -2, 'tension': -2, 'tensed': -2,
+
+    // Positive - Devanagari
+    'खुश': 3, 'खुशी': 3, 'ख़ुश': 3, 'अच्छा': 2, 'अच्छी': 2, 'बढ़िया': 3, 'शानदार': 4, 'ज़बरदस्त': 4,
+    'सुकून': 3, 'शांति': 2, 'शांत': 2, 'प्यार': 3, 'मज़ा': 3, 'मजा': 3, 'आराम': 2, 'बेहतर': 2,
+    'ठीक': 1, 'उम्मीद': 2, 'शुक्रिया': 2, 'धन्यवाद': 2, 'संतुष्ट': 2, 'गर्व': 2, 'सुखी': 3,
+
+    // Negative - Devanagari
+    'उदास': -2, 'दुखी': -3, 'दुख': -2, 'दुःख': -2, 'परेशान': -2, 'चिंता': -2, 'घबराहट': -3,
+    'डर': -2, 'गुस्सा': -3, 'नाराज़': -2, 'नाराज': -2, 'अकेला': -2, 'अकेली': -2, 'अकेलापन': -2,
+    'थका': -2, 'थकी': -2, 'थकान': -2, 'बुरा': -3, 'बुरी': -3, 'बेकार': -2, 'खराब': -3, 'ख़राब': -3,
+    'रोना': -2, 'दर्द': -2, 'तकलीफ': -2, 'तकलीफ़': -2, 'मुश्किल': -1, 'निराश': -2, 'बेचैन': -2,
+    'तनाव': -2, 'नफ़रत': -3, 'नफरत': -3, 'अफ़सोस': -2
+};
+
+module.exports = {
+    words: { ...english.words, ...normalizeKeys(hindiWords) },
+
+    negators: english.negators,
+
+    // Flip the valence of the word just before ("accha nahi laga")
+    postNegators: ['nahi', 'nahin', 'nhi', 'nai', 'नहीं', 'नही'],
+
+    intensifiers: normalizeKeys({
+        ...english.intensifiers,
+        'bahut': 1.5, 'bohot': 1.5, 'bahot': 1.5, 'bhot': 1.5, 'zyada': 1.5, 'jyada': 1.5,
+        'kaafi': 1.3, 'kafi': 1.3, 'bilkul': 1.5, 'itna': 1.3, 'thoda': 0.6, 'thodi': 0.6,
+        'बहुत': 1.5, 'ज़्यादा': 1.5, 'ज्यादा': 1.5, 'काफ़ी': 1.3, 'काफी': 1.3, 'बिल्कुल': 1.5, 'थोड़ा': 0.6
+    })
+};
@@ -0,0 +1,112 @@
+// services/providers/localLexicon.js
+// Pure-JS AFINN-style scorer - works without the Python/transformers stack.
+// One instance per language: 'en', or 'hi' for Hindi and Hinglish (lexicon/hi.js).
+const englishLexicon = require('./lexicon/en');
+const hindiLexicon = require('./lexicon/hi');
+
+const LEXICONS = { en: englishLexicon, hi: hindiLexicon };
+
+const NEGATION_WINDOW = 3;
+// |comparative| below this with both polarities present counts as MIXED
+const MIXED_THRESHOLD = 0.34;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Latin and Devanagari words (the danda "।" ends a sentence, it isn't part of a word)
+const tokenize = (text) => text.normalize('NFC').toLowerCase().match(/[a-z'\u0900-\u0963\u0966-\u097f]+/g) || [];
+
+const scoreText = (text, lexicon = englishLexicon) => {
+    const tokens = tokenize(text);
+    let positive = 0;
+    let negative = 0;
+    let negateFor = 0;
+    let multiplier = 1;
+    const matched = [];
+    // Last scored word, for negators that follow it
+    let last = null;
+
+    const add = (valence, sign = 1) => {
+        if (valence > 0) positive += sign * valence;
+        else negative -= sign * valence;
+    };
+
+    for (const [index, token] of tokens.entries()) {
+        if (lexicon.negators.includes(token)) {
+            negateFor = NEGATION_WINDOW;
+            continue;
+        }
+        if (lexicon.postNegators?.includes(token)) {
+            if (last && index - last.index <= NEGATION_WINDOW) {
+                add(last.valence, -1);
+                const flipped = -last.valence * 0.5;
+                add(flipped);
+                last.entry.score = Math.round(flipped * 100) / 100;
+            }
+            last = null;
+            continue;
+        }
+        if (lexicon.intensifiers[token]) {
+            multiplier *= lexicon.intensifiers[token];
+            continue;
+        }
+
+        let valence = lexicon.words[token];
+        if (valence !== undefined) {
+            valence *= multiplier;
+            if (negateFor > 0) valence = -valence * 0.5;
+            add(valence);
+            const entry = { word: token, score: Math.round(valence * 100) / 100 };
+            matched.push(entry);
+            last = { index, valence, entry };
+        }
+
+        multiplier = 1;
+        if (negateFor > 0) negateFor -= 1;
+    }
+
+    return { positive, negative, tokens: tokens.length, matched };
+};
+
+// Maps raw scores to POSITIVE/NEGATIVE/NEUTRAL/MIXED with a 0..1 confidence
+const classify = ({ positive, negative }) => {
+    const total = positive + negative;
+    if (total === 0) {
+        return { sentiment: 'NEUTRAL', confidence_score: 0.6 };
+    }
+
+    const comparative = (positive - negative) / total;
+    // More matched valence -> more confident
+    const magnitude = Math.min(1, total / 8);
+
+    if (positive > 0 && negative > 0 && Math.abs(comparative) < MIXED_THRESHOLD) {
+        return { sentiment: 'MIXED', confidence_score: round(0.5 + 0.3 * magnitude) };
+    }
+
+    return {
+        sentiment: comparative > 0 ? 'POSITIVE' : 'NEGATIVE',
+        confidence_score: round(Math.min(0.99, 0.5 + 0.5 * Math.abs(comparative) * (0.5 + 0.5 * magnitude)))
+    };
+};
+
+const createLocalLexiconProvider = ({ locale = 'en' } = {}) => ({
+    name: locale === 'en' ? 'local-lexicon' : `local-lexicon-${locale}`,
+
+    async analyze(text) {
+        const scores = scoreText(text, LEXICONS[locale]);
+        return {
+            ...classify(scores),
+            scores: {
+                positive: round(scores.positive),
+                negative: round(scores.negative),
+                matchedWords: scores.matched.length
+            }
+        };
+    }
+});
+
+module.exports = {
+    LEXICONS,
+    createLocalLexiconProvider,
+    scoreText,
+    classify
+};
@@ -0,0 +1,22 @@
+// services/providers/mock.js
+// Deterministic results for tests - same text always gives the same answer
+const POSITIVE_WORDS = /\b(happy|great|good|love|excited|grateful|calm)\b/i;
+const NEGATIVE_WORDS = /\b(sad|bad|angry|anxious|hate|tired|lonely|stressed|worried)\b/i;
+
+const createMockProvider = () => ({
+    name: 'mock',
+
+    async analyze(text) {
+        const positive = POSITIVE_WORDS.test(text);
+        const negative = NEGATIVE_WORDS.test(text);
+
+        if (positive && negative) return { sentiment: 'MIXED', confidence_score: 0.7 };
+        if (positive) return { sentiment: 'POSITIVE', confidence_score: 0.95 };
+        if (negative) return { sentiment: 'NEGATIVE', confidence_score: 0.95 };
+        return { sentiment: 'NEUTRAL', confidence_score: 0.75 };
+    }
+});
+
+module.exports = {
+    createMockProvider
+};
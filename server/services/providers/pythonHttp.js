@@ -0,0 +1,22 @@
+// services/providers/pythonHttp.js
+// The Flask /predict service (ai-api/app.py) - retries and the circuit breaker live in services/aiClient
+const { predict } = require('../aiClient');
+
+const createPythonHttpProvider = () => ({
+    name: 'python-http',
+
+    // 4xx responses are thrown with `response` attached (see describeAIError)
+    async analyze(text) {
+        const response = await predict(text);
+        if (response.status >= 400) {
+            const error = new Error(response.data?.error || 'AI service error');
+            error.response = response;
+            throw error;
+        }
+        return response.data;
+    }
+});
+
+module.exports = {
+    createPythonHttpProvider
+};
@@ -0,0 +1,86 @@
+// services/rateLimit/index.js
+// Fixed-window rate limiter with pluggable counter stores (memory | mongo, see config/rateLimit.js).
+// Each request is counted once per key it has (session, user, ip); the tightest key decides.
+const rateLimitConfig = require('../../config/rateLimit');
+const { createMemoryStore } = require('./memoryStore');
+const { createMongoStore } = require('./mongoStore');
+const logger = require('../../utils/logger');
+
+const factories = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+const instances = {};
+
+const getStore = (name = rateLimitConfig.store) => {
+    if (!factories[name]) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    if (!instances[name]) {
+        instances[name] = factories[name]();
+    }
+    return instances[name];
+};
+
+// Lets tests plug in a custom store ({ name, increment(key, expiresAt) -> count })
+const registerStore = (name, factory) => {
+    factories[name] = factory;
+    delete instances[name];
+};
+
+const getLimit = (routeName) => {
+    const limit = rateLimitConfig.limits[routeName];
+    if (!limit) {
+        throw new Error(`No rate limit configured for route: ${routeName}`);
+    }
+    return limit;
+};
+
+const incrementWithFallback = async (key, expiresAt) => {
+    const store = getStore();
+    try {
+        return await store.increment(key, expiresAt);
+    } catch (error) {
+        // A shared store outage shouldn't switch protection off - count locally until it's back
+        if (store.name === 'memory') throw error;
+        logger.warn('Rate limit store unavailable - counting in memory', { store: store.name, error });
+        return getStore('memory').increment(key, expiresAt);
+    }
+};
+
+// keys: { session, user, ip } - ids to count this request under (missing ones are skipped)
+// Returns { limited, limit, remaining, resetAt, dimension } for the key closest to its limit
+const consume = async (routeName, keys, now = Date.now()) => {
+    const limit = getLimit(routeName);
+    const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+    const resetAt = windowStart + limit.windowMs;
+
+    const dimensions = Object.keys(keys).filter(dimension => keys[dimension] && limit[dimension]);
+    const counts = await Promise.all(dimensions.map(dimension =>
+        incrementWithFallback(`${routeName}:${dimension}:${keys[dimension]}:${windowStart}`, resetAt)
+    ));
+
+    let result = null;
+    dimensions.forEach((dimension, i) => {
+        const max = limit[dimension];
+        const remaining = Math.max(max - counts[i], 0);
+        const limited = counts[i] > max;
+        if (!result || (limited && !result.limited) || (limited === result.limited && remaining < result.remaining)) {
+            result = { limited, limit: max, remaining, resetAt, dimension };
+        }
+    });
+
+    return result || { limited: false, limit: null, remaining: null, resetAt, dimension: null };
+};
+
+const resetStores = async () => {
+    await Promise.all(Object.values(instances).map(store => store.reset()));
+};
+
+module.exports = {
+    consume,
+    getStore,
+    registerStore,
+    resetStores
+};
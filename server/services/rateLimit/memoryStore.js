@@ -0,0 +1,42 @@
+// services/rateLimit/memoryStore.js
+// Counters in process memory - fine for a single server instance
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    // Drop finished windows so the map doesn't grow forever
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.expiresAt <= now) counters.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, expiresAt) {
+            const counter = counters.get(key);
+            if (!counter || counter.expiresAt <= Date.now()) {
+                counters.set(key, { count: 1, expiresAt });
+                return 1;
+            }
+            counter.count += 1;
+            return counter.count;
+        },
+
+        reset() {
+            counters.clear();
+        },
+
+        close() {
+            clearInterval(sweeper);
+        }
+    };
+};
+
+module.exports = {
+    createMemoryStore
+};
@@ -0,0 +1,35 @@
+// services/rateLimit/mongoStore.js
+// Counters in MongoDB, shared by every server instance. A TTL index removes finished windows.
+const { RateLimitCounter } = require('../../models');
+
+const DUPLICATE_KEY = 11000;
+
+const createMongoStore = () => ({
+    name: 'mongo',
+
+    async increment(key, expiresAt) {
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+            { upsert: true, new: true, lean: true }
+        );
+
+        try {
+            return (await update()).count;
+        } catch (error) {
+            // Two instances upserting the same new key at once - the loser just retries
+            if (error.code !== DUPLICATE_KEY) throw error;
+            return (await update()).count;
+        }
+    },
+
+    async reset() {
+        await RateLimitCounter.deleteMany({});
+    },
+
+    close() {}
+});
+
+module.exports = {
+    createMongoStore
+};
@@ -0,0 +1,264 @@
+// services/recommendationEngine.js
+// Rule-driven recommendations loaded from a JSON catalog (data/recommendations.json by default).
+// Content team catalog edit kare to server restart ki zarurat nahi - file change hote hi reload hota hai.
+//
+// Rule shape:
+//   { id, priority, weight, when: { sentiment, confidence: { min, max }, keywords, emotions, history }, message, tips }
+// - sentiment: list of sentiments the rule applies to
+// - confidence: min is inclusive, max is exclusive
+// - keywords / emotions: the rule matches if any keyword is in the text OR any listed emotion was detected
+// - history.consecutive: { sentiment, min } - e.g. third NEGATIVE in a row (current check-in included)
+// - message / tip text: { <locale>: string }, falling back to the catalog's defaultLocale
+// - tips: [{ id, text, weight, exerciseId }] - exerciseId (optional) is the guided exercise the tip launches
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+const CATALOG_PATH = process.env.RECOMMENDATION_CATALOG || path.join(__dirname, '..', 'data', 'recommendations.json');
+const HOT_RELOAD = process.env.RECOMMENDATION_HOT_RELOAD !== 'false';
+// Emotions below this score don't count for rule matching
+const EMOTION_THRESHOLD = 0.3;
+
+let catalog = null;
+let watcher = null;
+
+const validateCatalog = (data) => {
+    if (!data || !Array.isArray(data.rules) || data.rules.length === 0) {
+        throw new Error('Catalog must contain a non-empty "rules" array');
+    }
+    const ids = new Set();
+    for (const rule of data.rules) {
+        if (!rule.id || ids.has(rule.id)) {
+            throw new Error(`Rule id missing or duplicated: ${rule.id}`);
+        }
+        ids.add(rule.id);
+        if (!rule.message || typeof rule.message !== 'object') {
+            throw new Error(`Rule ${rule.id} has no message`);
+        }
+        for (const tip of rule.tips || []) {
+            if (!tip.id || !tip.text) {
+                throw new Error(`Rule ${rule.id} has a tip without id/text`);
+            }
+        }
+    }
+    return data;
+};
+
+// Compile keyword regexes once per load
+const compileCatalog = (data) => ({
+    defaultLocale: data.defaultLocale || 'en',
+    tipsPerResponse: data.tipsPerResponse || 4,
+    dedupWindow: data.dedupWindow || 5,
+    version: data.version,
+    rules: data.rules.map((rule, index) => ({
+        ...rule,
+        order: index,
+        priority: rule.priority || 0,
+        weight: rule.weight === undefined ? 1 : rule.weight,
+        when: rule.when || {},
+        keywordRegexes: (rule.when?.keywords || []).map(word => new RegExp(`\\b${word}\\b`, 'i'))
+    }))
+});
+
+// Reads the catalog from disk; on error the previously loaded catalog stays active
+const loadCatalog = () => {
+    try {
+        const data = validateCatalog(JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8')));
+        catalog = compileCatalog(data);
+        logger.info('Recommendation catalog loaded', { rules: catalog.rules.length, version: catalog.version });
+    } catch (error) {
+        logger.error('Failed to load recommendation catalog', { error, path: CATALOG_PATH });
+        if (!catalog) throw error;
+    }
+    return catalog;
+};
+
+const watchCatalog = () => {
+    if (watcher || !HOT_RELOAD) return;
+    watcher = fs.watchFile(CATALOG_PATH, { interval: 2000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) {
+            logger.info('Recommendation catalog changed - reloading');
+            loadCatalog();
+        }
+    });
+    // Don't keep the process alive just for the watcher
+    watcher.unref?.();
+};
+
+const getCatalog = () => {
+    if (!catalog) {
+        loadCatalog();
+        watchCatalog();
+    }
+    return catalog;
+};
+
+const stopWatching = () => {
+    if (watcher) {
+        fs.unwatchFile(CATALOG_PATH);
+        watcher = null;
+    }
+};
+
+const localize = (text, locale, defaultLocale) => {
+    if (typeof text === 'string') return text;
+    return text[locale] || text[defaultLocale] || Object.values(text)[0];
+};
+
+// Current check-in plus previous sentiments (newest first)
+const countConsecutive = (sentiment, currentSentiment, history) => {
+    if (currentSentiment !== sentiment) return 0;
+    let count = 1;
+    for (const entry of history) {
+        if (entry.sentiment !== sentiment) break;
+        count += 1;
+    }
+    return count;
+};
+
+const ruleMatches = (rule, input) => {
+    const { when } = rule;
+
+    if (when.sentiment && !when.sentiment.includes(input.sentiment)) return false;
+
+    if (when.confidence) {
+        if (when.confidence.min !== undefined && input.confidence < when.confidence.min) return false;
+        if (when.confidence.max !== undefined && input.confidence >= when.confidence.max) return false;
+    }
+
+    const hasTopicCondition = rule.keywordRegexes.length > 0 || (when.emotions || []).length > 0;
+    if (hasTopicCondition) {
+        const keywordHit = rule.keywordRegexes.some(regex => regex.test(input.text));
+        const emotionHit = (when.emotions || []).some(emotion => input.emotions.includes(emotion));
+        if (!keywordHit && !emotionHit) return false;
+    }
+
+    if (when.history?.consecutive) {
+        const { sentiment, min } = when.history.consecutive;
+        if (countConsecutive(sentiment, input.sentiment, input.history) < min) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Picks a message and tips for one check-in.
+ * history: previous check-ins, newest first: [{ sentiment, tipIds }]
+ * tipBoosts: optional { tipId: multiplier } (e.g. from user feedback)
+ * Returns { message, tips, tipIds, ruleIds }
+ */
+const recommend = ({ sentiment, confidence = 0, text = '', emotions = [], history = [], locale, tipBoosts = {} }) => {
+    const current = getCatalog();
+    const lang = locale || current.defaultLocale;
+
+    const input = {
+        sentiment,
+        confidence,
+        text,
+        emotions: emotions
+            .filter(e => (e.confidence === undefined ? true : e.confidence >= EMOTION_THRESHOLD))
+            .map(e => (typeof e === 'string' ? e : e.emotion)),
+        history
+    };
+
+    const matched = current.rules
+        .filter(rule => ruleMatches(rule, input))
+        .sort((a, b) => (b.priority - a.priority) || (b.weight - a.weight) || (a.order - b.order));
+
+    if (matched.length === 0) {
+        return { message: null, tips: [], tipIds: [], ruleIds: [] };
+    }
+
+    // Message comes from the most specific rule
+    const [top] = matched;
+
+    // Tips from every matching rule, scored by rule priority/weight and tip weight
+    const candidates = new Map();
+    for (const rule of matched) {
+        for (const tip of rule.tips || []) {
+            const score = (rule.priority + 1) * rule.weight * (tip.weight || 1) * (tipBoosts[tip.id] || 1);
+            const existing = candidates.get(tip.id);
+            if (!existing || existing.score < score) {
+                candidates.set(tip.id, { id: tip.id, text: tip.text, score });
+            }
+        }
+    }
+
+    // Dedup: tips shown in the last few check-ins go to the back of the queue
+    const recentTipIds = new Set(history.slice(0, current.dedupWindow).flatMap(h => h.tipIds || []));
+    const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+    const fresh = ranked.filter(tip => !recentTipIds.has(tip.id));
+    const repeats = ranked.filter(tip => recentTipIds.has(tip.id));
+    const chosen = [...fresh, ...repeats].slice(0, current.tipsPerResponse);
+
+    return {
+        message: localize(top.message, lang, current.defaultLocale),
+        tips: chosen.map(tip => localize(tip.text, lang, current.defaultLocale)),
+        tipIds: chosen.map(tip => tip.id),
+        ruleIds: matched.map(rule => rule.id)
+    };
+};
+
+// Replaces the provider's recommendation/tips with the catalog's (provider output is kept if nothing matches)
+const withRecommendation = (aiResult, { text, locale, history, emotions, tipBoosts }) => {
+    const result = recommend({
+        sentiment: aiResult.sentiment,
+        confidence: aiResult.confidence_score,
+        text,
+        emotions: emotions || [],
+        history,
+        locale,
+        tipBoosts
+    });
+
+    if (!result.message) return aiResult;
+
+    return {
+        ...aiResult,
+        recommendation: result.message,
+        additional_tips: result.tips,
+        recommendationMeta: {
+            ruleIds: result.ruleIds,
+            tipIds: result.tipIds
+        }
+    };
+};
+
+// Localized text of a catalog tip (null if the id is no longer in the catalog)
+const getTipText = (tipId, locale) => {
+    const current = getCatalog();
+    for (const rule of current.rules) {
+        const tip = (rule.tips || []).find(t => t.id === tipId);
+        if (tip) return localize(tip.text, locale || current.defaultLocale, current.defaultLocale);
+    }
+    return null;
+};
+
+// Guided exercise of a catalog tip (services/exercises.js), or null
+const getTipExercise = (tipId) => {
+    for (const rule of getCatalog().rules) {
+        const tip = (rule.tips || []).find(t => t.id === tipId);
+        if (tip) return tip.exerciseId || null;
+    }
+    return null;
+};
+
+// Localized message of a catalog rule (null if the rule is no longer in the catalog)
+const getRuleMessage = (ruleId, locale) => {
+    const current = getCatalog();
+    const rule = current.rules.find(r => r.id === ruleId);
+    return rule ? localize(rule.message, locale || current.defaultLocale, current.defaultLocale) : null;
+};
+
+module.exports = {
+    CATALOG_PATH,
+    recommend,
+    withRecommendation,
+    getTipText,
+    getTipExercise,
+    getRuleMessage,
+    loadCatalog,
+    getCatalog,
+    stopWatching
+};
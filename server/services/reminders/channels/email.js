@@ -0,0 +1,95 @@
+// services/reminders/channels/email.js
+// Email reminders through a pluggable transport (EMAIL_TRANSPORT, see config/reminders.js):
+//   file - writes each message as an .eml file to EMAIL_DIR (development stand-in, open it in any mail app)
+//   smtp - sends through SMTP_HOST
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const remindersConfig = require('../../../config/reminders');
+
+const transportFactories = {
+    file: () => {
+        const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return {
+            name: 'file',
+            async sendMail(mail) {
+                const info = await mailer.sendMail(mail);
+                const { directory } = remindersConfig.email;
+                const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+                await fs.mkdir(directory, { recursive: true });
+                await fs.writeFile(file, info.message);
+                return { messageId: info.messageId, file };
+            }
+        };
+    },
+
+    smtp: () => {
+        const { host, port, secure, user, pass } = remindersConfig.email.smtp;
+        const mailer = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+        return {
+            name: 'smtp',
+            sendMail: (mail) => mailer.sendMail(mail)
+        };
+    }
+};
+
+const transports = {};
+
+// The lines around the reminder, by message.locale (services/reminders/index.js)
+const EMAIL_TEXT = {
+    en: {
+        checkIn: 'Check in',
+        footer: 'You get this email because you turned on check-in reminders. You can change or turn them off under 🔔 Reminders in the app.'
+    },
+    hi: {
+        checkIn: 'चेक-इन करें',
+        footer: 'यह ईमेल आपको इसलिए मिला क्योंकि आपने चेक-इन रिमाइंडर चालू किए हैं। आप इन्हें ऐप में 🔔 रिमाइंडर के अंदर बदल या बंद कर सकते हैं।'
+    }
+};
+
+const getTransport = (name = remindersConfig.email.transport) => {
+    if (!transportFactories[name]) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+    if (!transports[name]) {
+        transports[name] = transportFactories[name]();
+    }
+    return transports[name];
+};
+
+// Lets tests or deployments plug in another transport ({ name, sendMail(mail) })
+const registerEmailTransport = (name, factory) => {
+    transportFactories[name] = factory;
+    delete transports[name];
+};
+
+const createEmailChannel = () => ({
+    name: 'email',
+
+    isConfigured: () => true,
+
+    async send(settings, message) {
+        // Only accounts get email reminders (routes/reminders.js) - an anonymous session's address was never confirmed
+        if (!settings.email || !settings.userId) {
+            return { delivered: 0, skipped: 'no email address' };
+        }
+
+        const text = EMAIL_TEXT[message.locale] || EMAIL_TEXT.en;
+        await getTransport().sendMail({
+            from: remindersConfig.email.from,
+            to: settings.email,
+            subject: message.title,
+            text: [
+                message.body,
+                `${text.checkIn}: ${message.url}`,
+                text.footer
+            ].join('\n\n')
+        });
+        return { delivered: 1 };
+    }
+});
+
+module.exports = {
+    createEmailChannel,
+    registerEmailTransport
+};
@@ -0,0 +1,21 @@
+// services/reminders/channels/inApp.js
+// Stores the reminder as a notification the client picks up (GET /reminders/notifications)
+const { Notification } = require('../../../models');
+
+const createInAppChannel = () => ({
+    name: 'in-app',
+
+    isConfigured: () => true,
+
+    async send(settings, message) {
+        await Notification.create({
+            sessionId: settings.sessionId,
+            userId: settings.userId,
+            title: message.title,
+            body: message.body
+        });
+        return { delivered: 1 };
+    }
+});
+
+module.exports = { createInAppChannel };
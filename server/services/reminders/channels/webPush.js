@@ -0,0 +1,76 @@
+// services/reminders/channels/webPush.js
+// Web Push to every browser the user subscribed (client/public/service-worker.js shows it).
+// Needs VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (config/reminders.js).
+const webpush = require('web-push');
+const remindersConfig = require('../../../config/reminders');
+const logger = require('../../../utils/logger');
+
+// Push services drop undelivered messages after this long - a stale reminder isn't worth showing
+const PUSH_TTL_SECONDS = 60 * 60;
+
+// The browser unsubscribed, or the subscription expired
+const GONE_STATUSES = [404, 410];
+
+const matchesHost = (hostname, allowed) => (allowed.startsWith('*.')
+    ? hostname.endsWith(allowed.slice(1))
+    : hostname === allowed);
+
+// Only https URLs on the default port of a known push service (remindersConfig.webPush.allowedHosts)
+const isPushServiceEndpoint = (endpoint) => {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+    return remindersConfig.webPush.allowedHosts.some(allowed => matchesHost(url.hostname, allowed));
+};
+
+const createWebPushChannel = () => {
+    const { publicKey, privateKey, subject } = remindersConfig.webPush;
+    const configured = Boolean(publicKey && privateKey);
+
+    return {
+        name: 'web-push',
+
+        isConfigured: () => configured,
+
+        async send(settings, message) {
+            if (!configured) {
+                throw new Error('Web Push is not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)');
+            }
+
+            const payload = JSON.stringify({ title: message.title, body: message.body, url: message.url, tag: 'check-in-reminder' });
+            const options = { vapidDetails: { subject, publicKey, privateKey }, TTL: PUSH_TTL_SECONDS };
+
+            let delivered = 0;
+            const gone = [];
+            await Promise.all(settings.pushSubscriptions.map(async ({ endpoint, keys }) => {
+                // Saved before the allowlist existed, or the list changed since
+                if (!isPushServiceEndpoint(endpoint)) {
+                    gone.push(endpoint);
+                    return;
+                }
+                try {
+                    await webpush.sendNotification({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }, payload, options);
+                    delivered += 1;
+                } catch (error) {
+                    if (GONE_STATUSES.includes(error.statusCode)) {
+                        gone.push(endpoint);
+                    } else {
+                        logger.warn('Web push failed', { statusCode: error.statusCode, error });
+                    }
+                }
+            }));
+
+            // Saved by the scheduler along with the rest of the settings
+            if (gone.length > 0) {
+                settings.pushSubscriptions = settings.pushSubscriptions.filter(subscription => !gone.includes(subscription.endpoint));
+            }
+            return { delivered, removedSubscriptions: gone.length };
+        }
+    };
+};
+
+module.exports = { createWebPushChannel, isPushServiceEndpoint };
@@ -0,0 +1,92 @@
+// services/reminders/index.js
+// Reminder delivery channels (in-app | web-push | email). Each settings document lists the channels
+// its reminders go out on; a channel is { name, isConfigured(), send(settings, message) -> { delivered } }.
+const remindersConfig = require('../../config/reminders');
+const { createInAppChannel } = require('./channels/inApp');
+const { createWebPushChannel } = require('./channels/webPush');
+const { createEmailChannel } = require('./channels/email');
+const logger = require('../../utils/logger');
+
+const factories = {
+    'in-app': createInAppChannel,
+    'web-push': createWebPushChannel,
+    'email': createEmailChannel
+};
+
+const instances = {};
+
+const getChannel = (name) => {
+    if (!factories[name]) {
+        throw new Error(`Unknown reminder channel: ${name}`);
+    }
+    if (!instances[name]) {
+        instances[name] = factories[name]();
+    }
+    return instances[name];
+};
+
+// Lets tests or other modules plug in a custom channel
+const registerChannel = (name, factory) => {
+    factories[name] = factory;
+    delete instances[name];
+};
+
+// { 'in-app': true, 'web-push': false, ... } - whether each channel can deliver on this server
+const describeChannels = () => Object.fromEntries(Object.keys(factories).map(name => [name, getChannel(name).isConfigured()]));
+
+const DEFAULT_LOCALE = 'en';
+
+// { <locale>: { title, prompts } } - the locale is the session's preferences.language
+const REMINDER_MESSAGES = {
+    en: {
+        title: 'Time for a check-in 🌱',
+        prompts: [
+            'How are you feeling right now? A quick check-in takes less than a minute.',
+            'Take a breath and notice how today has been going. Want to write it down?',
+            'A moment for yourself: how is your mood today?'
+        ]
+    },
+    hi: {
+        title: 'चेक-इन का समय 🌱',
+        prompts: [
+            'अभी आप कैसा महसूस कर रहे हैं? एक छोटा सा चेक-इन एक मिनट से भी कम लेता है।',
+            'एक गहरी साँस लें और देखें कि आज का दिन कैसा जा रहा है। क्या इसे लिखना चाहेंगे?',
+            'अपने लिए एक पल: आज आपका मूड कैसा है?'
+        ]
+    }
+};
+
+// Rotates the wording so reminders don't read the same every day. Unknown locales get English.
+const buildReminderMessage = (settings, locale = DEFAULT_LOCALE) => {
+    const messageLocale = REMINDER_MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+    const { title, prompts } = REMINDER_MESSAGES[messageLocale];
+    return {
+        title,
+        body: prompts[settings.sentCount % prompts.length],
+        url: remindersConfig.appUrl,
+        locale: messageLocale
+    };
+};
+
+// Sends through every channel of the settings - one failing channel doesn't stop the others.
+// Returns { [channel]: { delivered, ... } | { delivered: 0, error } }
+const deliverReminder = async (settings, message) => {
+    const results = {};
+    for (const name of settings.channels) {
+        try {
+            results[name] = await getChannel(name).send(settings, message);
+        } catch (error) {
+            logger.warn('Reminder channel failed', { channel: name, error });
+            results[name] = { delivered: 0, error: error.message };
+        }
+    }
+    return results;
+};
+
+module.exports = {
+    getChannel,
+    registerChannel,
+    describeChannels,
+    buildReminderMessage,
+    deliverReminder
+};
@@ -0,0 +1,109 @@
+// services/reminders/schedule.js
+// Pure reminder timing: when the next reminder is due (schedules, quiet hours, snooze) and whether a due
+// one should go out (already checked in today, backoff). No database access, so it is easy to test.
+const remindersConfig = require('../../config/reminders');
+const { getZonedParts, zonedTimeToUtc, parseTimeOfDay } = require('../../utils/timezone');
+
+const atLocalTime = (year, month, day, minutes, timezone) => zonedTimeToUtc({
+    year,
+    month,
+    day,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+}, timezone);
+
+// First occurrence of a schedule strictly after `after`, or null
+const nextOccurrence = (schedule, after, timezone) => {
+    const today = getZonedParts(after, timezone);
+    const minutes = parseTimeOfDay(schedule.time);
+
+    // A weekly schedule repeats within 7 days; day 8 covers a time earlier today on today's weekday
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (schedule.frequency === 'weekly' && !(schedule.daysOfWeek || []).includes(date.getUTCDay())) continue;
+
+        const at = atLocalTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), minutes, timezone);
+        if (at > after) return at;
+    }
+    return null;
+};
+
+const isInQuietHours = (minutes, { start, end }) => {
+    const startMinutes = parseTimeOfDay(start);
+    const endMinutes = parseTimeOfDay(end);
+    if (startMinutes === endMinutes) return false;
+    return startMinutes < endMinutes
+        ? minutes >= startMinutes && minutes < endMinutes
+        // Wraps past midnight (22:00-07:00)
+        : minutes >= startMinutes || minutes < endMinutes;
+};
+
+// Moves a time inside quiet hours to the moment they end
+const deferPastQuietHours = (date, quietHours, timezone) => {
+    if (!quietHours) return date;
+
+    const local = getZonedParts(date, timezone);
+    const minutes = local.hour * 60 + local.minute;
+    if (!isInQuietHours(minutes, quietHours)) return date;
+
+    const endMinutes = parseTimeOfDay(quietHours.end);
+    // Before midnight in a wrapping window -> quiet hours end tomorrow
+    const dayOffset = minutes >= endMinutes ? 1 : 0;
+    return atLocalTime(local.year, local.month, local.day + dayOffset, endMinutes, timezone);
+};
+
+// When the next reminder is due after `after`: the earliest enabled schedule, or the end of a snooze.
+// Returns null when reminders are off or nothing is scheduled.
+const computeNextRun = (settings, after = new Date()) => {
+    if (!settings.enabled) return null;
+    const { timezone, quietHours, snoozedUntil } = settings;
+
+    if (snoozedUntil && snoozedUntil > after) {
+        return deferPastQuietHours(snoozedUntil, quietHours, timezone);
+    }
+
+    const candidates = (settings.schedules || [])
+        .filter(schedule => schedule.enabled !== false)
+        .map(schedule => nextOccurrence(schedule, after, timezone))
+        .filter(Boolean)
+        .map(date => deferPastQuietHours(date, quietHours, timezone));
+
+    if (candidates.length === 0) return null;
+    return new Date(Math.min(...candidates.map(date => date.getTime())));
+};
+
+// 0 until ignoreThreshold reminders in a row went unanswered, then 1, 2, ... up to maxBackoffLevel
+const getBackoffLevel = (ignoredCount, { ignoreThreshold, maxBackoffLevel } = remindersConfig) => (
+    ignoredCount < ignoreThreshold ? 0 : Math.min(maxBackoffLevel, ignoredCount - ignoreThreshold + 1)
+);
+
+const isSameLocalDay = (a, b, timezone) => {
+    const first = getZonedParts(a, timezone);
+    const second = getZonedParts(b, timezone);
+    return first.year === second.year && first.month === second.month && first.day === second.day;
+};
+
+// What to do with a due reminder:
+//   'send'
+//   'already-checked-in' - the user checked in today (or since snoozing), no nudge needed
+//   'backoff'            - reminders were ignored; only every 2^level-th one goes out
+// state: { now, lastCheckInAt, snoozeEnded, snoozedAt, ignoredCount, skippedCount, timezone }
+const decideDelivery = ({ now, lastCheckInAt, snoozeEnded, snoozedAt, ignoredCount, skippedCount, timezone }, options) => {
+    if (snoozeEnded) {
+        // The user asked to be reminded - only a check-in since snoozing cancels it
+        return lastCheckInAt && snoozedAt && lastCheckInAt > snoozedAt ? 'already-checked-in' : 'send';
+    }
+    if (lastCheckInAt && isSameLocalDay(lastCheckInAt, now, timezone)) return 'already-checked-in';
+
+    const level = getBackoffLevel(ignoredCount, options);
+    return skippedCount >= 2 ** level - 1 ? 'send' : 'backoff';
+};
+
+module.exports = {
+    nextOccurrence,
+    isInQuietHours,
+    deferPastQuietHours,
+    computeNextRun,
+    getBackoffLevel,
+    decideDelivery
+};
@@ -0,0 +1,121 @@
+// services/reminders/scheduler.js
+// Background job that sends due check-in reminders. Settings live in MongoDB (models/ReminderSettings.js)
+// and are claimed one at a time, so several server instances can run the scheduler side by side.
+const { Conversation, ReminderSettings, Session } = require('../../models');
+const remindersConfig = require('../../config/reminders');
+const { computeNextRun, decideDelivery, getBackoffLevel } = require('./schedule');
+const { buildReminderMessage, deliverReminder } = require('./index');
+const logger = require('../../utils/logger');
+
+// A reminder still locked after this long belonged to a scheduler that died - it's picked up again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Handles one due reminder: sends it (or skips it) and schedules the next one. Returns the decision.
+const processReminder = async (settings, now = new Date()) => {
+    const lastCheckIn = await Conversation.findOne(settings.ownerFilter())
+        .sort({ timestamp: -1 })
+        .select('timestamp')
+        .lean();
+    const lastCheckInAt = lastCheckIn?.timestamp || null;
+
+    // Did the last reminder get a reaction - a check-in, or opening / snoozing it?
+    if (settings.lastSentAt) {
+        const responded = (lastCheckInAt && lastCheckInAt > settings.lastSentAt) ||
+            (settings.lastRespondedAt && settings.lastRespondedAt > settings.lastSentAt);
+        if (responded) settings.ignoredCount = 0;
+        else if (settings.awaitingResponse) settings.ignoredCount += 1;
+        settings.awaitingResponse = false;
+    }
+
+    const snoozeEnded = Boolean(settings.snoozedUntil && settings.snoozedUntil <= now);
+    const decision = decideDelivery({
+        now,
+        lastCheckInAt,
+        snoozeEnded,
+        snoozedAt: settings.lastRespondedAt,
+        ignoredCount: settings.ignoredCount,
+        skippedCount: settings.skippedCount,
+        timezone: settings.timezone
+    });
+    if (snoozeEnded) settings.snoozedUntil = null;
+
+    let deliveries = null;
+    if (decision === 'send') {
+        // In the language the user last checked in with
+        const session = await Session.findOne({ sessionId: settings.sessionId }).select('preferences.language').lean();
+        deliveries = await deliverReminder(settings, buildReminderMessage(settings, session?.preferences?.language));
+        settings.lastSentAt = now;
+        settings.awaitingResponse = true;
+        settings.sentCount += 1;
+        settings.skippedCount = 0;
+    } else if (decision === 'backoff') {
+        settings.skippedCount += 1;
+    }
+
+    settings.nextRunAt = computeNextRun(settings, now);
+    settings.lockedAt = null;
+    await settings.save();
+
+    logger.info('Reminder processed', {
+        decision,
+        deliveries,
+        backoffLevel: getBackoffLevel(settings.ignoredCount),
+        nextRunAt: settings.nextRunAt
+    });
+    return decision;
+};
+
+// Sends up to batchSize due reminders. Returns the number processed.
+const processDueReminders = async ({ now = new Date(), batchSize = remindersConfig.batchSize } = {}) => {
+    let processed = 0;
+    while (processed < batchSize) {
+        const settings = await ReminderSettings.claimDue(now, LOCK_TIMEOUT_MS);
+        if (!settings) break;
+
+        processed += 1;
+        try {
+            await processReminder(settings, now);
+        } catch (error) {
+            // Stays locked, so it's retried once the lock times out instead of on every run
+            logger.error('Sending reminder failed', { error });
+        }
+    }
+    return processed;
+};
+
+const startReminderScheduler = () => {
+    if (timer || !remindersConfig.enabled) return;
+
+    const tick = async () => {
+        // A slow run shouldn't overlap with the next one
+        if (running) return;
+        running = true;
+        try {
+            await processDueReminders();
+        } catch (error) {
+            logger.error('Reminder scheduler run failed', { error });
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info('Reminder scheduler started', { intervalMs: remindersConfig.pollIntervalMs });
+    tick();
+    timer = setInterval(tick, remindersConfig.pollIntervalMs);
+    timer.unref();
+};
+
+const stopReminderScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    processReminder,
+    processDueReminders,
+    startReminderScheduler,
+    stopReminderScheduler
+};
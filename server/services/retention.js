@@ -0,0 +1,76 @@
+// services/retention.js
+// Scheduled purge/anonymization of old check-ins (RETENTION_DAYS / RETENTION_MODE)
+const { Conversation, Session, AuditLog } = require('../models');
+const privacyConfig = require('../config/privacy');
+const logger = require('../utils/logger');
+
+let timer = null;
+
+// Anonymized check-ins keep sentiment/emotions for aggregate stats, but lose the text and anything identifying
+const ANONYMIZED_FIELDS = {
+    userText: '[removed by retention policy]',
+    sessionId: 'anonymized',
+    userId: null,
+    'metadata.userAgent': null,
+    'metadata.ipHash': null,
+    'metadata.language': null,
+    'userFeedback.comment': null,
+    searchTokens: []
+};
+
+const runRetention = async ({ days = privacyConfig.retentionDays, mode = privacyConfig.retentionMode } = {}) => {
+    if (!days) return null;
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days);
+
+    let affected;
+    if (mode === 'delete') {
+        // Session counters drop the deleted check-ins, like deleting them from the history does
+        const expired = await Conversation.find({ timestamp: { $lt: cutoff } }).select('sessionId sentiment');
+        const result = await Conversation.deleteMany({ _id: { $in: expired.map(conversation => conversation._id) } });
+        await Session.removeConversations(expired);
+        affected = result.deletedCount;
+    } else {
+        const result = await Conversation.updateMany(
+            { timestamp: { $lt: cutoff }, anonymizedAt: null },
+            { $set: { ...ANONYMIZED_FIELDS, anonymizedAt: new Date() } },
+            // The placeholder text isn't personal data and there's no single owner to encrypt it for
+            { skipFieldEncryption: true }
+        );
+        affected = result.modifiedCount;
+    }
+
+    if (affected > 0) {
+        logger.info('Retention policy applied', { mode, affected, days });
+        await AuditLog.create({
+            action: 'retention',
+            subjectType: 'system',
+            counts: { conversations: affected },
+            details: { mode, days, cutoff }
+        });
+    }
+    return { mode, cutoff, affected };
+};
+
+const startRetentionJob = () => {
+    if (timer || !privacyConfig.retentionDays) return;
+
+    const tick = () => runRetention().catch(error => logger.error('Retention job failed', { error }));
+
+    logger.info('Retention job started', { mode: privacyConfig.retentionMode, days: privacyConfig.retentionDays });
+    tick();
+    timer = setInterval(tick, privacyConfig.retentionIntervalMs);
+    timer.unref();
+};
+
+const stopRetentionJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    runRetention,
+    startRetentionJob,
+    stopRetentionJob
+};
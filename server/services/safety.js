@@ -0,0 +1,143 @@
+// services/safety.js
+// Crisis / self-harm detection that runs around the AI call.
+// Pehle text ko screen karte hain (before), phir AI result ke saath final riskLevel decide karte hain (after).
+const safetyConfig = require('../config/safety');
+
+const RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// Compile patterns once at startup
+const compiledPatterns = Object.entries(safetyConfig.patterns).reduce((acc, [locale, levels]) => {
+    acc[locale] = {};
+    for (const level of ['high', 'medium']) {
+        acc[locale][level] = (levels[level] || []).map(({ category, pattern }) => ({
+            category,
+            regex: new RegExp(pattern, 'i')
+        }));
+    }
+    return acc;
+}, {});
+
+// Accepts "hi-IN", "hi", "en-US,en;q=0.9" etc. and returns a configured locale
+const resolveLocale = (language) => {
+    const base = (language || '').split(',')[0].split('-')[0].trim().toLowerCase();
+    return safetyConfig.patterns[base] ? base : safetyConfig.defaultLocale;
+};
+
+const maxRisk = (a, b) => (RISK_LEVELS.indexOf(a) >= RISK_LEVELS.indexOf(b) ? a : b);
+
+// Before the AI call: pattern-based screening.
+// Users mix languages (Hinglish), so the requested locale is checked first and the rest after it.
+const screenText = (text, locale) => {
+    const primary = resolveLocale(locale);
+    const locales = [primary, ...Object.keys(compiledPatterns).filter(l => l !== primary)];
+
+    let riskLevel = 'none';
+    const categories = new Set();
+
+    for (const loc of locales) {
+        for (const level of ['high', 'medium']) {
+            for (const { category, regex } of compiledPatterns[loc][level]) {
+                if (regex.test(text)) {
+                    riskLevel = maxRisk(riskLevel, level);
+                    categories.add(category);
+                }
+            }
+        }
+    }
+
+    return {
+        riskLevel,
+        categories: [...categories],
+        locale: primary
+    };
+};
+
+// After the AI call: combine the screening with the model's sentiment.
+// Concerning phrasing + a strongly NEGATIVE result is treated as a crisis.
+const assessRisk = (screening, aiResult) => {
+    let riskLevel = screening.riskLevel;
+
+    if (aiResult && aiResult.sentiment === 'NEGATIVE') {
+        riskLevel = maxRisk(riskLevel, 'low');
+        if (screening.riskLevel === 'medium' && aiResult.confidence_score >= 0.9) {
+            riskLevel = 'high';
+        }
+    }
+
+    return { ...screening, riskLevel };
+};
+
+const isCrisis = (assessment) => assessment.riskLevel === 'high';
+
+const getResources = (locale) => {
+    return safetyConfig.resources[locale] || safetyConfig.resources[safetyConfig.defaultLocale] || [];
+};
+
+// Crisis response that replaces the normal recommendation
+const buildCrisisResponse = (locale) => {
+    const resolved = resolveLocale(locale);
+    const resources = getResources(resolved);
+
+    return {
+        message: safetyConfig.messages[resolved] || safetyConfig.messages[safetyConfig.defaultLocale],
+        resources,
+        tips: resources.map(r => `📞 ${r.name}: ${r.phone || r.url}`)
+    };
+};
+
+// Gentle pointer to support added to medium-risk responses
+const buildSupportTip = (locale) => {
+    const [first] = getResources(resolveLocale(locale));
+    if (!first) return null;
+    return `💬 If these feelings get heavier, ${first.name}${first.phone ? ` (${first.phone})` : ''} is there to listen.`;
+};
+
+// Applies the assessment to an outgoing analysis response
+const applyToResponse = (aiResult, assessment) => {
+    if (isCrisis(assessment)) {
+        const crisis = buildCrisisResponse(assessment.locale);
+        return {
+            ...aiResult,
+            recommendation: crisis.message,
+            additional_tips: crisis.tips,
+            riskLevel: assessment.riskLevel,
+            crisis: {
+                message: crisis.message,
+                resources: crisis.resources
+            }
+        };
+    }
+
+    if (assessment.riskLevel === 'medium') {
+        const supportTip = buildSupportTip(assessment.locale);
+        return {
+            ...aiResult,
+            additional_tips: [...(aiResult.additional_tips || []), ...(supportTip ? [supportTip] : [])],
+            riskLevel: assessment.riskLevel
+        };
+    }
+
+    return { ...aiResult, riskLevel: assessment.riskLevel };
+};
+
+// Flag stored on the Conversation document
+const toConversationFlag = (assessment) => {
+    const flagged = assessment.riskLevel === 'high' || assessment.riskLevel === 'medium';
+    return {
+        riskLevel: assessment.riskLevel,
+        flagged,
+        categories: assessment.categories,
+        flaggedAt: flagged ? new Date() : undefined
+    };
+};
+
+module.exports = {
+    RISK_LEVELS,
+    resolveLocale,
+    screenText,
+    assessRisk,
+    isCrisis,
+    buildCrisisResponse,
+    applyToResponse,
+    toConversationFlag
+};
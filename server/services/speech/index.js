@@ -0,0 +1,75 @@
+// services/speech/index.js
+// Speech-to-text for voice check-ins. A provider is { name, transcribe(audio, { mimeType }) } resolving to
+// { transcript, confidence (0-1, or null if unknown), durationSeconds (or null) }; config/speech.js picks one.
+const speechConfig = require('../../config/speech');
+const { createWhisperHttpProvider } = require('./whisperHttp');
+const { createLocalStandInProvider } = require('./localStandIn');
+
+const factories = {
+    'whisper-http': createWhisperHttpProvider,
+    'local-stand-in': createLocalStandInProvider
+};
+
+const instances = {};
+
+// The speech service couldn't be reached (or isn't set up) - as opposed to answering with an error
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ENOTCONFIGURED'];
+
+const getSpeechProvider = (name) => {
+    if (!factories[name]) {
+        throw new Error(`Unknown speech provider: ${name}`);
+    }
+    if (!instances[name]) {
+        instances[name] = factories[name]();
+    }
+    return instances[name];
+};
+
+// Lets tests or other modules plug in a custom provider ({ name, transcribe(audio, options) })
+const registerSpeechProvider = (name, factory) => {
+    factories[name] = factory;
+    delete instances[name];
+};
+
+// Returns { transcript, confidence, durationSeconds, provider }
+const transcribe = async (audio, { mimeType }) => {
+    const provider = getSpeechProvider(speechConfig.provider);
+    const result = await provider.transcribe(audio, { mimeType });
+    return {
+        transcript: (result.transcript || '').trim(),
+        confidence: typeof result.confidence === 'number' ? result.confidence : null,
+        durationSeconds: typeof result.durationSeconds === 'number' ? result.durationSeconds : null,
+        provider: provider.name
+    };
+};
+
+// Maps transcription failures to the status code, error code (utils/errors.js) and message sent to the client
+const describeSpeechError = (error) => {
+    if (UNAVAILABLE_CODES.includes(error.code)) {
+        return {
+            statusCode: 503,
+            code: 'SPEECH_SERVICE_UNAVAILABLE',
+            errorMessage: 'Voice check-ins are unavailable right now. Please type your check-in instead.'
+        };
+    }
+    return {
+        statusCode: 502,
+        code: 'SPEECH_SERVICE_ERROR',
+        errorMessage: 'We could not transcribe your recording. Please try again or type your check-in instead.'
+    };
+};
+
+const describeSpeechProvider = () => ({
+    provider: speechConfig.provider,
+    maxSeconds: speechConfig.maxSeconds,
+    maxBytes: speechConfig.maxBytes,
+    available: Object.keys(factories)
+});
+
+module.exports = {
+    transcribe,
+    getSpeechProvider,
+    registerSpeechProvider,
+    describeSpeechError,
+    describeSpeechProvider
+};
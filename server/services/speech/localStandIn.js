@@ -0,0 +1,24 @@
+// services/speech/localStandIn.js
+// Stand-in for a real speech-to-text service in development and tests - it doesn't recognise speech.
+// An upload that is plain UTF-8 text (test fixtures, `curl --data-binary @note.txt`) is "heard" as that
+// text; real audio is heard as config.standInTranscript, so the rest of the pipeline can still be tried out.
+const speechConfig = require('../../config/speech');
+
+// Control bytes (other than whitespace) or invalid UTF-8 mean it's real audio
+const NOT_TEXT = /[\u0000-\u0008\u000e-\u001f\ufffd]/;
+
+const createLocalStandInProvider = () => ({
+    name: 'local-stand-in',
+
+    async transcribe(audio) {
+        const text = audio.toString('utf8');
+        if (!NOT_TEXT.test(text)) {
+            return { transcript: text.trim(), confidence: 0.95, durationSeconds: null };
+        }
+        return { transcript: speechConfig.standInTranscript, confidence: 0.5, durationSeconds: null };
+    }
+});
+
+module.exports = {
+    createLocalStandInProvider
+};
@@ -0,0 +1,71 @@
+// services/speech/whisperHttp.js
+// OpenAI-compatible transcription endpoint (POST multipart `file` + `model`), e.g. faster-whisper-server,
+// a whisper.cpp server or the OpenAI API itself. verbose_json gives per-segment log-probabilities,
+// which become the transcript confidence.
+const axios = require('axios');
+const speechConfig = require('../../config/speech');
+
+// The endpoint picks the decoder from the file name
+const EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav'
+};
+
+// Average token probability of each segment, discounted by its no-speech probability and weighted by its length.
+// null when the endpoint doesn't return segments.
+const segmentConfidence = (segments) => {
+    if (!Array.isArray(segments) || segments.length === 0) return null;
+
+    let total = 0;
+    let weighted = 0;
+    for (const segment of segments) {
+        const length = segment.end > segment.start ? segment.end - segment.start : 1;
+        const probability = Math.exp(segment.avg_logprob ?? 0) * (1 - (segment.no_speech_prob ?? 0));
+        total += length;
+        weighted += length * probability;
+    }
+    return Math.min(Math.max(weighted / total, 0), 1);
+};
+
+const createWhisperHttpProvider = () => ({
+    name: 'whisper-http',
+
+    // Connection failures are thrown with their code, error answers with `response` attached (see describeSpeechError)
+    async transcribe(audio, { mimeType }) {
+        if (!speechConfig.apiUrl) {
+            throw Object.assign(new Error('SPEECH_API_URL is not set'), { code: 'ENOTCONFIGURED' });
+        }
+
+        const form = new FormData();
+        form.append('file', new Blob([audio], { type: mimeType }), `check-in.${EXTENSIONS[mimeType] || 'webm'}`);
+        form.append('model', speechConfig.model);
+        form.append('response_format', 'verbose_json');
+
+        const response = await axios.post(speechConfig.apiUrl, form, {
+            timeout: speechConfig.timeoutMs,
+            headers: speechConfig.apiKey ? { Authorization: `Bearer ${speechConfig.apiKey}` } : {},
+            validateStatus: () => true
+        });
+        if (response.status >= 400) {
+            const error = new Error(response.data?.error?.message || response.data?.error || 'Speech service error');
+            error.response = response;
+            throw error;
+        }
+
+        const { text, segments, duration } = response.data;
+        return {
+            transcript: (text || '').trim(),
+            confidence: segmentConfidence(segments),
+            durationSeconds: typeof duration === 'number' ? duration : null
+        };
+    }
+});
+
+module.exports = {
+    createWhisperHttpProvider,
+    segmentConfidence
+};
@@ -0,0 +1,238 @@
+// tests/analyzeMood.test.js
+// POST /analyze-mood against a stubbed Python /predict: every AI failure branch, retries, the circuit
+// breaker and failover. No database - saving fails quietly and the response says conversationId: null.
+const { request, overrideConfig } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPythonStub } = require('./helpers/pythonStub');
+const aiConfig = require('../config/aiService');
+const providerConfig = require('../config/providers');
+const queueConfig = require('../config/analysisQueue');
+const { breaker } = require('../services/aiClient');
+
+// As loaded from the environment, before beforeEach overrides it
+const DEFAULT_FAILOVER = providerConfig.failoverEnabled;
+
+// Nothing listens here
+const CLOSED_PORT_URL = 'http://127.0.0.1:1';
+
+let stub;
+let restore = [];
+
+test.before(async () => {
+    stub = await startPythonStub();
+});
+
+test.after(async () => {
+    await stub.close();
+});
+
+test.beforeEach(() => {
+    stub.reset();
+    breaker.recordSuccess();
+    restore = [
+        overrideConfig(aiConfig, { pythonApiUrl: stub.url, timeoutMs: 1000, retries: 2 }),
+        overrideConfig(providerConfig, { failoverEnabled: false }),
+        overrideConfig(queueConfig, { enabled: false })
+    ];
+});
+
+test.afterEach(() => {
+    restore.forEach(fn => fn());
+});
+
+const analyze = (text, headers = {}) => request().post('/analyze-mood').set(headers).send({ text });
+
+test('returns the analysis from the Python service', async () => {
+    const res = await analyze('I had a great day with friends');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'success');
+    assert.equal(res.body.sentiment, 'POSITIVE');
+    assert.equal(res.body.confidence_score, 0.9);
+    assert.equal(res.body.provider, 'python-http');
+    assert.equal(res.body.failover, false);
+    assert.ok(res.body.recommendation);
+    assert.ok(Array.isArray(res.body.detectedEmotions));
+    assert.deepEqual(stub.predictCalls()[0].body, { text: 'I had a great day with friends' });
+});
+
+test('forwards the request id to the Python service', async () => {
+    const res = await analyze('hello there', { 'X-Request-ID': 'test-request-0001' });
+
+    assert.equal(res.headers['x-request-id'], 'test-request-0001');
+    assert.equal(stub.predictCalls()[0].headers['x-request-id'], 'test-request-0001');
+});
+
+test('ECONNREFUSED -> 503 AI_SERVICE_UNAVAILABLE', async () => {
+    aiConfig.pythonApiUrl = CLOSED_PORT_URL;
+    const res = await analyze('I feel okay');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'error');
+    assert.equal(res.body.code, 'AI_SERVICE_UNAVAILABLE');
+    assert.match(res.body.error, /Cannot connect to AI service/);
+    assert.ok(res.body.requestId);
+});
+
+test('ETIMEDOUT -> 504 AI_SERVICE_TIMEOUT, without retrying', async () => {
+    aiConfig.timeoutMs = 100;
+    stub.onPredict(() => ({ status: 200, body: { sentiment: 'POSITIVE', confidence_score: 0.9 }, delayMs: 500 }));
+
+    const res = await analyze('I feel okay');
+
+    assert.equal(res.status, 504);
+    assert.equal(res.body.code, 'AI_SERVICE_TIMEOUT');
+    assert.equal(stub.predictCalls().length, 1);
+});
+
+test('4xx answers are passed through with their message', async () => {
+    stub.onPredict(() => ({ status: 400, body: { error: 'Text too long. Please keep it under 1000 characters.', status: 'error' } }));
+
+    const res = await analyze('I feel okay');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'AI_SERVICE_ERROR');
+    assert.equal(res.body.error, 'Text too long. Please keep it under 1000 characters.');
+    assert.equal(stub.predictCalls().length, 1, '4xx answers are not retried');
+});
+
+test('500 answers are reported as AI_SERVICE_ERROR', async () => {
+    stub.onPredict(() => ({ status: 500, body: { error: 'Sentiment analysis model not available', status: 'error' } }));
+
+    const res = await analyze('I feel okay');
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'AI_SERVICE_ERROR');
+    assert.equal(res.body.error, 'Sentiment analysis model not available');
+    assert.equal(stub.predictCalls().length, 1);
+});
+
+test('503 answers are retried', async () => {
+    stub.onPredict((body, call) => (call < 3
+        ? { status: 503, body: { error: 'Busy' } }
+        : { status: 200, body: { sentiment: 'NEGATIVE', confidence_score: 0.8 } }));
+
+    const res = await analyze('I feel tired');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sentiment, 'NEGATIVE');
+    assert.equal(stub.predictCalls().length, 3);
+});
+
+test('gives up after the configured number of retries', async () => {
+    stub.onPredict(() => ({ status: 503, body: { error: 'Busy' } }));
+
+    const res = await analyze('I feel tired');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'AI_SERVICE_ERROR');
+    assert.equal(stub.predictCalls().length, aiConfig.retries + 1);
+});
+
+test('an open circuit breaker fails fast without calling the service', async () => {
+    for (let i = 0; i < aiConfig.breakerThreshold; i++) breaker.recordFailure();
+
+    const res = await analyze('I feel okay');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'AI_SERVICE_UNAVAILABLE');
+    assert.match(res.body.error, /temporarily unavailable/);
+    assert.equal(stub.predictCalls().length, 0);
+});
+
+test('does not fail over to the local analyzer by default', async () => {
+    providerConfig.failoverEnabled = DEFAULT_FAILOVER;
+    aiConfig.pythonApiUrl = CLOSED_PORT_URL;
+
+    const res = await analyze('I am so happy and grateful today');
+
+    assert.equal(DEFAULT_FAILOVER, false);
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'AI_SERVICE_UNAVAILABLE');
+    assert.equal(res.body.provider, undefined);
+});
+
+test('fails over to the local analyzer when the service is unreachable', async () => {
+    providerConfig.failoverEnabled = true;
+    aiConfig.pythonApiUrl = CLOSED_PORT_URL;
+
+    const res = await analyze('I am so happy and grateful today');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, 'local-lexicon');
+    assert.equal(res.body.failover, true);
+    assert.equal(res.body.sentiment, 'POSITIVE');
+});
+
+test('fails over while the circuit breaker is open', async () => {
+    providerConfig.failoverEnabled = true;
+    for (let i = 0; i < aiConfig.breakerThreshold; i++) breaker.recordFailure();
+
+    const res = await analyze('I am so happy and grateful today');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, 'local-lexicon');
+    assert.equal(stub.predictCalls().length, 0);
+});
+
+test('someone in crisis still gets the crisis response when the service is down', async () => {
+    aiConfig.pythonApiUrl = CLOSED_PORT_URL;
+
+    const res = await analyze('I want to kill myself');
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.crisis);
+    assert.ok(res.body.crisis.resources.length > 0);
+    assert.equal(res.body.riskLevel, 'high');
+});
+
+test('streams the error envelope as an SSE error event', async () => {
+    aiConfig.pythonApiUrl = CLOSED_PORT_URL;
+
+    const res = await request()
+        .post('/analyze-mood')
+        .set('Accept', 'text/event-stream')
+        .send({ text: 'I feel okay' });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/event-stream/);
+    assert.match(res.text, /event: received/);
+    const errorBlock = res.text.split('\n\n').find(block => block.startsWith('event: error'));
+    assert.ok(errorBlock, 'no error event');
+    const data = JSON.parse(errorBlock.split('\n').find(line => line.startsWith('data:')).slice(5));
+    assert.equal(data.code, 'AI_SERVICE_UNAVAILABLE');
+    assert.equal(data.statusCode, 503);
+});
+
+test('streams every stage, then the result', async () => {
+    const res = await request()
+        .post('/analyze-mood')
+        .set('Accept', 'text/event-stream')
+        .send({ text: 'I had a great day' });
+
+    const events = res.text.split('\n\n').filter(Boolean).map(block => block.match(/^event: (\w+)/)[1]);
+    assert.deepEqual(events, ['received', 'sentiment', 'recommendation', 'tips', 'saved', 'done']);
+});
+
+test('Hinglish check-ins go to the Hindi lexicon instead of the English-only model', async () => {
+    const res = await analyze('aaj bahut tension hai yaar, kuch accha nahi lag raha');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.detectedLanguage, 'hi-Latn');
+    assert.equal(res.body.provider, 'local-lexicon-hi');
+    assert.equal(res.body.sentiment, 'NEGATIVE');
+    assert.equal(res.body.detectedEmotions[0].emotion, 'anxiety');
+    assert.equal(stub.predictCalls().length, 0);
+});
+
+test('recommendations follow Accept-Language, whatever language the text is in', async () => {
+    const english = await analyze('I feel so anxious and worried', { 'Accept-Language': 'en-US,en;q=0.9' });
+    const hindi = await analyze('I feel so anxious and worried', { 'Accept-Language': 'hi-IN,hi;q=0.9' });
+
+    assert.equal(hindi.body.detectedLanguage, 'en');
+    assert.equal(hindi.body.provider, 'python-http');
+    assert.doesNotMatch(english.body.recommendation, /[ऀ-ॿ]/);
+    assert.match(hindi.body.recommendation, /[ऀ-ॿ]/);
+    assert.ok(hindi.body.additional_tips.every(tip => /[ऀ-ॿ]/.test(tip)));
+});
@@ -0,0 +1,81 @@
+// tests/circuitBreaker.test.js
+// AI client circuit breaker state machine (services/aiClient/circuitBreaker.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATES, createCircuitBreaker } = require('../services/aiClient/circuitBreaker');
+
+const setup = () => {
+    const clock = { now: 1000 };
+    const breaker = createCircuitBreaker({ threshold: 3, cooldownMs: 5000, now: () => clock.now });
+    return { clock, breaker };
+};
+
+test('opens after the threshold of consecutive failures', () => {
+    const { breaker } = setup();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, STATES.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+    assert.deepEqual(breaker.retryAt(), new Date(6000));
+});
+
+test('a success resets the failure count', () => {
+    const { breaker } = setup();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+    assert.equal(breaker.getState().failures, 1);
+});
+
+test('lets a single trial request through after the cooldown', () => {
+    const { clock, breaker } = setup();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+    clock.now += 5000;
+    assert.equal(breaker.getState().state, STATES.HALF_OPEN);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false, 'only one trial at a time');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+    assert.equal(breaker.allowRequest(), true);
+});
+
+test('a failed trial reopens the breaker for another cooldown', () => {
+    const { clock, breaker } = setup();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+    clock.now += 5000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, STATES.OPEN);
+    assert.deepEqual(breaker.retryAt(), new Date(clock.now + 5000));
+});
+
+test('halfOpen() skips the rest of the cooldown', () => {
+    const { breaker } = setup();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+    breaker.halfOpen();
+    assert.equal(breaker.getState().state, STATES.HALF_OPEN);
+    assert.equal(breaker.retryAt(), null);
+    assert.equal(breaker.allowRequest(), true);
+});
+
+test('reports state changes', () => {
+    const changes = [];
+    const breaker = createCircuitBreaker({
+        threshold: 1,
+        cooldownMs: 0,
+        onStateChange: (state, previous) => changes.push(`${previous}->${state}`)
+    });
+    breaker.recordFailure();
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed']);
+});
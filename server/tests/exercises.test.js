@@ -0,0 +1,114 @@
+// tests/exercises.test.js
+// Which tips launch a guided exercise, request validation, and the /exercises routes against the
+// in-memory MongoDB (skipped when mongod is unavailable).
+const { request } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDB, clearTestDB, stopTestDB } = require('./helpers/db');
+const { Conversation, ExerciseSession } = require('../models');
+const { matchExercise, describeTips } = require('../services/exercises');
+
+test('tips from outside the catalog are matched to an exercise by their text', () => {
+    assert.equal(matchExercise('Try the 4-7-8 breathing technique'), 'breathing-478');
+    assert.equal(matchExercise('Take 10 deep breaths'), 'box-breathing');
+    assert.equal(matchExercise('Use the 5-4-3-2-1 method to ground yourself'), 'grounding-54321');
+    assert.equal(matchExercise('Practice a 5-minute mindfulness meditation'), 'body-scan');
+    assert.equal(matchExercise('Call a friend'), null);
+});
+
+test('catalog tips use the exercise they declare', () => {
+    const tips = describeTips({
+        additional_tips: ['Breathe in for 4, hold for 7, out for 8', 'Call a friend'],
+        recommendationMeta: { tipIds: ['breathing-478', 'reach-out'] }
+    });
+    assert.deepEqual(tips, [
+        { text: 'Breathe in for 4, hold for 7, out for 8', tipId: 'breathing-478', exerciseId: 'breathing-478' },
+        { text: 'Call a friend', tipId: 'reach-out', exerciseId: null }
+    ]);
+
+    // Crisis responses replace the catalog tips, so the ids are ignored
+    const crisis = describeTips({
+        crisis: true,
+        additional_tips: ['Take slow, deep breaths'],
+        recommendationMeta: { tipIds: ['reach-out'] }
+    });
+    assert.deepEqual(crisis, [{ text: 'Take slow, deep breaths', tipId: null, exerciseId: 'box-breathing' }]);
+});
+
+test('POST /exercises/sessions validates its input', async () => {
+    const res = await request().post('/exercises/sessions').send({ exerciseId: 'yoga', durationSeconds: -5, moodBefore: 9 });
+    assert.equal(res.status, 400);
+    const fields = res.body.details.map(detail => detail.field);
+    for (const field of ['exerciseId', 'durationSeconds', 'moodBefore']) {
+        assert.ok(fields.includes(field), `no validation issue for ${field}: ${fields.join(', ')}`);
+    }
+});
+
+// Routes, against MongoDB
+let skipReason = null;
+
+test.before(async () => {
+    skipReason = await startTestDB();
+});
+
+test.after(async () => {
+    if (!skipReason) await stopTestDB();
+});
+
+test.beforeEach(async () => {
+    if (!skipReason) await clearTestDB();
+});
+
+const dbTest = (name, fn) => test(name, async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    await fn(t);
+});
+
+const SESSION = 'exercise-session-0001';
+const asSession = (req, sessionId = SESSION) => req.set('X-Session-ID', sessionId);
+
+dbTest('sessions are saved, listed and compared before vs. after', async () => {
+    const checkIn = await Conversation.create({
+        sessionId: SESSION,
+        userText: 'Feeling anxious',
+        sentiment: 'NEGATIVE',
+        confidenceScore: 0.8,
+        recommendation: 'Try a breathing exercise'
+    });
+
+    const saved = await asSession(request().post('/exercises/sessions')).send({
+        exerciseId: 'breathing-478',
+        durationSeconds: 120,
+        moodBefore: 2,
+        moodAfter: 4,
+        conversationId: String(checkIn._id)
+    });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.data.completed, true);
+
+    await asSession(request().post('/exercises/sessions')).send({ exerciseId: 'body-scan', durationSeconds: 60, completed: false, moodBefore: 3 });
+
+    // Another session's check-in can't be linked
+    const foreign = await asSession(request().post('/exercises/sessions'), 'exercise-session-0002')
+        .send({ exerciseId: 'body-scan', durationSeconds: 60, conversationId: String(checkIn._id) });
+    assert.equal(foreign.status, 404);
+
+    const list = await asSession(request().get('/exercises/sessions'));
+    assert.equal(list.body.data.length, 2);
+
+    const stats = (await asSession(request().get('/exercises/stats?days=7'))).body.data;
+    assert.equal(stats.sessions, 2);
+    assert.equal(stats.completed, 1);
+    assert.equal(stats.totalMinutes, 3);
+    // Only the session rated on both ends counts for mood
+    assert.equal(stats.rated, 1);
+    assert.equal(stats.moodBefore, 2);
+    assert.equal(stats.moodAfter, 4);
+    assert.equal(stats.moodChange, 2);
+    assert.deepEqual(stats.byExercise.map(e => e.exerciseId).sort(), ['body-scan', 'breathing-478']);
+
+    const analytics = await asSession(request().get('/analytics?days=7'));
+    assert.equal(analytics.body.data.exercises.sessions, 2);
+
+    assert.equal(await ExerciseSession.countDocuments({ sessionId: 'exercise-session-0002' }), 0);
+});
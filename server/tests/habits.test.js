@@ -0,0 +1,211 @@
+// tests/habits.test.js
+// Habit streaks and the habit/mood comparison, request validation, and the /habits routes against the
+// in-memory MongoDB (skipped when mongod is unavailable).
+const { request } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDB, clearTestDB, stopTestDB } = require('./helpers/db');
+const { Conversation, Habit } = require('../models');
+const { computeHabitStreak, summarizeHabit, compareMood } = require('../services/habits');
+const { toLocalDay } = require('../utils/timezone');
+
+const KOLKATA = 'Asia/Kolkata';
+// Sunday 18 October 2026, 20:30 in Kolkata
+const NOW = new Date('2026-10-18T15:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const habitWith = (days, fields = {}) => ({
+    _id: 'habit-1',
+    name: 'Meditate',
+    frequency: 'daily',
+    timesPerWeek: 1,
+    timezone: KOLKATA,
+    createdAt: new Date('2026-09-01T00:00:00Z'),
+    completions: days.map(day => ({ day })),
+    ...fields
+});
+
+test('daily streaks count days in a row and survive until today is over', () => {
+    const streak = computeHabitStreak(habitWith(['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-16', '2026-10-17']), NOW);
+    assert.deepEqual(streak, { unit: 'days', current: 2, longest: 3 });
+
+    // A missed day ends it
+    assert.equal(computeHabitStreak(habitWith(['2026-10-15', '2026-10-16']), NOW).current, 0);
+});
+
+test('days follow the habit timezone', () => {
+    // 20:30 on the 18th in Kolkata is already midnight of the 19th in Tokyo
+    assert.equal(summarizeHabit(habitWith(['2026-10-18']), NOW).doneToday, true);
+    assert.equal(summarizeHabit(habitWith(['2026-10-18'], { timezone: 'Asia/Tokyo' }), NOW).doneToday, false);
+    assert.equal(summarizeHabit(habitWith(['2026-10-18'], { timezone: 'Asia/Tokyo' }), NOW).streak.current, 1);
+});
+
+test('weekly streaks count Monday-Sunday weeks that reached the goal', () => {
+    const walks = habitWith([
+        // 28 Sep - 4 Oct: 3 walks
+        '2026-09-28', '2026-09-30', '2026-10-02',
+        // 5 - 11 Oct: 3 walks
+        '2026-10-06', '2026-10-08', '2026-10-11',
+        // 12 - 18 Oct (this week): 3 walks
+        '2026-10-12', '2026-10-14', '2026-10-16'
+    ], { frequency: 'weekly', timesPerWeek: 3 });
+    assert.deepEqual(computeHabitStreak(walks, NOW), { unit: 'weeks', current: 3, longest: 3 });
+
+    // This week is still short of the goal - last week's streak carries on until Sunday is over
+    const shortWeek = { ...walks, completions: walks.completions.slice(0, 7) };
+    assert.equal(computeHabitStreak(shortWeek, NOW).current, 2);
+    assert.equal(summarizeHabit(shortWeek, NOW).thisWeek, 1);
+});
+
+test('the summary has the last 7 days, ending today', () => {
+    const summary = summarizeHabit(habitWith(['2026-10-12', '2026-10-18']), NOW);
+    assert.equal(summary.today, '2026-10-18');
+    assert.deepEqual(summary.recentDays.map(d => d.day), [
+        '2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18'
+    ]);
+    assert.deepEqual(summary.recentDays.map(d => d.done), [true, false, false, false, false, false, true]);
+});
+
+test('compareMood averages the mood of done and skipped days since the habit started', () => {
+    const habit = habitWith(['2026-10-01', '2026-10-02', '2026-10-03'], { createdAt: new Date('2026-09-30T04:00:00Z') });
+    const dailyMood = [
+        // Before the habit existed - ignored
+        { day: '2026-09-20', moodScore: -0.9 },
+        { day: '2026-10-01', moodScore: 0.8 },
+        { day: '2026-10-02', moodScore: 0.6 },
+        { day: '2026-10-03', moodScore: 0.7 },
+        { day: '2026-10-04', moodScore: -0.2 },
+        { day: '2026-10-05', moodScore: 0 },
+        { day: '2026-10-06', moodScore: -0.4 }
+    ];
+
+    assert.deepEqual(compareMood(habit, dailyMood), {
+        habitId: 'habit-1',
+        name: 'Meditate',
+        doneDays: 3,
+        skippedDays: 3,
+        moodWhenDone: 0.7,
+        moodWhenSkipped: -0.2,
+        difference: 0.9,
+        enoughData: true
+    });
+
+    const fewDays = compareMood(habit, dailyMood.slice(0, 5));
+    assert.equal(fewDays.skippedDays, 1);
+    assert.equal(fewDays.enoughData, false);
+});
+
+test('POST /habits and completions validate their input', async () => {
+    const res = await request().post('/habits').send({ name: '', frequency: 'hourly', timesPerWeek: 9 });
+    assert.equal(res.status, 400);
+    const fields = res.body.details.map(detail => detail.field);
+    for (const field of ['name', 'frequency', 'timesPerWeek']) {
+        assert.ok(fields.includes(field), `no validation issue for ${field}: ${fields.join(', ')}`);
+    }
+
+    const log = await request().post('/habits/64b000000000000000000001/completions').send({ day: '2026-02-31' });
+    assert.equal(log.status, 400);
+    assert.equal(log.body.details[0].field, 'day');
+});
+
+// Routes, against MongoDB
+let skipReason = null;
+
+test.before(async () => {
+    skipReason = await startTestDB();
+});
+
+test.after(async () => {
+    if (!skipReason) await stopTestDB();
+});
+
+test.beforeEach(async () => {
+    if (!skipReason) await clearTestDB();
+});
+
+const dbTest = (name, fn) => test(name, async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    await fn(t);
+});
+
+const SESSION = 'habit-session-0001';
+const asSession = (req, sessionId = SESSION) => req.set('X-Session-ID', sessionId);
+
+dbTest('habits are created once, logged, undone and listed with streaks', async () => {
+    const created = await asSession(request().post('/habits')).send({
+        name: 'Practice a 5-minute mindfulness meditation',
+        sourceTip: 'Practice a 5-minute mindfulness meditation',
+        timezone: 'UTC'
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.data;
+
+    // Adding the same tip again returns the habit already tracked
+    const again = await asSession(request().post('/habits')).send({ name: 'practice a 5-minute mindfulness meditation ' });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.existing, true);
+    assert.equal(again.body.data.id, id);
+
+    const today = toLocalDay(new Date(), 'UTC');
+    const yesterday = toLocalDay(new Date(Date.now() - DAY), 'UTC');
+    await asSession(request().post(`/habits/${id}/completions`)).send({ day: yesterday });
+    const logged = await asSession(request().post(`/habits/${id}/completions`)).send({ note: 'Felt calmer' });
+    assert.equal(logged.status, 200);
+    assert.equal(logged.body.data.doneToday, true);
+    assert.deepEqual(logged.body.data.streak, { unit: 'days', current: 2, longest: 2 });
+
+    const future = await asSession(request().post(`/habits/${id}/completions`)).send({ day: '2999-01-01' });
+    assert.equal(future.status, 400);
+
+    const undone = await asSession(request().delete(`/habits/${id}/completions/${today}`));
+    assert.equal(undone.body.data.doneToday, false);
+    assert.equal((await asSession(request().delete(`/habits/${id}/completions/${today}`))).status, 404);
+
+    const list = await asSession(request().get('/habits'));
+    assert.equal(list.body.data.length, 1);
+    assert.equal(list.body.data[0].totalCompletions, 1);
+
+    // Other sessions can't see or log it
+    assert.equal((await asSession(request().get('/habits'), 'habit-session-0002')).body.data.length, 0);
+    assert.equal((await asSession(request().post(`/habits/${id}/completions`), 'habit-session-0002').send({})).status, 404);
+});
+
+dbTest('archived habits leave the tracker and the report', async () => {
+    const habit = await Habit.create({ sessionId: SESSION, name: 'Walk', frequency: 'weekly', timesPerWeek: 3 });
+
+    const archived = await asSession(request().put(`/habits/${habit._id}`)).send({ archived: true });
+    assert.ok(archived.body.data.archivedAt);
+    assert.equal((await asSession(request().get('/habits'))).body.data.length, 0);
+    assert.equal((await asSession(request().get('/habits?archived=true'))).body.data.length, 1);
+    assert.equal((await asSession(request().get('/habits/report'))).body.data.habits.length, 0);
+});
+
+dbTest('GET /habits/report compares check-in mood on done and skipped days', async () => {
+    const day = (daysAgo) => toLocalDay(new Date(Date.now() - daysAgo * DAY), 'UTC');
+    await Habit.create({
+        sessionId: SESSION,
+        name: 'Walk',
+        timezone: 'UTC',
+        createdAt: new Date(Date.now() - 10 * DAY),
+        completions: [1, 2, 3].map(daysAgo => ({ day: day(daysAgo) }))
+    });
+    // Happy on walking days, low on the others
+    await Conversation.create([1, 2, 3, 4, 5, 6].map(daysAgo => ({
+        sessionId: SESSION,
+        userText: 'Check-in',
+        sentiment: daysAgo <= 3 ? 'POSITIVE' : 'NEGATIVE',
+        confidenceScore: 0.8,
+        recommendation: 'Keep going',
+        timestamp: new Date(Date.parse(`${day(daysAgo)}T12:00:00Z`))
+    })));
+
+    const res = await asSession(request().get('/habits/report?days=30'));
+    assert.equal(res.status, 200);
+    const [walk] = res.body.data.habits;
+    assert.equal(walk.doneDays, 3);
+    assert.equal(walk.skippedDays, 3);
+    assert.equal(walk.moodWhenDone, 0.8);
+    assert.equal(walk.moodWhenSkipped, -0.8);
+    assert.equal(walk.difference, 1.6);
+    assert.equal(walk.enoughData, true);
+});
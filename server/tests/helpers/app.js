@@ -0,0 +1,30 @@
+// tests/helpers/app.js
+// The Express app with test settings, for supertest. Require this before anything else from the server:
+// the config modules read process.env when they are first loaded.
+process.env.NODE_ENV = 'test';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.SENTIMENT_PROVIDER = 'python-http';
+process.env.AI_RETRY_BASE_MS = '1';
+process.env.AI_HEALTH_INTERVAL_MS = '0';
+
+const mongoose = require('mongoose');
+// Without a database, queries fail at once instead of waiting 10s for a connection
+mongoose.set('bufferCommands', false);
+
+const supertest = require('supertest');
+const app = require('../../app');
+
+const request = () => supertest(app);
+
+// Changes fields of a config object (config/*.js) and returns a function that puts them back
+const overrideConfig = (config, values) => {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, config[key]]));
+    Object.assign(config, values);
+    return () => Object.assign(config, previous);
+};
+
+module.exports = {
+    app,
+    request,
+    overrideConfig
+};
@@ -0,0 +1,36 @@
+// tests/helpers/db.js
+// In-memory MongoDB (mongodb-memory-server) for the route tests.
+// startTestDB() resolves with a skip reason instead of throwing when mongod can't be downloaded or started.
+const mongoose = require('mongoose');
+
+let server = null;
+
+const stopTestDB = async () => {
+    await mongoose.disconnect();
+    if (server) await server.stop();
+    server = null;
+};
+
+const startTestDB = async () => {
+    try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        server = await MongoMemoryServer.create();
+        await mongoose.connect(server.getUri());
+        // Unique indexes have to exist before the tests rely on them
+        await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+        return null;
+    } catch (error) {
+        await stopTestDB().catch(() => {});
+        return `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`;
+    }
+};
+
+const clearTestDB = () => Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+);
+
+module.exports = {
+    startTestDB,
+    clearTestDB,
+    stopTestDB
+};
@@ -0,0 +1,64 @@
+// tests/helpers/pythonStub.js
+// Stand-in for the Flask service (ai-api/app.py) on a random port: GET / and POST /predict.
+// onPredict(handler) swaps the /predict answer: handler(body, callNumber) -> { status, body, delayMs }
+const http = require('node:http');
+
+const NEGATIVE_WORDS = /\b(sad|tired|lonely|anxious|bad)\b/i;
+
+const defaultPredict = ({ text }) => ({
+    status: 200,
+    body: {
+        sentiment: NEGATIVE_WORDS.test(text) ? 'NEGATIVE' : 'POSITIVE',
+        confidence_score: 0.9,
+        status: 'success'
+    }
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const startPythonStub = async () => {
+    let predict = defaultPredict;
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', async () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+            const reply = req.url === '/predict'
+                ? await predict(body, requests.filter(r => r.path === '/predict').length)
+                : { status: 200, body: { status: 'AI Mental Health API is running!' } };
+
+            if (reply.delayMs) await sleep(reply.delayMs);
+            // The client may have timed out and closed the connection in the meantime
+            if (res.socket?.destroyed) return;
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        predictCalls: () => requests.filter(r => r.path === '/predict'),
+        onPredict(handler) {
+            predict = handler;
+        },
+        reset() {
+            predict = defaultPredict;
+            requests.length = 0;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+};
+
+module.exports = {
+    startPythonStub
+};
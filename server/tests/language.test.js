@@ -0,0 +1,66 @@
+// tests/language.test.js
+// Input language detection, the Hindi/Hinglish lexicon and emotion cues it routes to, and Hindi chat replies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage } = require('../services/language');
+const { providerForLanguage } = require('../services/providers');
+const { scoreText, classify, LEXICONS } = require('../services/providers/localLexicon');
+const { detectEmotions, dominantEmotion } = require('../services/emotions');
+const { describeTrajectory } = require('../services/companion');
+const providerConfig = require('../config/providers');
+
+const hindiSentiment = (text) => classify(scoreText(text, LEXICONS.hi)).sentiment;
+
+test('detectLanguage tells English, Hindi and Hinglish apart', () => {
+    assert.equal(detectLanguage('I had a great day with friends'), 'en');
+    assert.equal(detectLanguage('मैं आज बहुत उदास हूँ।'), 'hi');
+    assert.equal(detectLanguage('Exams ki tension hai yaar'), 'hi-Latn');
+    assert.equal(detectLanguage('aaj mood bilkul theek nahi hai'), 'hi-Latn');
+
+    // English that happens to contain a Hindi-looking word
+    assert.equal(detectLanguage('The main thing is I feel ok'), 'en');
+    assert.equal(detectLanguage('Had dinner at ghar restaurant with my family tonight'), 'en');
+    assert.equal(detectLanguage('🙂'), 'en');
+});
+
+test('Hindi and Hinglish text is routed to the Hindi provider', () => {
+    assert.equal(providerForLanguage('hi-Latn'), providerConfig.localeProviders.hi);
+    assert.equal(providerForLanguage('hi'), providerConfig.localeProviders.hi);
+    assert.equal(providerForLanguage('en'), providerConfig.provider);
+    assert.equal(providerForLanguage(undefined), providerConfig.provider);
+});
+
+test('the Hindi lexicon reads Devanagari, Roman script and mixed-in English', () => {
+    assert.equal(hindiSentiment('main aaj bahut khush hoon'), 'POSITIVE');
+    assert.equal(hindiSentiment('मैं बहुत उदास हूँ।'), 'NEGATIVE');
+    assert.equal(hindiSentiment('office mein bahut stressed tha'), 'NEGATIVE');
+});
+
+test('Hindi negation after the word flips it', () => {
+    assert.equal(hindiSentiment('khush nahi hoon'), 'NEGATIVE');
+    assert.equal(hindiSentiment('din bura nahi tha'), 'POSITIVE');
+    assert.equal(hindiSentiment('मैं खुश नहीं हूँ'), 'NEGATIVE');
+    // Only the word just before - not one from an earlier sentence
+    assert.equal(hindiSentiment('kal khush tha. aaj office gaya, boss aaya, meeting hui, kuch nahi hua'), 'POSITIVE');
+});
+
+test('Hinglish emotion cues are used for Hindi text only', () => {
+    const text = 'ghar pe akela hoon, koi nahi samajhta';
+    assert.equal(dominantEmotion(detectEmotions(text, {}, 'hi-Latn')), 'loneliness');
+    assert.equal(dominantEmotion(detectEmotions(text, {}, 'en')), null);
+
+    // "khush nahi" is not joy
+    assert.equal(dominantEmotion(detectEmotions('khush nahi hoon', {}, 'hi-Latn')), null);
+});
+
+test('chat trajectory messages follow the locale and fall back to English', () => {
+    const trajectory = ['NEGATIVE', 'NEGATIVE', 'NEGATIVE'].map(sentiment => ({ sentiment }));
+
+    const hindi = describeTrajectory(trajectory, 'hi');
+    assert.equal(hindi.pattern, 'persistent_negative');
+    assert.equal(detectLanguage(hindi.message), 'hi');
+
+    const english = describeTrajectory(trajectory, 'ta');
+    assert.match(english.message, /felt heavy/);
+    assert.equal(describeTrajectory([{ sentiment: 'POSITIVE' }], 'hi').message, null);
+});
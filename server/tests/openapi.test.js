@@ -0,0 +1,64 @@
+// tests/openapi.test.js
+// The OpenAPI document must describe every route the app registers, and nothing else
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../app');
+const { listRoutes } = require('../utils/routes');
+const { buildSpec, routeKey, toOpenApiPath } = require('../services/openapi');
+const operations = require('../services/openapi/operations');
+
+const spec = buildSpec(app);
+const routes = listRoutes(app);
+
+test('every registered route is in the spec', () => {
+    assert.ok(routes.length > 0, 'no routes found - are routers mounted with mountRouter()?');
+    for (const route of routes) {
+        const operation = spec.paths[toOpenApiPath(route.path)]?.[route.method.toLowerCase()];
+        assert.ok(operation, `${routeKey(route)} is missing from the spec`);
+    }
+});
+
+test('every route is documented in operations.js', () => {
+    const undocumented = routes.map(routeKey).filter(key => !operations[key]);
+    assert.deepEqual(undocumented, [], 'add these routes to services/openapi/operations.js');
+});
+
+test('operations.js has no entries for routes that no longer exist', () => {
+    const registered = new Set(routes.map(routeKey));
+    const stale = Object.keys(operations).filter(key => !registered.has(key));
+    assert.deepEqual(stale, []);
+});
+
+test('operation ids are unique', () => {
+    const ids = Object.values(operations).map(op => op.operationId);
+    assert.equal(new Set(ids).size, ids.length);
+});
+
+test('path parameters are declared', () => {
+    for (const [path, methods] of Object.entries(spec.paths)) {
+        const names = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+        for (const [method, operation] of Object.entries(methods)) {
+            const declared = operation.parameters.filter(p => p.in === 'path').map(p => p.name);
+            assert.deepEqual(declared.sort(), names.sort(), `${method.toUpperCase()} ${path}`);
+        }
+    }
+});
+
+test('every $ref points at a component', () => {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g) || [];
+    for (const match of refs) {
+        const [, section, name] = match.match(/#\/components\/(\w+)\/([^"]+)/);
+        assert.ok(spec.components[section]?.[name], `unknown ${section} ${name}`);
+    }
+});
+
+test('validated request bodies are described', () => {
+    const analyze = spec.paths['/analyze-mood'].post;
+    const body = analyze.requestBody.content['application/json'].schema;
+    assert.deepEqual(body.required, ['text']);
+    assert.equal(body.properties.text.maxLength, 1000);
+    assert.equal(body.additionalProperties, false);
+    assert.ok(analyze.responses[429], 'rate limited routes document 429');
+});
@@ -0,0 +1,267 @@
+// tests/reminders.test.js
+// Reminder timing (schedules, timezones, quiet hours, snooze, backoff), request validation, and the
+// scheduler against the in-memory MongoDB through the in-app channel (skipped when mongod is unavailable).
+const { request, overrideConfig } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDB, clearTestDB, stopTestDB } = require('./helpers/db');
+const { Conversation, ReminderSettings, Notification, Session } = require('../models');
+const remindersConfig = require('../config/reminders');
+const { computeNextRun, decideDelivery, getBackoffLevel } = require('../services/reminders/schedule');
+const { processDueReminders } = require('../services/reminders/scheduler');
+const { isPushServiceEndpoint } = require('../services/reminders/channels/webPush');
+const { buildReminderMessage } = require('../services/reminders');
+
+const KOLKATA = 'Asia/Kolkata';
+// Sunday 18 October 2026, 20:30 in Kolkata
+const NOW = new Date('2026-10-18T15:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const daily = (time) => ({ frequency: 'daily', time });
+const settingsAt = (fields) => ({ enabled: true, timezone: KOLKATA, schedules: [daily('20:00')], ...fields });
+
+test('daily reminders are due at the local time, tomorrow once today\'s has passed', () => {
+    assert.equal(computeNextRun(settingsAt({ schedules: [daily('21:00')] }), NOW).toISOString(), '2026-10-18T15:30:00.000Z');
+    assert.equal(computeNextRun(settingsAt({ schedules: [daily('20:00')] }), NOW).toISOString(), '2026-10-19T14:30:00.000Z');
+});
+
+test('the earliest of several schedules wins', () => {
+    const settings = settingsAt({ schedules: [daily('09:00'), daily('21:00'), { ...daily('20:45'), enabled: false }] });
+    assert.equal(computeNextRun(settings, NOW).toISOString(), '2026-10-18T15:30:00.000Z');
+});
+
+test('weekly reminders only fall on their days', () => {
+    const sundays = settingsAt({ schedules: [{ frequency: 'weekly', time: '09:00', daysOfWeek: [0] }] });
+    assert.equal(computeNextRun(sundays, NOW).toISOString(), '2026-10-25T03:30:00.000Z');
+
+    const weekdays = settingsAt({ schedules: [{ frequency: 'weekly', time: '09:00', daysOfWeek: [1, 2, 3, 4, 5] }] });
+    assert.equal(computeNextRun(weekdays, NOW).toISOString(), '2026-10-19T03:30:00.000Z');
+});
+
+test('schedule times follow the timezone, across DST changes', () => {
+    const newYork = settingsAt({ timezone: 'America/New_York', schedules: [daily('08:00')] });
+    // EDT (UTC-4) before 1 November, EST (UTC-5) after
+    assert.equal(computeNextRun(newYork, new Date('2026-10-31T13:00:00Z')).toISOString(), '2026-11-01T13:00:00.000Z');
+    assert.equal(computeNextRun(newYork, new Date('2026-10-30T13:00:00Z')).toISOString(), '2026-10-31T12:00:00.000Z');
+});
+
+test('reminders inside quiet hours wait until they end', () => {
+    const sameDay = settingsAt({ schedules: [daily('21:00')], quietHours: { start: '20:45', end: '21:30' } });
+    assert.equal(computeNextRun(sameDay, NOW).toISOString(), '2026-10-18T16:00:00.000Z');
+
+    // Overnight window: 23:00 moves to 07:00 the next morning
+    const overnight = settingsAt({ schedules: [daily('23:00')], quietHours: { start: '22:00', end: '07:00' } });
+    assert.equal(computeNextRun(overnight, NOW).toISOString(), '2026-10-19T01:30:00.000Z');
+});
+
+test('a snooze replaces the schedule until it ends', () => {
+    const snoozedUntil = new Date(NOW.getTime() + HOUR);
+    assert.equal(computeNextRun(settingsAt({ snoozedUntil }), NOW).toISOString(), snoozedUntil.toISOString());
+
+    // Ended snoozes are ignored
+    const ended = settingsAt({ snoozedUntil: new Date(NOW.getTime() - HOUR), schedules: [daily('21:00')] });
+    assert.equal(computeNextRun(ended, NOW).toISOString(), '2026-10-18T15:30:00.000Z');
+});
+
+test('nothing is due when reminders are off or there are no schedules', () => {
+    assert.equal(computeNextRun(settingsAt({ enabled: false }), NOW), null);
+    assert.equal(computeNextRun(settingsAt({ schedules: [] }), NOW), null);
+});
+
+test('backoff starts after the ignore threshold and is capped', () => {
+    const options = { ignoreThreshold: 3, maxBackoffLevel: 3 };
+    assert.deepEqual([0, 2, 3, 4, 5, 10].map(count => getBackoffLevel(count, options)), [0, 0, 1, 2, 3, 3]);
+});
+
+test('decideDelivery sends, skips after a check-in today and thins out ignored reminders', () => {
+    const options = { ignoreThreshold: 3, maxBackoffLevel: 3 };
+    const state = { now: NOW, lastCheckInAt: null, snoozeEnded: false, ignoredCount: 0, skippedCount: 0, timezone: KOLKATA };
+
+    assert.equal(decideDelivery(state, options), 'send');
+    assert.equal(decideDelivery({ ...state, lastCheckInAt: new Date(NOW.getTime() - HOUR) }, options), 'already-checked-in');
+    // Yesterday's check-in doesn't count
+    assert.equal(decideDelivery({ ...state, lastCheckInAt: new Date(NOW.getTime() - 24 * HOUR) }, options), 'send');
+
+    // Level 2: one in four goes out
+    assert.equal(decideDelivery({ ...state, ignoredCount: 4, skippedCount: 0 }, options), 'backoff');
+    assert.equal(decideDelivery({ ...state, ignoredCount: 4, skippedCount: 2 }, options), 'backoff');
+    assert.equal(decideDelivery({ ...state, ignoredCount: 4, skippedCount: 3 }, options), 'send');
+
+    // A snooze the user asked for ignores the backoff
+    const snoozed = { ...state, snoozeEnded: true, snoozedAt: new Date(NOW.getTime() - HOUR), ignoredCount: 10 };
+    assert.equal(decideDelivery(snoozed, options), 'send');
+    assert.equal(decideDelivery({ ...snoozed, lastCheckInAt: new Date(NOW.getTime() - 30 * 60 * 1000) }, options), 'already-checked-in');
+});
+
+test('reminder messages follow the session language, with English for the rest', () => {
+    const hindi = buildReminderMessage({ sentCount: 0 }, 'hi');
+    assert.equal(hindi.title, 'चेक-इन का समय 🌱');
+    assert.match(hindi.body, /चेक-इन/);
+    assert.equal(hindi.locale, 'hi');
+
+    const fallback = buildReminderMessage({ sentCount: 1 }, 'fr');
+    assert.equal(fallback.title, 'Time for a check-in 🌱');
+    assert.equal(fallback.locale, 'en');
+    assert.equal(buildReminderMessage({ sentCount: 0 }).locale, 'en');
+});
+
+test('PUT /reminders validates schedules, times, timezone and channels', async () => {
+    const res = await request().put('/reminders').send({
+        timezone: 'Mars/Olympus',
+        schedules: [{ frequency: 'hourly', time: '25:00' }],
+        channels: ['pigeon'],
+        quietHours: { start: '22:00' }
+    });
+    assert.equal(res.status, 400);
+    const fields = res.body.details.map(detail => detail.field);
+    for (const field of ['timezone', 'schedules[0].frequency', 'schedules[0].time', 'channels[0]', 'quietHours.end']) {
+        assert.ok(fields.includes(field), `no validation issue for ${field}: ${fields.join(', ')}`);
+    }
+
+    const weekly = await request().put('/reminders').send({ schedules: [{ frequency: 'weekly', time: '09:00' }] });
+    assert.equal(weekly.status, 400);
+    assert.match(weekly.body.error, /at least one day/);
+});
+
+test('PUT /reminders takes no email address and refuses email reminders without an account', async () => {
+    const typed = await request().put('/reminders').send({ channels: ['in-app'], email: 'someone@example.com' });
+    assert.equal(typed.status, 400);
+    assert.equal(typed.body.details[0].field, 'email');
+
+    const anonymous = await request().put('/reminders').send({ channels: ['email'] });
+    assert.equal(anonymous.status, 400);
+    assert.match(anonymous.body.error, /Sign in/);
+});
+
+test('push subscriptions are only accepted for known push services', async () => {
+    for (const endpoint of [
+        'https://fcm.googleapis.com/fcm/send/abc',
+        'https://updates.push.services.mozilla.com/wpush/v2/abc',
+        'https://web.push.apple.com/abc',
+        'https://wns2-by3p.notify.windows.com/w/?token=abc'
+    ]) {
+        assert.ok(isPushServiceEndpoint(endpoint), endpoint);
+    }
+    for (const endpoint of [
+        'https://169.254.169.254/latest/meta-data',
+        'https://internal.example.com/push',
+        'https://fcm.googleapis.com.evil.example/send',
+        'https://fcm.googleapis.com:8443/fcm/send/abc',
+        'http://fcm.googleapis.com/fcm/send/abc',
+        'not a url'
+    ]) {
+        assert.ok(!isPushServiceEndpoint(endpoint), endpoint);
+    }
+
+    const res = await request().post('/reminders/push-subscriptions').send({
+        endpoint: 'https://internal.example.com/push',
+        keys: { p256dh: 'key', auth: 'secret' }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, 'endpoint');
+});
+
+test('POST /reminders/snooze only accepts snoozes within the limits', async () => {
+    const res = await request().post('/reminders/snooze').send({ minutes: 5 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, 'minutes');
+});
+
+// Scheduler, against MongoDB
+let skipReason = null;
+let restoreConfig;
+
+test.before(async () => {
+    skipReason = await startTestDB();
+    restoreConfig = overrideConfig(remindersConfig, { ignoreThreshold: 2 });
+});
+
+test.after(async () => {
+    restoreConfig();
+    if (!skipReason) await stopTestDB();
+});
+
+test.beforeEach(async () => {
+    if (!skipReason) await clearTestDB();
+});
+
+const dbTest = (name, fn) => test(name, async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    await fn(t);
+});
+
+const SESSION = 'reminder-session-1';
+
+const createSettings = (fields) => ReminderSettings.create({ sessionId: SESSION, ...settingsAt(fields), nextRunAt: NOW });
+
+const checkIn = (timestamp) => Conversation.create({
+    sessionId: SESSION,
+    userText: 'Checking in',
+    sentiment: 'POSITIVE',
+    confidenceScore: 0.9,
+    recommendation: 'Keep going',
+    timestamp
+});
+
+const reload = (settings) => ReminderSettings.findById(settings._id);
+const sentCount = () => Notification.countDocuments({ sessionId: SESSION });
+
+dbTest('due reminders are sent and the next one is scheduled', async () => {
+    const settings = await createSettings({ schedules: [daily('20:30')] });
+
+    assert.equal(await processDueReminders({ now: NOW }), 1);
+    const [notification] = await Notification.find({ sessionId: SESSION });
+    assert.equal(notification.title, 'Time for a check-in 🌱');
+    assert.equal(notification.readAt, null);
+
+    const updated = await reload(settings);
+    assert.equal(updated.nextRunAt.toISOString(), '2026-10-19T15:00:00.000Z');
+    assert.equal(updated.sentCount, 1);
+    assert.equal(updated.awaitingResponse, true);
+    assert.equal(updated.lockedAt, null);
+
+    // Not due again until tomorrow
+    assert.equal(await processDueReminders({ now: NOW }), 0);
+});
+
+dbTest('no reminder when the user already checked in today', async () => {
+    await createSettings({});
+    // 10:30 the same morning
+    await checkIn(new Date(NOW.getTime() - 10 * HOUR));
+
+    assert.equal(await processDueReminders({ now: NOW }), 1);
+    assert.equal(await sentCount(), 0);
+});
+
+dbTest('ignored reminders back off and a check-in resets them', async () => {
+    const settings = await createSettings({ schedules: [daily('20:30')] });
+    const runDay = async (day) => {
+        const now = new Date(NOW.getTime() + day * 24 * HOUR);
+        await ReminderSettings.updateOne({ _id: settings._id }, { $set: { nextRunAt: now } });
+        await processDueReminders({ now });
+    };
+
+    // Sent on days 0 and 1. Two ignored (threshold 2) -> level 1: day 2 skipped, day 3 sent.
+    // Three ignored -> level 2: days 4 and 5 skipped.
+    for (let day = 0; day < 6; day++) await runDay(day);
+    assert.equal(await sentCount(), 3);
+    let updated = await reload(settings);
+    assert.equal(updated.ignoredCount, 3);
+    assert.equal(updated.skippedCount, 2);
+
+    // A check-in on day 5 resets it - day 7's reminder goes out
+    await checkIn(new Date(NOW.getTime() + 5 * 24 * HOUR - 10 * HOUR));
+    await runDay(7);
+    updated = await reload(settings);
+    assert.equal(updated.ignoredCount, 0);
+    assert.equal(await sentCount(), 4);
+});
+
+dbTest('reminders go out in the language of the session', async () => {
+    await Session.create({ sessionId: SESSION, preferences: { language: 'hi' } });
+    await createSettings({ schedules: [daily('20:30')] });
+
+    assert.equal(await processDueReminders({ now: NOW }), 1);
+    const [notification] = await Notification.find({ sessionId: SESSION });
+    assert.equal(notification.title, 'चेक-इन का समय 🌱');
+});
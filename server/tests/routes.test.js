@@ -0,0 +1,409 @@
+// tests/routes.test.js
+// Routes that read and write MongoDB, against an in-memory server (mongodb-memory-server) and the stubbed
+// Python service. Skipped, with the reason, when mongod can't be downloaded or started.
+const { request, overrideConfig } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { startTestDB, clearTestDB, stopTestDB } = require('./helpers/db');
+const { startPythonStub } = require('./helpers/pythonStub');
+const { Conversation, Session, Thread, AnalysisJob } = require('../models');
+const aiConfig = require('../config/aiService');
+const encryptionConfig = require('../config/encryption');
+const providerConfig = require('../config/providers');
+const { breaker } = require('../services/aiClient');
+const { processQueue } = require('../services/analysisQueue');
+const { runRetention } = require('../services/retention');
+
+const SESSION = 'test-session-0001';
+const OTHER_SESSION = 'test-session-0002';
+const CLOSED_PORT_URL = 'http://127.0.0.1:1';
+const DAY = 24 * 60 * 60 * 1000;
+
+let skipReason = null;
+let stub;
+let restoreAI;
+
+test.before(async () => {
+    skipReason = await startTestDB();
+    stub = await startPythonStub();
+    restoreAI = overrideConfig(aiConfig, { pythonApiUrl: stub.url });
+});
+
+test.after(async () => {
+    restoreAI();
+    await stub.close();
+    if (!skipReason) await stopTestDB();
+});
+
+test.beforeEach(async () => {
+    stub.reset();
+    breaker.recordSuccess();
+    if (!skipReason) await clearTestDB();
+});
+
+const dbTest = (name, fn) => test(name, async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    await fn(t);
+});
+
+// Analyzed check-ins, newest first: "Check-in 1" is the most recent
+const seedConversations = (sessionId, items) => Conversation.create(items.map(({ daysAgo = 0, ...fields }, i) => ({
+    sessionId,
+    userText: `Check-in ${i + 1}`,
+    sentiment: 'POSITIVE',
+    confidenceScore: 0.8,
+    recommendation: 'Keep going',
+    timestamp: new Date(Date.now() - daysAgo * DAY - i * 1000),
+    ...fields
+})));
+
+const asSession = (req, sessionId = SESSION) => req.set('X-Session-ID', sessionId);
+
+dbTest('the first check-in creates the session and later ones update it', async () => {
+    const first = await request().post('/analyze-mood').send({ text: 'I had a great day' });
+    assert.equal(first.status, 200);
+    const sessionId = first.headers['x-session-id'];
+    assert.ok(sessionId, 'no session id handed out');
+    assert.ok(first.body.conversationId);
+
+    const second = await asSession(request().post('/analyze-mood'), sessionId).send({ text: 'I feel sad and tired' });
+    assert.equal(second.status, 200);
+    assert.equal(second.headers['x-session-id'], undefined, 'an existing session id is not replaced');
+
+    const session = await Session.findOne({ sessionId });
+    assert.equal(session.conversationCount, 2);
+    assert.equal(session.moodTrend.positive, 1);
+    assert.equal(session.moodTrend.negative, 1);
+    assert.equal(await Conversation.countDocuments({ sessionId }), 2);
+});
+
+dbTest('the saved check-in holds the analysis', async () => {
+    const res = await asSession(request().post('/analyze-mood')).send({ text: 'I feel sad and tired' });
+
+    const conversation = await Conversation.findById(res.body.conversationId);
+    assert.equal(conversation.userText, 'I feel sad and tired');
+    assert.equal(conversation.sentiment, 'NEGATIVE');
+    assert.equal(conversation.provider, 'python-http');
+    assert.equal(conversation.analysisStatus, 'analyzed');
+    assert.ok(conversation.analyzedAt);
+    assert.equal(conversation.recommendation, res.body.recommendation);
+    assert.ok(conversation.metadata.ipHash);
+    assert.doesNotMatch(conversation.metadata.ipHash, /127\.0\.0\.1/);
+});
+
+dbTest('a voice check-in records where it came from and the transcript confidence', async () => {
+    // The local speech-to-text stand-in hears a plain-text upload as that text
+    const res = await asSession(request().post('/analyze-mood/audio'))
+        .query({ duration: 4 })
+        .set('Content-Type', 'audio/webm')
+        .send(Buffer.from('I feel sad and tired'));
+    assert.equal(res.status, 200);
+
+    const conversation = await Conversation.findById(res.body.conversationId);
+    assert.equal(conversation.userText, 'I feel sad and tired');
+    assert.equal(conversation.source, 'voice');
+    assert.equal(conversation.transcription.confidence, 0.95);
+    assert.equal(conversation.transcription.durationSeconds, 4);
+    assert.equal(conversation.transcription.provider, 'local-stand-in');
+
+    const typed = await asSession(request().post('/analyze-mood')).send({ text: 'I had a great day' });
+    assert.equal((await Conversation.findById(typed.body.conversationId)).source, 'text');
+});
+
+dbTest('GET /history pages through check-ins newest first', async () => {
+    await seedConversations(SESSION, Array.from({ length: 12 }, (_, i) => ({ daysAgo: i })));
+
+    const page1 = await asSession(request().get('/history?page=1&limit=5'));
+    assert.equal(page1.status, 200);
+    assert.deepEqual(page1.body.pagination, { total: 12, page: 1, limit: 5, pages: 3 });
+    assert.deepEqual(page1.body.data.map(c => c.userText), ['Check-in 1', 'Check-in 2', 'Check-in 3', 'Check-in 4', 'Check-in 5']);
+    assert.equal(page1.body.data[0].sessionId, undefined, 'sessionId is not sent back');
+
+    const page3 = await asSession(request().get('/history?page=3&limit=5'));
+    assert.deepEqual(page3.body.data.map(c => c.userText), ['Check-in 11', 'Check-in 12']);
+
+    const pastTheEnd = await asSession(request().get('/history?page=4&limit=5'));
+    assert.deepEqual(pastTheEnd.body.data, []);
+});
+
+dbTest('GET /history uses the default page size and caps the limit', async () => {
+    await seedConversations(SESSION, Array.from({ length: 12 }, () => ({})));
+
+    const byDefault = await asSession(request().get('/history'));
+    assert.equal(byDefault.body.pagination.limit, 10);
+    assert.equal(byDefault.body.data.length, 10);
+
+    const tooMany = await asSession(request().get('/history?limit=500'));
+    assert.equal(tooMany.body.pagination.limit, 50);
+    assert.equal(tooMany.body.data.length, 12);
+});
+
+dbTest('GET /history only returns the caller\'s own check-ins', async () => {
+    await seedConversations(SESSION, [{}, {}]);
+    await seedConversations(OTHER_SESSION, [{}, {}, {}]);
+
+    const res = await asSession(request().get('/history'));
+    assert.equal(res.body.pagination.total, 2);
+});
+
+dbTest('GET /history filters by sentiment and date', async () => {
+    await seedConversations(SESSION, [
+        { sentiment: 'POSITIVE', daysAgo: 0 },
+        { sentiment: 'NEGATIVE', daysAgo: 1 },
+        { sentiment: 'MIXED', daysAgo: 10 }
+    ]);
+
+    const bySentiment = await asSession(request().get('/history?sentiment=negative,mixed'));
+    assert.deepEqual(bySentiment.body.data.map(c => c.sentiment), ['NEGATIVE', 'MIXED']);
+
+    const from = new Date(Date.now() - 5 * DAY).toISOString();
+    const recent = await asSession(request().get(`/history?from=${from}`));
+    assert.deepEqual(recent.body.data.map(c => c.sentiment), ['POSITIVE', 'NEGATIVE']);
+
+    // A date-only "to" includes that whole day
+    const yesterday = new Date(Date.now() - DAY).toISOString().slice(0, 10);
+    const upToYesterday = await asSession(request().get(`/history?to=${yesterday}`));
+    assert.deepEqual(upToYesterday.body.data.map(c => c.sentiment), ['NEGATIVE', 'MIXED']);
+});
+
+dbTest('DELETE /history/:id removes the check-in and its session counts', async () => {
+    const res = await asSession(request().post('/analyze-mood')).send({ text: 'I had a great day' });
+
+    const deleted = await asSession(request().delete(`/history/${res.body.conversationId}`));
+    assert.equal(deleted.status, 200);
+    assert.equal(await Conversation.countDocuments(), 0);
+    const session = await Session.findOne({ sessionId: SESSION });
+    assert.equal(session.conversationCount, 0);
+    assert.equal(session.moodTrend.positive, 0);
+
+    const again = await asSession(request().delete(`/history/${res.body.conversationId}`));
+    assert.equal(again.status, 404);
+    assert.equal(again.body.code, 'NOT_FOUND');
+});
+
+dbTest('retention in delete mode takes expired check-ins out of the session counts', async () => {
+    await Session.create({
+        sessionId: SESSION,
+        conversationCount: 3,
+        moodTrend: { positive: 2, negative: 1, neutral: 0 }
+    });
+    await seedConversations(SESSION, [
+        { sentiment: 'POSITIVE', daysAgo: 1 },
+        { sentiment: 'POSITIVE', daysAgo: 40 },
+        { sentiment: 'NEGATIVE', daysAgo: 50 }
+    ]);
+
+    const result = await runRetention({ days: 30, mode: 'delete' });
+    assert.equal(result.affected, 2);
+    assert.equal(await Conversation.countDocuments(), 1);
+
+    const session = await Session.findOne({ sessionId: SESSION });
+    assert.equal(session.conversationCount, 1);
+    assert.equal(session.moodTrend.positive, 1);
+    assert.equal(session.moodTrend.negative, 0);
+});
+
+dbTest('GET /analytics aggregates the period per sentiment and per day', async () => {
+    await seedConversations(SESSION, [
+        { sentiment: 'POSITIVE', daysAgo: 0, confidenceScore: 0.9 },
+        { sentiment: 'POSITIVE', daysAgo: 0, confidenceScore: 0.7 },
+        { sentiment: 'NEGATIVE', daysAgo: 1, confidenceScore: 0.6 },
+        // Outside the 30 day window
+        { sentiment: 'NEUTRAL', daysAgo: 40 }
+    ]);
+    await seedConversations(OTHER_SESSION, [{ sentiment: 'NEGATIVE' }]);
+    // Not analyzed yet - left out of the numbers
+    await Conversation.create({ sessionId: SESSION, userText: 'Waiting', analysisStatus: 'pending' });
+
+    const res = await asSession(request().get('/analytics?days=30&tz=UTC'));
+    assert.equal(res.status, 200);
+    const { data } = res.body;
+
+    assert.equal(data.totalCheckIns, 3);
+    assert.deepEqual(
+        Object.fromEntries(data.sentimentBreakdown.map(total => [total._id, total.count])),
+        { POSITIVE: 2, NEGATIVE: 1 }
+    );
+    assert.ok(Math.abs(data.averageConfidence - (0.9 + 0.7 + 0.6) / 3) < 1e-9);
+
+    assert.equal(data.timeline.bucket, 'day');
+    assert.equal(data.timeline.timezone, 'UTC');
+    assert.equal(data.timeline.series.length, 2);
+    const [yesterday, today] = data.timeline.series;
+    assert.equal(yesterday.negative, 1);
+    assert.equal(yesterday.moodScore, -0.6);
+    assert.equal(today.positive, 2);
+    assert.equal(today.moodScore, 0.8);
+
+    assert.equal(data.streaks.currentDays, 2);
+    assert.equal(data.streaks.checkedInToday, true);
+    assert.equal(data.period, '30 days');
+});
+
+dbTest('GET /analytics picks coarser buckets for longer periods and clamps days', async () => {
+    const res = await asSession(request().get('/analytics?days=400'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.period, '365 days');
+    assert.equal(res.body.data.timeline.bucket, 'month');
+    assert.equal(res.body.data.totalCheckIns, 0);
+});
+
+dbTest('check-ins are queued while the AI service is down and analyzed once it is back', async (t) => {
+    // Default provider config: failover is opt-in, so nothing answers with the lexicon here
+    const restore = overrideConfig(aiConfig, { pythonApiUrl: CLOSED_PORT_URL });
+    t.after(restore);
+
+    const res = await asSession(request().post('/analyze-mood')).send({ text: 'I feel sad and tired' });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.analysisStatus, 'pending');
+    const id = res.body.conversationId;
+
+    const pending = await asSession(request().get(`/conversations/${id}`));
+    assert.equal(pending.status, 200);
+    assert.equal(pending.body.data.analysisStatus, 'pending');
+    assert.equal(pending.body.data.sentiment, undefined);
+
+    const history = await asSession(request().get('/history'));
+    assert.equal(history.body.data[0].analysisStatus, 'pending');
+
+    // Still down: the job goes back in the queue without using up an attempt
+    assert.equal(await processQueue(), 1);
+    let job = await AnalysisJob.findOne({ conversationId: id });
+    assert.equal(job.status, 'queued');
+    assert.equal(job.attempts, 0);
+    assert.ok(job.nextRunAt > new Date());
+
+    aiConfig.pythonApiUrl = stub.url;
+    breaker.recordSuccess();
+    await AnalysisJob.updateOne({ _id: job._id }, { nextRunAt: new Date() });
+    assert.equal(await processQueue(), 1);
+
+    const done = await asSession(request().get(`/conversations/${id}`));
+    assert.equal(done.body.data.analysisStatus, 'analyzed');
+    assert.equal(done.body.data.sentiment, 'NEGATIVE');
+    assert.ok(done.body.data.recommendation);
+    job = await AnalysisJob.findOne({ conversationId: id });
+    assert.equal(job, null);
+
+    const session = await Session.findOne({ sessionId: SESSION });
+    assert.equal(session.conversationCount, 1);
+    assert.equal(session.moodTrend.negative, 1);
+});
+
+dbTest('the queued notice is in the request language', async (t) => {
+    const restore = [
+        overrideConfig(providerConfig, { failoverEnabled: false }),
+        overrideConfig(aiConfig, { pythonApiUrl: CLOSED_PORT_URL })
+    ];
+    t.after(() => restore.forEach(fn => fn()));
+
+    const res = await asSession(request().post('/analyze-mood'))
+        .set('Accept-Language', 'hi-IN,hi;q=0.9')
+        .send({ text: 'Aaj mann bahut udaas hai' });
+    assert.equal(res.status, 202);
+    assert.match(res.body.message, /जल्द ही जाँचा जाएगा/);
+});
+
+dbTest('a crisis check-in the AI service fails on is saved flagged alongside the crisis response', async () => {
+    stub.onPredict(() => ({ status: 500, body: { error: 'model crashed' } }));
+
+    const res = await asSession(request().post('/analyze-mood')).send({ text: 'I want to kill myself' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.crisis);
+    assert.ok(res.body.conversationId);
+
+    const conversation = await Conversation.findById(res.body.conversationId);
+    assert.equal(conversation.analysisStatus, 'failed');
+    assert.equal(conversation.safety.flagged, true);
+    assert.equal(conversation.safety.riskLevel, 'high');
+});
+
+dbTest('a crisis check-in sent while the AI service is unreachable is queued and flagged', async (t) => {
+    const restore = [
+        overrideConfig(providerConfig, { failoverEnabled: false }),
+        overrideConfig(aiConfig, { timeoutMs: 100, retries: 0 })
+    ];
+    t.after(() => restore.forEach(fn => fn()));
+    stub.onPredict(() => ({ status: 200, body: { sentiment: 'NEGATIVE', confidence_score: 0.9 }, delayMs: 500 }));
+
+    const res = await asSession(request().post('/analyze-mood')).send({ text: 'I want to kill myself' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.crisis);
+    assert.equal(res.body.analysisStatus, 'pending');
+
+    const conversation = await Conversation.findById(res.body.conversationId);
+    assert.equal(conversation.analysisStatus, 'pending');
+    assert.equal(conversation.safety.flagged, true);
+    const job = await AnalysisJob.findOne({ conversationId: conversation._id });
+    assert.equal(job.status, 'queued');
+});
+
+dbTest('thread messages go through the check-in pipeline, crisis fallback included', async () => {
+    const created = await asSession(request().post('/threads')).send({});
+    const id = created.body.data.id;
+
+    const reply = await asSession(request().post(`/threads/${id}/messages`)).send({ content: 'I feel sad and tired' });
+    assert.equal(reply.status, 200);
+    assert.equal(reply.body.data.userMessage.sentiment, 'NEGATIVE');
+    assert.ok(reply.body.data.assistantMessage.content);
+
+    stub.onPredict(() => ({ status: 500, body: { error: 'model crashed' } }));
+    const crisis = await asSession(request().post(`/threads/${id}/messages`)).send({ content: 'I want to kill myself' });
+    assert.equal(crisis.status, 200);
+    assert.equal(crisis.body.data.pattern, 'crisis');
+    assert.equal(crisis.body.data.userMessage.sentiment, null);
+    assert.equal((await Thread.findById(id)).flagged, true);
+});
+
+dbTest('GET /conversations/:id is limited to the owner', async () => {
+    const [conversation] = await seedConversations(OTHER_SESSION, [{}]);
+
+    const res = await asSession(request().get(`/conversations/${conversation._id}`));
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+});
+
+dbTest('POST /conversations/:id/feedback saves the feedback', async () => {
+    const [conversation] = await seedConversations(SESSION, [{}]);
+
+    const res = await asSession(request().post(`/conversations/${conversation._id}/feedback`)).send({ helpful: true, rating: 4 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.helpful, true);
+    assert.equal(res.body.data.rating, 4);
+});
+
+dbTest('POST /conversations/:id/feedback takes a comment up to the limit when encryption is on', async (t) => {
+    t.after(overrideConfig(encryptionConfig, { enabled: true, masterKeys: [{ id: 'test', key: crypto.randomBytes(32) }] }));
+    const [conversation] = await seedConversations(SESSION, [{}]);
+    const comment = 'x'.repeat(450);
+
+    const res = await asSession(request().post(`/conversations/${conversation._id}/feedback`)).send({ comment });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.comment, comment);
+
+    const stored = await Conversation.collection.findOne({ _id: conversation._id });
+    assert.notEqual(stored.userFeedback.comment, comment);
+});
+
+dbTest('POST /auth/register answers the loser of a concurrent registration with EMAIL_TAKEN', async () => {
+    const register = (sessionId) => asSession(request().post('/auth/register'), sessionId)
+        .send({ email: 'race@example.com', password: 'correct horse battery' });
+
+    const responses = await Promise.all([register(SESSION), register(OTHER_SESSION)]);
+
+    assert.deepEqual(responses.map(res => res.status).sort(), [201, 409]);
+    assert.equal(responses.find(res => res.status === 409).body.code, 'EMAIL_TAKEN');
+});
+
+dbTest('POST /auth/refresh only lets one of two parallel requests use a refresh token', async () => {
+    const registered = await asSession(request().post('/auth/register'))
+        .send({ email: 'refresh@example.com', password: 'correct horse battery' });
+    assert.equal(registered.status, 201);
+
+    const refresh = () => request().post('/auth/refresh').send({ refreshToken: registered.body.refreshToken });
+    const responses = await Promise.all([refresh(), refresh()]);
+
+    assert.deepEqual(responses.map(res => res.status).sort(), [200, 401]);
+    assert.equal(responses.find(res => res.status === 401).body.code, 'INVALID_REFRESH_TOKEN');
+});
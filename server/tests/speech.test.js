@@ -0,0 +1,149 @@
+// tests/speech.test.js
+// Voice check-ins: POST /analyze-mood/audio with the local speech-to-text stand-in (an upload that is plain
+// text is "heard" as that text) and the mock sentiment provider, plus the whisper-http provider against a stub.
+// No database - saving fails quietly and the response says conversationId: null.
+const { request, overrideConfig } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const providerConfig = require('../config/providers');
+const queueConfig = require('../config/analysisQueue');
+const speechConfig = require('../config/speech');
+const { registerSpeechProvider } = require('../services/speech');
+const { segmentConfidence } = require('../services/speech/whisperHttp');
+
+const CLOSED_PORT_URL = 'http://127.0.0.1:1';
+
+let restore = [];
+
+test.beforeEach(() => {
+    restore = [
+        overrideConfig(providerConfig, { provider: 'mock', failoverEnabled: false }),
+        overrideConfig(queueConfig, { enabled: false }),
+        overrideConfig(speechConfig, { provider: 'local-stand-in' })
+    ];
+});
+
+test.afterEach(() => {
+    restore.forEach(fn => fn());
+});
+
+const upload = (audio, { duration = 5, type = 'audio/webm;codecs=opus' } = {}) => request()
+    .post('/analyze-mood/audio')
+    .query(duration === null ? {} : { duration })
+    .set('Content-Type', type)
+    .send(Buffer.from(audio));
+
+// Answers like an OpenAI-compatible /v1/audio/transcriptions endpoint and keeps the raw requests
+const startWhisperStub = async (reply) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('latin1') });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/v1/audio/transcriptions`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+test('transcribes the recording and analyzes the transcript', async () => {
+    const res = await upload('I feel so anxious about tomorrow');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, 'voice');
+    assert.equal(res.body.transcript, 'I feel so anxious about tomorrow');
+    assert.equal(res.body.transcriptConfidence, 0.95);
+    assert.equal(res.body.sentiment, 'NEGATIVE');
+    assert.equal(res.body.provider, 'mock');
+    assert.ok(res.body.recommendation);
+});
+
+test('rejects recordings without a length or longer than the limit', async () => {
+    const missing = await upload('I feel okay', { duration: null });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'VALIDATION_ERROR');
+
+    const tooLong = await upload('I feel okay', { duration: speechConfig.maxSeconds + 30 });
+    assert.equal(tooLong.status, 400);
+    assert.match(tooLong.body.error, new RegExp(`at most ${speechConfig.maxSeconds} seconds`));
+});
+
+test('rejects uploads that are too large or not audio', async () => {
+    restore.push(overrideConfig(speechConfig, { maxBytes: 16 }));
+
+    const large = await upload('I feel okay, just a little tired today');
+    assert.equal(large.status, 413);
+    assert.equal(large.body.code, 'PAYLOAD_TOO_LARGE');
+
+    const notAudio = await upload('I feel okay', { type: 'text/plain' });
+    assert.equal(notAudio.status, 415);
+    assert.equal(notAudio.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+});
+
+test('does not analyze a transcript the provider is unsure about', async () => {
+    registerSpeechProvider('unsure', () => ({
+        name: 'unsure',
+        async transcribe() {
+            return { transcript: 'I fell hoppy', confidence: 0.1, durationSeconds: 3 };
+        }
+    }));
+    speechConfig.provider = 'unsure';
+
+    const res = await upload('...');
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'TRANSCRIPTION_FAILED');
+    assert.equal(res.body.transcript, 'I fell hoppy');
+    assert.equal(res.body.transcriptConfidence, 0.1);
+});
+
+test('an unreachable speech service -> 503 SPEECH_SERVICE_UNAVAILABLE', async () => {
+    restore.push(overrideConfig(speechConfig, { provider: 'whisper-http', apiUrl: CLOSED_PORT_URL }));
+
+    const res = await upload('I feel okay');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'SPEECH_SERVICE_UNAVAILABLE');
+});
+
+test('whisper-http sends the recording as multipart and scores the segments', async () => {
+    const stub = await startWhisperStub({
+        text: ' I had a good day ',
+        duration: 4.2,
+        segments: [
+            { start: 0, end: 2, avg_logprob: Math.log(0.9), no_speech_prob: 0 },
+            { start: 2, end: 4, avg_logprob: Math.log(0.7), no_speech_prob: 0 }
+        ]
+    });
+    restore.push(overrideConfig(speechConfig, { provider: 'whisper-http', apiUrl: stub.url }));
+
+    try {
+        const res = await upload('RIFF-not-really-audio', { type: 'audio/wav' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.transcript, 'I had a good day');
+        assert.ok(Math.abs(res.body.transcriptConfidence - 0.8) < 1e-9);
+
+        const [sent] = stub.requests;
+        assert.match(sent.headers['content-type'], /^multipart\/form-data/);
+        assert.match(sent.body, /filename="check-in\.wav"/);
+        assert.match(sent.body, /RIFF-not-really-audio/);
+        assert.match(sent.body, /verbose_json/);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('segmentConfidence discounts likely silence and is null without segments', () => {
+    assert.equal(segmentConfidence(undefined), null);
+    assert.equal(segmentConfidence([]), null);
+    assert.equal(segmentConfidence([{ start: 0, end: 1, avg_logprob: 0, no_speech_prob: 0.5 }]), 0.5);
+});
@@ -0,0 +1,110 @@
+// tests/validation.test.js
+// Request validation and the error envelope. Every request here is rejected before it reaches the database.
+const { request } = require('./helpers/app');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const assertValidationError = (res, field, message) => {
+    assert.equal(res.status, 400);
+    assert.equal(res.body.status, 'error');
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    const issue = res.body.details.find(detail => detail.field === field);
+    assert.ok(issue, `no validation issue for ${field}: ${JSON.stringify(res.body.details)}`);
+    if (message) assert.match(issue.message, message);
+};
+
+test('POST /analyze-mood requires text', async () => {
+    const res = await request().post('/analyze-mood').send({});
+    assertValidationError(res, 'text', /Please enter some text/);
+    assert.equal(res.body.error, 'Please enter some text to analyze.');
+});
+
+test('POST /analyze-mood rejects blank text', async () => {
+    const res = await request().post('/analyze-mood').send({ text: '   ' });
+    assertValidationError(res, 'text');
+});
+
+test('POST /analyze-mood rejects text over 1000 characters', async () => {
+    const res = await request().post('/analyze-mood').send({ text: 'a'.repeat(1001) });
+    assertValidationError(res, 'text', /under 1000 characters/);
+});
+
+test('POST /analyze-mood rejects unknown fields', async () => {
+    const res = await request().post('/analyze-mood').send({ text: 'hello', mood: 'happy' });
+    assertValidationError(res, 'mood');
+});
+
+test('malformed JSON -> 400 INVALID_JSON', async () => {
+    const res = await request()
+        .post('/analyze-mood')
+        .set('Content-Type', 'application/json')
+        .send('{"text": ');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_JSON');
+});
+
+test('an invalid X-Session-ID header is rejected', async () => {
+    const res = await request().get('/history').set('X-Session-ID', 'bad id!');
+    assertValidationError(res, 'x-session-id');
+    assert.equal(res.body.details[0].location, 'headers');
+});
+
+test('a new session id is handed out when none is sent', async () => {
+    const res = await request().post('/analyze-mood').send({});
+    assert.match(res.headers['x-session-id'], /^[0-9a-f-]{36}$/);
+});
+
+test('GET /history validates its query', async () => {
+    assertValidationError(await request().get('/history?page=abc'), 'page');
+    assertValidationError(await request().get('/history?sentiment=ECSTATIC'), 'sentiment[0]', /Unknown sentiment/);
+    assertValidationError(await request().get('/history?from=yesterday'), 'from');
+    assertValidationError(await request().get('/history?to=not-a-date'), 'to');
+    assertValidationError(await request().get('/history?sort=asc'), 'sort');
+});
+
+test('GET /analytics validates its query', async () => {
+    assertValidationError(await request().get('/analytics?tz=Mars/Olympus'), 'tz', /IANA timezone/);
+    assertValidationError(await request().get('/analytics?bucket=year'), 'bucket');
+    assertValidationError(await request().get('/analytics?days=many'), 'days');
+});
+
+test('ids in the path must be ObjectIds', async () => {
+    for (const path of ['/conversations/not-an-id', '/threads/xyz', '/journal/1', '/journal/1/revisions']) {
+        assertValidationError(await request().get(path), 'id', /Invalid id/);
+    }
+    assertValidationError(await request().delete('/history/123'), 'id');
+});
+
+test('POST /conversations/:id/feedback validates the rating', async () => {
+    const res = await request()
+        .post('/conversations/507f1f77bcf86cd799439011/feedback')
+        .send({ rating: 6 });
+    assertValidationError(res, 'rating', /1 to 5/);
+});
+
+test('POST /auth/register validates email and password', async () => {
+    const res = await request().post('/auth/register').send({ email: 'not-an-email', password: 'x' });
+    assert.equal(res.status, 400);
+    const fields = res.body.details.map(detail => detail.field);
+    assert.ok(fields.includes('email'));
+    assert.ok(fields.includes('password'));
+});
+
+test('routes that need an account answer 401 AUTH_REQUIRED', async () => {
+    const res = await request().post('/auth/logout').send({ all: true });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'AUTH_REQUIRED');
+});
+
+test('an invalid bearer token -> 401 INVALID_TOKEN', async () => {
+    const res = await request().get('/history').set('Authorization', 'Bearer not.a.token');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'INVALID_TOKEN');
+});
+
+test('unknown routes -> 404 ROUTE_NOT_FOUND with the list of endpoints', async () => {
+    const res = await request().get('/nope');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'ROUTE_NOT_FOUND');
+    assert.ok(res.body.availableEndpoints.includes('POST /analyze-mood'));
+});
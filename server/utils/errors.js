@@ -0,0 +1,58 @@
+// utils/errors.js
+// The one error envelope every route answers with:
+//   {
+//     status: 'error',
+//     code: 'VALIDATION_ERROR',          - machine-readable, one of ERROR_CODES
+//     error: 'Please enter some text.',  - human-readable, safe to show as is
+//     details: [{ location, field, rule, message }],  - VALIDATION_ERROR only
+//     requestId: '…'                      - matches the X-Request-ID header and the server logs
+//   }
+// Some codes add their own fields (retryAfter on RATE_LIMITED, availableEndpoints on ROUTE_NOT_FOUND).
+const { getRequestId } = require('./requestContext');
+
+// code -> default HTTP status
+const ERROR_CODES = {
+    VALIDATION_ERROR: 400,
+    INVALID_JSON: 400,
+    AUTH_REQUIRED: 401,
+    INVALID_TOKEN: 401,
+    TOKEN_EXPIRED: 401,
+    INVALID_CREDENTIALS: 401,
+    INVALID_REFRESH_TOKEN: 401,
+    NOT_FOUND: 404,
+    ROUTE_NOT_FOUND: 404,
+    EMAIL_TAKEN: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415,
+    TRANSCRIPTION_FAILED: 422,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    AI_SERVICE_ERROR: 502,
+    SPEECH_SERVICE_ERROR: 502,
+    AI_SERVICE_UNAVAILABLE: 503,
+    SPEECH_SERVICE_UNAVAILABLE: 503,
+    AI_SERVICE_TIMEOUT: 504
+};
+
+const buildErrorBody = (code, message, extra = {}) => {
+    const requestId = getRequestId();
+    return {
+        status: 'error',
+        code,
+        error: message,
+        ...extra,
+        ...(requestId ? { requestId } : {})
+    };
+};
+
+// sendError(res, 'NOT_FOUND', 'Thread not found')
+// extra: { statusCode } to override the default status, anything else is added to the body
+const sendError = (res, code, message, { statusCode, ...extra } = {}) => (
+    res.status(statusCode || ERROR_CODES[code] || 500).json(buildErrorBody(code, message, extra))
+);
+
+module.exports = {
+    ERROR_CODES,
+    buildErrorBody,
+    sendError
+};
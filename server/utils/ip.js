@@ -0,0 +1,9 @@
+// utils/ip.js
+// Client IPs are never stored or used as keys in the clear - only their hash
+const crypto = require('crypto');
+
+const hashIp = (ip) => crypto.createHash('sha256').update(ip || 'unknown').digest('hex');
+
+module.exports = {
+    hashIp
+};
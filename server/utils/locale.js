@@ -0,0 +1,12 @@
+// utils/locale.js
+
+// First language tag of an Accept-Language header ("hi-IN,hi;q=0.9" -> "hi-IN")
+const getRequestLanguage = (req) => req.headers['accept-language']?.split(',')[0] || 'unknown';
+
+// "hi-IN" -> "hi"
+const baseLocale = (language) => (language || '').split(/[-_]/)[0].trim().toLowerCase() || 'en';
+
+module.exports = {
+    getRequestLanguage,
+    baseLocale
+};
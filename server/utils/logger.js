@@ -0,0 +1,70 @@
+// utils/logger.js
+// Structured logger. Every entry is redacted (utils/redact.js) and tagged with the current request id.
+//   json:   {"time":"...","level":"info","msg":"Conversation saved","requestId":"...","provider":"mock"}
+//   pretty: 12:00:01 ℹ️  [1b2c3d4e] Conversation saved provider=mock
+// Usage: logger.info('message', { fields }); errors go in an `error` field.
+const loggingConfig = require('../config/logging');
+const { redact, redactString } = require('./redact');
+const { getRequestId } = require('./requestContext');
+
+const PRETTY_ICONS = { error: '❌', warn: '⚠️ ', info: 'ℹ️ ', debug: '🔍' };
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: redactString(String(error.message)),
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.response?.status ? { status: error.response.status } : {}),
+    ...(loggingConfig.includeStacks && error.stack ? { stack: redactString(error.stack) } : {})
+});
+
+const prepareFields = (fields) => {
+    const result = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value === undefined) continue;
+        result[key] = value instanceof Error ? serializeError(value) : redact(value);
+    }
+    return result;
+};
+
+const formatPretty = ({ time, level, msg, requestId, ...fields }) => {
+    // The stack goes on its own lines instead of inside the error field
+    const { stack, ...error } = fields.error || {};
+    if (fields.error) fields.error = error;
+    const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return `${time.substring(11, 19)} ${PRETTY_ICONS[level]} ${requestId ? `[${requestId.substring(0, 8)}] ` : ''}${msg}${extras ? ` ${extras}` : ''}${stack ? `\n${stack}` : ''}`;
+};
+
+const createLogger = (bindings = {}, options = loggingConfig) => {
+    const threshold = loggingConfig.LEVELS.indexOf(options.level);
+
+    const write = (level, msg, fields) => {
+        if (loggingConfig.LEVELS.indexOf(level) > threshold) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: redactString(String(msg)),
+            requestId: getRequestId() || undefined,
+            ...prepareFields(bindings),
+            ...prepareFields(fields)
+        };
+        const line = options.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+        stream.write(line + '\n');
+    };
+
+    return {
+        error: (msg, fields) => write('error', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        debug: (msg, fields) => write('debug', msg, fields),
+        // Logger with extra fields on every entry, e.g. logger.child({ job: 'retention' })
+        child: (extra) => createLogger({ ...bindings, ...extra }, options),
+        level: options.level
+    };
+};
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
@@ -0,0 +1,21 @@
+// utils/requestContext.js
+// Per-request context (request id) that follows the request through async calls,
+// so the logger and outgoing calls to the Python API can pick it up without passing `req` around.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-ID';
+
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getContext = () => storage.getStore() || {};
+
+const getRequestId = () => getContext().requestId || null;
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    runWithContext,
+    getContext,
+    getRequestId
+};
@@ -0,0 +1,40 @@
+// utils/routes.js
+// Lists the routes registered on the app (used for the OpenAPI spec, GET / and the 404 handler).
+// Express 5 routers don't remember the path they were mounted at, so routers are mounted with mountRouter().
+
+// app.use(path, router) that keeps the path for listRoutes()
+const mountRouter = (app, path, router) => {
+    router.mountPath = path;
+    app.use(path, router);
+};
+
+const joinPath = (prefix, path) => (prefix + (path === '/' && prefix ? '' : path)) || '/';
+
+// -> [{ method: 'GET', path: '/threads/:id', handlers: [middleware..., handler] }] in registration order
+const listRoutes = (app) => {
+    const routes = [];
+
+    const walk = (stack, prefix) => {
+        for (const layer of stack) {
+            if (layer.route) {
+                for (const method of Object.keys(layer.route.methods).filter(m => m !== '_all')) {
+                    routes.push({
+                        method: method.toUpperCase(),
+                        path: joinPath(prefix, layer.route.path),
+                        handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+                    });
+                }
+            } else if (layer.handle && layer.handle.mountPath && Array.isArray(layer.handle.stack)) {
+                walk(layer.handle.stack, joinPath(prefix, layer.handle.mountPath));
+            }
+        }
+    };
+
+    walk(app.router.stack, '');
+    return routes;
+};
+
+module.exports = {
+    mountRouter,
+    listRoutes
+};
@@ -0,0 +1,227 @@
+// utils/schema.js
+// Declarative request schemas (used through middleware/validate.js).
+// A schema is a plain object of field name -> rule:
+//   { type: 'string', trim (default true), lowercase, uppercase, minLength, maxLength, pattern, enum }
+//   { type: 'integer' | 'number', min, max, clamp }  - clamp moves out-of-range values into range instead of rejecting them
+//   { type: 'boolean' }
+//   { type: 'date' }                                 - anything Date can parse -> Date
+//   { type: 'objectId' }
+//   { type: 'array', items: rule, minItems, maxItems }
+//   { type: 'list', items: rule, maxItems }          - "a,b,c" (or a repeated query param) -> array
+//   { type: 'object', fields: schema, allowUnknown }
+// Every rule also takes: required, default, nullable, transform(value) (runs before the bounds are checked),
+// check(value) -> message | null, and messages: { <rule>: 'text' } to replace the generated messages.
+// Query strings, params and headers are always strings, so numbers and booleans are coerced there (`coerce`).
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+const TYPE_MESSAGES = {
+    string: 'must be text',
+    integer: 'must be a whole number',
+    number: 'must be a number',
+    boolean: 'must be true or false',
+    date: 'must be a valid date',
+    objectId: 'must be a valid id',
+    array: 'must be a list',
+    list: 'must be a list',
+    object: 'must be an object'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Rule violation -> { rule, message }
+const fail = (rule, ruleName, field, defaultMessage) => ({
+    error: {
+        rule: ruleName,
+        message: (rule.messages && rule.messages[ruleName]) || `${field} ${defaultMessage}.`
+    }
+});
+
+const checkLength = (rule, field, value, unit) => {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(rule, 'minLength', field, `must be at least ${rule.minLength} ${unit}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(rule, 'maxLength', field, `must be at most ${rule.maxLength} ${unit}`);
+    }
+    return null;
+};
+
+const checkRange = (rule, field, value) => {
+    if (rule.min !== undefined && value < rule.min) {
+        return rule.clamp ? { value: rule.min } : fail(rule, 'min', field, `must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return rule.clamp ? { value: rule.max } : fail(rule, 'max', field, `must be at most ${rule.max}`);
+    }
+    return { value };
+};
+
+const checkItems = (rule, field, items, ctx) => {
+    const value = [];
+    const errors = [];
+    items.forEach((item, i) => {
+        const result = validateField(rule.items, item, `${field}[${i}]`, ctx);
+        if (result.errors) errors.push(...result.errors);
+        else value.push(result.value);
+    });
+    return { value, errors };
+};
+
+// Each checker gets a present, non-null value and returns { value } or { error } (or { errors } for nested ones)
+const TYPES = {
+    string(rule, field, raw) {
+        if (typeof raw !== 'string') return fail(rule, 'type', field, TYPE_MESSAGES.string);
+        let value = rule.trim === false ? raw : raw.trim();
+        if (rule.lowercase) value = value.toLowerCase();
+        if (rule.uppercase) value = value.toUpperCase();
+        if (rule.required && value === '') return fail(rule, 'required', field, 'is required');
+        if (rule.transform) value = rule.transform(value);
+
+        const lengthError = checkLength(rule, field, value, 'characters');
+        if (lengthError) return lengthError;
+        if (rule.pattern && !rule.pattern.test(value)) return fail(rule, 'pattern', field, 'has an invalid format');
+        if (rule.enum && !rule.enum.includes(value)) {
+            return fail(rule, 'enum', field, `must be one of ${rule.enum.join(', ')}`);
+        }
+        return { value };
+    },
+
+    number(rule, field, raw, ctx) {
+        const value = ctx.coerce && typeof raw === 'string' && NUMERIC.test(raw.trim()) ? Number(raw) : raw;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fail(rule, 'type', field, TYPE_MESSAGES[rule.type]);
+        if (rule.type === 'integer' && !Number.isInteger(value)) return fail(rule, 'type', field, TYPE_MESSAGES.integer);
+        return checkRange(rule, field, value);
+    },
+
+    boolean(rule, field, raw, ctx) {
+        let value = raw;
+        if (ctx.coerce && typeof raw === 'string') {
+            if (['true', '1'].includes(raw)) value = true;
+            if (['false', '0'].includes(raw)) value = false;
+        }
+        if (typeof value !== 'boolean') return fail(rule, 'type', field, TYPE_MESSAGES.boolean);
+        return { value };
+    },
+
+    date(rule, field, raw) {
+        const value = typeof raw === 'string' || typeof raw === 'number' ? new Date(raw) : null;
+        if (!value || isNaN(value)) return fail(rule, 'type', field, TYPE_MESSAGES.date);
+        return { value };
+    },
+
+    objectId(rule, field, raw) {
+        if (typeof raw !== 'string' || !OBJECT_ID.test(raw)) return fail(rule, 'type', field, TYPE_MESSAGES.objectId);
+        return { value: raw };
+    },
+
+    array(rule, field, raw, ctx) {
+        if (!Array.isArray(raw)) return fail(rule, 'type', field, TYPE_MESSAGES[rule.type]);
+        const { value: items, errors } = rule.items ? checkItems(rule, field, raw, ctx) : { value: raw, errors: [] };
+        if (errors.length > 0) return { errors };
+
+        const value = rule.transform ? rule.transform(items) : items;
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            return fail(rule, 'minItems', field, `must have at least ${rule.minItems} items`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return fail(rule, 'maxItems', field, `must have at most ${rule.maxItems} items`);
+        }
+        return { value };
+    },
+
+    list(rule, field, raw, ctx) {
+        const items = typeof raw === 'string' ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+        return TYPES.array(rule, field, items, ctx);
+    },
+
+    object(rule, field, raw, ctx) {
+        if (!isPlainObject(raw)) return fail(rule, 'type', field, TYPE_MESSAGES.object);
+        const { value, errors } = validateSchema(rule.fields || {}, raw, {
+            ...ctx,
+            prefix: `${field}.`,
+            allowUnknown: Boolean(rule.allowUnknown)
+        });
+        return errors.length > 0 ? { errors } : { value };
+    }
+};
+TYPES.integer = TYPES.number;
+
+// -> { value } or { errors: [{ field, rule, message }] }
+const validateField = (rule, raw, field, ctx) => {
+    const missing = raw === undefined || (ctx.coerce && raw === '');
+    if (missing) {
+        if (rule.default !== undefined) {
+            return { value: typeof rule.default === 'function' ? rule.default() : rule.default };
+        }
+        if (rule.required) return { errors: [{ field, ...fail(rule, 'required', field, 'is required').error }] };
+        return { value: undefined };
+    }
+    if (raw === null && rule.nullable) return { value: null };
+
+    const checker = TYPES[rule.type];
+    if (!checker) throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+
+    const result = raw === null
+        ? fail(rule, rule.required ? 'required' : 'type', field, rule.required ? 'is required' : TYPE_MESSAGES[rule.type])
+        : checker(rule, field, raw, ctx);
+    if (result.errors) return result;
+    if (result.error) return { errors: [{ field, ...result.error }] };
+
+    if (rule.check) {
+        const message = rule.check(result.value);
+        if (message) return { errors: [{ field, rule: 'check', message }] };
+    }
+    return result;
+};
+
+// Validates an object against a schema.
+// options: { coerce, allowUnknown, prefix } -> { value, errors }; value only holds the schema's fields
+const validateSchema = (schema, input, { coerce = false, allowUnknown = false, prefix = '' } = {}) => {
+    const ctx = { coerce };
+    const value = {};
+    const errors = [];
+    const source = input || {};
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const result = validateField(rule, source[key], `${prefix}${key}`, ctx);
+        if (result.errors) errors.push(...result.errors);
+        else if (result.value !== undefined) value[key] = result.value;
+    }
+
+    if (!allowUnknown) {
+        for (const key of Object.keys(source)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                errors.push({ field: `${prefix}${key}`, rule: 'unknown', message: `Unknown field: ${prefix}${key}.` });
+            }
+        }
+    }
+
+    return { value, errors };
+};
+
+// Shared pieces
+// Session ids are client-supplied and end up in queries and rate limit keys
+const sessionIdHeader = {
+    'x-session-id': {
+        type: 'string',
+        pattern: /^[\w-]{8,128}$/,
+        messages: { pattern: 'X-Session-ID must be 8-128 letters, digits, "-" or "_".' }
+    }
+};
+
+const objectIdParam = { id: { type: 'objectId', required: true, messages: { type: 'Invalid id.' } } };
+
+const pagination = ({ defaultLimit, maxLimit }) => ({
+    page: { type: 'integer', min: 1, clamp: true, default: 1 },
+    limit: { type: 'integer', min: 1, max: maxLimit, clamp: true, default: defaultLimit }
+});
+
+module.exports = {
+    isPlainObject,
+    validateSchema,
+    sessionIdHeader,
+    objectIdParam,
+    pagination
+};
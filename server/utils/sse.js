@@ -0,0 +1,25 @@
+// utils/sse.js
+// Minimal Server-Sent Events helpers
+
+const wantsEventStream = (req) => (req.headers.accept || '').includes('text/event-stream');
+
+const openStream = (res) => {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Disable proxy buffering (nginx) so events arrive as they are sent
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = {
+    wantsEventStream,
+    openStream,
+    sendEvent
+};
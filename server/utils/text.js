@@ -0,0 +1,63 @@
+// utils/text.js
+// Helpers for long free text (journal entries)
+
+// Markdown syntax removed so the analyzer only sees the words
+const stripMarkdown = (markdown) => markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|\*|_|~~|`)/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Splits text into pieces of at most maxLength characters, preferring paragraph,
+// then sentence, then word boundaries so no chunk cuts a sentence in half if it can help it
+const splitIntoChunks = (text, maxLength) => {
+    const chunks = [];
+    let current = '';
+
+    const push = () => {
+        if (current.trim()) chunks.push(current.trim());
+        current = '';
+    };
+
+    const add = (piece, separator) => {
+        if (!piece.trim()) return;
+        const candidate = current ? current + separator + piece : piece;
+        if (candidate.length <= maxLength) {
+            current = candidate;
+            return;
+        }
+        push();
+        if (piece.length <= maxLength) {
+            current = piece;
+            return;
+        }
+        // Piece itself is too long - fall back to a finer boundary
+        if (separator === '\n\n') {
+            piece.split(/(?<=[.!?।])\s+/).forEach(sentence => add(sentence, ' '));
+        } else {
+            for (const word of piece.split(/\s+/)) {
+                if (word.length > maxLength) {
+                    push();
+                    for (let i = 0; i < word.length; i += maxLength) chunks.push(word.slice(i, i + maxLength));
+                } else {
+                    add(word, ' ');
+                }
+            }
+        }
+    };
+
+    text.split(/\n\s*\n/).forEach(paragraph => add(paragraph.replace(/\s+/g, ' '), '\n\n'));
+    push();
+    return chunks;
+};
+
+module.exports = {
+    stripMarkdown,
+    countWords,
+    splitIntoChunks
+};
@@ -0,0 +1,74 @@
+// utils/timezone.js
+// IANA timezone helpers built on Intl (no timezone library): local wall-clock parts and calendar day
+// of an instant, and the instant of a local date + time.
+
+// Invalid IANA names make Intl throw
+const isValidTimezone = (timezone) => {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const formatters = {};
+const getFormatter = (timezone) => formatters[timezone] || (formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+}));
+
+// Wall-clock time of `date` in `timezone`: { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+const getZonedParts = (date, timezone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+    return parts;
+};
+
+// Offset of `timezone` from UTC at `date`, in milliseconds (Asia/Kolkata -> +5:30)
+const getOffsetMs = (date, timezone) => {
+    const p = getZonedParts(date, timezone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant of a local date + time in `timezone`. Day overflow is fine (day 32 -> next month).
+// A time skipped by a DST change resolves to the hour after it.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = new Date(asUTC - getOffsetMs(new Date(asUTC), timezone));
+    const candidate = new Date(asUTC - getOffsetMs(firstGuess, timezone));
+
+    // Inside a DST gap the corrected guess lands before the gap; the first guess is the time after it
+    const local = getZonedParts(candidate, timezone);
+    return local.hour * 60 + local.minute === (hour * 60 + minute) % (24 * 60) ? candidate : firstGuess;
+};
+
+// Local calendar day of `date` in `timezone`, "YYYY-MM-DD"
+const toLocalDay = (date, timezone) => {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// "HH:MM" -> minutes after midnight
+const parseTimeOfDay = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToUtc,
+    toLocalDay,
+    parseTimeOfDay
+};